@@ -112,17 +112,19 @@ async function loadEvents() {
 
 /**
  * Setup automatic trophy checking cron job
- * Runs every 30 minutes to check for new trophies
+ * Each run checks the batch of linked accounts that are due; how often an
+ * account is due depends on its recent activity (see utils/checkSchedule)
  */
 function setupTrophyChecker() {
-    // Run every 30 minutes
-    cron.schedule('*/30 * * * *', async () => {
+    const schedule = process.env.TROPHY_CHECK_CRON || '*/5 * * * *';
+    
+    cron.schedule(schedule, async () => {
         try {
             logger.info('Starting scheduled trophy check...');
             
             // Add timeout protection to prevent hanging cron jobs
             await Promise.race([
-                client.trophyTracker.checkAllUsers(),
+                client.trophyTracker.checkDueAccounts(),
                 new Promise((_, reject) => {
                     setTimeout(() => {
                         reject(new Error('Scheduled trophy check timed out after 10 minutes'));
@@ -140,7 +142,25 @@ function setupTrophyChecker() {
         }
     });
     
-    logger.info('Trophy checking scheduled to run every 30 minutes');
+    logger.info(`Trophy checking scheduled (${schedule}) for accounts that are due`);
+}
+
+/**
+ * Setup hourly removal of expired interaction sessions
+ */
+function setupSessionCleanup() {
+    const sessions = require('./src/utils/interactionSessions');
+    
+    cron.schedule('0 * * * *', async () => {
+        try {
+            const removed = await sessions.purgeExpired(client.database);
+            if (removed > 0) {
+                logger.debug(`Removed ${removed} expired interaction sessions`);
+            }
+        } catch (error) {
+            logger.error('Error removing expired interaction sessions:', error);
+        }
+    });
 }
 
 /**
@@ -188,6 +208,7 @@ async function init() {
         
         // Setup trophy checking
         setupTrophyChecker();
+        setupSessionCleanup();
         
         // Login to Discord
         logger.info('🔑 Attempting to login to Discord...');
@@ -0,0 +1,86 @@
+/**
+ * Database Migration Script
+ *
+ * Applies or reverts schema migrations without starting the bot.
+ * Run with: node migrate.js [up|down|status] [--to <version>] [--steps <n>]
+ *
+ *   up      Apply pending migrations (default), optionally only up to --to
+ *   down    Revert the last migration, or --steps n, or everything above --to
+ *   status  List every migration and whether it has been applied
+ */
+
+require('dotenv').config();
+const Database = require('./src/database/database');
+const Migrator = require('./src/database/migrator');
+
+function parseArgs(argv) {
+    const args = { command: 'up' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--to' || arg === '--steps') {
+            const value = parseInt(argv[++i], 10);
+            if (isNaN(value) || value < 0) {
+                throw new Error(`${arg} expects a non-negative number`);
+            }
+            args[arg.slice(2)] = value;
+        } else if (!arg.startsWith('--')) {
+            args.command = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+async function runMigrations() {
+    let exitCode = 0;
+
+    try {
+        const args = parseArgs(process.argv.slice(2));
+
+        await Database.init({ migrate: false });
+        const migrator = new Migrator(Database);
+
+        switch (args.command) {
+            case 'up': {
+                const applied = await migrator.migrate({ to: args.to });
+                console.log(applied.length > 0
+                    ? `✅ Applied ${applied.length} migration(s)`
+                    : '✅ Nothing to migrate, schema is up to date');
+                break;
+            }
+            case 'down': {
+                const reverted = await migrator.rollback({ steps: args.steps, to: args.to });
+                console.log(reverted.length > 0
+                    ? `✅ Reverted ${reverted.length} migration(s)`
+                    : '✅ Nothing to revert');
+                break;
+            }
+            case 'status': {
+                const migrations = await migrator.status();
+                for (const migration of migrations) {
+                    const appliedAt = migration.appliedAt
+                        ? new Date(migration.appliedAt * 1000).toISOString()
+                        : 'pending';
+                    console.log(`${migration.applied ? '✅' : '⏳'} ${Migrator.describe(migration)} (${appliedAt})`);
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown command: ${args.command} (expected up, down or status)`);
+        }
+
+        console.log(`📋 Current schema version: ${await migrator.getCurrentVersion()}`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await Database.close().catch(() => {});
+    }
+
+    process.exit(exitCode);
+}
+
+runMigrations();
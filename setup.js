@@ -87,7 +87,7 @@ ${envContent}
 # Optional: Uncomment and configure these settings
 # LOG_FILE=./logs/bot.log
 # TROPHY_CHECK_CRON=*/30 * * * *
-# PSN_API_DELAY=2000
+# PSN_RATE_LIMIT_PER_MINUTE=60
 `;
         
         fs.writeFileSync('.env', envTemplate);
@@ -0,0 +1,104 @@
+/**
+ * Accounts Command - Manage Linked PSN Accounts
+ *
+ * Lists the PSN accounts a member has linked and lets them choose which
+ * one is primary. The primary account is used by commands when no account
+ * is chosen and names the member on leaderboards.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { autocompleteLinkedAccounts } = require('../utils/autocomplete');
+const { MAX_ACCOUNTS_PER_MEMBER, findAccount, setPrimaryAccount } = require('../utils/linkedAccounts');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('accounts')
+        .setDescription('Manage the PSN accounts linked to your Discord account')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List your linked PSN accounts')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('primary')
+                .setDescription('Choose the account used by default and shown on leaderboards')
+                .addStringOption(option =>
+                    option.setName('account')
+                        .setDescription('One of your linked PSN accounts')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        ),
+
+    autocomplete: autocompleteLinkedAccounts,
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const discordId = interaction.user.id;
+
+        try {
+            let accounts = await database.getAccounts(discordId) || [];
+
+            if (accounts.length === 0) {
+                await interaction.reply({
+                    content: '❌ You haven\'t linked a PSN account yet. Use `/link` to get started!',
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (interaction.options.getSubcommand() === 'primary') {
+                const name = interaction.options.getString('account');
+                const account = findAccount(accounts, name);
+
+                if (!account) {
+                    await interaction.reply({
+                        content: `❌ **${name}** isn't one of your linked PSN accounts.`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+
+                if (!account.is_primary) {
+                    await setPrimaryAccount(database, discordId, account.id);
+                    logger.info(`Primary PSN account of ${discordId} changed to ${account.psn_username}`);
+                    accounts = await database.getAccounts(discordId) || [];
+                }
+            }
+
+            await interaction.reply({ embeds: [accountsEmbed(accounts)], ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error in accounts command:', error);
+            await interaction.reply({
+                content: '❌ An error occurred while loading your linked accounts. Please try again later.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+/**
+ * Build the list of a member's linked accounts
+ * @param {Array<Object>} accounts - Rows from Database.getAccounts
+ * @returns {EmbedBuilder}
+ */
+function accountsEmbed(accounts) {
+    const lines = accounts.map(account => {
+        const badges = [
+            account.is_primary ? '⭐ Primary' : null,
+            account.verified_at ? '✅ Verified' : null
+        ].filter(Boolean);
+        const linked = account.created_at ? ` - linked <t:${account.created_at}:R>` : '';
+
+        return `**${account.psn_username}**${badges.length ? ` (${badges.join(', ')})` : ''}${linked}`;
+    });
+
+    return new EmbedBuilder()
+        .setTitle('🔗 Your Linked PSN Accounts')
+        .setDescription(lines.join('\n'))
+        .setColor(0x0099FF)
+        .setFooter({ text: `${accounts.length} of ${MAX_ACCOUNTS_PER_MEMBER} accounts linked • /accounts primary changes your primary account` });
+}
@@ -2,11 +2,20 @@
  * Browse Player Command - View Any PSN Player's Public Profile
  * 
  * Allows anyone to view public trophy information for any PSN player
- * without requiring authentication or linking
+ * without requiring authentication or linking. The overview is followed by
+ * pages listing the player's titles.
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const PublicPSNApi = require('../utils/publicPsnApi');
+const PsnClient = require('../utils/psnClient');
+const { scopeOf } = require('../utils/recentPlayers');
+const { autocompletePsnNames } = require('../utils/autocomplete');
+const { PsnError, PsnPrivateProfileError } = require('../utils/psnErrors');
+const pagination = require('../utils/pagination');
+
+const VIEW_KEY = 'player';
+const GAMES_PER_PAGE = 10;
+const PLAYSTATION_LOGO = 'https://i.imgur.com/5J7RwaR.png';
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -17,184 +26,31 @@ module.exports = {
                 .setDescription('PlayStation Network username to look up')
                 .setRequired(true)
                 .setMaxLength(16)
-                .setMinLength(3)),
+                .setMinLength(3)
+                .setAutocomplete(true)),
+
+    autocomplete: autocompletePsnNames,
     
     async execute(interaction) {
         const logger = interaction.client.logger;
-        const psnApi = new PublicPSNApi(logger);
         
         const username = interaction.options.getString('username');
         
         try {
             await interaction.deferReply();
             
-            // Validate and get PSN account info
             logger.info(`Looking up public PSN profile for: ${username}`);
             
-            let accountData;
-            try {
-                accountData = await psnApi.validateUsername(username);
-                
-                if (!accountData) {
-                    const embed = new EmbedBuilder()
-                        .setTitle('❌ PSN Player Not Found')
-                        .setDescription(`Could not find a PlayStation Network player with username: **${username}**`)
-                        .addFields([
-                            {
-                                name: '🔍 Search Tips',
-                                value: '• PSN usernames are case-sensitive\\n• Check for typos in the username\\n• Make sure the player has a public profile\\n• Try using `/search-player` for similar usernames'
-                            }
-                        ])
-                        .setColor('#FF4757')
-                        .setFooter({ text: 'Only public PSN profiles can be viewed' });
-                    
-                    await interaction.editReply({ embeds: [embed] });
-                    return;
-                }
-            } catch (error) {
-                logger.error('Error validating username:', error);
-                
-                const embed = new EmbedBuilder()
-                    .setTitle('❌ PSN Lookup Failed')
-                    .setDescription('Failed to look up the PlayStation Network player.')
-                    .addFields([
-                        {
-                            name: '🔄 Try Again',
-                            value: 'This could be a temporary issue. Please try again in a moment.'
-                        }
-                    ])
-                    .setColor('#FF4757');
-                
-                await interaction.editReply({ embeds: [embed] });
-                return;
-            }
-            
-            // Get detailed trophy statistics
-            let trophyStats;
             try {
-                trophyStats = await psnApi.getDetailedTrophyStats(accountData.accountId);
+                await pagination.reply(interaction, VIEW_KEY, [username]);
             } catch (error) {
-                logger.warn(`Could not retrieve detailed stats for ${username}:`, error.message);
+                if (!(error instanceof PsnError)) throw error;
                 
-                // Try basic trophy summary instead
-                try {
-                    trophyStats = await psnApi.getUserTrophySummary(accountData.accountId);
-                } catch (summaryError) {
-                    logger.error('Could not retrieve any trophy data:', summaryError.message);
-                    
-                    const embed = new EmbedBuilder()
-                        .setTitle('🔒 Profile Not Accessible')
-                        .setDescription(`**${accountData.onlineId}**'s trophy information is not publicly accessible.`)
-                        .addFields([
-                            {
-                                name: 'ℹ️ Why can\'t I see their trophies?',
-                                value: 'The player may have privacy settings that restrict public access to their trophy information.'
-                            },
-                            {
-                                name: '✅ What you can still do',
-                                value: '• The player exists and has a valid PSN account\\n• They can link their account using `/link` if they want to share their trophies\\n• You can try again later as privacy settings may change'
-                            }
-                        ])
-                        .setThumbnail(accountData.avatarUrl)
-                        .setColor('#FFA502')
-                        .setFooter({ text: 'Player found but trophy data is private' });
-                    
-                    await interaction.editReply({ embeds: [embed] });
-                    return;
-                }
-            }
-            
-            // Create profile embed
-            const profileEmbed = new EmbedBuilder()
-                .setTitle(`🎮 ${accountData.onlineId}`)
-                .setDescription('**PlayStation Network Public Profile**')
-                .setThumbnail(accountData.avatarUrl)
-                .addFields([
-                    {
-                        name: '🏆 Trophy Level',
-                        value: `**${trophyStats.trophyLevel}**`,
-                        inline: true
-                    },
-                    {
-                        name: '📊 Progress',
-                        value: `${trophyStats.progress || 0}%`,
-                        inline: true
-                    },
-                    {
-                        name: '⭐ Tier',
-                        value: `${trophyStats.tier || 'N/A'}`,
-                        inline: true
-                    }
-                ])
-                .setColor('#00D2FF');
-            
-            // Add trophy counts
-            const trophyCounts = trophyStats.earnedTrophies || {};
-            profileEmbed.addFields([
-                {
-                    name: '🏅 Trophy Collection',
-                    value: `🥇 **${trophyCounts.platinum || 0}** Platinum\\n🥈 **${trophyCounts.gold || 0}** Gold\\n🥉 **${trophyCounts.silver || 0}** Silver\\n🎖️ **${trophyCounts.bronze || 0}** Bronze`,
-                    inline: true
-                }
-            ]);
-            
-            // Add game statistics if available
-            if (trophyStats.gameStats) {
-                const gameStats = trophyStats.gameStats;
-                profileEmbed.addFields([
-                    {
-                        name: '🎮 Gaming Stats',
-                        value: `**Games Played:** ${gameStats.totalGames}\\n**Completed:** ${gameStats.completedGames}\\n**With Platinum:** ${gameStats.gamesWithPlatinum}\\n**Avg. Completion:** ${gameStats.averageCompletion}%`,
-                        inline: true
-                    }
-                ]);
+                logger.error('Error looking up PSN player:', error);
                 
-                // Add recent games if available
-                if (gameStats.recentGames && gameStats.recentGames.length > 0) {
-                    const recentGamesText = gameStats.recentGames
-                        .slice(0, 3)
-                        .map(game => `• **${game.trophyTitleName}** (${game.progress}%)`)
-                        .join('\\n');
-                    
-                    if (recentGamesText) {
-                        profileEmbed.addFields([
-                            {
-                                name: '🕹️ Recent Games',
-                                value: recentGamesText,
-                                inline: false
-                            }
-                        ]);
-                    }
-                }
+                await interaction.editReply({ embeds: [lookupFailedEmbed(error)] });
             }
             
-            // Add account info
-            profileEmbed.addFields([
-                {
-                    name: '🔗 Account Info',
-                    value: `**Account ID:** \`${accountData.accountId}\`\\n**Last Updated:** ${trophyStats.lastUpdatedDateTime ? `<t:${Math.floor(new Date(trophyStats.lastUpdatedDateTime).getTime() / 1000)}:R>` : 'Unknown'}`,
-                    inline: false
-                }
-            ]);
-            
-            // Add helpful actions
-            profileEmbed.addFields([
-                {
-                    name: '💡 More Actions',
-                    value: '• Use `/browse-game` to explore specific game trophies\\n• Use `/link` to link your own PSN account\\n• Use `/search-player` to find similar usernames',
-                    inline: false
-                }
-            ]);
-            
-            profileEmbed.setFooter({ 
-                text: `Public PSN profile • Data from PlayStation Network`,
-                iconURL: 'https://i.imgur.com/5J7RwaR.png' // PlayStation logo
-            });
-            
-            await interaction.editReply({ embeds: [profileEmbed] });
-            
-            logger.info(`Successfully displayed profile for ${accountData.onlineId} (Level ${trophyStats.trophyLevel})`);
-            
         } catch (error) {
             logger.error('Error in browse-player command:', error);
             
@@ -204,7 +60,7 @@ module.exports = {
                 .addFields([
                     {
                         name: '🔧 What to do',
-                        value: '• Please try the command again\\n• If the problem persists, contact a server administrator\\n• Check `/help` for more information'
+                        value: '• Please try the command again\n• If the problem persists, contact a server administrator\n• Check `/help` for more information'
                     }
                 ])
                 .setColor('#FF4757')
@@ -214,3 +70,172 @@ module.exports = {
         }
     }
 };
+
+/**
+ * Look up a player and lay out their profile: an overview page followed by
+ * their played titles, ten per page
+ * @param {Object} interaction - Command or button interaction
+ * @param {Array<string>} args - [username]
+ * @returns {Promise<Object>} - PagedView
+ */
+async function buildPlayerView(interaction, [username]) {
+    const logger = interaction.client.logger;
+    const psnClient = new PsnClient(logger, { lookupScope: scopeOf(interaction) });
+
+    const accountData = await psnClient.validateUsername(username);
+
+    if (!accountData) {
+        return {
+            pages: [[
+                {
+                    name: '🔍 Search Tips',
+                    value: '• PSN usernames are case-sensitive\n• Check for typos in the username\n• Make sure the player has a public profile\n• Try using `/search-player` for similar usernames'
+                }
+            ]],
+            createEmbed: () => new EmbedBuilder()
+                .setTitle('❌ PSN Player Not Found')
+                .setDescription(`Could not find a PlayStation Network player with username: **${username}**`)
+                .setColor('#FF4757'),
+            footer: 'Only public PSN profiles can be viewed'
+        };
+    }
+
+    // Get detailed trophy statistics
+    let trophyStats;
+    let statsError = null;
+    try {
+        trophyStats = await psnClient.getDetailedTrophyStats(accountData.accountId);
+    } catch (error) {
+        logger.warn(`Could not retrieve detailed stats for ${username}:`, error.message);
+        statsError = error;
+
+        // Try basic trophy summary instead; a private profile won't have one either
+        if (!(error instanceof PsnPrivateProfileError)) {
+            try {
+                trophyStats = await psnClient.getUserTrophySummary(accountData.accountId);
+                statsError = null;
+            } catch (summaryError) {
+                statsError = summaryError;
+            }
+        }
+    }
+
+    if (statsError) {
+        logger.error('Could not retrieve any trophy data:', statsError.message);
+
+        if (!(statsError instanceof PsnPrivateProfileError)) {
+            throw statsError;
+        }
+
+        return {
+            pages: [[
+                {
+                    name: 'ℹ️ Why can\'t I see their trophies?',
+                    value: 'The player may have privacy settings that restrict public access to their trophy information.'
+                },
+                {
+                    name: '✅ What you can still do',
+                    value: '• The player exists and has a valid PSN account\n• They can link their account using `/link` if they want to share their trophies\n• You can try again later as privacy settings may change'
+                }
+            ]],
+            createEmbed: () => new EmbedBuilder()
+                .setTitle('🔒 Profile Not Accessible')
+                .setDescription(`**${accountData.onlineId}**'s trophy information is not publicly accessible.`)
+                .setThumbnail(accountData.avatarUrl)
+                .setColor('#FFA502'),
+            footer: 'Player found but trophy data is private'
+        };
+    }
+
+    const trophyCounts = trophyStats.earnedTrophies || {};
+    const overview = [
+        {
+            name: '🏆 Trophy Level',
+            value: `**${trophyStats.trophyLevel}**`,
+            inline: true
+        },
+        {
+            name: '📊 Progress',
+            value: `${trophyStats.progress || 0}%`,
+            inline: true
+        },
+        {
+            name: '⭐ Tier',
+            value: `${trophyStats.tier || 'N/A'}`,
+            inline: true
+        },
+        {
+            name: '🏅 Trophy Collection',
+            value: `🏆 **${trophyCounts.platinum || 0}** Platinum\n🥇 **${trophyCounts.gold || 0}** Gold\n🥈 **${trophyCounts.silver || 0}** Silver\n🥉 **${trophyCounts.bronze || 0}** Bronze`,
+            inline: true
+        }
+    ];
+
+    const gameStats = trophyStats.gameStats;
+    if (gameStats) {
+        overview.push({
+            name: '🎮 Gaming Stats',
+            value: `**Games Played:** ${gameStats.totalGames}\n**Completed:** ${gameStats.completedGames}\n**With Platinum:** ${gameStats.gamesWithPlatinum}\n**Avg. Completion:** ${gameStats.averageCompletion}%`,
+            inline: true
+        });
+    }
+
+    overview.push(
+        {
+            name: '🔗 Account Info',
+            value: `**Account ID:** \`${accountData.accountId}\`\n**Last Updated:** ${trophyStats.lastUpdatedDateTime ? `<t:${Math.floor(new Date(trophyStats.lastUpdatedDateTime).getTime() / 1000)}:R>` : 'Unknown'}`,
+            inline: false
+        },
+        {
+            name: '💡 More Actions',
+            value: '• Use `/game` to explore specific game trophies\n• Use `/link` to link your own PSN account\n• Use `/search-player` to find similar usernames',
+            inline: false
+        }
+    );
+
+    // Played titles, most recent first, after the overview
+    const gameLines = (gameStats?.games || []).map(game =>
+        `• **${game.trophyTitleName}** (${game.progress}%)${game.earnedTrophies?.platinum > 0 ? ' 🏆' : ''}`
+    );
+    const gamePages = [];
+    for (let i = 0; i < gameLines.length; i += GAMES_PER_PAGE) {
+        gamePages.push([{
+            name: '🕹️ Games',
+            value: gameLines.slice(i, i + GAMES_PER_PAGE).join('\n'),
+            inline: false
+        }]);
+    }
+
+    logger.info(`Built profile for ${accountData.onlineId} (Level ${trophyStats.trophyLevel})`);
+
+    return {
+        pages: [overview, ...gamePages],
+        createEmbed: () => new EmbedBuilder()
+            .setTitle(`🎮 ${accountData.onlineId}`)
+            .setDescription('**PlayStation Network Public Profile**')
+            .setThumbnail(accountData.avatarUrl)
+            .setColor('#00D2FF'),
+        footer: 'Public PSN profile • Data from PlayStation Network',
+        footerIconUrl: PLAYSTATION_LOGO
+    };
+}
+
+/**
+ * Build the reply for a PSN request that failed for a reason other than privacy
+ * @param {Error} error - Error from the PSN client
+ * @returns {EmbedBuilder}
+ */
+function lookupFailedEmbed(error) {
+    return new EmbedBuilder()
+        .setTitle('❌ PSN Lookup Failed')
+        .setDescription('Failed to look up the PlayStation Network player.')
+        .addFields([
+            {
+                name: '🔄 Try Again',
+                value: error.userMessage || 'This could be a temporary issue. Please try again in a moment.'
+            }
+        ])
+        .setColor('#FF4757');
+}
+
+pagination.register(VIEW_KEY, buildPlayerView);
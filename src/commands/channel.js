@@ -1,8 +1,9 @@
 /**
- * Channel Command - Set Trophy Notification Channel
- * 
- * Allows server administrators to set which channel receives
- * trophy notifications and restrict bot usage to specific channels
+ * Channel Command - Set Trophy Notification Channels
+ *
+ * Allows server administrators to choose which channels of their server
+ * announce trophies. Feeds are stored per guild, so every server a linked
+ * member belongs to gets its own announcements.
  */
 
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
@@ -14,7 +15,7 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('set')
-                .setDescription('Set the channel for trophy notifications')
+                .setDescription('Add a channel that announces trophies in this server')
                 .addChannelOption(option =>
                     option.setName('channel')
                         .setDescription('Channel to receive trophy notifications')
@@ -25,6 +26,11 @@ module.exports = {
             subcommand
                 .setName('remove')
                 .setDescription('Remove trophy notifications from this server')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Only stop announcing in this channel (defaults to all channels)')
+                        .setRequired(false)
+                )
         )
         .addSubcommand(subcommand =>
             subcommand
@@ -32,30 +38,30 @@ module.exports = {
                 .setDescription('Show current notification channel settings')
         )
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels),
-    
+
     async execute(interaction) {
         const database = interaction.client.database;
         const logger = interaction.client.logger;
         const subcommand = interaction.options.getSubcommand();
-        
+
         // Check if user has PSN account linked
         let userData;
         try {
             userData = await database.getUser(interaction.user.id);
         } catch (dbError) {
             logger.error('Database error checking user:', dbError);
-            
-            const errorMessage = dbError.message.includes('no such table') 
+
+            const errorMessage = dbError.message.includes('no such table')
                 ? '❌ Database not properly initialized. Please contact an administrator.'
                 : '❌ Database error occurred. Please try again later.';
-            
+
             await interaction.reply({
                 content: errorMessage,
                 ephemeral: true
             });
             return;
         }
-        
+
         if (!userData || !userData.psn_username) {
             await interaction.reply({
                 content: '❌ You need to link your PSN account first using `/link`',
@@ -63,7 +69,15 @@ module.exports = {
             });
             return;
         }
-        
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ Notification channels can only be configured inside a server.',
+                ephemeral: true
+            });
+            return;
+        }
+
         try {
             switch (subcommand) {
                 case 'set':
@@ -87,12 +101,12 @@ module.exports = {
 };
 
 /**
- * Set notification channel
+ * Add a notification channel for this guild
  */
 async function handleSetChannel(interaction, database, logger) {
     const channel = interaction.options.getChannel('channel');
-    const userId = interaction.user.id;
-    
+    const guildId = interaction.guild.id;
+
     // Verify bot can send messages in the channel
     if (!channel.permissionsFor(interaction.client.user).has(['SendMessages', 'EmbedLinks'])) {
         await interaction.reply({
@@ -101,14 +115,13 @@ async function handleSetChannel(interaction, database, logger) {
         });
         return;
     }
-    
-    // Save notification settings with error handling
+
+    // Save guild notification channel with error handling
     try {
         await database.run(`
-            INSERT OR REPLACE INTO notification_settings 
-            (discord_id, trophy_notifications, platinum_notifications, channel_id)
-            VALUES (?, 1, 1, ?)
-        `, [userId, channel.id]);
+            INSERT OR IGNORE INTO server_settings (guild_id, setting_type, channel_id, created_by)
+            VALUES (?, 'notification_channel', ?, ?)
+        `, [guildId, channel.id, interaction.user.id]);
     } catch (dbError) {
         logger.error('Database error saving notification settings:', dbError);
         await interaction.reply({
@@ -117,10 +130,10 @@ async function handleSetChannel(interaction, database, logger) {
         });
         return;
     }
-    
+
     const embed = new EmbedBuilder()
         .setTitle('✅ Notification Channel Set')
-        .setDescription(`Trophy notifications will now be sent to ${channel}`)
+        .setDescription(`Trophy notifications for members of this server will now be sent to ${channel}`)
         .addFields([
             {
                 name: '📋 Settings',
@@ -133,39 +146,60 @@ async function handleSetChannel(interaction, database, logger) {
             },
             {
                 name: '🎮 What happens next?',
-                value: 'New trophies will automatically appear in this channel when detected!',
+                value: 'New trophies earned by linked members of this server will automatically appear in this channel. Members can opt out with `/notifications mute`.',
                 inline: false
             }
         ])
         .setColor(0x00FF00)
         .setTimestamp();
-    
+
     await interaction.reply({ embeds: [embed] });
-    
+
     // Send a test message to the channel
     const testEmbed = new EmbedBuilder()
         .setTitle('🎮 Trophy Notifications Configured')
         .setDescription(`${interaction.user} has set this channel to receive PlayStation trophy notifications!`)
         .setColor(0x0099FF)
         .setTimestamp();
-    
+
     await channel.send({ embeds: [testEmbed] });
-    
-    logger.info(`Channel ${channel.id} set for trophy notifications by ${interaction.user.tag}`);
+
+    logger.info(`Channel ${channel.id} set for trophy notifications in guild ${guildId} by ${interaction.user.tag}`);
 }
 
 /**
- * Remove notification channel
+ * Remove one or all notification channels for this guild
  */
 async function handleRemoveChannel(interaction, database, logger) {
-    const userId = interaction.user.id;
-    
+    const channel = interaction.options.getChannel('channel');
+    const guildId = interaction.guild.id;
+
+    // Legacy per-user channels pointing into this guild are cleared as well
+    const legacyChannelIds = channel
+        ? [channel.id]
+        : [...(interaction.guild.channels?.cache?.keys() || [])];
+
+    let result;
     try {
-        await database.run(`
-            UPDATE notification_settings 
-            SET channel_id = NULL, trophy_notifications = 0, platinum_notifications = 0
-            WHERE discord_id = ?
-        `, [userId]);
+        if (channel) {
+            result = await database.run(`
+                DELETE FROM server_settings
+                WHERE guild_id = ? AND setting_type = 'notification_channel' AND channel_id = ?
+            `, [guildId, channel.id]);
+        } else {
+            result = await database.run(`
+                DELETE FROM server_settings
+                WHERE guild_id = ? AND setting_type = 'notification_channel'
+            `, [guildId]);
+        }
+
+        if (legacyChannelIds.length > 0) {
+            await database.run(`
+                UPDATE notification_settings
+                SET channel_id = NULL
+                WHERE channel_id IN (${legacyChannelIds.map(() => '?').join(', ')})
+            `, legacyChannelIds);
+        }
     } catch (dbError) {
         logger.error('Database error removing notification settings:', dbError);
         await interaction.reply({
@@ -174,10 +208,20 @@ async function handleRemoveChannel(interaction, database, logger) {
         });
         return;
     }
-    
+
+    if (channel && result?.changes === 0) {
+        await interaction.reply({
+            content: `❌ ${channel} is not a trophy notification channel in this server.`,
+            ephemeral: true
+        });
+        return;
+    }
+
     const embed = new EmbedBuilder()
         .setTitle('❌ Notifications Disabled')
-        .setDescription('Trophy notifications have been disabled for this server.')
+        .setDescription(channel
+            ? `Trophy notifications will no longer be sent to ${channel}.`
+            : 'Trophy notifications have been disabled for this server.')
         .addFields([
             {
                 name: '📝 Note',
@@ -187,23 +231,31 @@ async function handleRemoveChannel(interaction, database, logger) {
         ])
         .setColor(0xFF6B6B)
         .setTimestamp();
-    
+
     await interaction.reply({ embeds: [embed] });
-    
-    logger.info(`Trophy notifications disabled by ${interaction.user.tag}`);
+
+    logger.info(`Trophy notifications ${channel ? `removed from ${channel.id}` : 'disabled'} in guild ${guildId} by ${interaction.user.tag}`);
 }
 
 /**
- * Show channel info
+ * Show this guild's notification channels
  */
 async function handleChannelInfo(interaction, database, logger) {
     const userId = interaction.user.id;
-    
-    let settings;
+    const guildId = interaction.guild.id;
+
+    let optOut;
+    let feeds;
     try {
-        settings = await database.get(`
-            SELECT * FROM notification_settings WHERE discord_id = ?
-        `, [userId]);
+        optOut = await database.get(`
+            SELECT * FROM notification_opt_outs WHERE discord_id = ? AND guild_id = ?
+        `, [userId, guildId]);
+
+        feeds = await database.all(`
+            SELECT channel_id FROM server_settings
+            WHERE guild_id = ? AND setting_type = 'notification_channel'
+            ORDER BY created_at
+        `, [guildId]) || [];
     } catch (dbError) {
         logger.error('Database error fetching notification settings:', dbError);
         await interaction.reply({
@@ -212,44 +264,37 @@ async function handleChannelInfo(interaction, database, logger) {
         });
         return;
     }
-    
-    let channelInfo = 'Not configured';
-    let statusColor = 0xFF6B6B;
-    
-    if (settings && settings.channel_id) {
+
+    const channelLines = [];
+    for (const feed of feeds) {
         try {
-            const channel = await interaction.client.channels.fetch(settings.channel_id);
-            channelInfo = `${channel} (${channel.name})`;
-            statusColor = 0x00FF00;
+            const channel = await interaction.client.channels.fetch(feed.channel_id);
+            channelLines.push(`${channel} (${channel.name})`);
         } catch (error) {
-            channelInfo = 'Channel not found (may have been deleted)';
-            statusColor = 0xFFB347;
+            channelLines.push(`\`${feed.channel_id}\` - Channel not found (may have been deleted)`);
         }
     }
-    
+
+    const statusColor = feeds.length > 0 ? 0x00FF00 : 0xFF6B6B;
+
     const embed = new EmbedBuilder()
         .setTitle('📍 Notification Channel Settings')
-        .setDescription(`Current trophy notification configuration for ${interaction.user}`)
+        .setDescription(`Trophy notification configuration for **${interaction.guild.name || 'this server'}**`)
         .addFields([
             {
-                name: '📍 Notification Channel',
-                value: channelInfo,
+                name: '📍 Notification Channels',
+                value: channelLines.length > 0 ? channelLines.join('\n') : 'Not configured',
                 inline: false
             },
             {
-                name: '🏆 Trophy Notifications',
-                value: settings?.trophy_notifications ? '✅ Enabled' : '❌ Disabled',
-                inline: true
-            },
-            {
-                name: '🏅 Platinum Celebrations',
-                value: settings?.platinum_notifications ? '✅ Enabled' : '❌ Disabled',
+                name: '🔔 Your Trophies In This Server',
+                value: optOut ? '🔕 Muted (use `/notifications unmute`)' : '✅ Announced',
                 inline: true
             }
         ])
         .setColor(statusColor)
         .setTimestamp()
         .setFooter({ text: 'Use /channel set to configure notifications' });
-    
+
     await interaction.reply({ embeds: [embed], ephemeral: true });
-} 
\ No newline at end of file
+}
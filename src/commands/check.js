@@ -1,142 +1,296 @@
 /**
  * Check Command - Manual Trophy Check
- * 
+ *
  * Allows users to manually trigger a trophy check
- * instead of waiting for the automatic scheduled check
+ * instead of waiting for the automatic scheduled check.
+ * Runs the same pipeline as the scheduled TrophyTracker check,
+ * streams progress into the deferred reply and enforces a
+ * per-user cooldown to protect the PSN API.
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const TrophyTracker = require('../utils/trophyTracker');
+const { PsnPrivateProfileError } = require('../utils/psnErrors');
+const circuitBreaker = require('../utils/circuitBreaker');
+const { autocompleteLinkedAccounts } = require('../utils/autocomplete');
+const { getLinkedAccount } = require('../utils/linkedAccounts');
+
+// Seconds a user must wait between manual checks
+const COOLDOWN_SECONDS = parseInt(process.env.CHECK_COOLDOWN_SECONDS, 10) || 300;
+
+// Minimum delay between progress edits (Discord rate limits message edits)
+const PROGRESS_INTERVAL = 2000;
+
+// Maximum number of new trophies listed in the result embed
+const MAX_LISTED_TROPHIES = 10;
+
+const TROPHY_ICONS = {
+    platinum: '🏆',
+    gold: '🥇',
+    silver: '🥈',
+    bronze: '🥉'
+};
+
+// Discord user ID -> timestamp (ms) of their last manual check
+const cooldowns = new Map();
+
+/**
+ * Get remaining cooldown for a user
+ * @param {string} userId - Discord user ID
+ * @returns {number} - Remaining cooldown in milliseconds (0 if none)
+ */
+function getRemainingCooldown(userId) {
+    const lastCheck = cooldowns.get(userId);
+    if (!lastCheck) return 0;
+
+    const remaining = lastCheck + COOLDOWN_SECONDS * 1000 - Date.now();
+    if (remaining <= 0) {
+        cooldowns.delete(userId);
+        return 0;
+    }
+    return remaining;
+}
+
+/**
+ * Summarise a trophy check for the result embed
+ * @param {Object} result - Result from TrophyTracker.checkUserTrophies
+ * @param {Array} newTrophies - New trophies found by the check
+ * @param {string} psnUsername - PSN username of the checked account
+ * @returns {string} - Embed description
+ */
+function describeResult(result, newTrophies, psnUsername) {
+    if (newTrophies.length > 0) {
+        return `Found **${newTrophies.length}** new troph${newTrophies.length === 1 ? 'y' : 'ies'} for **${psnUsername}**`;
+    }
+    if (result.initialSync && result.importedTrophies > 0) {
+        return `Imported **${result.importedTrophies}** existing troph${result.importedTrophies === 1 ? 'y' : 'ies'} for **${psnUsername}**. Trophies earned from now on will be announced.`;
+    }
+    return `No new trophies for **${psnUsername}** since the last check`;
+}
+
+/**
+ * Build the reply for a check while the PSN circuit breaker is open
+ * @param {Object} breakerState - State from circuitBreaker.getState()
+ * @returns {EmbedBuilder}
+ */
+function unreachableEmbed(breakerState) {
+    const nextProbe = Math.ceil((breakerState.nextProbeAt || Date.now()) / 1000);
+
+    return new EmbedBuilder()
+        .setTitle('🔌 PlayStation Network Unreachable')
+        .setDescription('PlayStation Network is currently unreachable, so trophies can\'t be checked right now.')
+        .addFields([
+            {
+                name: '🔄 Try Again',
+                value: `The bot will try PlayStation Network again <t:${nextProbe}:R>. Your check cooldown hasn't been used.`,
+                inline: false
+            }
+        ])
+        .setColor(0xFF0000)
+        .setTimestamp();
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('check')
-        .setDescription('Manually check for new trophies'),
-    
+        .setDescription('Manually check for new trophies')
+        .addStringOption(option =>
+            option.setName('account')
+                .setDescription('Which of your linked PSN accounts to check (defaults to your primary account)')
+                .setRequired(false)
+                .setAutocomplete(true)),
+
+    autocomplete: autocompleteLinkedAccounts,
+
+    // Scanning many games takes longer than the default command timeout
+    timeout: 5 * 60 * 1000,
+
     async execute(interaction) {
         const database = interaction.client.database;
         const logger = interaction.client.logger;
-        
+
         await interaction.deferReply();
-        
+
         try {
+            const accountName = interaction.options.getString('account');
+
             // Get user data from database with error handling
             let userData;
             try {
-                userData = await database.getUser(interaction.user.id);
+                userData = await getLinkedAccount(database, interaction.user.id, accountName);
             } catch (dbError) {
                 logger.error('Database error in check command:', dbError);
-                
-                const errorMessage = dbError.message.includes('no such table') 
+
+                const errorMessage = dbError.message.includes('no such table')
                     ? '❌ Database not properly initialized. Please contact an administrator.'
                     : '❌ Database error occurred. Please try again later.';
-                
+
                 await interaction.editReply({ content: errorMessage });
                 return;
             }
-            
+
+            if (!userData && accountName) {
+                await interaction.editReply({ content: `❌ **${accountName}** isn't one of your linked PSN accounts.` });
+                return;
+            }
+
             if (!userData || !userData.psn_username) {
                 const embed = new EmbedBuilder()
                     .setTitle('❌ No PSN Account Linked')
                     .setDescription('You haven\'t linked your PlayStation Network account yet.\n\nUse `/link` to get started!')
                     .setColor(0xFF0000)
                     .setTimestamp();
-                
+
                 await interaction.editReply({ embeds: [embed] });
                 return;
             }
-            
-            // Note: We no longer require access_token and psn_account_id
-            // Users can be linked with just username for basic functionality
-            
+
+            // Don't spend the user's cooldown on a check that can't reach PSN
+            if (!circuitBreaker.isAvailable()) {
+                await interaction.editReply({ embeds: [unreachableEmbed(circuitBreaker.getState())] });
+                return;
+            }
+
+            const remaining = getRemainingCooldown(interaction.user.id);
+            if (remaining > 0) {
+                const availableAt = Math.ceil((Date.now() + remaining) / 1000);
+                await interaction.editReply({
+                    content: `⏳ You recently ran a trophy check. You can check again <t:${availableAt}:R>.`
+                });
+                return;
+            }
+
+            // Start the cooldown as soon as a check actually hits PSN
+            cooldowns.set(interaction.user.id, Date.now());
+
             // Show initial checking message
             const checkingEmbed = new EmbedBuilder()
                 .setTitle('🔄 Checking for New Trophies...')
                 .setDescription(`Fetching latest trophy data for **${userData.psn_username}**\n\nThis may take a few moments...`)
                 .setColor(0xFFFF00)
                 .setTimestamp();
-            
+
             await interaction.editReply({ embeds: [checkingEmbed] });
-            
-            // Try to fetch trophy data using RealPSNApi
+
+            const trophyTracker = interaction.client.trophyTracker ||
+                new TrophyTracker(database, logger, interaction.client);
+
             const checkStartTime = Date.now();
-            let checkDuration = 0;
-            
-            try {
-                const RealPSNApi = require('../utils/realPsnApi');
-                const realPsnApi = new RealPSNApi();
-                
-                logger.info(`Attempting to fetch trophy data for ${userData.psn_username} using RealPSNApi`);
-                
-                // For now, we'll show a message about the current limitations
-                // In the future, we can implement NPSSO token collection for full access
-                checkDuration = Date.now() - checkStartTime;
-                
-                const resultEmbed = new EmbedBuilder()
-                    .setTitle('⚠️ Trophy Check Limited')
-                    .setDescription(`Checked status for **${userData.psn_username}**`)
+            let lastProgressEdit = 0;
+
+            const onProgress = async ({ game, index, total, newTrophies }) => {
+                const now = Date.now();
+                if (index < total && now - lastProgressEdit < PROGRESS_INTERVAL) return;
+                lastProgressEdit = now;
+
+                const progressEmbed = new EmbedBuilder()
+                    .setTitle('🔄 Checking for New Trophies...')
+                    .setDescription(`Scanning games for **${userData.psn_username}**`)
                     .addFields([
                         {
-                            name: '📊 Current Status',
-                            value: `
-                                🔗 **Account Status:** Linked
-                                🏆 **Trophy Access:** Limited (requires NPSSO token)
-                                📅 **Linked Since:** <t:${Math.floor(new Date(userData.created_at).getTime() / 1000)}:R>
-                            `,
+                            name: '🎮 Current Game',
+                            value: `${game.trophyTitleName || game.npCommunicationId} (${index}/${total})`,
                             inline: true
                         },
                         {
-                            name: '🔍 Check Results',
-                            value: `
-                                ⏱️ **Duration:** ${checkDuration}ms
-                                🔄 **Last Updated:** <t:${Math.floor(Date.now() / 1000)}:R>
-                                📝 **Note:** Full trophy data requires NPSSO authentication
-                            `,
+                            name: '🏆 New Trophies So Far',
+                            value: `${newTrophies.length}`,
                             inline: true
                         }
                     ])
-                    .setColor(0xFFAA00)
-                    .setTimestamp()
-                    .setFooter({ 
-                        text: 'Use /link with NPSSO token for full trophy access',
-                        iconURL: interaction.user.displayAvatarURL()
-                    });
-                
-                await interaction.editReply({ embeds: [resultEmbed] });
-                
-            } catch (error) {
-                logger.error(`Error in trophy check for user ${interaction.user.id}:`, error);
-                
+                    .setColor(0xFFFF00)
+                    .setTimestamp();
+
+                await interaction.editReply({ embeds: [progressEmbed] });
+            };
+
+            const result = await trophyTracker.checkUserTrophies(userData, { onProgress, priority: 'interactive' }) || {};
+            const newTrophies = result.newTrophies || [];
+            const checkDuration = Date.now() - checkStartTime;
+
+            if (result.error) {
                 const errorEmbed = new EmbedBuilder()
                     .setTitle('❌ Trophy Check Failed')
                     .setDescription(`An error occurred while checking trophies for **${userData.psn_username}**`)
                     .addFields([
                         {
                             name: '🔍 Error Details',
-                            value: error.message || 'Unknown error occurred',
+                            value: result.error,
                             inline: false
                         },
                         {
                             name: '💡 What to do next',
-                            value: 'Try again later or contact support if the issue persists',
+                            value: result.psnError instanceof PsnPrivateProfileError
+                                ? 'Set your trophies to be visible to everyone in your PSN privacy settings, then run /check again'
+                                : 'This is usually temporary, please try again later',
                             inline: false
                         }
                     ])
                     .setColor(0xFF0000)
                     .setTimestamp();
-                
+
                 await interaction.editReply({ embeds: [errorEmbed] });
+                return;
+            }
+
+            let stats = null;
+            try {
+                stats = await trophyTracker.getUserTrophyStats(interaction.user.id, userData.psn_account_id);
+            } catch (statsError) {
+                logger.error('Error getting stats in check command:', statsError);
+            }
+
+            const resultEmbed = new EmbedBuilder()
+                .setTitle(newTrophies.length > 0 ? '🏆 New Trophies Found!' : '✅ Trophy Check Complete')
+                .setDescription(describeResult(result, newTrophies, userData.psn_username))
+                .setColor(newTrophies.length > 0 ? 0x00FF00 : 0x0099FF)
+                .setTimestamp()
+                .setFooter({
+                    text: `Next manual check available in ${Math.ceil(COOLDOWN_SECONDS / 60)} minutes`,
+                    iconURL: interaction.user.displayAvatarURL()
+                });
+
+            if (newTrophies.length > 0) {
+                const trophyList = newTrophies
+                    .slice(0, MAX_LISTED_TROPHIES)
+                    .map(trophy => `${TROPHY_ICONS[trophy.trophyType] || '🏆'} **${trophy.trophyName || 'Unknown Trophy'}** - ${trophy.gameTitle || 'Unknown Game'}`)
+                    .join('\n');
+
+                resultEmbed.addFields([{
+                    name: '🆕 New Trophies',
+                    value: trophyList + (newTrophies.length > MAX_LISTED_TROPHIES
+                        ? `\n... and ${newTrophies.length - MAX_LISTED_TROPHIES} more`
+                        : ''),
+                    inline: false
+                }]);
+            }
+
+            resultEmbed.addFields([{
+                name: '🔍 Check Results',
+                value: `🎮 **Games Scanned:** ${result.gamesScanned || 0}\n⏱️ **Duration:** ${(checkDuration / 1000).toFixed(1)}s`,
+                inline: true
+            }]);
+
+            if (stats) {
+                resultEmbed.addFields([{
+                    name: '📊 Tracked Trophies',
+                    value: `🏆 ${stats.platinum_count} 🥇 ${stats.gold_count} 🥈 ${stats.silver_count} 🥉 ${stats.bronze_count}\n**Total:** ${stats.total_trophies}`,
+                    inline: true
+                }]);
             }
-            
+
+            await interaction.editReply({ embeds: [resultEmbed] });
+
         } catch (error) {
             logger.error(`Error in check command for user ${interaction.user.id}:`, error);
-            
+
             const errorEmbed = new EmbedBuilder()
                 .setTitle('❌ Trophy Check Failed')
                 .setDescription('An error occurred while checking for trophies. This could be due to:')
                 .addFields([
                     {
                         name: '🔧 Possible Causes',
-                        value: '• PSN authentication expired\n• PlayStation Network is down\n• Privacy settings blocking access\n• Temporary network issue',
+                        value: '• PlayStation Network is down\n• Privacy settings blocking access\n• Temporary network issue',
                         inline: false
                     },
                     {
@@ -147,7 +301,7 @@ module.exports = {
                 ])
                 .setColor(0xFF0000)
                 .setTimestamp();
-            
+
             if (interaction.replied || interaction.deferred) {
                 await interaction.editReply({ embeds: [errorEmbed] });
             } else {
@@ -155,4 +309,4 @@ module.exports = {
             }
         }
     }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,240 @@
+/**
+ * Claim Command - Challenge Someone Else's Link to Your PSN Account
+ *
+ * A member whose PSN account is linked to another Discord user files a
+ * claim for this server's admins to review (/disputes). When the bot can
+ * read About Me, the claimant first proves ownership with a code, the same
+ * way /verify works; otherwise the claim is filed unproven and admins
+ * judge it on the stated reason. The current holder is told by DM.
+ * Only a server the holder is in may take claims on their account.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const PsnClient = require('../utils/psnClient');
+const sessions = require('../utils/interactionSessions');
+const { autocompletePsnNames } = require('../utils/autocomplete');
+const { generateCode, aboutMeContainsCode } = require('../utils/verification');
+const { fileDispute, findPendingClaim } = require('../utils/linkDisputes');
+const { sendDirectMessage } = require('../utils/directMessages');
+const { isGuildMember } = require('../utils/guildMembership');
+
+const FLOW = 'claim';
+const CLAIM_TTL_MINUTES = 30;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('claim')
+        .setDescription('Claim a PSN account that is linked to someone else')
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('The PSN username you own')
+                .setRequired(true)
+                .setMaxLength(16)
+                .setMinLength(3)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Anything the admins reviewing your claim should know')
+                .setRequired(false)
+                .setMaxLength(500)),
+
+    autocomplete: autocompletePsnNames,
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const username = interaction.options.getString('username').trim();
+        const reason = interaction.options.getString('reason');
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ Claims are reviewed by server admins, so they can only be filed inside a server.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        let holder;
+        try {
+            holder = await database.getUserByPsnUsername(username);
+
+            if (holder?.discord_id === interaction.user.id) {
+                await interaction.reply({ content: `✅ **${holder.psn_username}** is already linked to you.`, ephemeral: true });
+                return;
+            }
+
+            if (!holder) {
+                await interaction.reply({
+                    content: `❌ **${username}** isn't linked to anyone. Use \`/link ${username}\` to link it yourself.`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            if (await findPendingClaim(database, interaction.user.id, holder.psn_account_id)) {
+                await interaction.reply({
+                    content: `⏳ You already have a claim on **${holder.psn_username}** waiting for review.`,
+                    ephemeral: true
+                });
+                return;
+            }
+        } catch (dbError) {
+            logger.error('Database error in claim command:', dbError);
+
+            const errorMessage = dbError.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ Database error occurred. Please try again later.';
+
+            await interaction.reply({ content: errorMessage, ephemeral: true });
+            return;
+        }
+
+        // Admins here may only move links of their own members
+        let holderInGuild;
+        try {
+            holderInGuild = await isGuildMember(interaction.guild, holder.discord_id);
+        } catch (error) {
+            logger.error(`Could not check membership of ${holder.discord_id} for a claim:`, error);
+            await interaction.reply({ content: '❌ Could not check this server\'s members. Please try again later.', ephemeral: true });
+            return;
+        }
+
+        if (!holderInGuild) {
+            await interaction.reply({
+                content: `❌ **${holder.psn_username}** is linked to someone who isn't in this server. File your claim in a server you share with them.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        const claim = {
+            guildId: interaction.guild.id,
+            psnUsername: holder.psn_username,
+            accountId: holder.psn_account_id,
+            claimantId: interaction.user.id,
+            holderId: holder.discord_id,
+            reason
+        };
+
+        // Without an About Me lookup there is nothing to prove ownership with
+        if (!new PsnClient(logger).supports('getUserProfile')) {
+            const embed = await submitClaim(interaction, claim, false);
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        const code = generateCode();
+        const session = await sessions.start(interaction, FLOW, { ...claim, code }, { ttlMinutes: CLAIM_TTL_MINUTES });
+
+        const embed = new EmbedBuilder()
+            .setTitle('⚖️ Claim a PSN Account')
+            .setDescription(`**${holder.psn_username}** is linked to another member. To show it's yours, add this code anywhere in its **About Me**:\n\n\`${code}\``)
+            .addFields([
+                {
+                    name: '📋 Steps',
+                    value: '1. On your console or the PlayStation App, open your profile and edit About Me\n2. Add the code and save\n3. Press **Check** below\n\nYour claim then goes to this server\'s admins for review.',
+                    inline: false
+                }
+            ])
+            .setColor(0x0099FF)
+            .setFooter({ text: `The code expires in ${CLAIM_TTL_MINUTES} minutes` });
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(sessions.customId(session, 'check'))
+                .setLabel('Check')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔍')
+        );
+
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+        logger.info(`Claim code issued to ${interaction.user.id} for PSN: ${holder.psn_username}`);
+    }
+};
+
+/**
+ * Handle the Check button: file the claim once the code is in About Me
+ * @param {Object} interaction - Discord button interaction
+ * @param {Object} session - The claim session
+ */
+async function handleCheck(interaction, session) {
+    const logger = interaction.client.logger;
+    const { code, ...claim } = session.data;
+
+    let found;
+    try {
+        found = await aboutMeContainsCode(new PsnClient(logger), claim.accountId, code);
+    } catch (error) {
+        logger.error(`Profile lookup failed while checking claim on ${claim.psnUsername}:`, error);
+        await interaction.reply({
+            content: `❌ ${error.userMessage || 'Could not read the PSN profile. Please try again in a few minutes.'}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (!found) {
+        await interaction.reply({
+            content: `🔍 \`${code}\` isn't in the About Me of **${claim.psnUsername}** yet. PSN can take a minute to show profile changes - save it and press **Check** again.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await sessions.end(interaction, session);
+
+    const embed = await submitClaim(interaction, claim, true);
+    await interaction.update({ embeds: [embed], components: [] });
+}
+
+/**
+ * File a claim and tell the current holder
+ * @param {Object} interaction - Interaction of the claimant
+ * @param {Object} claim - Claim for fileDispute
+ * @param {boolean} proven - Whether the claimant proved ownership
+ * @returns {Promise<EmbedBuilder>} - Confirmation for the claimant
+ */
+async function submitClaim(interaction, claim, proven) {
+    const logger = interaction.client.logger;
+
+    const disputeId = await fileDispute(interaction.client.database, { ...claim, proven });
+    if (!disputeId) {
+        return new EmbedBuilder()
+            .setTitle('⏳ Claim Already Pending')
+            .setDescription(`You already have a claim on **${claim.psnUsername}** waiting for review.`)
+            .setColor(0xFFA500);
+    }
+
+    logger.info(`Claim #${disputeId} on PSN ${claim.psnUsername} filed by ${claim.claimantId} (proven: ${proven})`);
+
+    await sendDirectMessage(interaction.client, claim.holderId, {
+        embeds: [
+            new EmbedBuilder()
+                .setTitle('⚖️ Your PSN Link Was Claimed')
+                .setDescription(`Another member says they own **${claim.psnUsername}**, the PSN account linked to you, and has asked the admins of **${interaction.guild.name}** to move the link to them.`)
+                .addFields([
+                    { name: 'Ownership Proof', value: proven ? '✅ They added a code to the account\'s About Me' : '⚠️ Not proven', inline: false },
+                    { name: '💬 If This Is Your Account', value: 'Contact the server\'s admins before they review the claim. Verifying with `/verify` shows the account is yours.', inline: false }
+                ])
+                .setColor(0xFFA500)
+                .setTimestamp()
+        ]
+    }, logger);
+
+    return new EmbedBuilder()
+        .setTitle('📨 Claim Filed')
+        .setDescription(`Your claim on **${claim.psnUsername}** is waiting for review by this server's admins. You'll get a DM when they decide.`)
+        .addFields([
+            {
+                name: 'Ownership Proof',
+                value: proven
+                    ? '✅ Code found in the account\'s About Me'
+                    : '⚠️ Not proven - this bot can\'t read About Me, so admins will judge the claim on your reason',
+                inline: false
+            }
+        ])
+        .setColor(0x00FF00)
+        .setFooter({ text: `Claim #${disputeId}` });
+}
+
+sessions.register(FLOW, handleCheck);
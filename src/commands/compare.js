@@ -0,0 +1,356 @@
+/**
+ * Compare Command - Head-to-Head Player Comparison
+ *
+ * Shows two players' trophy counts and levels side by side, the games they
+ * both have trophies in and who is ahead in each. A select menu, routed
+ * back here by interactionCreate, drills into one shared game trophy by
+ * trophy. Players are linked members or any PSN name.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder } = require('discord.js');
+const PsnClient = require('../utils/psnClient');
+const { scopeOf } = require('../utils/recentPlayers');
+const { PsnPrivateProfileError } = require('../utils/psnErrors');
+const { findSharedGames, countLeads, compareGameTrophies } = require('../utils/playerComparison');
+const { autocompletePsnNames } = require('../utils/autocomplete');
+
+const SELECT_PREFIX = 'compare_game';
+// Discord limits a select menu to 25 options
+const MAX_GAME_OPTIONS = 25;
+const SHARED_GAMES_SHOWN = 10;
+const FIELD_LIMIT = 1024;
+const DESCRIPTION_LIMIT = 4096;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('compare')
+        .setDescription('Compare two players\' trophies head to head')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('First player (defaults to yourself)')
+                .setRequired(false)
+        )
+        .addUserOption(option =>
+            option.setName('user2')
+                .setDescription('Member to compare against')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('psn')
+                .setDescription('PSN name of the first player, instead of a member')
+                .setRequired(false)
+                .setMaxLength(16)
+                .setMinLength(3)
+                .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+            option.setName('psn2')
+                .setDescription('PSN name to compare against, instead of a member')
+                .setRequired(false)
+                .setMaxLength(16)
+                .setMinLength(3)
+                .setAutocomplete(true)
+        ),
+
+    autocomplete: autocompletePsnNames,
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const psnClient = new PsnClient(logger, { lookupScope: scopeOf(interaction) });
+
+        const member = interaction.options.getUser('user');
+        const psnName = interaction.options.getString('psn');
+        const member2 = interaction.options.getUser('user2');
+        const psnName2 = interaction.options.getString('psn2');
+
+        if (!member2 && !psnName2) {
+            await interaction.reply({
+                content: '❌ Choose who to compare against with `user2` (a member) or `psn2` (a PSN name).',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.deferReply();
+
+        try {
+            const playerA = await resolvePlayer(database, psnClient, member || (psnName ? null : interaction.user), psnName);
+            const playerB = await resolvePlayer(database, psnClient, member2, psnName2);
+
+            const lookupError = playerA.error || playerB.error;
+            if (lookupError) {
+                await interaction.editReply({ content: lookupError });
+                return;
+            }
+
+            if (playerA.accountId === playerB.accountId) {
+                await interaction.editReply({ content: '❌ Pick two different players to compare.' });
+                return;
+            }
+
+            logger.info(`Comparing ${playerA.onlineId} with ${playerB.onlineId} for ${interaction.user.id}`);
+
+            const [dataA, dataB] = await Promise.all([
+                loadPlayerData(database, psnClient, playerA),
+                loadPlayerData(database, psnClient, playerB)
+            ]);
+
+            const privatePlayer = [[playerA, dataA], [playerB, dataB]].find(([, data]) => data.privateProfile);
+            if (privatePlayer) {
+                await interaction.editReply({
+                    content: `🔒 **${privatePlayer[0].onlineId}**'s trophies are private, so they can't be compared.`
+                });
+                return;
+            }
+
+            const sharedGames = findSharedGames(dataA.games, dataB.games);
+            const embed = buildComparisonEmbed(playerA, dataA.summary, playerB, dataB.summary, sharedGames);
+            const components = sharedGames.length > 0
+                ? [buildGameSelect(playerA, playerB, sharedGames)]
+                : [];
+
+            await interaction.editReply({ embeds: [embed], components });
+
+        } catch (error) {
+            logger.error('Error in compare command:', error);
+
+            await interaction.editReply({
+                content: `❌ ${error.userMessage || 'An error occurred while comparing players. Please try again later.'}`
+            });
+        }
+    },
+
+    /**
+     * Show one shared game trophy by trophy for both players
+     * @param {Object} interaction - Discord select menu interaction
+     */
+    async handleSelect(interaction) {
+        const logger = interaction.client.logger;
+        const psnClient = new PsnClient(logger);
+
+        const [, accountA, nameA, accountB, nameB] = interaction.customId.split(':');
+        const [gameId, platform] = interaction.values[0].split(':');
+
+        // The comparison message is shared, so each viewer gets their own drill-down
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const [game, trophiesA, trophiesB] = await Promise.all([
+                psnClient.getGameTrophies(gameId, 'all', platform || null),
+                psnClient.getUserGameTrophies(accountA, gameId, 'all', platform || null),
+                psnClient.getUserGameTrophies(accountB, gameId, 'all', platform || null)
+            ]);
+
+            const comparison = compareGameTrophies(trophiesA, trophiesB);
+            await interaction.editReply({
+                embeds: [buildGameEmbed(game.trophyTitleName || gameId, nameA, nameB, comparison)]
+            });
+
+        } catch (error) {
+            logger.error(`Error comparing ${gameId} for ${nameA} and ${nameB}:`, error);
+
+            const content = error instanceof PsnPrivateProfileError
+                ? '🔒 One of these players has made their trophies private.'
+                : `❌ ${error.userMessage || 'Could not load the trophies for this game. Please try again later.'}`;
+
+            await interaction.editReply({ content });
+        }
+    }
+};
+
+/**
+ * Find the PSN account behind a member or PSN name
+ * @param {Object} database - Database instance
+ * @param {PsnClient} psnClient - PSN client
+ * @param {Object|null} member - Discord user
+ * @param {string|null} psnName - PSN online ID
+ * @returns {Promise<Object>} - { onlineId, accountId, discordId } or { error }
+ */
+async function resolvePlayer(database, psnClient, member, psnName) {
+    if (member) {
+        const linked = await database.getUser(member.id);
+        if (!linked || !linked.psn_account_id) {
+            return { error: `❌ ${member.displayName || member.username} hasn't linked a PSN account yet.` };
+        }
+        return { onlineId: linked.psn_username, accountId: linked.psn_account_id, discordId: member.id };
+    }
+
+    const linked = await database.getUserByPsnUsername(psnName);
+    if (linked && linked.psn_account_id) {
+        return { onlineId: linked.psn_username, accountId: linked.psn_account_id, discordId: linked.discord_id };
+    }
+
+    const account = await psnClient.validateUsername(psnName);
+    if (!account) {
+        return { error: `❌ Could not find a PlayStation Network player named **${psnName}**.` };
+    }
+    return { onlineId: account.onlineId, accountId: account.accountId, discordId: null };
+}
+
+/**
+ * Load a player's trophy summary and games. Linked members' games come
+ * from the synced game catalog; anyone else's from PSN.
+ * @returns {Promise<Object>} - { summary, games } or { privateProfile: true }
+ */
+async function loadPlayerData(database, psnClient, player) {
+    try {
+        const summary = await psnClient.getUserTrophySummary(player.accountId);
+
+        let games = player.discordId ? await database.getUserGames(player.discordId, player.accountId) : [];
+        if (games.length === 0) {
+            games = await psnClient.getAllUserGames(player.accountId);
+        }
+
+        return { summary, games };
+    } catch (error) {
+        if (error instanceof PsnPrivateProfileError) {
+            return { privateProfile: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build the side-by-side comparison embed
+ */
+function buildComparisonEmbed(playerA, summaryA, playerB, summaryB, sharedGames) {
+    const leads = countLeads(sharedGames);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`⚔️ ${playerA.onlineId} vs ${playerB.onlineId}`)
+        .addFields([
+            { name: `🎮 ${playerA.onlineId}`, value: formatSummary(summaryA), inline: true },
+            { name: `🎮 ${playerB.onlineId}`, value: formatSummary(summaryB), inline: true }
+        ])
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    if (sharedGames.length === 0) {
+        embed.addFields([{
+            name: '🎯 Shared Games',
+            value: 'These players have no games in common yet.',
+            inline: false
+        }]);
+        return embed;
+    }
+
+    const gameLines = sharedGames
+        .slice(0, SHARED_GAMES_SHOWN)
+        .map(game => formatSharedGame(game, playerA, playerB));
+    const remaining = sharedGames.length - SHARED_GAMES_SHOWN;
+
+    embed.addFields([
+        {
+            name: '⚔️ Head to Head',
+            value: `**${playerA.onlineId}** is ahead in **${leads.a}** shared games, **${playerB.onlineId}** in **${leads.b}**` +
+                (leads.tied > 0 ? ` (${leads.tied} tied)` : ''),
+            inline: false
+        },
+        {
+            name: `🎯 Shared Games (${sharedGames.length})`,
+            value: fitLines(gameLines, FIELD_LIMIT, Math.max(remaining, 0)),
+            inline: false
+        }
+    ]);
+    embed.setFooter({ text: 'Pick a game below to compare it trophy by trophy' });
+
+    return embed;
+}
+
+/**
+ * Build the shared game drill-down embed
+ */
+function buildGameEmbed(title, nameA, nameB, comparison) {
+    const total = comparison.trophies.length;
+    const lines = comparison.trophies.map(trophy =>
+        `${earnedMark(trophy.earnedA)}${earnedMark(trophy.earnedB)} ${getTrophyIcon(trophy.trophyType)} ${trophy.trophyName}`
+    );
+
+    return new EmbedBuilder()
+        .setTitle(`⚔️ ${nameA} vs ${nameB} - ${title}`)
+        .setDescription(fitLines([`Earned by **${nameA}** / **${nameB}**`, ...lines], DESCRIPTION_LIMIT))
+        .addFields([
+            { name: nameA, value: `**${comparison.earnedA}/${total}** earned\n${comparison.onlyA} not earned by ${nameB}`, inline: true },
+            { name: nameB, value: `**${comparison.earnedB}/${total}** earned\n${comparison.onlyB} not earned by ${nameA}`, inline: true }
+        ])
+        .setColor(0x0099FF)
+        .setTimestamp();
+}
+
+/**
+ * Build the select menu listing shared games. Both accounts and names are
+ * carried in the custom ID so the drill-down needs no stored state.
+ */
+function buildGameSelect(playerA, playerB, sharedGames) {
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId(`${SELECT_PREFIX}:${playerA.accountId}:${playerA.onlineId}:${playerB.accountId}:${playerB.onlineId}`)
+        .setPlaceholder('Compare a shared game trophy by trophy')
+        .addOptions(sharedGames.slice(0, MAX_GAME_OPTIONS).map(game => ({
+            label: truncate(game.title, 100),
+            value: `${game.gameId}:${game.platform || ''}`,
+            description: truncate(`${playerA.onlineId} ${game.progressA}% • ${playerB.onlineId} ${game.progressB}%`, 100)
+        })));
+
+    return new ActionRowBuilder().addComponents(menu);
+}
+
+function formatSummary(summary) {
+    const earned = summary.earnedTrophies || {};
+    const total = (earned.platinum || 0) + (earned.gold || 0) + (earned.silver || 0) + (earned.bronze || 0);
+
+    return `📊 **Level ${summary.trophyLevel || 0}**\n` +
+        `🏆 **${earned.platinum || 0}** Platinum\n` +
+        `🥇 **${earned.gold || 0}** Gold\n` +
+        `🥈 **${earned.silver || 0}** Silver\n` +
+        `🥉 **${earned.bronze || 0}** Bronze\n` +
+        `**Total:** ${total}`;
+}
+
+function formatSharedGame(game, playerA, playerB) {
+    const leader = game.leader === 'a' ? playerA.onlineId : game.leader === 'b' ? playerB.onlineId : null;
+    return `**${game.title}** - ${game.progressA}% vs ${game.progressB}% ` +
+        (leader ? `➜ ${leader}` : '🤝 tied');
+}
+
+/**
+ * Join lines, dropping those that would not fit in a Discord text limit
+ * @param {Array<string>} lines - Lines to show
+ * @param {number} limit - Character limit of the field or description
+ * @param {number} hiddenCount - Items already left out of lines
+ * @returns {string}
+ */
+function fitLines(lines, limit, hiddenCount = 0) {
+    // Room for the "...and N more" line
+    const available = limit - 20;
+    const kept = [];
+    let length = 0;
+
+    for (const line of lines) {
+        if (length + line.length + 1 > available) break;
+        kept.push(line);
+        length += line.length + 1;
+    }
+
+    const more = hiddenCount + lines.length - kept.length;
+    return more > 0 ? [...kept, `...and ${more} more`].join('\n') : kept.join('\n');
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+function earnedMark(earned) {
+    return earned ? '✅' : '❌';
+}
+
+function getTrophyIcon(trophyType) {
+    const icons = {
+        platinum: '🏆',
+        gold: '🥇',
+        silver: '🥈',
+        bronze: '🥉'
+    };
+
+    return icons[String(trophyType).toLowerCase()] || '🏅';
+}
@@ -0,0 +1,250 @@
+/**
+ * Disputes Command - Review Queue for PSN Link Claims
+ *
+ * Shows the claims filed in this server with /claim, oldest first, each
+ * with Approve and Deny buttons. Approving moves the link and its trophy
+ * history to the claimant. Both members are told the outcome by DM.
+ *
+ * Review buttons stay valid for as long as the claim is pending, so they
+ * carry the claim ID rather than an interaction session, and check the
+ * reviewer's permissions when pressed. A claim is only approved while the
+ * member it would take the account from is in this server.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const {
+    STATUS,
+    REFUSAL,
+    getDispute,
+    listPending,
+    countPending,
+    closeDispute,
+    approveDispute
+} = require('../utils/linkDisputes');
+const { sendDirectMessage } = require('../utils/directMessages');
+const { isGuildMember } = require('../utils/guildMembership');
+
+const BUTTON_PREFIX = 'dispute_review';
+
+// One embed and one button row per claim; Discord allows five rows
+const CLAIMS_PER_MESSAGE = 5;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('disputes')
+        .setDescription('Review claims on linked PSN accounts (Admin only)')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(interaction) {
+        const logger = interaction.client.logger;
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ Claims can only be reviewed inside a server.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        try {
+            const queue = await buildQueue(interaction.client.database, interaction.guild.id);
+            await interaction.reply({ ...queue, ephemeral: true });
+        } catch (error) {
+            logger.error('Error in disputes command:', error);
+            await interaction.reply({
+                content: '❌ An error occurred while loading the review queue.',
+                ephemeral: true
+            });
+        }
+    },
+
+    handleButton
+};
+
+/**
+ * Build the review queue message for a server
+ * @param {Object} database - Database instance
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object>} - Message options { embeds, components }
+ */
+async function buildQueue(database, guildId) {
+    const disputes = await listPending(database, guildId, CLAIMS_PER_MESSAGE);
+
+    if (disputes.length === 0) {
+        return {
+            embeds: [
+                new EmbedBuilder()
+                    .setTitle('⚖️ PSN Link Claims')
+                    .setDescription('No claims are waiting for review.')
+                    .setColor(0x00FF00)
+            ],
+            components: []
+        };
+    }
+
+    const total = await countPending(database, guildId);
+    const embeds = [];
+    const components = [];
+
+    for (const dispute of disputes) {
+        const holder = await database.get(
+            'SELECT verified_at FROM psn_accounts WHERE discord_id = ? AND psn_account_id = ?',
+            [dispute.holder_id, dispute.psn_account_id]
+        );
+
+        embeds.push(new EmbedBuilder()
+            .setTitle(`⚖️ Claim #${dispute.id} - ${dispute.psn_username}`)
+            .addFields([
+                { name: 'Claimant', value: `<@${dispute.claimant_id}>`, inline: true },
+                { name: 'Linked To', value: `<@${dispute.holder_id}>${holder?.verified_at ? ' ✅ verified' : ''}`, inline: true },
+                { name: 'Filed', value: `<t:${dispute.created_at}:R>`, inline: true },
+                { name: 'Ownership Proof', value: dispute.proven ? '✅ Claimant added a code to the account\'s About Me' : '⚠️ Not proven', inline: false },
+                { name: 'Reason', value: dispute.reason || 'None given', inline: false }
+            ])
+            .setColor(dispute.proven ? 0x0099FF : 0xFFA500));
+
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${BUTTON_PREFIX}:approve:${dispute.id}`)
+                .setLabel(`Approve #${dispute.id}`)
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`${BUTTON_PREFIX}:deny:${dispute.id}`)
+                .setLabel(`Deny #${dispute.id}`)
+                .setStyle(ButtonStyle.Danger)
+        ));
+    }
+
+    if (total > disputes.length) {
+        embeds[embeds.length - 1].setFooter({ text: `${total - disputes.length} more waiting - resolve these to see them` });
+    }
+
+    return { embeds, components };
+}
+
+// Why an approval was refused; the claim stays in the queue
+const REFUSAL_MESSAGES = {
+    [REFUSAL.OWN_CLAIM]: dispute => `❌ Claim #${dispute.id} is your own, so another admin has to review it.`,
+    [REFUSAL.VERIFIED_HOLDER]: dispute => `❌ <@${dispute.holder_id}> verified **${dispute.psn_username}**, so claim #${dispute.id} can only be approved with proof of ownership. The claimant can file a new claim with \`/claim\` to prove it.`,
+    [REFUSAL.HOLDER_NOT_MEMBER]: dispute => `❌ <@${dispute.holder_id}> isn't in this server, so claim #${dispute.id} can't be approved here. You can still deny it.`
+};
+
+/**
+ * Check the member a claim would take the account from is in this server
+ * @param {Object} interaction - Discord button interaction
+ * @param {Object} dispute - Pending link_disputes row
+ * @returns {Promise<boolean>} - False when they are not, or can't be looked up
+ */
+async function holderIsMember(interaction, dispute) {
+    try {
+        return await isGuildMember(interaction.guild, dispute.holder_id);
+    } catch (error) {
+        interaction.client.logger.warn(`Could not check membership of ${dispute.holder_id} for claim #${dispute.id}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Handle the Approve and Deny buttons of the review queue
+ * @param {Object} interaction - Discord button interaction
+ */
+async function handleButton(interaction) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const [, action, id] = interaction.customId.split(':');
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.reply({
+            content: '❌ Only server admins with Manage Server can review claims.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const dispute = await getDispute(database, Number(id));
+    let outcome = null;
+
+    if (dispute && dispute.guild_id === interaction.guild?.id && dispute.status === STATUS.PENDING) {
+        if (action === 'approve') {
+            outcome = await holderIsMember(interaction, dispute)
+                ? await approveDispute(database, dispute, interaction.user.id)
+                : REFUSAL.HOLDER_NOT_MEMBER;
+        } else if (await closeDispute(database, dispute.id, STATUS.DENIED, interaction.user.id)) {
+            outcome = STATUS.DENIED;
+        }
+    }
+
+    await interaction.update(await buildQueue(database, interaction.guild.id));
+
+    if (REFUSAL_MESSAGES[outcome]) {
+        await interaction.followUp({ content: REFUSAL_MESSAGES[outcome](dispute), ephemeral: true });
+        return;
+    }
+
+    if (!outcome) {
+        await interaction.followUp({ content: `ℹ️ Claim #${id} has already been resolved.`, ephemeral: true });
+        return;
+    }
+
+    if (outcome === STATUS.VOID) {
+        await interaction.followUp({
+            content: `ℹ️ **${dispute.psn_username}** is no longer linked to <@${dispute.holder_id}>, so claim #${dispute.id} was closed. The claimant can use \`/link\` if the account is free.`,
+            ephemeral: true
+        });
+        await notifyClaimant(interaction, dispute, outcome);
+        return;
+    }
+
+    logger.info(`Claim #${dispute.id} on PSN ${dispute.psn_username} ${outcome} by ${interaction.user.id}`);
+
+    await interaction.followUp({
+        content: outcome === STATUS.APPROVED
+            ? `✅ Claim #${dispute.id} approved: **${dispute.psn_username}** and its trophy history moved to <@${dispute.claimant_id}>.`
+            : `🚫 Claim #${dispute.id} denied: **${dispute.psn_username}** stays linked to <@${dispute.holder_id}>.`,
+        ephemeral: true
+    });
+
+    await notifyClaimant(interaction, dispute, outcome);
+    await notifyHolder(interaction, dispute, outcome);
+}
+
+/**
+ * Tell the claimant how their claim was resolved
+ */
+async function notifyClaimant(interaction, dispute, outcome) {
+    const messages = {
+        [STATUS.APPROVED]: ['✅ Claim Approved', `**${dispute.psn_username}** is now linked to your Discord account, with its trophy history.`, 0x00FF00],
+        [STATUS.DENIED]: ['🚫 Claim Denied', `The admins decided **${dispute.psn_username}** stays linked to its current member.`, 0xFF4757],
+        [STATUS.VOID]: ['ℹ️ Claim Closed', `**${dispute.psn_username}** is no longer linked to the member you claimed it from. If it's free, link it with \`/link\`.`, 0x0099FF]
+    };
+    const [title, description, color] = messages[outcome];
+
+    await sendDirectMessage(interaction.client, dispute.claimant_id, {
+        embeds: [
+            new EmbedBuilder()
+                .setTitle(title)
+                .setDescription(`${description}\n\nClaim #${dispute.id}, reviewed in **${interaction.guild.name}**.`)
+                .setColor(color)
+                .setTimestamp()
+        ]
+    }, interaction.client.logger);
+}
+
+/**
+ * Tell the member the account was linked to how the claim was resolved
+ */
+async function notifyHolder(interaction, dispute, outcome) {
+    const approved = outcome === STATUS.APPROVED;
+
+    await sendDirectMessage(interaction.client, dispute.holder_id, {
+        embeds: [
+            new EmbedBuilder()
+                .setTitle(approved ? '🔗 PSN Link Moved' : '✅ Claim on Your Link Denied')
+                .setDescription(approved
+                    ? `The admins of **${interaction.guild.name}** approved another member's claim on **${dispute.psn_username}**, so it is no longer linked to you. Use \`/link\` to link your own PSN account.`
+                    : `The admins of **${interaction.guild.name}** denied a claim on **${dispute.psn_username}**. It stays linked to you.`)
+                .setColor(approved ? 0xFFA500 : 0x00FF00)
+                .setTimestamp()
+        ]
+    }, interaction.client.logger);
+}
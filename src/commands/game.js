@@ -0,0 +1,278 @@
+/**
+ * Game Command - Browse a Game's Trophy List
+ *
+ * Shows every trophy of a game from the catalog, ten per page, with the
+ * viewer's own earned status when they have linked an account. Games with
+ * DLC get a trophy group menu and every list has a filter menu for earned
+ * status, grade and rarity. Pages and menus run through the shared
+ * pagination, which keeps the group and filter in the view's session.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const PsnClient = require('../utils/psnClient');
+const { PsnNotFoundError, PsnPrivateProfileError } = require('../utils/psnErrors');
+const { FILTERS, mergeProgress, filterTrophies } = require('../utils/trophyFilters');
+const { autocompleteGames } = require('../utils/autocomplete');
+const pagination = require('../utils/pagination');
+
+const VIEW_KEY = 'game';
+const PAGE_SIZE = 10;
+// Positions of the menu-controlled values in the view's arguments
+const GROUP_ARG = 2;
+const FILTER_ARG = 3;
+// Discord limits select menus to 25 options
+const MAX_OPTIONS = 25;
+const DETAIL_LENGTH = 120;
+
+const NP_COMMUNICATION_ID = /^NP[A-Z]{2}\d{5}_\d{2}$/i;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('game')
+        .setDescription('Browse a game\'s trophy list')
+        .addStringOption(option =>
+            option.setName('game')
+                .setDescription('Game title')
+                .setRequired(true)
+                .setAutocomplete(true)
+        ),
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const input = interaction.options.getString('game').trim();
+
+        await interaction.deferReply();
+
+        try {
+            const game = await findGame(database, input);
+            if (!game) {
+                await interaction.editReply({
+                    content: `❌ Could not find a game called **${input}**. Games appear here once a linked member has earned trophies in them.`
+                });
+                return;
+            }
+
+            await pagination.reply(interaction, VIEW_KEY, [game.game_id, game.platform || '', 'all', 'all']);
+            logger.info(`Game ${game.game_id} shown for ${interaction.user.id}`);
+
+        } catch (error) {
+            logger.error('Error in game command:', error);
+
+            await interaction.editReply({
+                content: `❌ ${error.userMessage || 'Could not load this game\'s trophies. Please try again later.'}`
+            });
+        }
+    },
+
+    autocomplete: autocompleteGames
+};
+
+/**
+ * Find a game by the ID autocomplete submits, or else by its title
+ * @param {Object} database - Database instance
+ * @param {string} input - Game ID or (part of) a title
+ * @returns {Promise<Object|null>} - games row, or a bare row for an
+ *   NP Communication ID missing from the catalog
+ */
+async function findGame(database, input) {
+    const game = await database.getGame(input);
+    if (game) return game;
+
+    const [match] = await database.searchGames(input, 1);
+    if (match) return match;
+
+    return NP_COMMUNICATION_ID.test(input) ? { game_id: input.toUpperCase(), platform: null } : null;
+}
+
+/**
+ * Lay out one view of a game's trophies: a trophy group and filter, with
+ * the viewer's progress, ten trophies per page
+ * @param {Object} interaction - Command, button or select menu interaction
+ * @param {Array<string>} args - [gameId, platform, groupId, filter]
+ * @returns {Promise<Object>} - PagedView
+ */
+async function buildGameView(interaction, [gameId, platformArg, requestedGroup, requestedFilter]) {
+    const logger = interaction.client.logger;
+    const psnClient = new PsnClient(logger);
+    const platform = platformArg || null;
+    const filter = FILTERS[requestedFilter] ? requestedFilter : 'all';
+
+    const [game, progress] = await Promise.all([
+        psnClient.getGameTrophies(gameId, 'all', platform),
+        loadProgress(interaction, psnClient, gameId, platform)
+    ]);
+
+    const trophies = mergeProgress(game.trophies, progress.trophies);
+    const groups = await loadGroups(psnClient, gameId, platform, trophies, logger);
+    const groupId = groups.some(group => group.trophyGroupId === requestedGroup) ? requestedGroup : 'all';
+    const visible = filterTrophies(trophies, groupId, filter);
+
+    let sections;
+    if (FILTERS[filter].needsProgress && !progress.trophies) {
+        sections = [{ description: `${progress.note}\n\nPick another filter to browse the trophy list.` }];
+    } else if (visible.length === 0) {
+        sections = [{ description: 'No trophies match this filter.' }];
+    } else {
+        sections = visible.map(trophy => ({ description: formatTrophy(trophy, !!progress.trophies) }));
+    }
+
+    // Every page shows the game's totals and the viewer's progress
+    const summary = [
+        { name: '📊 Trophies', value: formatCounts(trophies), inline: true },
+        { name: '🎯 Your Progress', value: progress.trophies ? formatProgress(trophies) : progress.note, inline: true }
+    ];
+
+    const groupName = groupId === 'all' ? 'All groups' : groups.find(group => group.trophyGroupId === groupId).trophyGroupName;
+    const menus = [];
+    if (groups.length > 1) menus.push(groupMenu(groups, groupId));
+    menus.push(filterMenu(filter, !!progress.trophies));
+
+    return {
+        pages: pagination.chunkSections(sections, PAGE_SIZE).map(page => [...page, ...summary]),
+        createEmbed: () => {
+            const embed = new EmbedBuilder()
+                .setTitle(`🎮 ${game.trophyTitleName}`)
+                .setColor(0x0099FF)
+                .setTimestamp();
+
+            if (game.trophyTitleIconUrl) {
+                embed.setThumbnail(game.trophyTitleIconUrl);
+            }
+            return embed;
+        },
+        footer: `${visible.length} trophies • ${groupName} • ${FILTERS[filter].name}`,
+        menus
+    };
+}
+
+/**
+ * Load the viewer's earned status for the game
+ * @returns {Promise<Object>} - { trophies, note }; trophies is null when
+ *   the viewer's progress is unknown and note says why
+ */
+async function loadProgress(interaction, psnClient, gameId, platform) {
+    const userId = interaction.user.id;
+    const user = await interaction.client.database.getUser(userId);
+    if (!user || !user.psn_account_id) {
+        return { trophies: null, note: 'Use `/link` to connect your PSN account and see your progress.' };
+    }
+
+    try {
+        const trophies = await psnClient.getUserGameTrophies(user.psn_account_id, gameId, 'all', platform);
+        return { trophies, note: null };
+    } catch (error) {
+        // PSN has no trophy list for players who never started the game
+        if (error instanceof PsnNotFoundError) {
+            return { trophies: [], note: null };
+        }
+        if (error instanceof PsnPrivateProfileError) {
+            return { trophies: null, note: '🔒 Your trophies are private, so your progress can\'t be shown.' };
+        }
+
+        interaction.client.logger.warn(`Could not load progress in ${gameId} for ${userId}: ${error.message}`);
+        return { trophies: null, note: 'Your progress could not be loaded right now.' };
+    }
+}
+
+/**
+ * Load the names of a game's trophy groups, when it has more than the
+ * base game. Falls back to generic names if PSN doesn't return them.
+ * @returns {Promise<Array<Object>>} - TrophyGroups in the game's order
+ */
+async function loadGroups(psnClient, gameId, platform, trophies, logger) {
+    const groupIds = [...new Set(trophies.map(trophy => trophy.trophyGroupId))];
+    if (groupIds.length < 2) return [];
+
+    try {
+        const { trophyGroups } = await psnClient.getGameTrophyGroups(gameId, platform);
+        if (trophyGroups.length > 0) return trophyGroups;
+    } catch (error) {
+        logger.warn(`Could not load trophy groups for ${gameId}: ${error.message}`);
+    }
+
+    return groupIds.map(trophyGroupId => ({
+        trophyGroupId,
+        trophyGroupName: trophyGroupId === 'default' ? 'Base Game' : `DLC ${trophyGroupId}`
+    }));
+}
+
+/**
+ * @param {Object} trophy - Trophy, merged with the viewer's progress when known
+ * @param {boolean} withProgress - Whether the viewer's progress is known;
+ *   earned rates only come with it
+ * @returns {string}
+ */
+function formatTrophy(trophy, withProgress) {
+    const mark = withProgress ? (trophy.earned ? '✅ ' : '⬜ ') : '';
+    // PSN reports the rate as a bare number, e.g. "30.1"
+    const rate = withProgress && trophy.trophyEarnedRate
+        ? ` - ${String(trophy.trophyEarnedRate).replace(/%?$/, '%')}`
+        : '';
+    const detail = trophy.trophyDetail ? `\n${truncate(trophy.trophyDetail, DETAIL_LENGTH)}` : '';
+
+    return `${mark}${getTrophyIcon(trophy.trophyType)} **${trophy.trophyName}**${rate}${detail}`;
+}
+
+function formatCounts(trophies) {
+    const count = type => trophies.filter(trophy => String(trophy.trophyType).toLowerCase() === type).length;
+
+    return `🏆 ${count('platinum')} 🥇 ${count('gold')} 🥈 ${count('silver')} 🥉 ${count('bronze')}\n**Total:** ${trophies.length}`;
+}
+
+function formatProgress(trophies) {
+    const earned = trophies.filter(trophy => trophy.earned).length;
+    const percentage = trophies.length > 0 ? Math.round((earned / trophies.length) * 100) : 0;
+
+    return `**${earned}/${trophies.length}** earned (${percentage}%)`;
+}
+
+/**
+ * Trophy group menu: every group, or the base game or one DLC
+ * @returns {Object} - Menu replacing the view's groupId
+ */
+function groupMenu(groups, groupId) {
+    const options = [{ trophyGroupId: 'all', trophyGroupName: 'All groups' }, ...groups]
+        .slice(0, MAX_OPTIONS)
+        .map(group => ({
+            label: truncate(group.trophyGroupName, 100),
+            value: group.trophyGroupId,
+            default: group.trophyGroupId === groupId
+        }));
+
+    return { arg: GROUP_ARG, placeholder: 'Show a trophy group (base game or DLC)', options };
+}
+
+/**
+ * Filter menu. Earned filters are only offered with progress.
+ * @returns {Object} - Menu replacing the view's filter
+ */
+function filterMenu(filter, hasProgress) {
+    const options = Object.entries(FILTERS)
+        .filter(([, definition]) => hasProgress || !definition.needsProgress)
+        .map(([value, definition]) => ({
+            label: definition.name,
+            value,
+            emoji: definition.emoji,
+            default: value === filter
+        }));
+
+    return { arg: FILTER_ARG, placeholder: 'Filter by earned status, grade or rarity', options };
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+}
+
+function getTrophyIcon(trophyType) {
+    const icons = {
+        platinum: '🏆',
+        gold: '🥇',
+        silver: '🥈',
+        bronze: '🥉'
+    };
+
+    return icons[String(trophyType).toLowerCase()] || '🏅';
+}
+
+pagination.register(VIEW_KEY, buildGameView);
@@ -2,10 +2,14 @@
  * Help Command - Comprehensive Bot Help and Instructions
  * 
  * Provides detailed help information including PSN linking instructions
- * and all available commands
+ * and all available commands. Each topic is a page, so members can
+ * flip through them with the page buttons.
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const pagination = require('../utils/pagination');
+
+const VIEW_KEY = 'help';
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -27,34 +31,37 @@ module.exports = {
     
     async execute(interaction) {
         const topic = interaction.options.getString('topic') || 'overview';
+        const page = Math.max(TOPICS.findIndex(entry => entry.value === topic), 0);
         
-        let embed;
-        
-        switch (topic) {
-            case 'getting-started':
-                embed = createGettingStartedEmbed();
-                break;
-            case 'psn-linking':
-                embed = createPSNLinkingEmbed();
-                break;
-
-            case 'commands':
-                embed = createCommandsEmbed();
-                break;
-            case 'notifications':
-                embed = createNotificationsEmbed();
-                break;
-            case 'troubleshooting':
-                embed = createTroubleshootingEmbed();
-                break;
-            default:
-                embed = createOverviewEmbed();
-        }
-        
-        await interaction.reply({ embeds: [embed], flags: 64 }); // Ephemeral
+        // Every topic is a page, starting at the one asked for
+        await pagination.reply(interaction, VIEW_KEY, [], { page, flags: 64 }); // Ephemeral
     }
 };
 
+/**
+ * Help topics in page order
+ */
+const TOPICS = [
+    { value: 'overview', create: createOverviewEmbed, footer: 'Need more help? Use /help with a specific topic!' },
+    { value: 'getting-started', create: createGettingStartedEmbed, footer: 'Having trouble? Use /help topic:troubleshooting' },
+    { value: 'psn-linking', create: createPSNLinkingEmbed, footer: 'Your account data is secure and encrypted' },
+    { value: 'commands', create: createCommandsEmbed, footer: 'Commands marked (Admin Only) require server management permissions' },
+    { value: 'notifications', create: createNotificationsEmbed, footer: 'Notifications work across multiple Discord servers!' },
+    { value: 'troubleshooting', create: createTroubleshootingEmbed, footer: 'Most issues are resolved by re-linking your PSN account' }
+];
+
+/**
+ * Lay the help topics out one per page
+ * @returns {Object} - PagedView
+ */
+function buildHelpView() {
+    return {
+        pages: TOPICS.map(() => []),
+        createEmbed: page => TOPICS[page].create(),
+        footer: page => TOPICS[page].footer
+    };
+}
+
 function createOverviewEmbed() {
     return new EmbedBuilder()
         .setTitle('🎮 Discord PSN Bot Help')
@@ -83,7 +90,6 @@ function createOverviewEmbed() {
             }
         ])
         .setColor(0x0099FF)
-        .setFooter({ text: 'Need more help? Use /help with a specific topic!' })
         .setTimestamp();
 }
 
@@ -105,12 +111,11 @@ function createGettingStartedEmbed() {
             },
             {
                 name: 'Step 4: Start Gaming!',
-                value: '• The bot checks for new trophies every 30 minutes\n• Use `/check` for manual trophy checks\n• Use `/profile` to view your statistics',
+                value: '• The bot checks active accounts for new trophies every 30 minutes, quieter ones less often\n• Use `/check` for manual trophy checks\n• Use `/profile` to view your statistics',
                 inline: false
             }
         ])
         .setColor(0x00FF00)
-        .setFooter({ text: 'Having trouble? Use /help topic:troubleshooting' })
         .setTimestamp();
 }
 
@@ -137,7 +142,6 @@ function createPSNLinkingEmbed() {
 
         ])
         .setColor(0xFF9900)
-        .setFooter({ text: 'Your account data is secure and encrypted' })
         .setTimestamp();
 }
 
@@ -150,22 +154,22 @@ function createCommandsEmbed() {
         .addFields([
             {
                 name: '🔗 Account Management',
-                value: '`/link` - Link your PSN account\n`/unlink` - Unlink your PSN account\n`/profile [user]` - View trophy profile and statistics',
+                value: '`/link` - Link a PSN account (up to 5)\n`/accounts list|primary` - See your linked accounts and choose the primary one\n`/verify [account]` - Prove a linked account is yours\n`/claim username` - Claim your PSN account from someone else's link\n`/unlink [account]` - Unlink a PSN account\n`/mydata export` - Get a copy of your stored data by DM\n`/profile [user] [account]` - View trophy profile and statistics\n`/history [user] [account]` - Weekly and monthly trophy progress',
                 inline: false
             },
             {
                 name: '🏆 Trophy Commands',
-                value: '`/check` - Manually check for new trophies\n`/recent [user]` - Show recent trophies\n`/stats [user]` - Detailed trophy statistics',
+                value: '`/check [account]` - Manually check for new trophies\n`/recent [user]` - Show recent trophies\n`/stats [user]` - Detailed trophy statistics\n`/leaderboard [metric] [accounts]` - Rank this server\'s linked members\n`/compare user2|psn2` - Compare two players head to head\n`/game game` - Browse a game\'s trophies, DLC and your progress',
                 inline: false
             },
             {
                 name: '🔔 Notification Setup',
-                value: '`/channel set #channel` - Set notification channel\n`/channel remove` - Remove notification channel\n`/channel info` - View current settings',
+                value: '`/channel set #channel` - Add a notification channel for this server\n`/channel remove [#channel]` - Remove notification channel(s)\n`/channel info` - View current settings\n`/notifications mute|unmute|status` - Control announcements of your trophies in this server',
                 inline: false
             },
             {
                 name: '🛡️ Server Management (Admin Only)',
-                value: '`/restrict add #channel` - Restrict bot to specific channels\n`/restrict remove #channel` - Remove channel restriction\n`/restrict list` - List restricted channels\n`/restrict clear` - Remove all restrictions',
+                value: '`/restrict add #channel` - Restrict bot to specific channels\n`/restrict remove #channel` - Remove channel restriction\n`/restrict list` - List restricted channels\n`/restrict clear` - Remove all restrictions\n`/verification require|status` - Require verified links on leaderboards\n`/disputes` - Review claims on linked PSN accounts\n`/remove-user user` - Erase a member\'s stored data',
                 inline: false
             },
             {
@@ -175,7 +179,6 @@ function createCommandsEmbed() {
             }
         ])
         .setColor(0x9966CC)
-        .setFooter({ text: 'Commands marked (Admin Only) require server management permissions' })
         .setTimestamp();
 }
 
@@ -196,12 +199,12 @@ function createNotificationsEmbed() {
             },
             {
                 name: '⏰ Notification Timing',
-                value: '• Automatic checks every **30 minutes**\n• Manual checks with `/check` command\n• Real-time when trophies are detected',
+                value: '• Automatic checks every **30 minutes** for active accounts, up to daily for dormant ones\n• Manual checks with `/check` command\n• Real-time when trophies are detected',
                 inline: false
             },
             {
                 name: '🎛️ Customization Options',
-                value: '• Set different channels per server\n• Restrict bot usage to specific channels\n• Enable/disable notifications per user',
+                value: '• Each server has its own notification channel(s)\n• Your trophies are announced in every server you share with the bot\n• Use `/notifications mute` to stop announcements in one server\n• Restrict bot usage to specific channels',
                 inline: false
             },
             {
@@ -211,7 +214,6 @@ function createNotificationsEmbed() {
             }
         ])
         .setColor(0xFFCC00)
-        .setFooter({ text: 'Notifications work across multiple Discord servers!' })
         .setTimestamp();
 }
 
@@ -256,6 +258,7 @@ function createTroubleshootingEmbed() {
             }
         ])
         .setColor(0xFF6600)
-        .setFooter({ text: 'Most issues are resolved by re-linking your PSN account' })
         .setTimestamp();
 }
+
+pagination.register(VIEW_KEY, buildHelpView);
@@ -0,0 +1,124 @@
+/**
+ * History Command - Trophy Progress Over Time
+ *
+ * Shows how a linked account's trophies, level and points grew over the
+ * last week and month, with the points earned in each of the last weeks
+ * and months. Built from the daily trophy history the tracker records.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { autocompleteLinkedAccounts } = require('../utils/autocomplete');
+const { getLinkedAccount } = require('../utils/linkedAccounts');
+const { getHistory, periodProgress } = require('../utils/trophyHistory');
+
+const WEEKS_SHOWN = 8;
+const MONTHS_SHOWN = 6;
+
+const formatNumber = value => value.toLocaleString('en-US');
+const signed = value => `${value > 0 ? '+' : ''}${formatNumber(value)}`;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Show weekly and monthly trophy progress')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('User to show history for (defaults to yourself)')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('account')
+                .setDescription('Which of their linked PSN accounts to show (defaults to their primary account)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+
+    autocomplete: autocompleteLinkedAccounts,
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const targetUser = interaction.options.getUser('user') || interaction.user;
+        const isOwnHistory = targetUser.id === interaction.user.id;
+        const accountName = interaction.options.getString('account');
+        const now = Math.floor(Date.now() / 1000);
+
+        await interaction.deferReply();
+
+        let account;
+        let rows;
+        try {
+            account = await getLinkedAccount(database, targetUser.id, accountName);
+            rows = account ? await getHistory(database, targetUser.id, account.psn_account_id, now) : [];
+        } catch (dbError) {
+            logger.error('Database error in history command:', dbError);
+
+            const errorMessage = dbError.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ Database error occurred. Please try again later.';
+
+            await interaction.editReply({ content: errorMessage });
+            return;
+        }
+
+        if (!account) {
+            await interaction.editReply({
+                content: accountName
+                    ? `❌ **${accountName}** isn't linked to ${isOwnHistory ? 'you' : targetUser.displayName}. Use \`/accounts list\` to see linked accounts.`
+                    : `❌ ${isOwnHistory ? 'You haven\'t' : `${targetUser.displayName} hasn't`} linked a PlayStation Network account. Use \`/link\` to get started.`
+            });
+            return;
+        }
+
+        if (rows.length === 0) {
+            await interaction.editReply({
+                content: `ℹ️ No trophy history for **${account.psn_username}** yet. It's recorded each time the bot checks their trophies.`
+            });
+            return;
+        }
+
+        const [week] = periodProgress(rows, now, 7, 1);
+        const [month] = periodProgress(rows, now, 30, 1);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📈 Trophy History - ${account.psn_username}`)
+            .addFields([
+                { name: '📅 Last 7 Days', value: formatProgress(week.progress), inline: true },
+                { name: '🗓️ Last 30 Days', value: formatProgress(month.progress), inline: true },
+                { name: '📊 Points by Week', value: formatPeriods(periodProgress(rows, now, 7, WEEKS_SHOWN)), inline: false },
+                { name: '📊 Points by Month', value: formatPeriods(periodProgress(rows, now, 30, MONTHS_SHOWN)), inline: false }
+            ])
+            .setColor(0x0099FF)
+            .setFooter({ text: `Tracked daily since ${rows[0].snapshot_date} (UTC)` })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    }
+};
+
+/**
+ * Describe the progress over one period
+ * @param {Object|null} progress - From progressBetween
+ * @returns {string}
+ */
+function formatProgress(progress) {
+    if (!progress) return 'Not tracked yet';
+
+    const { delta } = progress;
+    return `**${signed(delta.points)}** pts\n` +
+        `Level ${formatNumber(progress.end.trophy_level)} (${signed(delta.level)})\n` +
+        `🏆 ${signed(delta.trophies)} trophies\n` +
+        `💎 ${delta.platinum} 🥇 ${delta.gold} 🥈 ${delta.silver} 🥉 ${delta.bronze}`;
+}
+
+/**
+ * One line per period with the points earned in it, newest first
+ * @param {Array<Object>} periods - From periodProgress
+ * @returns {string}
+ */
+function formatPeriods(periods) {
+    return periods
+        .filter(period => period.progress)
+        .map(period => `<t:${period.from}:d> - <t:${period.to}:d>: **${signed(period.progress.delta.points)}** pts (${signed(period.progress.delta.trophies)} trophies)`)
+        .join('\n');
+}
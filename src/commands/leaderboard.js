@@ -0,0 +1,164 @@
+/**
+ * Leaderboard Command - Rank a Server's Linked Members
+ *
+ * Ranks the linked members of the current server by trophy points,
+ * platinums, trophy level, completion rate or recent trophies, using the
+ * data the trophy tracker has stored. Pages are browsed with the shared
+ * pagination buttons. Members with several linked accounts are ranked on
+ * their accounts combined, or on their primary account alone. Verified
+ * links get a badge, and servers that require verification (/verification)
+ * only count verified accounts.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { METRICS, getRankings, formatValue } = require('../utils/leaderboard');
+const { getGuildLinkedAccounts } = require('../utils/linkedAccounts');
+const { isVerificationRequired } = require('../utils/verification');
+const pagination = require('../utils/pagination');
+
+const PAGE_SIZE = 10;
+const VIEW_KEY = 'leaderboard';
+const MEDALS = ['🥇', '🥈', '🥉'];
+const VERIFIED_BADGE = '✅';
+
+const ACCOUNT_MODES = {
+    combined: 'All linked accounts combined',
+    primary: 'Primary accounts only'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('leaderboard')
+        .setDescription('Rank this server\'s linked members')
+        .addStringOption(option =>
+            option.setName('metric')
+                .setDescription('What to rank by (defaults to trophy points)')
+                .setRequired(false)
+                .addChoices(
+                    ...Object.entries(METRICS).map(([value, metric]) => ({ name: metric.name, value }))
+                )
+        )
+        .addStringOption(option =>
+            option.setName('accounts')
+                .setDescription('How to rank members with several PSN accounts (defaults to combined)')
+                .setRequired(false)
+                .addChoices(
+                    ...Object.entries(ACCOUNT_MODES).map(([value, name]) => ({ name, value }))
+                )
+        ),
+
+    async execute(interaction) {
+        const logger = interaction.client.logger;
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ Leaderboards are only available in servers.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.deferReply();
+
+        try {
+            const metric = interaction.options.getString('metric') || 'points';
+            const accounts = interaction.options.getString('accounts') || 'combined';
+            await pagination.reply(interaction, VIEW_KEY, [metric, accounts]);
+            logger.info(`Leaderboard (${metric}) shown in guild ${interaction.guild.id} for ${interaction.user.id}`);
+
+        } catch (error) {
+            logger.error('Error in leaderboard command:', error);
+
+            const errorMessage = error.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ An error occurred while building the leaderboard. Please try again later.';
+
+            await interaction.editReply({ content: errorMessage });
+        }
+    }
+};
+
+/**
+ * Build the leaderboard for the current guild, one page per ten members
+ * @param {Object} interaction - Command or button interaction in a guild
+ * @param {Array<string>} args - [metric, accounts], keys of METRICS and
+ *   ACCOUNT_MODES
+ * @returns {Promise<Object>} - PagedView; every page shows the viewer's rank
+ */
+async function buildLeaderboardView(interaction, [metric, accounts = 'combined']) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const guild = interaction.guild;
+    if (!METRICS[metric]) metric = 'points';
+    const definition = METRICS[metric];
+
+    const primaryOnly = accounts === 'primary';
+
+    const verifiedOnly = await isVerificationRequired(database, guild.id);
+    // Reused across page clicks for a minute, so paging doesn't refetch members
+    const linkedAccounts = await getGuildLinkedAccounts(database, guild, logger);
+    const countedAccounts = linkedAccounts.filter(account => !primaryOnly || account.is_primary);
+    const verifiedIds = new Set(countedAccounts.filter(account => account.verified_at).map(account => account.discord_id));
+    const memberIds = [...new Set(countedAccounts.map(account => account.discord_id))]
+        .filter(discordId => !verifiedOnly || verifiedIds.has(discordId));
+
+    const rankings = await getRankings(database, memberIds, metric, undefined, { primaryOnly, verifiedOnly });
+    const joinHint = verifiedOnly
+        ? 'use `/link` and `/verify` to join the leaderboard.'
+        : 'use `/link` to connect your PSN account and join the leaderboard.';
+
+    const createEmbed = () => new EmbedBuilder()
+        .setTitle(`${definition.emoji} ${guild.name} Leaderboard - ${definition.name}`)
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    if (rankings.length === 0) {
+        return {
+            pages: [[{
+                description: verifiedOnly
+                    ? 'No members of this server have verified a PSN account yet.\n\nUse `/link` and `/verify` to be the first on the board!'
+                    : 'No members of this server have linked a PSN account yet.\n\nUse `/link` to be the first on the board!'
+            }]],
+            createEmbed
+        };
+    }
+
+    const ownEntry = rankings.find(entry => entry.discord_id === interaction.user.id);
+    const rankSection = {
+        name: '📍 Your Rank',
+        value: ownEntry
+            ? `**#${ownEntry.rank}** of ${rankings.length} - ${formatValue(metric, ownEntry.value)}`
+            : `Not ranked - ${joinHint}`,
+        inline: false
+    };
+
+    const pages = [];
+    for (let start = 0; start < rankings.length; start += PAGE_SIZE) {
+        const entries = rankings.slice(start, start + PAGE_SIZE);
+        pages.push([{ description: entries.map(entry => formatEntry(metric, entry, verifiedIds)).join('\n') }, rankSection]);
+    }
+
+    const footer = [
+        `${rankings.length} ranked members`,
+        ...(primaryOnly ? ['Primary accounts only'] : []),
+        ...(verifiedOnly ? ['Verified accounts only'] : [])
+    ].join(' • ');
+
+    return { pages, createEmbed, footer };
+}
+
+/**
+ * Format one leaderboard line
+ * @param {string} metric - Key of METRICS
+ * @param {Object} entry - Ranking row
+ * @param {Set<string>} verifiedIds - Discord IDs with a verified account
+ *   among those ranked
+ * @returns {string}
+ */
+function formatEntry(metric, entry, verifiedIds) {
+    const position = MEDALS[entry.rank - 1] || `**#${entry.rank}**`;
+    const badge = verifiedIds.has(entry.discord_id) ? ` ${VERIFIED_BADGE}` : '';
+    return `${position} <@${entry.discord_id}> (${entry.psn_username}${badge}) - ${formatValue(metric, entry.value)}`;
+}
+
+pagination.register(VIEW_KEY, buildLeaderboardView);
@@ -1,157 +1,304 @@
 /**
  * Link Command - Connect PlayStation Network Account (No Auth Required)
- * 
+ *
  * Allows users to link their PSN username with the Discord bot
- * for public trophy tracking and notifications using PSN's public API
+ * for public trophy tracking and notifications using PSN's public API.
+ * Members can link several accounts; the first one becomes primary.
  */
 
-const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const Database = require('../database/database');
-const RealPSNApi = require('../utils/realPsnApi');
-const logger = require('../utils/logger');
+const { SlashCommandBuilder, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
+const PsnClient = require('../utils/psnClient');
+const { scopeOf } = require('../utils/recentPlayers');
+const { autocompletePsnNames } = require('../utils/autocomplete');
+const sessions = require('../utils/interactionSessions');
+const { MAX_ACCOUNTS_PER_MEMBER, findAccount } = require('../utils/linkedAccounts');
+
+const FLOW = 'link';
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('link')
-        .setDescription('Link your Discord account to a PSN username')
+        .setDescription('Link a PSN account to your Discord account')
         .addStringOption(option =>
             option.setName('username')
                 .setDescription('Your PSN username')
                 .setRequired(false)
                 .setMaxLength(16)
-                .setMinLength(3)),
+                .setMinLength(3)
+                .setAutocomplete(true)),
+
+    autocomplete: autocompletePsnNames,
 
     async execute(interaction) {
+        const logger = interaction.client.logger;
         const username = interaction.options.getString('username');
-        const discordUserId = interaction.user.id;
-        
-        logger.info(`🔗 Link command executed by ${interaction.user.tag} (${discordUserId})`);
-        logger.debug(`Username option: "${username}"`);
-        
+
+        logger.info(`🔗 Link command executed by ${interaction.user.tag} (${interaction.user.id})`);
+
         // If no username provided, show modal
         if (!username || typeof username !== 'string' || username.trim() === '') {
             logger.debug('No username provided, showing modal for user input');
-            const { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
-            
+
+            const session = await sessions.start(interaction, FLOW);
+
             const modal = new ModalBuilder()
-                .setCustomId('psn_username_modal')
+                .setCustomId(sessions.customId(session, 'username'))
                 .setTitle('PlayStation Network Username');
-            
+
             const usernameInput = new TextInputBuilder()
                 .setCustomId('psn_username')
                 .setLabel('PSN Username')
                 .setStyle(TextInputStyle.Short)
-                .setPlaceholder('Enter your exact PSN username (case-sensitive)')
+                .setPlaceholder('Enter your exact PSN username')
                 .setRequired(true)
                 .setMaxLength(16)
                 .setMinLength(3);
-            
+
             const usernameRow = new ActionRowBuilder().addComponents(usernameInput);
             modal.addComponents(usernameRow);
-            
+
             await interaction.showModal(modal);
             return;
         }
 
-        const trimmedUsername = username.trim();
-        logger.info(`Validating PSN username: ${trimmedUsername} for Discord user: ${discordUserId}`);
-
-        try {
-            // Defer reply since validation might take time
-            await interaction.deferReply({ ephemeral: true });
-
-            // Check if user already exists
-            const existingUser = await Database.getUserByDiscordId(discordUserId);
-            if (existingUser) {
-                logger.info(`User ${discordUserId} already linked to PSN: ${existingUser.psn_username}`);
-                
-                const alreadyLinkedEmbed = new EmbedBuilder()
-                    .setColor(0xFFA500)
-                    .setTitle('🔗 Account Already Linked')
-                    .setDescription(`You are already linked to PSN username: **${existingUser.psn_username}**`)
-                    .addFields(
-                        { name: 'Current PSN', value: existingUser.psn_username, inline: true },
-                        { name: 'Linked Since', value: new Date(existingUser.created_at).toLocaleDateString(), inline: true }
-                    )
-                    .setFooter({ text: 'Use /unlink to remove the current link, then /link again' });
-                
-                await interaction.editReply({ embeds: [alreadyLinkedEmbed] });
-                return;
-            }
-
-            // Initialize Real PSN API
-            const realPsnApi = new RealPSNApi();
-            
-            // Try to validate username with real PSN API
-            logger.info(`🔍 Attempting real PSN validation for: ${trimmedUsername}`);
-            const validationResult = await realPsnApi.validateUsername(trimmedUsername);
-            
-            if (validationResult.isValid) {
-                // Real validation succeeded!
-                logger.info(`✅ Real PSN validation successful for: ${trimmedUsername}`);
-                
-                // Save user to database
-                const newUser = await Database.createUser(discordUserId, trimmedUsername, validationResult.accountId);
-                
-                const successEmbed = new EmbedBuilder()
-                    .setColor(0x00FF00)
-                    .setTitle('✅ PSN Account Linked Successfully!')
-                    .setDescription(`Your Discord account is now linked to PSN username: **${trimmedUsername}**`)
-                    .addFields(
-                        { name: 'PSN Username', value: trimmedUsername, inline: true },
-                        { name: 'Account ID', value: validationResult.accountId || 'N/A', inline: true },
-                        { name: 'Linked At', value: new Date().toLocaleString(), inline: true }
-                    )
-                    .setFooter({ text: 'You can now use /profile and /check commands!' });
-                
-                await interaction.editReply({ embeds: [successEmbed] });
-                
-            } else {
-                // Real validation failed, show fallback option
-                logger.warn(`⚠️ Real PSN validation failed for: ${trimmedUsername}. Reason: ${validationResult.reason}`);
-                
-                const fallbackEmbed = new EmbedBuilder()
-                    .setColor(0xFFA500)
-                    .setTitle('⚠️ PSN Validation Limited')
-                    .setDescription(`We couldn't fully validate your PSN username **${trimmedUsername}** due to API limitations.`)
-                    .addFields(
-                        { name: 'Issue', value: validationResult.reason || 'Unknown validation error', inline: false },
-                        { name: 'Recommendation', value: 'You can still proceed if you\'re confident in your username, or try again later.', inline: false }
-                    );
-                
-                const row = new ActionRowBuilder()
-                    .addComponents(
-                        new ButtonBuilder()
-                            .setCustomId('link_continue_anyway')
-                            .setLabel('Continue Anyway')
-                            .setStyle(ButtonStyle.Primary),
-                        new ButtonBuilder()
-                            .setCustomId('link_cancel')
-                            .setLabel('Cancel')
-                            .setStyle(ButtonStyle.Secondary)
-                    );
-                
-                await interaction.editReply({ 
-                    embeds: [fallbackEmbed], 
-                    components: [row] 
-                });
-            }
-            
-        } catch (error) {
-            logger.error(`💥 Error in link command: ${error.message}`);
-            
-            const errorEmbed = new EmbedBuilder()
-                .setColor(0xFF0000)
-                .setTitle('❌ Link Command Failed')
-                .setDescription('An error occurred while trying to link your account.')
-                .addFields(
-                    { name: 'Error', value: error.message, inline: false },
-                    { name: 'Username', value: trimmedUsername, inline: true },
-                    { name: 'Discord ID', value: discordUserId, inline: true }
-                )
-                .setFooter({ text: 'Please try again or contact support if the issue persists' });
-            
-            await interaction.editReply({ embeds: [errorEmbed] });
+        await linkAccount(interaction, username.trim());
+    },
+
+    linkAccount
+};
+
+/**
+ * Handle the username modal
+ * @param {Object} interaction - Discord modal submit interaction
+ * @param {Object} session - The modal's session
+ */
+async function handleUsernameModal(interaction, session) {
+    const logger = interaction.client.logger;
+
+    const username = interaction.fields.getTextInputValue('psn_username');
+    logger.info(`Modal submitted for username: ${username} by Discord user: ${interaction.user.id}`);
+
+    await sessions.end(interaction, session);
+    await linkAccount(interaction, username.trim());
+}
+
+/**
+ * Validate a PSN username and link it to the interaction's user. Shared by
+ * the /link command and the username modal.
+ * @param {Object} interaction - Command or modal submit interaction
+ * @param {string} username - PSN username to link
+ */
+async function linkAccount(interaction, username) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const discordUserId = interaction.user.id;
+
+    // Defer reply since validation might take time
+    await interaction.deferReply({ flags: 64 }); // Ephemeral
+
+    let accounts;
+    try {
+        accounts = await database.getAccounts(discordUserId) || [];
+
+        const existingAccount = findAccount(accounts, username);
+        if (existingAccount) {
+            logger.info(`User ${discordUserId} already linked to PSN: ${existingAccount.psn_username}`);
+            await interaction.editReply({ embeds: [alreadyLinkedEmbed(existingAccount.psn_username)] });
+            return;
+        }
+
+        if (accounts.length >= MAX_ACCOUNTS_PER_MEMBER) {
+            const limitEmbed = new EmbedBuilder()
+                .setColor(0xFFA500)
+                .setTitle('🔗 Account Limit Reached')
+                .setDescription(`You already have ${accounts.length} PSN accounts linked, the most a member can link.`)
+                .setFooter({ text: 'Use /unlink to remove one of them, then /link again' });
+
+            await interaction.editReply({ embeds: [limitEmbed] });
+            return;
+        }
+
+        if (await findOtherOwner(database, username, discordUserId)) {
+            await interaction.editReply({ embeds: [takenEmbed(username)] });
+            return;
         }
+    } catch (dbError) {
+        logger.error('Database error checking user:', dbError);
+        await interaction.editReply({ content: databaseErrorMessage(dbError) });
+        return;
+    }
+
+    const psnClient = new PsnClient(logger, { lookupScope: scopeOf(interaction) });
+
+    let profile;
+    try {
+        logger.info(`🔍 Validating PSN username: ${username} for Discord user: ${discordUserId}`);
+        profile = await psnClient.validateUsername(username);
+    } catch (error) {
+        logger.error(`PSN validation failed for ${username}:`, error);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('❌ PSN Lookup Failed')
+            .setDescription('PlayStation Network could not be reached to verify your username.')
+            .addFields([
+                {
+                    name: '🔄 Try Again',
+                    value: error.userMessage || 'This is usually temporary. Please try again in a few minutes.',
+                    inline: false
+                }
+            ]);
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+        return;
+    }
+
+    if (!profile) {
+        const notFoundEmbed = new EmbedBuilder()
+            .setColor(0xFF4757)
+            .setTitle('❌ PSN Player Not Found')
+            .setDescription(`Could not find a PlayStation Network player with username: **${username}**`)
+            .addFields([
+                { name: '🔍 Tips', value: '• Check for typos in the username\n• Try `/search-player` to find the exact spelling', inline: false }
+            ]);
+
+        await interaction.editReply({ embeds: [notFoundEmbed] });
+        return;
     }
-};
\ No newline at end of file
+
+    // Trophy data is only used for the confirmation; private profiles can still link
+    let trophySummary = null;
+    try {
+        trophySummary = await psnClient.getUserTrophySummary(profile.accountId);
+    } catch (error) {
+        logger.warn(`Could not fetch trophy summary for ${profile.onlineId}: ${error.message}`);
+    }
+
+    // Store the username as PSN spells it
+    const psnUsername = profile.onlineId || username;
+
+    // The same account under the name it had when it was linked
+    const renamedAccount = accounts.find(account => account.psn_account_id === profile.accountId);
+    if (renamedAccount) {
+        await interaction.editReply({ embeds: [alreadyLinkedEmbed(renamedAccount.psn_username)] });
+        return;
+    }
+
+    try {
+        // The same account linked by someone else, maybe under its old name
+        const owner = await database.getUserByPsnAccountId(profile.accountId);
+        if (owner && owner.discord_id !== discordUserId) {
+            await interaction.editReply({ embeds: [takenEmbed(psnUsername, owner.psn_username)] });
+            return;
+        }
+
+        if (psnUsername !== username && await findOtherOwner(database, psnUsername, discordUserId)) {
+            await interaction.editReply({ embeds: [takenEmbed(psnUsername)] });
+            return;
+        }
+
+        await database.createUser(discordUserId, {
+            psn_username: psnUsername,
+            psn_account_id: profile.accountId,
+            notifications_enabled: 1,
+            last_trophy_check: 0
+        });
+    } catch (dbError) {
+        logger.error('Database error linking account:', dbError);
+
+        const errorEmbed = new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle('❌ Link Failed')
+            .setDescription(databaseErrorMessage(dbError));
+
+        await interaction.editReply({ embeds: [errorEmbed] });
+        return;
+    }
+
+    const primary = accounts.find(account => account.is_primary);
+
+    const successEmbed = new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle('✅ PSN Account Linked Successfully!')
+        .setDescription(primary
+            ? `**${psnUsername}** is now linked as an additional account. **${primary.psn_username}** stays your primary account - use \`/accounts primary\` to change it.`
+            : `Your Discord account is now linked to PSN username: **${psnUsername}**`)
+        .addFields([
+            { name: 'PSN Username', value: psnUsername, inline: true },
+            { name: 'Trophy Level', value: trophySummary ? `${trophySummary.trophyLevel}` : 'Private', inline: true }
+        ])
+        .setFooter({ text: 'You can now use /profile and /check commands! Use /verify to prove the account is yours.' });
+
+    if (profile.avatarUrl) {
+        successEmbed.setThumbnail(profile.avatarUrl);
+    }
+
+    if (trophySummary) {
+        const earned = trophySummary.earnedTrophies;
+        successEmbed.addFields([{
+            name: '🏆 Trophies',
+            value: `🏆 ${earned.platinum} 🥇 ${earned.gold} 🥈 ${earned.silver} 🥉 ${earned.bronze}`,
+            inline: false
+        }]);
+    }
+
+    await interaction.editReply({ embeds: [successEmbed] });
+    logger.info(`User ${discordUserId} linked to PSN username: ${psnUsername}`);
+}
+
+/**
+ * Build the reply for a PSN account the member has linked already
+ * @param {string} psnUsername - PSN username as stored
+ * @returns {EmbedBuilder}
+ */
+function alreadyLinkedEmbed(psnUsername) {
+    return new EmbedBuilder()
+        .setColor(0xFFA500)
+        .setTitle('🔗 Account Already Linked')
+        .setDescription(`**${psnUsername}** is already linked to your Discord account.`)
+        .setFooter({ text: 'Use /accounts to see every PSN account you have linked' });
+}
+
+/**
+ * Find whether a PSN username is already linked to a different Discord user
+ * @param {Object} database - Database instance
+ * @param {string} psnUsername - PSN username
+ * @param {string} discordUserId - Discord user who wants to link it
+ * @returns {Promise<boolean>} - True if someone else owns the link
+ */
+async function findOtherOwner(database, psnUsername, discordUserId) {
+    const owner = await database.getUserByPsnUsername(psnUsername);
+    return !!owner && owner.discord_id !== discordUserId;
+}
+
+/**
+ * Build the reply for a PSN username linked to someone else
+ * @param {string} psnUsername - PSN username
+ * @param {string} [linkedAs] - Name the account is stored under, when it
+ *   was linked before a PSN rename
+ * @returns {EmbedBuilder}
+ */
+function takenEmbed(psnUsername, linkedAs = psnUsername) {
+    const description = linkedAs === psnUsername
+        ? `**${psnUsername}** is already linked to another Discord account.`
+        : `**${psnUsername}** is already linked to another Discord account as **${linkedAs}**, its name before a PSN rename. Use that name with /claim.`;
+
+    return new EmbedBuilder()
+        .setColor(0xFF0000)
+        .setTitle('❌ PSN Account Already Linked')
+        .setDescription(description)
+        .setFooter({ text: 'If this is your account, use /claim to ask the server admins to move it to you' });
+}
+
+/**
+ * Map a database error to a user-facing message
+ * @param {Error} dbError - Database error
+ * @returns {string}
+ */
+function databaseErrorMessage(dbError) {
+    return dbError.message.includes('no such table')
+        ? '❌ Database not properly initialized. Please contact an administrator.'
+        : '❌ Database error occurred. Please try again later.';
+}
+
+sessions.register(FLOW, handleUsernameModal);
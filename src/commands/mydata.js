@@ -0,0 +1,94 @@
+/**
+ * My Data Command - Personal Data Export
+ *
+ * Sends members everything the bot stores about them as a JSON file by
+ * DM, optionally with their trophy history as CSV for spreadsheets.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { collectMemberData, hasStoredData, trophiesToCsv } = require('../utils/dataExport');
+const { sendDirectMessage } = require('../utils/directMessages');
+
+// Labels for the row counts shown with the export
+const SECTION_LABELS = {
+    psnAccounts: 'Linked PSN accounts',
+    trophies: 'Trophies',
+    games: 'Games',
+    trophySnapshots: 'Trophy snapshots',
+    trophyHistory: 'Days of trophy history',
+    notificationOptOuts: 'Muted servers',
+    linkClaims: 'Account claims you filed',
+    claimsOnYourAccounts: 'Claims on your accounts',
+    guildSettings: 'Server settings you created'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('mydata')
+        .setDescription('Get a copy of the data the bot stores about you')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Receive everything stored about you as a JSON file by DM')
+                .addBooleanOption(option =>
+                    option.setName('csv')
+                        .setDescription('Also attach your trophy history as a CSV file for spreadsheets')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const discordId = interaction.user.id;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        let data;
+        try {
+            data = await collectMemberData(database, discordId);
+        } catch (dbError) {
+            logger.error('Database error in mydata command:', dbError);
+
+            const errorMessage = dbError.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ Database error occurred. Please try again later.';
+
+            await interaction.editReply({ content: errorMessage });
+            return;
+        }
+
+        if (!hasStoredData(data)) {
+            await interaction.editReply({ content: 'ℹ️ The bot doesn\'t store any data about you.' });
+            return;
+        }
+
+        const files = [
+            new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `psn-bot-data-${discordId}.json` })
+        ];
+        if (interaction.options.getBoolean('csv')) {
+            files.push(new AttachmentBuilder(Buffer.from(trophiesToCsv(data.trophies)), { name: `psn-bot-trophies-${discordId}.csv` }));
+        }
+
+        const summary = Object.entries(SECTION_LABELS)
+            .map(([key, label]) => `${label}: **${data[key].length}**`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setTitle('📦 Your PSN Bot Data')
+            .setDescription(`Everything the bot stores about you, as of <t:${Math.floor(Date.parse(data.exportedAt) / 1000)}:f>.\n\n${summary}`)
+            .setColor(0x0099FF)
+            .setFooter({ text: 'Use /unlink to remove a linked account and its trophy data' });
+
+        const delivered = await sendDirectMessage(interaction.client, discordId, { embeds: [embed], files }, logger);
+        if (!delivered) {
+            await interaction.editReply({
+                content: '❌ I couldn\'t send you a DM. Allow direct messages from server members in your privacy settings, then try again.'
+            });
+            return;
+        }
+
+        logger.info(`Data export sent to ${discordId}`);
+        await interaction.editReply({ content: '📬 Your data export is in your DMs.' });
+    }
+};
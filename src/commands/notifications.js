@@ -0,0 +1,145 @@
+/**
+ * Notifications Command - Per-Server Trophy Announcement Opt-Out
+ *
+ * Lets members choose whether their trophies are announced in the
+ * current server. Announcements are on by default in every server that
+ * has a notification channel configured with /channel set.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('notifications')
+        .setDescription('Control trophy announcements for you in this server')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('mute')
+                .setDescription('Stop announcing your trophies in this server')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('unmute')
+                .setDescription('Announce your trophies in this server again')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show whether your trophies are announced in this server')
+        ),
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const subcommand = interaction.options.getSubcommand();
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ This command can only be used inside a server.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Check if user has PSN account linked
+        let userData;
+        try {
+            userData = await database.getUser(interaction.user.id);
+        } catch (dbError) {
+            logger.error('Database error checking user:', dbError);
+
+            const errorMessage = dbError.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ Database error occurred. Please try again later.';
+
+            await interaction.reply({
+                content: errorMessage,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (!userData || !userData.psn_username) {
+            await interaction.reply({
+                content: '❌ You need to link your PSN account first using `/link`',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const userId = interaction.user.id;
+        const guildId = interaction.guild.id;
+
+        try {
+            switch (subcommand) {
+                case 'mute':
+                    await database.run(`
+                        INSERT OR IGNORE INTO notification_opt_outs (discord_id, guild_id)
+                        VALUES (?, ?)
+                    `, [userId, guildId]);
+                    break;
+                case 'unmute':
+                    await database.run(`
+                        DELETE FROM notification_opt_outs WHERE discord_id = ? AND guild_id = ?
+                    `, [userId, guildId]);
+                    break;
+            }
+        } catch (dbError) {
+            logger.error('Database error saving notification preference:', dbError);
+            await interaction.reply({
+                content: '❌ Database error occurred while saving settings. Please try again later.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        let optOut;
+        let feedCount;
+        try {
+            optOut = await database.get(`
+                SELECT * FROM notification_opt_outs WHERE discord_id = ? AND guild_id = ?
+            `, [userId, guildId]);
+
+            const feeds = await database.get(`
+                SELECT COUNT(*) as count FROM server_settings
+                WHERE guild_id = ? AND setting_type = 'notification_channel'
+            `, [guildId]);
+            feedCount = feeds?.count || 0;
+        } catch (dbError) {
+            logger.error('Database error fetching notification preference:', dbError);
+            await interaction.reply({
+                content: '❌ Database error occurred while fetching settings. Please try again later.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const titles = {
+            mute: '🔕 Trophy Announcements Muted',
+            unmute: '🔔 Trophy Announcements Enabled',
+            status: '🔔 Trophy Announcement Status'
+        };
+
+        let status;
+        if (optOut) {
+            status = '🔕 Your trophies are **not** announced in this server.\nUse `/notifications unmute` to turn them back on.';
+        } else if (feedCount === 0) {
+            status = '✅ Your trophies will be announced here once an admin sets a channel with `/channel set`.';
+        } else {
+            status = `✅ Your trophies are announced in this server (${feedCount} channel${feedCount === 1 ? '' : 's'}).`;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(titles[subcommand] || titles.status)
+            .setDescription(status)
+            .setColor(optOut ? 0xFF6B6B : 0x00FF00)
+            .setFooter({ text: 'This only affects this server - other servers keep their own setting' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        if (subcommand !== 'status') {
+            logger.info(`User ${userId} ${subcommand}d trophy announcements in guild ${guildId}`);
+        }
+    }
+};
@@ -2,10 +2,19 @@
  * Profile Command - Display User Trophy Statistics
  * 
  * Shows detailed trophy statistics and PSN profile information
- * for the requesting user or mentioned user
+ * for the requesting user or mentioned user, with further pages
+ * listing their recent trophies and platinums. Members with several
+ * linked accounts show their primary account unless another is chosen.
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const pagination = require('../utils/pagination');
+const { autocompleteLinkedAccounts } = require('../utils/autocomplete');
+const { getLinkedAccount } = require('../utils/linkedAccounts');
+
+const VIEW_KEY = 'profile';
+const MAX_RECENT_TROPHIES = 30;
+const ITEMS_PER_PAGE = 10;
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -15,25 +24,33 @@ module.exports = {
             option.setName('user')
                 .setDescription('User to view profile for (defaults to yourself)')
                 .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('account')
+                .setDescription('Which of their linked PSN accounts to show (defaults to their primary account)')
+                .setRequired(false)
+                .setAutocomplete(true)
         ),
     
+    autocomplete: autocompleteLinkedAccounts,
+    
     async execute(interaction) {
         const database = interaction.client.database;
         const logger = interaction.client.logger;
-        const trophyTracker = interaction.client.trophyTracker;
         
         await interaction.deferReply();
         
         try {
             const targetUser = interaction.options.getUser('user') || interaction.user;
             const isOwnProfile = targetUser.id === interaction.user.id;
+            const accountName = interaction.options.getString('account');
             
             logger.info(`Profile command executed for user ${targetUser.id} by ${interaction.user.id}`);
             
             // Get user data from database with proper error handling
             let userData;
             try {
-                userData = await database.getUser(targetUser.id);
+                userData = await getLinkedAccount(database, targetUser.id, accountName);
             } catch (dbError) {
                 logger.error('Database error in profile command:', dbError);
                 
@@ -45,6 +62,13 @@ module.exports = {
                 return;
             }
             
+            if (!userData && accountName) {
+                await interaction.editReply({
+                    content: `❌ **${accountName}** isn't linked to ${isOwnProfile ? 'you' : targetUser.displayName}. Use \`/accounts list\` to see linked accounts.`
+                });
+                return;
+            }
+            
             if (!userData || !userData.psn_username) {
                 const embed = new EmbedBuilder()
                     .setTitle('❌ No PSN Account Linked')
@@ -80,114 +104,8 @@ module.exports = {
                 return;
             }
             
-            // Get trophy statistics with error handling
-            let stats;
-            try {
-                stats = await trophyTracker.getUserTrophyStats(targetUser.id);
-            } catch (statsError) {
-                logger.error('Error getting trophy stats:', statsError);
-                stats = {
-                    total_trophies: 0,
-                    platinum_count: 0,
-                    gold_count: 0,
-                    silver_count: 0,
-                    bronze_count: 0,
-                    games_played: 0
-                };
-            }
-            
-            // Get recent trophies with error handling
-            let recentTrophies = [];
-            try {
-                recentTrophies = await database.getRecentTrophies(targetUser.id, 5);
-            } catch (recentError) {
-                logger.error('Error getting recent trophies:', recentError);
-                // Continue without recent trophies
-            }
-            
-            // Calculate trophy level (simplified calculation)
-            const trophyLevel = calculateTrophyLevel(stats);
-            
-            // Create profile embed
-            const embed = new EmbedBuilder()
-                .setTitle(`🏆 ${userData.psn_username}'s Trophy Profile`)
-                .setDescription(`PSN Profile for ${targetUser.displayName}`)
-                .addFields([
-                    {
-                        name: '📊 Trophy Statistics',
-                        value: `
-                            🏆 **Total Trophies:** ${stats.total_trophies || 0}
-                            🥇 **Platinum:** ${stats.platinum_count || 0}
-                            🥇 **Gold:** ${stats.gold_count || 0}
-                            🥈 **Silver:** ${stats.silver_count || 0}
-                            🥉 **Bronze:** ${stats.bronze_count || 0}
-                        `,
-                        inline: true
-                    },
-                    {
-                        name: '🎮 Gaming Statistics',
-                        value: `
-                            🎯 **Games Played:** ${stats.games_played || 0}
-                            📊 **Trophy Level:** ${trophyLevel}
-                            ⭐ **Completion Rate:** ${calculateCompletionRate(stats)}%
-                        `,
-                        inline: true
-                    },
-                    {
-                        name: '📅 Account Info',
-                        value: `
-                            🔗 **Linked:** ${userData.created_at ? `<t:${userData.created_at}:R>` : 'Unknown'}
-                            🔄 **Last Check:** ${userData.last_trophy_check ? `<t:${userData.last_trophy_check}:R>` : 'Never'}
-                            🔔 **Notifications:** ${userData.notification_enabled ? '✅ On' : '❌ Off'}
-                        `,
-                        inline: false
-                    }
-                ])
-                .setColor(getTrophyLevelColor(trophyLevel))
-                .setTimestamp()
-                .setFooter({ 
-                    text: `Profile for ${userData.psn_username}`,
-                    iconURL: targetUser.displayAvatarURL()
-                });
-            
-            // Add recent trophies field if available
-            if (recentTrophies && recentTrophies.length > 0) {
-                const recentTrophyList = recentTrophies
-                    .slice(0, 5)
-                    .map(trophy => {
-                        const icon = getTrophyIcon(trophy.trophy_type);
-                        const timeAgo = `<t:${Math.floor(new Date(trophy.earned_date * 1000).getTime() / 1000)}:R>`;
-                        return `${icon} **${trophy.trophy_name}** ${timeAgo}`;
-                    })
-                    .join('\n');
-                
-                embed.addFields([{
-                    name: '🕒 Recent Trophies',
-                    value: recentTrophyList,
-                    inline: false
-                }]);
-            }
-            
-            // Add platinum showcase if user has platinums
-            if (stats.platinum_count > 0) {
-                try {
-                    const platinums = await database.getPlatinumTrophies(targetUser.id);
-                    
-                    if (platinums && platinums.length > 0) {
-                        const latestPlatinum = platinums[0];
-                        embed.addFields([{
-                            name: '🏆 Latest Platinum',
-                            value: `**${latestPlatinum.trophy_name}**\n🎮 ${latestPlatinum.game_title}\n⏰ <t:${Math.floor(new Date(latestPlatinum.earned_date * 1000).getTime() / 1000)}:R>`,
-                            inline: false
-                        }]);
-                    }
-                } catch (platinumError) {
-                    logger.error('Error getting platinum trophies:', platinumError);
-                    // Continue without platinum showcase
-                }
-            }
-            
-            await interaction.editReply({ embeds: [embed] });
+            // Overview first, then pages of recent trophies and platinums
+            await pagination.reply(interaction, VIEW_KEY, [targetUser.id, accountName ? userData.psn_username : null]);
             logger.info(`Profile command completed successfully for user ${targetUser.id}`);
             
         } catch (error) {
@@ -207,6 +125,172 @@ module.exports = {
     }
 };
 
+/**
+ * Lay out a linked member's profile: an overview page, then their recent
+ * trophies and platinums ten per page
+ * @param {Object} interaction - Command or button interaction
+ * @param {Array<string|null>} args - [discordId, psnUsername], where a null
+ *   username follows the member's primary account
+ * @returns {Promise<Object>} - PagedView
+ */
+async function buildProfileView(interaction, [discordId, psnUsername = null]) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const trophyTracker = interaction.client.trophyTracker;
+
+    const userData = await getLinkedAccount(database, discordId, psnUsername);
+    // The member may have unlinked since the command ran
+    if (!userData || !userData.psn_username) {
+        return {
+            pages: [[{ description: psnUsername
+                ? `**${psnUsername}** is no longer linked to <@${discordId}>.`
+                : `<@${discordId}> no longer has a PlayStation Network account linked.` }]],
+            createEmbed: () => new EmbedBuilder()
+                .setTitle('❌ No PSN Account Linked')
+                .setColor(0xFF0000)
+        };
+    }
+
+    // Get trophy statistics with error handling
+    let stats;
+    try {
+        stats = await trophyTracker.getUserTrophyStats(discordId, userData.psn_account_id);
+    } catch (statsError) {
+        logger.error('Error getting trophy stats:', statsError);
+        stats = {
+            total_trophies: 0,
+            platinum_count: 0,
+            gold_count: 0,
+            silver_count: 0,
+            bronze_count: 0,
+            games_played: 0
+        };
+    }
+
+    // Get recent trophies with error handling
+    let recentTrophies = [];
+    try {
+        recentTrophies = await database.getRecentTrophies(discordId, MAX_RECENT_TROPHIES, userData.psn_account_id) || [];
+    } catch (recentError) {
+        logger.error('Error getting recent trophies:', recentError);
+        // Continue without recent trophies
+    }
+
+    let platinums = [];
+    if (stats.platinum_count > 0) {
+        try {
+            platinums = await database.getPlatinumTrophies(discordId, userData.psn_account_id) || [];
+        } catch (platinumError) {
+            logger.error('Error getting platinum trophies:', platinumError);
+            // Continue without platinum showcase
+        }
+    }
+
+    let otherAccounts = [];
+    try {
+        otherAccounts = (await database.getAccounts(discordId) || [])
+            .filter(account => account.id !== userData.id);
+    } catch (accountsError) {
+        logger.error('Error getting linked accounts:', accountsError);
+    }
+
+    // Calculate trophy level (simplified calculation)
+    const trophyLevel = calculateTrophyLevel(stats);
+
+    const overview = [
+        {
+            name: '📊 Trophy Statistics',
+            value: `
+                🏆 **Total Trophies:** ${stats.total_trophies || 0}
+                🏆 **Platinum:** ${stats.platinum_count || 0}
+                🥇 **Gold:** ${stats.gold_count || 0}
+                🥈 **Silver:** ${stats.silver_count || 0}
+                🥉 **Bronze:** ${stats.bronze_count || 0}
+            `,
+            inline: true
+        },
+        {
+            name: '🎮 Gaming Statistics',
+            value: `
+                🎯 **Games Played:** ${stats.games_played || 0}
+                📊 **Trophy Level:** ${trophyLevel}
+                ⭐ **Completion Rate:** ${calculateCompletionRate(stats)}%
+            `,
+            inline: true
+        },
+        {
+            name: '📅 Account Info',
+            value: `
+                🔗 **Linked:** ${userData.created_at ? `<t:${userData.created_at}:R>` : 'Unknown'}
+                🔄 **Last Check:** ${userData.last_trophy_check ? `<t:${userData.last_trophy_check}:R>` : 'Never'}
+                🔔 **Notifications:** ${userData.notification_enabled ? '✅ On' : '❌ Off'}
+                🛡️ **Ownership:** ${userData.verified_at ? `✅ Verified <t:${userData.verified_at}:R>` : 'Not verified - use `/verify`'}
+            `,
+            inline: false
+        }
+    ];
+
+    if (otherAccounts.length > 0) {
+        overview.push({
+            name: '🔗 Other Linked Accounts',
+            value: otherAccounts
+                .map(account => `**${account.psn_username}**${account.is_primary ? ' (primary)' : ''}`)
+                .join('\n') + '\n\nUse `/profile account:` to view one of them.',
+            inline: false
+        });
+    }
+
+    // Add platinum showcase if user has platinums
+    if (platinums.length > 0) {
+        const latestPlatinum = platinums[0];
+        overview.push({
+            name: '🏆 Latest Platinum',
+            value: `**${latestPlatinum.trophy_name}**\n🎮 ${latestPlatinum.game_title}\n⏰ <t:${latestPlatinum.earned_date}:R>`,
+            inline: false
+        });
+    }
+
+    const recentLines = recentTrophies.map(trophy =>
+        `${getTrophyIcon(trophy.trophy_type)} **${trophy.trophy_name}** <t:${trophy.earned_date}:R>`
+    );
+    const platinumLines = platinums.map(trophy =>
+        `🏆 **${trophy.game_title}** - ${trophy.trophy_name} <t:${trophy.earned_date}:R>`
+    );
+
+    const pages = [
+        overview,
+        ...listPages('🕒 Recent Trophies', recentLines),
+        ...listPages(`🏆 Platinums (${platinums.length})`, platinumLines)
+    ];
+
+    const cachedUser = interaction.client.users?.cache?.get(discordId);
+
+    return {
+        pages,
+        createEmbed: () => new EmbedBuilder()
+            .setTitle(`🏆 ${userData.psn_username}'s Trophy Profile`)
+            .setDescription(`PSN Profile for <@${discordId}>`)
+            .setColor(getTrophyLevelColor(trophyLevel))
+            .setTimestamp(),
+        footer: `Profile for ${userData.psn_username}`,
+        footerIconUrl: cachedUser?.displayAvatarURL()
+    };
+}
+
+/**
+ * Split list lines into one-field pages
+ * @param {string} name - Field name
+ * @param {Array<string>} lines - Lines to list
+ * @returns {Array<Array<Object>>}
+ */
+function listPages(name, lines) {
+    const pages = [];
+    for (let i = 0; i < lines.length; i += ITEMS_PER_PAGE) {
+        pages.push([{ name, value: lines.slice(i, i + ITEMS_PER_PAGE).join('\n'), inline: false }]);
+    }
+    return pages;
+}
+
 /**
  * Calculate trophy level based on points
  * @param {Object} stats - Trophy statistics
@@ -232,6 +316,11 @@ function calculateTrophyLevel(stats) {
 function calculateCompletionRate(stats) {
     if (!stats || !stats.games_played || stats.games_played === 0) return 0;
     
+    // Synced from the user's PSN title list by the game catalog
+    if (stats.average_completion !== null && stats.average_completion !== undefined) {
+        return stats.average_completion;
+    }
+    
     // Simplified calculation based on average trophies per game
     const avgTrophiesPerGame = (stats.total_trophies || 0) / stats.games_played;
     const estimatedCompletionRate = Math.min(avgTrophiesPerGame * 2, 100);
@@ -265,4 +354,6 @@ function getTrophyIcon(trophyType) {
     };
     
     return icons[trophyType] || '🏅';
-} 
\ No newline at end of file
+} 
+
+pagination.register(VIEW_KEY, buildProfileView);
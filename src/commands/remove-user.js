@@ -0,0 +1,168 @@
+/**
+ * Remove User Command - Erase a Member's Data
+ *
+ * Lets administrators erase everything the bot stores about a member, e.g.
+ * when asked to on the member's behalf. The erasure is confirmed with a
+ * button and recorded in the erasure log with the admin who ran it.
+ *
+ * The erasure covers every server, so admins may only erase members of
+ * their own server, and only from inside it.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const sessions = require('../utils/interactionSessions');
+const { isGuildMember } = require('../utils/guildMembership');
+
+const FLOW = 'remove-user';
+const CONFIRM_TTL_MINUTES = 5;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('remove-user')
+        .setDescription('Erase everything the bot stores about a member (Admin only)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The member whose data to erase')
+                .setRequired(true)
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+        const target = interaction.options.getUser('user');
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ Member data can only be erased inside a server.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        let targetInGuild;
+        try {
+            targetInGuild = await isGuildMember(interaction.guild, target.id);
+        } catch (error) {
+            logger.error(`Could not check membership of ${target.id} for remove-user:`, error);
+            await interaction.reply({ content: '❌ Could not check this server\'s members. Please try again later.', ephemeral: true });
+            return;
+        }
+
+        if (!targetInGuild) {
+            await interaction.reply({
+                content: `❌ <@${target.id}> isn't a member of this server. Only their own servers' admins can erase their data.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        let accounts;
+        try {
+            accounts = await database.getAccounts(target.id) || [];
+        } catch (dbError) {
+            logger.error('Database error in remove-user command:', dbError);
+
+            const errorMessage = dbError.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ Database error occurred. Please try again later.';
+
+            await interaction.reply({ content: errorMessage, ephemeral: true });
+            return;
+        }
+
+        const linked = accounts.length > 0
+            ? accounts.map(account => `**${account.psn_username}**`).join(', ')
+            : 'No linked PSN accounts';
+
+        const embed = new EmbedBuilder()
+            .setTitle('⚠️ Erase Member Data')
+            .setDescription(`**Erase everything the bot stores about <@${target.id}>?**\n\nThis removes their linked accounts, trophy history, game progress, settings and account claims in every server.`)
+            .addFields([
+                { name: '🔗 Linked Accounts', value: linked, inline: false },
+                { name: '⚠️ This Action Cannot Be Undone', value: 'The erasure is logged with your name. The member can link again afterwards.', inline: false }
+            ])
+            .setColor(0xFF6600)
+            .setTimestamp();
+
+        const session = await sessions.start(interaction, FLOW, {
+            targetId: target.id,
+            targetName: target.username
+        }, { ttlMinutes: CONFIRM_TTL_MINUTES });
+
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(sessions.customId(session, 'confirm'))
+                    .setLabel('Yes, Erase Data')
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('🗑️'),
+                new ButtonBuilder()
+                    .setCustomId(sessions.customId(session, 'cancel'))
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('❌')
+            );
+
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+    }
+};
+
+/**
+ * Handle the confirm and cancel buttons of an erasure confirmation
+ * @param {Object} interaction - Discord button interaction
+ * @param {Object} session - The confirmation's session
+ * @param {string} action - 'confirm' or 'cancel'
+ */
+async function handleConfirmation(interaction, session, action) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const { targetId, targetName } = session.data;
+
+    // Either button finishes the flow
+    await sessions.end(interaction, session);
+
+    if (action !== 'confirm') {
+        await interaction.update({
+            content: `❌ Cancelled. Nothing was erased for <@${targetId}>.`,
+            embeds: [],
+            components: []
+        });
+        return;
+    }
+
+    try {
+        const erased = await database.eraseUser(targetId, {
+            reason: 'admin',
+            actorId: interaction.user.id,
+            guildId: interaction.guild.id
+        });
+
+        if (!erased) {
+            await interaction.update({
+                content: `ℹ️ The bot doesn't store any data about <@${targetId}>.`,
+                embeds: [],
+                components: []
+            });
+            return;
+        }
+
+        logger.info(`Member data erased: ${targetName} (${targetId}) by ${interaction.user.id}`);
+
+        await interaction.update({
+            content: `✅ Everything stored about <@${targetId}> has been erased.`,
+            embeds: [],
+            components: []
+        });
+    } catch (error) {
+        logger.error('Error erasing member data:', error);
+
+        await interaction.update({
+            content: '❌ An error occurred while erasing the member\'s data. Nothing was removed.',
+            embeds: [],
+            components: []
+        });
+    }
+}
+
+sessions.register(FLOW, handleConfirmation);
@@ -81,22 +81,11 @@ async function handleAddRestriction(interaction, database, logger) {
     const guildId = interaction.guild.id;
     
     try {
-        // Create server_settings table if it doesn't exist
-        await database.run(`
-            CREATE TABLE IF NOT EXISTS server_settings (
-                guild_id TEXT,
-                channel_id TEXT,
-                setting_type TEXT,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                PRIMARY KEY (guild_id, channel_id, setting_type)
-            )
-        `);
-        
         // Add channel restriction
         await database.run(`
-            INSERT OR IGNORE INTO server_settings (guild_id, channel_id, setting_type)
-            VALUES (?, ?, 'allowed_channel')
-        `, [guildId, channel.id]);
+            INSERT OR IGNORE INTO server_settings (guild_id, channel_id, setting_type, created_by)
+            VALUES (?, ?, 'allowed_channel', ?)
+        `, [guildId, channel.id, interaction.user.id]);
     } catch (dbError) {
         logger.error('Database error in handleAddRestriction:', dbError);
         await interaction.reply({
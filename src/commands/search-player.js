@@ -1,12 +1,21 @@
 /**
  * Search Player Command - Find PSN Players by Username
- * 
+ *
  * Allows users to search for PlayStation Network players by username
- * to help find the correct username for linking or browsing
+ * to help find the correct username for linking or browsing. Results are
+ * paged with the shared pagination buttons.
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const PublicPSNApi = require('../utils/publicPsnApi');
+const PsnClient = require('../utils/psnClient');
+const { PsnError } = require('../utils/psnErrors');
+const { autocompletePsnNames } = require('../utils/autocomplete');
+const pagination = require('../utils/pagination');
+
+const VIEW_KEY = 'search';
+const MAX_RESULTS = 50;
+const RESULTS_PER_PAGE = 5;
+const PLAYSTATION_LOGO = 'https://i.imgur.com/5J7RwaR.png';
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -17,11 +26,13 @@ module.exports = {
                 .setDescription('Username or partial username to search for')
                 .setRequired(true)
                 .setMinLength(3)
-                .setMaxLength(16)),
+                .setMaxLength(16)
+                .setAutocomplete(true)),
+
+    autocomplete: autocompletePsnNames,
     
     async execute(interaction) {
         const logger = interaction.client.logger;
-        const psnApi = new PublicPSNApi(logger);
         
         const query = interaction.options.getString('query');
         
@@ -30,11 +41,11 @@ module.exports = {
             
             logger.info(`Searching for PSN players with query: ${query}`);
             
-            // Search for players
-            let searchResults;
             try {
-                searchResults = await psnApi.searchUsers(query, 10);
+                await pagination.reply(interaction, VIEW_KEY, [query]);
             } catch (error) {
+                if (!(error instanceof PsnError)) throw error;
+                
                 logger.error('PSN search error:', error);
                 
                 const embed = new EmbedBuilder()
@@ -43,97 +54,18 @@ module.exports = {
                     .addFields([
                         {
                             name: '🔄 Try Again',
-                            value: 'This could be a temporary issue with PlayStation Network. Please try again in a moment.'
+                            value: error.userMessage || 'This could be a temporary issue with PlayStation Network. Please try again in a moment.'
                         },
                         {
                             name: '💡 Search Tips',
-                            value: '• Use at least 3 characters\\n• Try different variations of the username\\n• PSN usernames are case-sensitive'
+                            value: '• Use at least 3 characters\n• Try different variations of the username\n• PSN usernames are case-sensitive'
                         }
                     ])
                     .setColor('#FF4757');
                 
                 await interaction.editReply({ embeds: [embed] });
-                return;
-            }
-            
-            // Check if no results found
-            if (!searchResults || searchResults.length === 0) {
-                const embed = new EmbedBuilder()
-                    .setTitle('🔍 No Players Found')
-                    .setDescription(`No PlayStation Network players found matching: **${query}**`)
-                    .addFields([
-                        {
-                            name: '💡 Search Tips',
-                            value: '• Try a shorter or longer search term\\n• Check your spelling\\n• Use only letters, numbers, and basic symbols\\n• Some players may have private profiles'
-                        },
-                        {
-                            name: '🔄 Other Options',
-                            value: '• Try `/browse-player` with the exact username if you know it\\n• Ask the player for their exact PSN username\\n• Search with different variations'
-                        }
-                    ])
-                    .setColor('#FFA502')
-                    .setFooter({ text: 'PSN search results may be limited by privacy settings' });
-                
-                await interaction.editReply({ embeds: [embed] });
-                return;
-            }
-            
-            // Create results embed
-            const resultsEmbed = new EmbedBuilder()
-                .setTitle('🔍 PSN Player Search Results')
-                .setDescription(`Found **${searchResults.length}** player${searchResults.length === 1 ? '' : 's'} matching: **${query}**`)
-                .setColor('#00D2FF');
-            
-            // Add each player as a field
-            const playerFields = [];
-            
-            for (let i = 0; i < Math.min(searchResults.length, 10); i++) {
-                const player = searchResults[i];
-                
-                // Add field for each player
-                playerFields.push({
-                    name: `${i + 1}. ${player.onlineId}`,
-                    value: `**Account ID:** \`${player.accountId}\`\\n**Commands:** \`/browse-player ${player.onlineId}\` | \`/link ${player.onlineId}\``,
-                    inline: false
-                });
-            }
-            
-            // Add fields in batches (Discord has a 25 field limit)
-            const batchSize = 5;
-            for (let i = 0; i < playerFields.length; i += batchSize) {
-                const batch = playerFields.slice(i, i + batchSize);
-                resultsEmbed.addFields(batch);
-            }
-            
-            // Add helpful information
-            resultsEmbed.addFields([
-                {
-                    name: '💡 How to Use These Results',
-                    value: '• Click on a username to copy it\\n• Use `/browse-player [username]` to view their public profile\\n• Use `/link [username]` to link that account to your Discord\\n• Account IDs are shown for reference',
-                    inline: false
-                }
-            ]);
-            
-            // Add limitations notice if we hit the limit
-            if (searchResults.length >= 10) {
-                resultsEmbed.addFields([
-                    {
-                        name: '📝 Note',
-                        value: 'Showing first 10 results. Try a more specific search term if you don\'t see the player you\'re looking for.',
-                        inline: false
-                    }
-                ]);
             }
-            
-            resultsEmbed.setFooter({ 
-                text: `Search: "${query}" • Results from PlayStation Network`,
-                iconURL: 'https://i.imgur.com/5J7RwaR.png' // PlayStation logo
-            });
-            
-            await interaction.editReply({ embeds: [resultsEmbed] });
-            
-            logger.info(`Search for "${query}" returned ${searchResults.length} results`);
-            
+        
         } catch (error) {
             logger.error('Error in search-player command:', error);
             
@@ -143,7 +75,7 @@ module.exports = {
                 .addFields([
                     {
                         name: '🔧 What to do',
-                        value: '• Please try the command again\\n• Try a different search term\\n• If the problem persists, contact a server administrator'
+                        value: '• Please try the command again\n• Try a different search term\n• If the problem persists, contact a server administrator'
                     }
                 ])
                 .setColor('#FF4757')
@@ -153,3 +85,72 @@ module.exports = {
         }
     }
 };
+
+/**
+ * Search PSN and lay the results out five players per page
+ * @param {Object} interaction - Command or button interaction
+ * @param {Array<string>} args - [query]
+ * @returns {Promise<Object>} - PagedView
+ */
+async function buildSearchView(interaction, [query]) {
+    const logger = interaction.client.logger;
+    const psnClient = new PsnClient(logger);
+
+    const searchResults = await psnClient.searchUsers(query, MAX_RESULTS);
+    logger.info(`Search for "${query}" returned ${searchResults.length} results`);
+
+    if (searchResults.length === 0) {
+        return {
+            pages: [[
+                {
+                    name: '💡 Search Tips',
+                    value: '• Try a shorter or longer search term\n• Check your spelling\n• Use only letters, numbers, and basic symbols\n• Some players may have private profiles'
+                },
+                {
+                    name: '🔄 Other Options',
+                    value: '• Try `/browse-player` with the exact username if you know it\n• Ask the player for their exact PSN username\n• Search with different variations'
+                }
+            ]],
+            createEmbed: () => new EmbedBuilder()
+                .setTitle('🔍 No Players Found')
+                .setDescription(`No PlayStation Network players found matching: **${query}**`)
+                .setColor('#FFA502'),
+            footer: 'PSN search results may be limited by privacy settings'
+        };
+    }
+
+    const playerSections = searchResults.map((player, index) => ({
+        name: `${index + 1}. ${player.onlineId}`,
+        value: `**Account ID:** \`${player.accountId}\`\n**Commands:** \`/browse-player ${player.onlineId}\` | \`/link ${player.onlineId}\``,
+        inline: false
+    }));
+
+    const helpSection = {
+        name: '💡 How to Use These Results',
+        value: '• Click on a username to copy it\n• Use `/browse-player [username]` to view their public profile\n• Use `/link [username]` to link that account to your Discord\n• Account IDs are shown for reference',
+        inline: false
+    };
+
+    const pages = pagination.chunkSections(playerSections, RESULTS_PER_PAGE).map(page => [...page, helpSection]);
+
+    // Add limitations notice if we hit the limit
+    if (searchResults.length >= MAX_RESULTS) {
+        pages[pages.length - 1].push({
+            name: '📝 Note',
+            value: `Showing the first ${MAX_RESULTS} results. Try a more specific search term if you don't see the player you're looking for.`,
+            inline: false
+        });
+    }
+
+    return {
+        pages,
+        createEmbed: () => new EmbedBuilder()
+            .setTitle('🔍 PSN Player Search Results')
+            .setDescription(`Found **${searchResults.length}** player${searchResults.length === 1 ? '' : 's'} matching: **${query}**`)
+            .setColor('#00D2FF'),
+        footer: `Search: "${query}" • Results from PlayStation Network`,
+        footerIconUrl: PLAYSTATION_LOGO
+    };
+}
+
+pagination.register(VIEW_KEY, buildSearchView);
@@ -5,6 +5,7 @@
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const circuitBreaker = require('../utils/circuitBreaker');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -34,14 +35,16 @@ module.exports = {
                 totalUsers: 0,
                 linkedUsers: 0,
                 totalTrophies: 0,
-                totalGames: 0
+                totalGames: 0,
+                dueAccounts: 0,
+                nextCheckAt: null
             };
             
             try {
                 const users = await database.get('SELECT COUNT(*) as count FROM users');
                 dbStats.totalUsers = users?.count || 0;
                 
-                const linkedUsers = await database.get('SELECT COUNT(*) as count FROM users WHERE psn_username IS NOT NULL');
+                const linkedUsers = await database.get('SELECT COUNT(*) as count FROM psn_accounts');
                 dbStats.linkedUsers = linkedUsers?.count || 0;
                 
                 const trophies = await database.get('SELECT COUNT(*) as count FROM trophies');
@@ -50,11 +53,20 @@ module.exports = {
                 const games = await database.get('SELECT COUNT(*) as count FROM games');
                 dbStats.totalGames = games?.count || 0;
                 
+                const schedule = await database.get(
+                    'SELECT SUM(next_check_at <= ?) as due, MIN(next_check_at) as next FROM psn_accounts',
+                    [Math.floor(Date.now() / 1000)]
+                );
+                dbStats.dueAccounts = schedule?.due || 0;
+                dbStats.nextCheckAt = schedule?.next ?? null;
+                
             } catch (dbError) {
                 logger.error('Error fetching database statistics:', dbError);
                 // Continue with default values
             }
             
+            const psnState = circuitBreaker.getState();
+            
             // Format uptime
             const uptimeFormatted = formatUptime(botStats.uptime);
             
@@ -97,18 +109,23 @@ module.exports = {
                         `,
                         inline: true
                     },
+                    {
+                        name: '🎮 PlayStation Network',
+                        value: formatPsnState(psnState),
+                        inline: false
+                    },
                     {
                         name: '🏆 Trophy Tracking',
                         value: `
-                            ⏱️ **Check Interval:** Every 30 minutes
+                            ⏱️ **Check Interval:** Every 30 minutes for active accounts, up to daily for dormant ones
                             🔄 **Auto-tracking:** ${dbStats.linkedUsers > 0 ? '✅ Active' : '❌ No linked users'}
-                            📊 **Last Check:** ${getLastCheckInfo()}
+                            📊 **Next Check:** ${getNextCheckInfo(dbStats)}
                             🔔 **Notifications:** ${dbStats.linkedUsers > 0 ? '✅ Enabled' : '⚠️ No users'}
                         `,
                         inline: false
                     }
                 ])
-                .setColor(getStatusColor(botStats, dbStats))
+                .setColor(psnState.state === 'closed' ? getStatusColor(botStats, dbStats) : 0xFF0000)
                 .setTimestamp()
                 .setFooter({ 
                     text: `Bot ID: ${client.user.id}`,
@@ -160,6 +177,33 @@ function formatUptime(seconds) {
     }
 }
 
+/**
+ * Describe the PSN circuit breaker for the status embed
+ * @param {Object} psnState - State from circuitBreaker.getState()
+ * @returns {string} Formatted breaker state
+ */
+function formatPsnState(psnState) {
+    if (psnState.state === 'closed') {
+        return psnState.consecutiveFailures > 0
+            ? `🟡 **Reachable** (${psnState.consecutiveFailures} recent failed requests)`
+            : '🟢 **Reachable**';
+    }
+    
+    const openedAt = Math.floor(psnState.openedAt / 1000);
+    const nextRetry = psnState.nextProbeAt
+        ? `<t:${Math.ceil(psnState.nextProbeAt / 1000)}:R>`
+        : 'Testing connection now';
+    const label = psnState.state === 'half_open' ? '🟠 **Recovering**' : '🔴 **Unreachable**';
+    
+    return `
+        ${label}
+        ⏱️ **Since:** <t:${openedAt}:f> (<t:${openedAt}:R>)
+        🔄 **Next Retry:** ${nextRetry}
+        📝 **Last Error:** ${psnState.lastError || 'Unknown'}
+        ⏸️ Scheduled trophy checks are paused
+    `;
+}
+
 /**
  * Get status color based on bot health
  * @param {Object} botStats - Bot statistics
@@ -214,13 +258,16 @@ function getHealthIndicators(botStats, dbStats) {
 }
 
 /**
- * Get information about the last trophy check
- * @returns {string} Last check information
+ * Describe when the next scheduled trophy check is due
+ * @param {Object} dbStats - Database statistics with dueAccounts and nextCheckAt
+ * @returns {string} Next check information
  */
-function getLastCheckInfo() {
-    // This is a simple implementation - you could enhance this to track actual last check times
-    const now = new Date();
-    const nextCheck = new Date(now.getTime() + (30 * 60 * 1000)); // 30 minutes from now
-    
-    return `Next: ${nextCheck.toLocaleTimeString()}`;
+function getNextCheckInfo(dbStats) {
+    if (dbStats.dueAccounts > 0) {
+        return `${dbStats.dueAccounts} account${dbStats.dueAccounts === 1 ? '' : 's'} due now`;
+    }
+    if (dbStats.nextCheckAt === null) {
+        return 'No accounts to check';
+    }
+    return `<t:${dbStats.nextCheckAt}:R>`;
 }
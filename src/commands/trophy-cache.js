@@ -0,0 +1,126 @@
+/**
+ * Trophy Cache Command - Inspect and Invalidate Cached Trophy Lists
+ *
+ * Lets administrators see how well the trophy definition cache is doing
+ * and drop entries, e.g. after a game received new trophies
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const trophyCache = require('../utils/trophyCache');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('trophy-cache')
+        .setDescription('Manage cached game trophy lists (Admin only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('stats')
+                .setDescription('Show cache size and hit rate')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('invalidate')
+                .setDescription('Refetch one game\'s trophy list from PSN on next use')
+                .addStringOption(option =>
+                    option.setName('game')
+                        .setDescription('NP Communication ID of the game, e.g. NPWR20188_00')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('clear')
+                .setDescription('Drop every cached trophy list')
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+    async execute(interaction) {
+        const logger = interaction.client.logger;
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'stats':
+                    await handleStats(interaction);
+                    break;
+                case 'invalidate':
+                    await handleInvalidate(interaction, logger);
+                    break;
+                case 'clear':
+                    await handleClear(interaction, logger);
+                    break;
+            }
+        } catch (error) {
+            logger.error('Error in trophy-cache command:', error);
+            await interaction.reply({
+                content: '❌ An error occurred while managing the trophy cache.',
+                ephemeral: true
+            });
+        }
+    }
+};
+
+/**
+ * Show cache statistics
+ */
+async function handleStats(interaction) {
+    const stats = await trophyCache.getStats();
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    const hitRate = lookups > 0 ? Math.round(((stats.hits + stats.staleHits) / lookups) * 100) : 0;
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗃️ Trophy Cache')
+        .addFields([
+            {
+                name: '📦 Entries',
+                value: `**Cached Games:** ${stats.entries}\n**Due for Refresh:** ${stats.staleEntries}`,
+                inline: true
+            },
+            {
+                name: '🎯 Since Startup',
+                value: `**Hit Rate:** ${hitRate}%\n**Hits:** ${stats.hits + stats.staleHits}\n**PSN Fetches:** ${stats.misses}`,
+                inline: true
+            }
+        ])
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Drop one game from the cache
+ */
+async function handleInvalidate(interaction, logger) {
+    const gameId = interaction.options.getString('game').trim().toUpperCase();
+
+    const removed = await trophyCache.invalidate(gameId);
+    if (!removed) {
+        await interaction.reply({
+            content: `❌ No cached trophy list for \`${gameId}\`.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.reply({
+        content: `✅ Cached trophy list for \`${gameId}\` removed. It will be fetched from PSN on next use.`,
+        ephemeral: true
+    });
+
+    logger.info(`Trophy cache entry ${gameId} invalidated by ${interaction.user.tag}`);
+}
+
+/**
+ * Drop every cached game
+ */
+async function handleClear(interaction, logger) {
+    const removed = await trophyCache.clear();
+
+    await interaction.reply({
+        content: `✅ Trophy cache cleared (${removed} game(s) removed).`,
+        ephemeral: true
+    });
+
+    logger.info(`Trophy cache cleared by ${interaction.user.tag}`);
+}
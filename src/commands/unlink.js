@@ -1,16 +1,30 @@
 /**
- * Unlink Command - Disconnect PlayStation Network Account
+ * Unlink Command - Disconnect PlayStation Network Accounts
  * 
- * Allows users to unlink their PSN account from the Discord bot
- * and remove all stored data
+ * Allows users to unlink one of their PSN accounts from the Discord bot
+ * and remove its stored data. Unlinking the last account erases everything
+ * the bot stores about the member.
  */
 
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const sessions = require('../utils/interactionSessions');
+const { autocompleteLinkedAccounts } = require('../utils/autocomplete');
+const { findAccount, unlinkAccount } = require('../utils/linkedAccounts');
+
+const FLOW = 'unlink';
+const CONFIRM_TTL_MINUTES = 5;
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('unlink')
-        .setDescription('Unlink your PlayStation Network account and remove stored data'),
+        .setDescription('Unlink one of your PlayStation Network accounts and remove its stored data')
+        .addStringOption(option =>
+            option.setName('account')
+                .setDescription('The linked PSN account to remove (needed if you linked several)')
+                .setRequired(false)
+                .setAutocomplete(true)),
+    
+    autocomplete: autocompleteLinkedAccounts,
     
     async execute(interaction) {
         const database = interaction.client.database;
@@ -18,9 +32,9 @@ module.exports = {
         
         try {
             // Check if user has a linked account
-            let existingUser;
+            let accounts;
             try {
-                existingUser = await database.getUser(interaction.user.id);
+                accounts = await database.getAccounts(interaction.user.id) || [];
             } catch (dbError) {
                 logger.error('Database error in unlink command:', dbError);
                 
@@ -35,7 +49,7 @@ module.exports = {
                 return;
             }
             
-            if (!existingUser || !existingUser.psn_username) {
+            if (accounts.length === 0) {
                 const embed = new EmbedBuilder()
                     .setTitle('ℹ️ No PSN Account Linked')
                     .setDescription('You don\'t have a PlayStation Network account linked to your Discord account.')
@@ -53,14 +67,38 @@ module.exports = {
                 return;
             }
             
+            const chosenName = interaction.options.getString('account');
+            
+            // With several accounts linked, removing the wrong one is too easy
+            if (!chosenName && accounts.length > 1) {
+                await interaction.reply({
+                    content: `ℹ️ You have ${accounts.length} PSN accounts linked: ${accounts.map(account => `**${account.psn_username}**`).join(', ')}. Choose the one to remove with \`/unlink account:\`.`,
+                    flags: 64 // InteractionResponseFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const account = findAccount(accounts, chosenName);
+            if (!account) {
+                await interaction.reply({
+                    content: `❌ **${chosenName}** isn't one of your linked PSN accounts.`,
+                    flags: 64 // InteractionResponseFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const lastAccount = accounts.length === 1;
+            
             // Show confirmation embed
             const embed = new EmbedBuilder()
                 .setTitle('⚠️ Unlink PlayStation Network Account')
-                .setDescription(`**Are you sure you want to unlink your PSN account?**\n\nThis will remove **${existingUser.psn_username}** and all associated data.`)
+                .setDescription(`**Are you sure you want to unlink this PSN account?**\n\nThis will remove **${account.psn_username}** and all associated data.`)
                 .addFields([
                     {
                         name: '🗑️ What Will Be Deleted',
-                        value: '• PSN account authentication\n• All stored trophy data\n• Notification settings\n• Game progress data\n• Trophy statistics',
+                        value: lastAccount
+                            ? '• All stored trophy data\n• Notification settings\n• Game progress data\n• Trophy statistics'
+                            : `• Trophy data, game progress and statistics of **${account.psn_username}**\n• Your other linked accounts and settings are kept`,
                         inline: false
                     },
                     {
@@ -72,16 +110,22 @@ module.exports = {
                 .setColor(0xFF6600)
                 .setTimestamp();
             
+            // The buttons stay valid across restarts until the session expires
+            const session = await sessions.start(interaction, FLOW, {
+                accountId: account.id,
+                psnUsername: account.psn_username
+            }, { ttlMinutes: CONFIRM_TTL_MINUTES });
+            
             // Create confirmation buttons
             const row = new ActionRowBuilder()
                 .addComponents(
                     new ButtonBuilder()
-                        .setCustomId('unlink_confirm')
+                        .setCustomId(sessions.customId(session, 'confirm'))
                         .setLabel('Yes, Unlink Account')
                         .setStyle(ButtonStyle.Danger)
                         .setEmoji('🗑️'),
                     new ButtonBuilder()
-                        .setCustomId('unlink_cancel')
+                        .setCustomId(sessions.customId(session, 'cancel'))
                         .setLabel('Cancel')
                         .setStyle(ButtonStyle.Secondary)
                         .setEmoji('❌')
@@ -93,87 +137,6 @@ module.exports = {
                 flags: 64 // InteractionResponseFlags.Ephemeral
             });
             
-            // Wait for button interaction
-            const filter = (i) => i.user.id === interaction.user.id && (i.customId === 'unlink_confirm' || i.customId === 'unlink_cancel');
-            
-            try {
-                const buttonInteraction = await interaction.awaitMessageComponent({ 
-                    filter, 
-                    time: 60000 // 60 seconds timeout
-                });
-                
-                if (buttonInteraction.customId === 'unlink_confirm') {
-                    // Perform unlink
-                    try {
-                        // Delete user data from all tables
-                        await database.run('DELETE FROM users WHERE discord_id = ?', [interaction.user.id]);
-                        await database.run('DELETE FROM trophies WHERE discord_id = ?', [interaction.user.id]);
-                        await database.run('DELETE FROM user_games WHERE discord_id = ?', [interaction.user.id]);
-                        await database.run('DELETE FROM notification_settings WHERE discord_id = ?', [interaction.user.id]);
-                        
-                        logger.info(`PSN account unlinked: ${interaction.user.tag} (${existingUser.psn_username})`);
-                        
-                        const successEmbed = new EmbedBuilder()
-                            .setTitle('✅ PSN Account Unlinked Successfully')
-                            .setDescription(`**${existingUser.psn_username}** has been disconnected and all data removed.`)
-                            .addFields([
-                                {
-                                    name: '🔗 Want to Link Again?',
-                                    value: 'Use `/link` anytime to reconnect your PlayStation Network account.',
-                                    inline: false
-                                }
-                            ])
-                            .setColor(0x00FF00)
-                            .setTimestamp();
-                        
-                        await buttonInteraction.update({ 
-                            embeds: [successEmbed], 
-                            components: [] 
-                        });
-                        
-                    } catch (deleteError) {
-                        logger.error('Error deleting user data during unlink:', deleteError);
-                        
-                        const errorEmbed = new EmbedBuilder()
-                            .setTitle('❌ Unlink Failed')
-                            .setDescription('An error occurred while removing your data. Please try again later.')
-                            .setColor(0xFF0000)
-                            .setTimestamp();
-                        
-                        await buttonInteraction.update({ 
-                            embeds: [errorEmbed], 
-                            components: [] 
-                        });
-                    }
-                    
-                } else {
-                    // User cancelled
-                    const cancelEmbed = new EmbedBuilder()
-                        .setTitle('❌ Unlink Cancelled')
-                        .setDescription(`Your PSN account **${existingUser.psn_username}** remains linked and all data is preserved.`)
-                        .setColor(0x808080)
-                        .setTimestamp();
-                    
-                    await buttonInteraction.update({ 
-                        embeds: [cancelEmbed], 
-                        components: [] 
-                    });
-                }
-                
-            } catch (timeoutError) {
-                // Timeout - remove buttons and show timeout message
-                const timeoutEmbed = new EmbedBuilder()
-                    .setTitle('⏰ Unlink Cancelled')
-                    .setDescription('No response received within 60 seconds. Your account remains linked.')
-                    .setColor(0x808080)
-                    .setTimestamp();
-                
-                await interaction.editReply({ 
-                    embeds: [timeoutEmbed], 
-                    components: [] 
-                });
-            }
-            
         } catch (error) {
             logger.error('Error in unlink command:', error);
             
@@ -184,3 +147,93 @@ module.exports = {
         }
     }
 };
+
+/**
+ * Handle the confirm and cancel buttons of an unlink confirmation
+ * @param {Object} interaction - Discord button interaction
+ * @param {Object} session - The confirmation's session
+ * @param {string} action - 'confirm' or 'cancel'
+ */
+async function handleConfirmation(interaction, session, action) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const discordId = session.ownerId;
+    const { accountId, psnUsername } = session.data;
+    
+    // Either button finishes the flow
+    await sessions.end(interaction, session);
+    
+    if (action !== 'confirm') {
+        const cancelEmbed = new EmbedBuilder()
+            .setTitle('❌ Unlink Cancelled')
+            .setDescription(`Your PSN account **${psnUsername}** remains linked and all data is preserved.`)
+            .setColor(0x808080)
+            .setTimestamp();
+        
+        await interaction.update({ 
+            embeds: [cancelEmbed], 
+            components: [] 
+        });
+        return;
+    }
+    
+    try {
+        const account = await database.get(
+            'SELECT * FROM psn_accounts WHERE id = ? AND discord_id = ?',
+            [accountId, discordId]
+        );
+        
+        if (!account) {
+            await interaction.update({
+                content: `ℹ️ **${psnUsername}** is no longer linked to you.`,
+                embeds: [],
+                components: []
+            });
+            return;
+        }
+        
+        const { primary } = await unlinkAccount(database, account);
+        
+        logger.info(`PSN account unlinked: ${interaction.user.tag} (${psnUsername})`);
+        
+        const successEmbed = new EmbedBuilder()
+            .setTitle('✅ PSN Account Unlinked Successfully')
+            .setDescription(`**${psnUsername}** has been disconnected and all data removed.`)
+            .addFields([
+                primary
+                    ? {
+                        name: '🔗 Still Linked',
+                        value: `**${primary.psn_username}** is your primary account. Use \`/accounts\` to see every account you have linked.`,
+                        inline: false
+                    }
+                    : {
+                        name: '🔗 Want to Link Again?',
+                        value: 'Use `/link` anytime to reconnect your PlayStation Network account.',
+                        inline: false
+                    }
+            ])
+            .setColor(0x00FF00)
+            .setTimestamp();
+        
+        await interaction.update({ 
+            embeds: [successEmbed], 
+            components: [] 
+        });
+        
+    } catch (deleteError) {
+        logger.error('Error deleting user data during unlink:', deleteError);
+        
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Unlink Failed')
+            .setDescription('An error occurred while removing your data. Please try again later.')
+            .setColor(0xFF0000)
+            .setTimestamp();
+        
+        await interaction.update({ 
+            embeds: [errorEmbed], 
+            components: [] 
+        });
+    }
+}
+
+sessions.register(FLOW, handleConfirmation);
@@ -0,0 +1,78 @@
+/**
+ * Verification Command - Server Verification Requirement
+ *
+ * Allows server administrators to require a verified PSN link (/verify)
+ * before members appear on this server's leaderboards.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { isVerificationRequired, setVerificationRequired } = require('../utils/verification');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verification')
+        .setDescription('Configure PSN link verification for this server (Admin only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('require')
+                .setDescription('Only rank members with a verified PSN link on leaderboards')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether leaderboards require verification')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show whether this server requires verification')
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+
+        if (!interaction.guild) {
+            await interaction.reply({
+                content: '❌ Verification can only be configured inside a server.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        try {
+            const guildId = interaction.guild.id;
+
+            if (interaction.options.getSubcommand() === 'require') {
+                const enabled = interaction.options.getBoolean('enabled');
+                await setVerificationRequired(database, guildId, enabled, interaction.user.id);
+                logger.info(`Verification requirement ${enabled ? 'enabled' : 'disabled'} in guild ${guildId} by ${interaction.user.id}`);
+            }
+
+            const required = await isVerificationRequired(database, guildId);
+            const verified = await database.get('SELECT COUNT(*) as count FROM psn_accounts WHERE verified_at IS NOT NULL');
+
+            const embed = new EmbedBuilder()
+                .setTitle('🛡️ PSN Link Verification')
+                .setDescription(required
+                    ? 'Leaderboards in this server only rank members who verified their PSN link with `/verify`.'
+                    : 'Leaderboards in this server rank every linked member. Verified links show a ✅ badge.')
+                .addFields([
+                    { name: 'Required', value: required ? '✅ Yes' : '❌ No', inline: true },
+                    { name: 'Verified Links', value: `${verified?.count || 0} across the bot`, inline: true }
+                ])
+                .setColor(required ? 0x00FF00 : 0x0099FF)
+                .setFooter({ text: 'Use /verification require to change this' });
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+
+        } catch (error) {
+            logger.error('Error in verification command:', error);
+            await interaction.reply({
+                content: '❌ An error occurred while configuring verification.',
+                ephemeral: true
+            });
+        }
+    }
+};
@@ -0,0 +1,158 @@
+/**
+ * Verify Command - Prove Ownership of the Linked PSN Account
+ *
+ * Issues a short code for the member to put in their PSN About Me, then
+ * checks the profile when they press the button. The code stays valid for
+ * the session, so members can take their time editing the profile on
+ * their console.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const PsnClient = require('../utils/psnClient');
+const sessions = require('../utils/interactionSessions');
+const { generateCode, aboutMeContainsCode, markVerified } = require('../utils/verification');
+const { autocompleteLinkedAccounts } = require('../utils/autocomplete');
+const { getLinkedAccount } = require('../utils/linkedAccounts');
+
+const FLOW = 'verify';
+const VERIFY_TTL_MINUTES = 30;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verify')
+        .setDescription('Prove that your linked PSN account is yours')
+        .addStringOption(option =>
+            option.setName('account')
+                .setDescription('Which of your linked PSN accounts to verify (defaults to your primary account)')
+                .setRequired(false)
+                .setAutocomplete(true)),
+
+    autocomplete: autocompleteLinkedAccounts,
+
+    async execute(interaction) {
+        const database = interaction.client.database;
+        const logger = interaction.client.logger;
+
+        let userData;
+        try {
+            userData = await getLinkedAccount(database, interaction.user.id, interaction.options.getString('account'));
+        } catch (dbError) {
+            logger.error('Database error in verify command:', dbError);
+
+            const errorMessage = dbError.message.includes('no such table')
+                ? '❌ Database not properly initialized. Please contact an administrator.'
+                : '❌ Database error occurred. Please try again later.';
+
+            await interaction.reply({ content: errorMessage, ephemeral: true });
+            return;
+        }
+
+        if (!userData || !userData.psn_username) {
+            await interaction.reply({
+                content: '❌ You need to link your PSN account first using `/link`',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (userData.verified_at) {
+            await interaction.reply({
+                content: `✅ **${userData.psn_username}** is already verified as yours (<t:${userData.verified_at}:R>).`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (!new PsnClient(logger).supports('getUserProfile')) {
+            await interaction.reply({
+                content: '❌ Verification isn\'t available on this bot: it needs the authenticated PSN backend (PSN_NPSSO) to read About Me. Please contact the bot owner.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const code = generateCode();
+        const session = await sessions.start(interaction, FLOW, {
+            code,
+            accountId: userData.psn_account_id,
+            psnUsername: userData.psn_username
+        }, { ttlMinutes: VERIFY_TTL_MINUTES });
+
+        const embed = new EmbedBuilder()
+            .setTitle('🛡️ Verify Your PSN Account')
+            .setDescription(`Add this code anywhere in the **About Me** of **${userData.psn_username}**:\n\n\`${code}\``)
+            .addFields([
+                {
+                    name: '📋 Steps',
+                    value: '1. On your console or the PlayStation App, open your profile and edit About Me\n2. Add the code and save\n3. Press **Check** below\n\nYou can remove the code once you\'re verified.',
+                    inline: false
+                }
+            ])
+            .setColor(0x0099FF)
+            .setFooter({ text: `The code expires in ${VERIFY_TTL_MINUTES} minutes` });
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(sessions.customId(session, 'check'))
+                .setLabel('Check')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔍')
+        );
+
+        await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+        logger.info(`Verification code issued to ${interaction.user.id} for PSN: ${userData.psn_username}`);
+    }
+};
+
+/**
+ * Handle the Check button: look for the code in the profile's About Me
+ * @param {Object} interaction - Discord button interaction
+ * @param {Object} session - The verification session
+ */
+async function handleCheck(interaction, session) {
+    const database = interaction.client.database;
+    const logger = interaction.client.logger;
+    const { code, accountId, psnUsername } = session.data;
+
+    let found;
+    try {
+        found = await aboutMeContainsCode(new PsnClient(logger), accountId, code);
+    } catch (error) {
+        logger.error(`Profile lookup failed while verifying ${psnUsername}:`, error);
+        await interaction.reply({
+            content: `❌ ${error.userMessage || 'Could not read your PSN profile. Please try again in a few minutes.'}`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    if (!found) {
+        await interaction.reply({
+            content: `🔍 \`${code}\` isn't in the About Me of **${psnUsername}** yet. PSN can take a minute to show profile changes - save it and press **Check** again.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await sessions.end(interaction, session);
+
+    if (!await markVerified(database, interaction.user.id, accountId)) {
+        await interaction.update({
+            content: '❌ Your linked PSN account changed since this code was issued. Run `/verify` again.',
+            embeds: [],
+            components: []
+        });
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('✅ PSN Account Verified')
+        .setDescription(`**${psnUsername}** is verified as yours. Your link now shows a ✅ badge on leaderboards.`)
+        .setColor(0x00FF00)
+        .setFooter({ text: 'You can remove the code from your About Me now' });
+
+    await interaction.update({ embeds: [embed], components: [] });
+    logger.info(`User ${interaction.user.id} verified PSN account: ${psnUsername}`);
+}
+
+sessions.register(FLOW, handleCheck);
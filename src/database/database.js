@@ -13,17 +13,25 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('./migrator');
 
 class Database {
     constructor() {
         this.db = null;
+        // Marks the async calls made from inside the running transaction
+        this.transactionContext = new AsyncLocalStorage();
+        // Settles once every transaction queued so far has finished
+        this.transactionQueue = Promise.resolve();
+        this.transactionsQueued = 0;
         this.dbPath = process.env.DATABASE_PATH || './data/bot.db';
     }
 
     /**
-     * Initialize the database connection and create tables
+     * Initialize the database connection and apply schema migrations
+     * @param {Object} options - { migrate: false } to connect without migrating
      */
-    async init() {
+    async init(options = {}) {
         try {
             console.log(`🗄️  Initializing database at: ${this.dbPath}`);
             
@@ -55,9 +63,10 @@ class Database {
             await this.run('PRAGMA synchronous = NORMAL');
             console.log(`✅ Database pragmas configured`);
 
-            // Create tables
-            console.log(`📋 Creating database tables...`);
-            await this.createTables();
+            if (options.migrate !== false) {
+                console.log(`📋 Running database migrations...`);
+                await this.migrate();
+            }
             console.log('✅ Database initialized successfully');
 
         } catch (error) {
@@ -70,123 +79,58 @@ class Database {
     }
 
     /**
-     * Create all necessary database tables
-     */
-    async createTables() {
-        const tables = [
-            // Users table - simplified for public PSN data usage
-            `CREATE TABLE IF NOT EXISTS users (
-                discord_id TEXT PRIMARY KEY,
-                psn_username TEXT NOT NULL UNIQUE,
-                psn_account_id TEXT,
-                notifications_enabled BOOLEAN DEFAULT 1,
-                last_trophy_check INTEGER DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-            )`,
-
-            // Trophies table - stores trophy data for tracking
-            `CREATE TABLE IF NOT EXISTS trophies (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                discord_id TEXT,
-                trophy_id TEXT,
-                trophy_name TEXT,
-                trophy_description TEXT,
-                trophy_type TEXT,
-                trophy_icon_url TEXT,
-                game_title TEXT,
-                game_id TEXT,
-                earned_date INTEGER,
-                is_platinum BOOLEAN DEFAULT 0,
-                notified BOOLEAN DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                FOREIGN KEY (discord_id) REFERENCES users (discord_id),
-                UNIQUE(discord_id, trophy_id, game_id)
-            )`,
-
-            // Games table - stores game information
-            `CREATE TABLE IF NOT EXISTS games (
-                game_id TEXT PRIMARY KEY,
-                title TEXT,
-                platform TEXT,
-                icon_url TEXT,
-                trophy_count_bronze INTEGER DEFAULT 0,
-                trophy_count_silver INTEGER DEFAULT 0,
-                trophy_count_gold INTEGER DEFAULT 0,
-                trophy_count_platinum INTEGER DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now'))
-            )`,
-
-            // User games table - tracks user progress in games
-            `CREATE TABLE IF NOT EXISTS user_games (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                discord_id TEXT,
-                game_id TEXT,
-                progress_percentage INTEGER DEFAULT 0,
-                earned_bronze INTEGER DEFAULT 0,
-                earned_silver INTEGER DEFAULT 0,
-                earned_gold INTEGER DEFAULT 0,
-                earned_platinum INTEGER DEFAULT 0,
-                last_played INTEGER,
-                completion_status TEXT DEFAULT 'not_started',
-                FOREIGN KEY (discord_id) REFERENCES users (discord_id),
-                FOREIGN KEY (game_id) REFERENCES games (game_id),
-                UNIQUE(discord_id, game_id)
-            )`,
-
-            // Notifications table - tracks notification preferences
-            `CREATE TABLE IF NOT EXISTS notification_settings (
-                discord_id TEXT PRIMARY KEY,
-                trophy_notifications BOOLEAN DEFAULT 1,
-                platinum_notifications BOOLEAN DEFAULT 1,
-                friend_notifications BOOLEAN DEFAULT 1,
-                weekly_summary BOOLEAN DEFAULT 1,
-                channel_id TEXT,
-                FOREIGN KEY (discord_id) REFERENCES users (discord_id)
-            )`,
-
-            // Server settings table - tracks server-wide configurations
-            `CREATE TABLE IF NOT EXISTS server_settings (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                guild_id TEXT NOT NULL,
-                setting_type TEXT NOT NULL,
-                setting_key TEXT,
-                setting_value TEXT,
-                channel_id TEXT,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                updated_at INTEGER DEFAULT (strftime('%s', 'now')),
-                UNIQUE(guild_id, setting_type, setting_key, channel_id)
-            )`,
-
-            // Trophy cache table - caches public PSN trophy data
-            `CREATE TABLE IF NOT EXISTS trophy_cache (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                np_communication_id TEXT NOT NULL UNIQUE,
-                game_title TEXT,
-                trophy_data TEXT NOT NULL,
-                cached_at INTEGER DEFAULT (strftime('%s', 'now')),
-                expires_at INTEGER NOT NULL
-            )`,
-
-            // User trophy snapshots - tracks user's public trophy state
-            `CREATE TABLE IF NOT EXISTS user_trophy_snapshots (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                discord_id TEXT NOT NULL,
-                psn_account_id TEXT NOT NULL,
-                snapshot_data TEXT NOT NULL,
-                trophy_count_bronze INTEGER DEFAULT 0,
-                trophy_count_silver INTEGER DEFAULT 0,
-                trophy_count_gold INTEGER DEFAULT 0,
-                trophy_count_platinum INTEGER DEFAULT 0,
-                trophy_level INTEGER DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                FOREIGN KEY (discord_id) REFERENCES users (discord_id),
-                UNIQUE(discord_id)
-            )`
-        ];
-
-        for (const tableSQL of tables) {
-            await this.run(tableSQL);
+     * Apply pending schema migrations
+     * @param {Object} options - Passed to Migrator.migrate (e.g. { to: version })
+     * @returns {Promise<Array>} - Migrations that were applied
+     */
+    async migrate(options = {}) {
+        const migrator = new Migrator(this);
+        const applied = await migrator.migrate(options);
+
+        if (applied.length > 0) {
+            console.log(`✅ Applied ${applied.length} migration(s), schema at version ${await migrator.getCurrentVersion()}`);
+        } else {
+            console.log(`✅ Database schema is up to date`);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Run a function inside a transaction. All queries share one
+     * connection, so transactions queue and run one at a time, and queries
+     * from outside wait for them rather than becoming part of one. Calls
+     * made from inside the function join its transaction.
+     * @param {Function} fn - Async function performing the queries
+     * @returns {Promise} - Promise that resolves with the function's result
+     */
+    async transaction(fn) {
+        if (this.transactionContext.getStore()) {
+            return fn();
+        }
+
+        const previous = this.transactionQueue;
+        let release;
+        this.transactionQueue = new Promise(resolve => { release = resolve; });
+        this.transactionsQueued++;
+
+        try {
+            await previous;
+            return await this.transactionContext.run(true, async () => {
+                await this.run('BEGIN IMMEDIATE');
+
+                try {
+                    const result = await fn();
+                    await this.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.run('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            this.transactionsQueued--;
+            release();
         }
     }
 
@@ -197,15 +141,7 @@ class Database {
      * @returns {Promise} - Promise that resolves when query completes
      */
     run(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.run(sql, params, function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({ id: this.lastID, changes: this.changes });
-                }
-            });
-        });
+        return this.query('run', sql, params);
     }
 
     /**
@@ -215,15 +151,7 @@ class Database {
      * @returns {Promise} - Promise that resolves with the row data
      */
     get(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.get(sql, params, (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
-        });
+        return this.query('get', sql, params);
     }
 
     /**
@@ -233,96 +161,184 @@ class Database {
      * @returns {Promise} - Promise that resolves with array of rows
      */
     all(sql, params = []) {
+        return this.query('all', sql, params);
+    }
+
+    /**
+     * Send a query to SQLite once no other caller's transaction is open
+     * @param {string} method - 'run', 'get' or 'all'
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Promise} - { id, changes } for run, else the row or rows
+     */
+    async query(method, sql, params) {
+        while (this.transactionsQueued > 0 && !this.transactionContext.getStore()) {
+            await this.transactionQueue;
+        }
+
         return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
+            this.db[method](sql, params, function(err, result) {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve(method === 'run' ? { id: this.lastID, changes: this.changes } : result);
                 }
             });
         });
     }
 
     // USER MANAGEMENT METHODS
-
-
+    //
+    // users holds a member's own settings and psn_accounts the PSN accounts
+    // they linked, one of them primary. Lookups return account rows joined
+    // with their member's settings.
 
     /**
-     * Get user data by Discord ID
+     * Get a member with their primary PSN account
      * @param {string} discordId - Discord user ID
-     * @returns {Promise} - Promise that resolves with user data
+     * @returns {Promise} - Promise that resolves with the primary account row
+     *   and the member's notifications_enabled, or undefined if not linked
      */
     async getUser(discordId) {
-        const sql = 'SELECT * FROM users WHERE discord_id = ?';
+        const sql = `
+            SELECT a.*, u.notifications_enabled
+            FROM users u
+            JOIN psn_accounts a ON a.discord_id = u.discord_id AND a.is_primary = 1
+            WHERE u.discord_id = ?
+        `;
         return this.get(sql, [discordId]);
     }
 
     /**
-     * Get all users with notification enabled (updated for no-auth)
-     * @returns {Promise} - Promise that resolves with array of users
+     * Get every PSN account a member has linked, primary first
+     * @param {string} discordId - Discord user ID
+     * @returns {Promise} - Promise that resolves with array of account rows
+     */
+    async getAccounts(discordId) {
+        const sql = `
+            SELECT a.*, u.notifications_enabled
+            FROM psn_accounts a
+            JOIN users u ON u.discord_id = a.discord_id
+            WHERE a.discord_id = ?
+            ORDER BY a.is_primary DESC, a.created_at, a.id
+        `;
+        return this.all(sql, [discordId]);
+    }
+
+    /**
+     * Get every linked account of members with notifications enabled, so
+     * each account is checked and announced on its own
+     * @returns {Promise} - Promise that resolves with array of account rows
      */
     async getUsersWithNotifications() {
-        const sql = 'SELECT * FROM users WHERE notifications_enabled = 1 AND psn_username IS NOT NULL';
+        const sql = `
+            SELECT a.*, u.notifications_enabled
+            FROM psn_accounts a
+            JOIN users u ON u.discord_id = a.discord_id
+            WHERE u.notifications_enabled = 1
+        `;
         return this.all(sql);
     }
 
     /**
-     * Get user by PSN username
+     * Get the linked accounts due for a scheduled trophy check, of members
+     * with notifications enabled, longest overdue first
+     * @param {number} now - Current time in Unix seconds
+     * @param {number} limit - Most accounts to return
+     * @returns {Promise} - Promise that resolves with array of account rows
+     */
+    async getAccountsDueForCheck(now, limit) {
+        const sql = `
+            SELECT a.*, u.notifications_enabled
+            FROM psn_accounts a
+            JOIN users u ON u.discord_id = a.discord_id
+            WHERE u.notifications_enabled = 1 AND a.next_check_at <= ?
+            ORDER BY a.next_check_at, a.id
+            LIMIT ?
+        `;
+        return this.all(sql, [now, limit]);
+    }
+
+    /**
+     * Get the linked account with a PSN username
      * @param {string} psnUsername - PSN username
-     * @returns {Promise} - Promise that resolves with user data
+     * @returns {Promise} - Promise that resolves with the account row, whose
+     *   discord_id is the member it is linked to
      */
     async getUserByPsnUsername(psnUsername) {
-        const sql = 'SELECT * FROM users WHERE psn_username = ?';
+        const sql = `
+            SELECT a.*, u.notifications_enabled
+            FROM psn_accounts a
+            JOIN users u ON u.discord_id = a.discord_id
+            WHERE a.psn_username = ?
+        `;
         return this.get(sql, [psnUsername]);
     }
 
     /**
-     * Create a new user record
-     * @param {string} discordId - Discord user ID
-     * @param {Object} userData - User data object
-     * @returns {Promise} - Promise that resolves when user is created
+     * Get the linked account with a PSN account ID. The ID survives PSN
+     * renames, so this finds accounts stored under an old username.
+     * @param {string} psnAccountId - PSN account ID
+     * @returns {Promise} - Promise that resolves with the account row, whose
+     *   discord_id is the member it is linked to
      */
-    async createUser(discordId, userData) {
+    async getUserByPsnAccountId(psnAccountId) {
         const sql = `
-            INSERT INTO users (discord_id, psn_username, psn_account_id, notifications_enabled, last_trophy_check)
-            VALUES (?, ?, ?, ?, ?)
+            SELECT a.*, u.notifications_enabled
+            FROM psn_accounts a
+            JOIN users u ON u.discord_id = a.discord_id
+            WHERE a.psn_account_id = ?
         `;
-        return this.run(sql, [
-            discordId,
-            userData.psn_username,
-            userData.psn_account_id,
-            userData.notifications_enabled || 1,
-            userData.last_trophy_check || 0
-        ]);
+        return this.get(sql, [psnAccountId]);
+    }
+
+    /**
+     * Link a PSN account to a member, creating the member on their first
+     * link. A member's first account becomes their primary account.
+     * @param {string} discordId - Discord user ID
+     * @param {Object} userData - { psn_username, psn_account_id,
+     *   notifications_enabled, last_trophy_check }
+     * @returns {Promise} - Promise that resolves with { id, changes } of the
+     *   new psn_accounts row
+     */
+    async createUser(discordId, userData) {
+        return this.transaction(async () => {
+            await this.run(`
+                INSERT INTO users (discord_id, notifications_enabled)
+                VALUES (?, ?)
+                ON CONFLICT (discord_id) DO NOTHING
+            `, [discordId, userData.notifications_enabled ?? 1]);
+
+            const sql = `
+                INSERT INTO psn_accounts (discord_id, psn_username, psn_account_id, last_trophy_check, is_primary)
+                SELECT ?, ?, ?, ?, NOT EXISTS (
+                    SELECT 1 FROM psn_accounts WHERE discord_id = ? AND is_primary = 1
+                )
+            `;
+            return this.run(sql, [
+                discordId,
+                userData.psn_username,
+                userData.psn_account_id,
+                userData.last_trophy_check || 0,
+                discordId
+            ]);
+        });
     }
 
     /**
-     * Update user record
+     * Update a member's own settings
      * @param {string} discordId - Discord user ID
-     * @param {Object} updateData - Data to update
+     * @param {Object} updateData - { notifications_enabled, updated_at }
      * @returns {Promise} - Promise that resolves when user is updated
      */
     async updateUser(discordId, updateData) {
         const fields = [];
         const values = [];
         
-        if (updateData.psn_username !== undefined) {
-            fields.push('psn_username = ?');
-            values.push(updateData.psn_username);
-        }
-        if (updateData.psn_account_id !== undefined) {
-            fields.push('psn_account_id = ?');
-            values.push(updateData.psn_account_id);
-        }
         if (updateData.notifications_enabled !== undefined) {
             fields.push('notifications_enabled = ?');
             values.push(updateData.notifications_enabled);
         }
-        if (updateData.last_trophy_check !== undefined) {
-            fields.push('last_trophy_check = ?');
-            values.push(updateData.last_trophy_check);
-        }
         if (updateData.updated_at !== undefined) {
             fields.push('updated_at = ?');
             values.push(updateData.updated_at);
@@ -339,7 +355,9 @@ class Database {
     }
 
     /**
-     * Delete user record
+     * Delete user record. Rows of tables referencing users go with it, but
+     * claims, sessions and audit names stay behind, so members are removed
+     * with eraseUser instead.
      * @param {string} discordId - Discord user ID
      * @returns {Promise} - Promise that resolves when user is deleted
      */
@@ -348,6 +366,39 @@ class Database {
         return this.run(sql, [discordId]);
     }
 
+    /**
+     * Erase everything stored about a member in one transaction and keep a
+     * minimal record of it in erasure_log. Linked accounts, trophy history
+     * and settings cascade from users; claims and sessions are deleted here,
+     * and the member's name is cleared from guild settings and claim reviews,
+     * which belong to the guild.
+     * @param {string} discordId - Discord user ID
+     * @param {Object} audit - { reason, actorId, guildId }, where reason is
+     *   'unlink', 'transfer' or 'admin' and actorId is who asked for the erasure
+     * @returns {Promise<boolean>} - False if nothing was stored about the member
+     */
+    async eraseUser(discordId, audit) {
+        return this.transaction(async () => {
+            const erased = [
+                await this.run('DELETE FROM users WHERE discord_id = ?', [discordId]),
+                await this.run('DELETE FROM link_disputes WHERE claimant_id = ? OR holder_id = ?', [discordId, discordId]),
+                await this.run('DELETE FROM interaction_sessions WHERE owner_id = ?', [discordId]),
+                await this.run('UPDATE link_disputes SET reviewer_id = NULL WHERE reviewer_id = ?', [discordId]),
+                await this.run('UPDATE server_settings SET created_by = NULL WHERE created_by = ?', [discordId])
+            ];
+
+            if (!erased.some(result => result.changes > 0)) {
+                return false;
+            }
+
+            await this.run(
+                'INSERT INTO erasure_log (discord_id, reason, actor_id, guild_id) VALUES (?, ?, ?, ?)',
+                [discordId, audit.reason, audit.actorId || null, audit.guildId || null]
+            );
+            return true;
+        });
+    }
+
     // TROPHY MANAGEMENT METHODS
 
     /**
@@ -357,68 +408,88 @@ class Database {
      */
     async saveTrophy(trophyData) {
         const {
-            discordId, trophyId, trophyName, trophyDescription,
+            discordId, psnAccountId, trophyId, trophyName, trophyDescription,
             trophyType, trophyIconUrl, gameTitle, gameId,
             earnedDate, isPlatinum = false
         } = trophyData;
 
         const sql = `
             INSERT OR IGNORE INTO trophies 
-            (discord_id, trophy_id, trophy_name, trophy_description, trophy_type, trophy_icon_url, game_title, game_id, earned_date, is_platinum)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            (discord_id, psn_account_id, trophy_id, trophy_name, trophy_description, trophy_type, trophy_icon_url, game_title, game_id, earned_date, is_platinum)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         return this.run(sql, [
-            discordId, trophyId, trophyName, trophyDescription,
+            discordId, psnAccountId, trophyId, trophyName, trophyDescription,
             trophyType, trophyIconUrl, gameTitle, gameId,
             earnedDate, isPlatinum
         ]);
     }
 
+    /**
+     * Get the (game, trophy) pairs already stored for a linked account
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account ID
+     * @returns {Promise} - Promise that resolves with array of { game_id, trophy_id } rows
+     */
+    async getStoredTrophyKeys(discordId, psnAccountId) {
+        const sql = 'SELECT game_id, trophy_id FROM trophies WHERE discord_id = ? AND psn_account_id = ?';
+        return this.all(sql, [discordId, psnAccountId]);
+    }
+
     /**
      * Get recent trophies for a user
      * @param {string} discordId - Discord user ID
      * @param {number} limit - Number of trophies to return
+     * @param {string} psnAccountId - Only this linked account; omit for all of them
      * @returns {Promise} - Promise that resolves with array of trophies
      */
-    async getRecentTrophies(discordId, limit = 10) {
+    async getRecentTrophies(discordId, limit = 10, psnAccountId = null) {
         const sql = `
             SELECT * FROM trophies 
-            WHERE discord_id = ? 
+            WHERE discord_id = ?${psnAccountId ? ' AND psn_account_id = ?' : ''}
             ORDER BY earned_date DESC 
             LIMIT ?
         `;
-        return this.all(sql, [discordId, limit]);
+        return this.all(sql, psnAccountId ? [discordId, psnAccountId, limit] : [discordId, limit]);
     }
 
     /**
      * Get platinum trophies for a user
      * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - Only this linked account; omit for all of them
      * @returns {Promise} - Promise that resolves with array of platinum trophies
      */
-    async getPlatinumTrophies(discordId) {
+    async getPlatinumTrophies(discordId, psnAccountId = null) {
         const sql = `
             SELECT * FROM trophies 
-            WHERE discord_id = ? AND is_platinum = 1 
+            WHERE discord_id = ? AND is_platinum = 1${psnAccountId ? ' AND psn_account_id = ?' : ''}
             ORDER BY earned_date DESC
         `;
-        return this.all(sql, [discordId]);
+        return this.all(sql, psnAccountId ? [discordId, psnAccountId] : [discordId]);
     }
 
     /**
-     * Update last trophy check time for a user
+     * Record a complete trophy check of a linked account; the first one
+     * also marks its trophies as synced
      * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account ID
      * @returns {Promise} - Promise that resolves when updated
      */
-    async updateLastTrophyCheck(discordId) {
-        const sql = 'UPDATE users SET last_trophy_check = strftime(\'%s\', \'now\') WHERE discord_id = ?';
-        return this.run(sql, [discordId]);
+    async updateLastTrophyCheck(discordId, psnAccountId) {
+        const sql = `
+            UPDATE psn_accounts
+            SET last_trophy_check = strftime('%s', 'now'),
+                trophies_synced_at = COALESCE(trophies_synced_at, strftime('%s', 'now'))
+            WHERE discord_id = ? AND psn_account_id = ?
+        `;
+        return this.run(sql, [discordId, psnAccountId]);
     }
 
     // GAME MANAGEMENT METHODS
 
     /**
-     * Save game information
+     * Save game information, updating the stored row if the game is known
      * @param {Object} gameData - Game data object
      * @returns {Promise} - Promise that resolves when game is saved
      */
@@ -429,10 +500,21 @@ class Database {
             trophyCountGold = 0, trophyCountPlatinum = 0
         } = gameData;
 
+        // An upsert rather than INSERT OR REPLACE, which would delete the
+        // row that user_games references and reset created_at
         const sql = `
-            INSERT OR REPLACE INTO games 
-            (game_id, title, platform, icon_url, trophy_count_bronze, trophy_count_silver, trophy_count_gold, trophy_count_platinum)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO games 
+            (game_id, title, platform, icon_url, trophy_count_bronze, trophy_count_silver, trophy_count_gold, trophy_count_platinum, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+            ON CONFLICT (game_id) DO UPDATE SET
+                title = excluded.title,
+                platform = COALESCE(excluded.platform, games.platform),
+                icon_url = COALESCE(excluded.icon_url, games.icon_url),
+                trophy_count_bronze = excluded.trophy_count_bronze,
+                trophy_count_silver = excluded.trophy_count_silver,
+                trophy_count_gold = excluded.trophy_count_gold,
+                trophy_count_platinum = excluded.trophy_count_platinum,
+                updated_at = excluded.updated_at
         `;
 
         return this.run(sql, [
@@ -441,6 +523,259 @@ class Database {
         ]);
     }
 
+    /**
+     * Save a linked account's progress in a game
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account ID
+     * @param {Object} userGameData - Progress data object
+     * @returns {Promise} - Promise that resolves when progress is saved
+     */
+    async saveUserGame(discordId, psnAccountId, userGameData) {
+        const {
+            gameId, progressPercentage = 0,
+            earnedBronze = 0, earnedSilver = 0,
+            earnedGold = 0, earnedPlatinum = 0,
+            lastPlayed = null, completionStatus = 'not_started'
+        } = userGameData;
+
+        const sql = `
+            INSERT INTO user_games 
+            (discord_id, psn_account_id, game_id, progress_percentage, earned_bronze, earned_silver, earned_gold, earned_platinum, last_played, completion_status, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+            ON CONFLICT (discord_id, psn_account_id, game_id) DO UPDATE SET
+                progress_percentage = excluded.progress_percentage,
+                earned_bronze = excluded.earned_bronze,
+                earned_silver = excluded.earned_silver,
+                earned_gold = excluded.earned_gold,
+                earned_platinum = excluded.earned_platinum,
+                last_played = excluded.last_played,
+                completion_status = excluded.completion_status,
+                updated_at = excluded.updated_at
+        `;
+
+        return this.run(sql, [
+            discordId, psnAccountId, gameId, progressPercentage,
+            earnedBronze, earnedSilver, earnedGold, earnedPlatinum,
+            lastPlayed, completionStatus
+        ]);
+    }
+
+    /**
+     * Remove a linked account's progress rows for games not in the given list
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account ID
+     * @param {Array<string>} gameIds - Game IDs to keep
+     * @returns {Promise} - Promise that resolves with { changes }
+     */
+    async deleteUserGamesExcept(discordId, psnAccountId, gameIds) {
+        const placeholders = gameIds.map(() => '?').join(', ');
+        const sql = gameIds.length > 0
+            ? `DELETE FROM user_games WHERE discord_id = ? AND psn_account_id = ? AND game_id NOT IN (${placeholders})`
+            : 'DELETE FROM user_games WHERE discord_id = ? AND psn_account_id = ?';
+
+        return this.run(sql, [discordId, psnAccountId, ...gameIds]);
+    }
+
+    /**
+     * Get a user's synced games with their progress
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - Only this linked account; omit for all of them
+     * @returns {Promise} - Promise that resolves with rows of user_games
+     *   joined with the game's title, platform and icon
+     */
+    async getUserGames(discordId, psnAccountId = null) {
+        const sql = `
+            SELECT ug.*, g.title, g.platform, g.icon_url
+            FROM user_games ug
+            JOIN games g ON g.game_id = ug.game_id
+            WHERE ug.discord_id = ?${psnAccountId ? ' AND ug.psn_account_id = ?' : ''}
+            ORDER BY ug.last_played DESC
+        `;
+        return this.all(sql, psnAccountId ? [discordId, psnAccountId] : [discordId]);
+    }
+
+    /**
+     * Get a game from the catalog
+     * @param {string} gameId - NP Communication ID
+     * @returns {Promise} - Promise that resolves with the games row or undefined
+     */
+    async getGame(gameId) {
+        return this.get('SELECT * FROM games WHERE game_id = ?', [gameId]);
+    }
+
+    /**
+     * Find catalog games whose title contains a search term, titles
+     * starting with the term first
+     * @param {string} query - Part of a game title
+     * @param {number} limit - Maximum number of games
+     * @returns {Promise} - Promise that resolves with games rows
+     */
+    async searchGames(query, limit = 25) {
+        const escaped = query.replace(/[\\%_]/g, match => `\\${match}`);
+
+        const sql = `
+            SELECT * FROM games
+            WHERE title LIKE ? ESCAPE '\\'
+            ORDER BY CASE WHEN title LIKE ? ESCAPE '\\' THEN 0 ELSE 1 END, title
+            LIMIT ?
+        `;
+        return this.all(sql, [`%${escaped}%`, `${escaped}%`, limit]);
+    }
+
+    // TROPHY SNAPSHOT METHODS
+
+    /**
+     * Store a linked account's latest PSN trophy summary, replacing the
+     * previous one, and record today's totals in its trophy history
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account ID
+     * @param {Object} summary - Normalized trophy summary from the PSN client
+     * @returns {Promise} - Promise that resolves when the snapshot is saved
+     */
+    async saveTrophySnapshot(discordId, psnAccountId, summary) {
+        const earned = summary.earnedTrophies || {};
+        const counts = [earned.bronze || 0, earned.silver || 0, earned.gold || 0, earned.platinum || 0];
+        const level = summary.trophyLevel || 0;
+        const points = counts[0] * 15 + counts[1] * 30 + counts[2] * 90 + counts[3] * 300;
+
+        const snapshotSql = `
+            INSERT INTO user_trophy_snapshots
+            (discord_id, psn_account_id, snapshot_data, trophy_count_bronze, trophy_count_silver,
+             trophy_count_gold, trophy_count_platinum, trophy_level, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+            ON CONFLICT (discord_id, psn_account_id) DO UPDATE SET
+                snapshot_data = excluded.snapshot_data,
+                trophy_count_bronze = excluded.trophy_count_bronze,
+                trophy_count_silver = excluded.trophy_count_silver,
+                trophy_count_gold = excluded.trophy_count_gold,
+                trophy_count_platinum = excluded.trophy_count_platinum,
+                trophy_level = excluded.trophy_level,
+                created_at = excluded.created_at
+        `;
+
+        // One row per UTC day; later checks that day replace its totals
+        const historySql = `
+            INSERT INTO trophy_history
+            (discord_id, psn_account_id, snapshot_date, trophy_count_bronze, trophy_count_silver,
+             trophy_count_gold, trophy_count_platinum, trophy_level, trophy_points, recorded_at)
+            VALUES (?, ?, date('now'), ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+            ON CONFLICT (discord_id, psn_account_id, snapshot_date) DO UPDATE SET
+                trophy_count_bronze = excluded.trophy_count_bronze,
+                trophy_count_silver = excluded.trophy_count_silver,
+                trophy_count_gold = excluded.trophy_count_gold,
+                trophy_count_platinum = excluded.trophy_count_platinum,
+                trophy_level = excluded.trophy_level,
+                trophy_points = excluded.trophy_points,
+                recorded_at = excluded.recorded_at
+        `;
+
+        return this.transaction(async () => {
+            await this.run(snapshotSql, [discordId, psnAccountId, JSON.stringify(summary), ...counts, level]);
+            return this.run(historySql, [discordId, psnAccountId, ...counts, level, points]);
+        });
+    }
+
+    // TROPHY CACHE METHODS
+
+    /**
+     * Get the cached trophy definitions of a game
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @returns {Promise} - Promise that resolves with the cache row or undefined
+     */
+    async getCachedTrophies(npCommunicationId) {
+        const sql = 'SELECT trophy_data, cached_at, expires_at FROM trophy_cache WHERE np_communication_id = ?';
+        return this.get(sql, [npCommunicationId]);
+    }
+
+    /**
+     * Store a game's trophy definitions in the cache
+     * @param {Object} cacheData - { npCommunicationId, gameTitle, trophyData, expiresAt }
+     * @returns {Promise} - Promise that resolves when the entry is saved
+     */
+    async saveCachedTrophies(cacheData) {
+        const { npCommunicationId, gameTitle = null, trophyData, expiresAt } = cacheData;
+
+        const sql = `
+            INSERT INTO trophy_cache (np_communication_id, game_title, trophy_data, cached_at, expires_at)
+            VALUES (?, ?, ?, strftime('%s', 'now'), ?)
+            ON CONFLICT (np_communication_id) DO UPDATE SET
+                game_title = excluded.game_title,
+                trophy_data = excluded.trophy_data,
+                cached_at = excluded.cached_at,
+                expires_at = excluded.expires_at
+        `;
+
+        return this.run(sql, [npCommunicationId, gameTitle, trophyData, expiresAt]);
+    }
+
+    /**
+     * Remove cached trophy definitions
+     * @param {string} npCommunicationId - Game to remove; omit to clear the whole cache
+     * @returns {Promise} - Promise that resolves with { changes }
+     */
+    async deleteCachedTrophies(npCommunicationId = null) {
+        if (npCommunicationId) {
+            return this.run('DELETE FROM trophy_cache WHERE np_communication_id = ?', [npCommunicationId]);
+        }
+        return this.run('DELETE FROM trophy_cache');
+    }
+
+    // INTERACTION SESSION METHODS
+
+    /**
+     * Store the state of a multi-step interaction flow
+     * @param {Object} sessionData - { token, flow, ownerId, data, expiresAt }
+     * @returns {Promise} - Promise that resolves when the session is saved
+     */
+    async saveSession(sessionData) {
+        const { token, flow, ownerId, data, expiresAt } = sessionData;
+
+        const sql = `
+            INSERT INTO interaction_sessions (token, flow, owner_id, data, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        return this.run(sql, [token, flow, ownerId, data, expiresAt]);
+    }
+
+    /**
+     * Get an interaction session, expired or not
+     * @param {string} token - Session token
+     * @returns {Promise} - Promise that resolves with the session row or undefined
+     */
+    async getSession(token) {
+        const sql = 'SELECT token, flow, owner_id, data, expires_at FROM interaction_sessions WHERE token = ?';
+        return this.get(sql, [token]);
+    }
+
+    /**
+     * Replace the state of an interaction session
+     * @param {string} token - Session token
+     * @param {string} data - Serialized flow state
+     * @returns {Promise} - Promise that resolves with { changes }
+     */
+    async updateSessionData(token, data) {
+        return this.run('UPDATE interaction_sessions SET data = ? WHERE token = ?', [data, token]);
+    }
+
+    /**
+     * Remove an interaction session
+     * @param {string} token - Session token
+     * @returns {Promise} - Promise that resolves with { changes }
+     */
+    async deleteSession(token) {
+        return this.run('DELETE FROM interaction_sessions WHERE token = ?', [token]);
+    }
+
+    /**
+     * Remove interaction sessions that expired before a time
+     * @param {number} now - Unix timestamp in seconds
+     * @returns {Promise} - Promise that resolves with { changes }
+     */
+    async deleteExpiredSessions(now) {
+        return this.run('DELETE FROM interaction_sessions WHERE expires_at <= ?', [now]);
+    }
+
     /**
      * Close the database connection
      */
@@ -0,0 +1,138 @@
+/**
+ * Migration 001 - Initial Schema
+ *
+ * Creates the baseline tables that Database.createTables() used to create.
+ * Uses IF NOT EXISTS so databases created before migrations existed are
+ * adopted as-is; migration 002 reconciles any columns that drifted.
+ */
+
+const tables = {
+    // Users table - simplified for public PSN data usage
+    users: `CREATE TABLE IF NOT EXISTS users (
+        discord_id TEXT PRIMARY KEY,
+        psn_username TEXT NOT NULL UNIQUE,
+        psn_account_id TEXT,
+        notifications_enabled BOOLEAN DEFAULT 1,
+        last_trophy_check INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )`,
+
+    // Trophies table - stores trophy data for tracking
+    trophies: `CREATE TABLE IF NOT EXISTS trophies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_id TEXT,
+        trophy_id TEXT,
+        trophy_name TEXT,
+        trophy_description TEXT,
+        trophy_type TEXT,
+        trophy_icon_url TEXT,
+        game_title TEXT,
+        game_id TEXT,
+        earned_date INTEGER,
+        is_platinum BOOLEAN DEFAULT 0,
+        notified BOOLEAN DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id),
+        UNIQUE(discord_id, trophy_id, game_id)
+    )`,
+
+    // Games table - stores game information
+    games: `CREATE TABLE IF NOT EXISTS games (
+        game_id TEXT PRIMARY KEY,
+        title TEXT,
+        platform TEXT,
+        icon_url TEXT,
+        trophy_count_bronze INTEGER DEFAULT 0,
+        trophy_count_silver INTEGER DEFAULT 0,
+        trophy_count_gold INTEGER DEFAULT 0,
+        trophy_count_platinum INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )`,
+
+    // User games table - tracks user progress in games
+    user_games: `CREATE TABLE IF NOT EXISTS user_games (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_id TEXT,
+        game_id TEXT,
+        progress_percentage INTEGER DEFAULT 0,
+        earned_bronze INTEGER DEFAULT 0,
+        earned_silver INTEGER DEFAULT 0,
+        earned_gold INTEGER DEFAULT 0,
+        earned_platinum INTEGER DEFAULT 0,
+        last_played INTEGER,
+        completion_status TEXT DEFAULT 'not_started',
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id),
+        FOREIGN KEY (game_id) REFERENCES games (game_id),
+        UNIQUE(discord_id, game_id)
+    )`,
+
+    // Notifications table - tracks notification preferences
+    notification_settings: `CREATE TABLE IF NOT EXISTS notification_settings (
+        discord_id TEXT PRIMARY KEY,
+        trophy_notifications BOOLEAN DEFAULT 1,
+        platinum_notifications BOOLEAN DEFAULT 1,
+        friend_notifications BOOLEAN DEFAULT 1,
+        weekly_summary BOOLEAN DEFAULT 1,
+        channel_id TEXT,
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id)
+    )`,
+
+    // Server settings table - tracks server-wide configurations
+    server_settings: `CREATE TABLE IF NOT EXISTS server_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        setting_type TEXT NOT NULL,
+        setting_key TEXT,
+        setting_value TEXT,
+        channel_id TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        UNIQUE(guild_id, setting_type, setting_key, channel_id)
+    )`,
+
+    // Trophy cache table - caches public PSN trophy data
+    trophy_cache: `CREATE TABLE IF NOT EXISTS trophy_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        np_communication_id TEXT NOT NULL UNIQUE,
+        game_title TEXT,
+        trophy_data TEXT NOT NULL,
+        cached_at INTEGER DEFAULT (strftime('%s', 'now')),
+        expires_at INTEGER NOT NULL
+    )`,
+
+    // User trophy snapshots - tracks user's public trophy state
+    user_trophy_snapshots: `CREATE TABLE IF NOT EXISTS user_trophy_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_id TEXT NOT NULL,
+        psn_account_id TEXT NOT NULL,
+        snapshot_data TEXT NOT NULL,
+        trophy_count_bronze INTEGER DEFAULT 0,
+        trophy_count_silver INTEGER DEFAULT 0,
+        trophy_count_gold INTEGER DEFAULT 0,
+        trophy_count_platinum INTEGER DEFAULT 0,
+        trophy_level INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id),
+        UNIQUE(discord_id)
+    )`
+};
+
+module.exports = {
+    version: 1,
+    name: 'initial_schema',
+    tables,
+
+    async up(db) {
+        for (const sql of Object.values(tables)) {
+            await db.run(sql);
+        }
+    },
+
+    async down(db) {
+        // Drop children before parents
+        for (const table of Object.keys(tables).reverse()) {
+            await db.run(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
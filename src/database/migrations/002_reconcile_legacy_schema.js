@@ -0,0 +1,52 @@
+/**
+ * Migration 002 - Reconcile Legacy Schema
+ *
+ * Databases created before migrations existed only ever received
+ * CREATE TABLE IF NOT EXISTS, so their tables kept whatever shape they had
+ * when first created. Older deployments still carry the NPSSO-era users table
+ * (stored access/refresh tokens, nullable psn_username) and the
+ * server_settings table that /restrict used to create on the fly.
+ *
+ * Every table whose columns differ from the initial schema is rebuilt with
+ * the shared columns copied over. Rows that cannot satisfy the current
+ * constraints (e.g. users without a PSN username) and the child rows that
+ * pointed at them are removed.
+ */
+
+const { tables } = require('./001_initial_schema');
+const {
+    tableExists,
+    tableMatches,
+    rebuildTable,
+    deleteForeignKeyViolations
+} = require('../schemaUtils');
+
+module.exports = {
+    version: 2,
+    name: 'reconcile_legacy_schema',
+
+    async up(db) {
+        for (const [table, createSql] of Object.entries(tables)) {
+            if (!(await tableExists(db, table))) {
+                await db.run(createSql);
+                continue;
+            }
+
+            if (await tableMatches(db, table, createSql)) {
+                continue;
+            }
+
+            const { copied, dropped } = await rebuildTable(db, table, createSql);
+            console.log(`🔧 Rebuilt legacy table ${table} (${copied} rows kept, ${dropped} dropped)`);
+        }
+
+        const orphans = await deleteForeignKeyViolations(db);
+        if (orphans > 0) {
+            console.log(`🧹 Removed ${orphans} orphaned rows left behind by legacy data`);
+        }
+    },
+
+    async down() {
+        // Dropped legacy columns (stored PSN tokens) are intentionally not restored
+    }
+};
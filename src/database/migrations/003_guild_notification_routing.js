@@ -0,0 +1,49 @@
+/**
+ * Migration 003 - Guild Notification Routing
+ *
+ * Trophy announcements are routed per guild instead of through the single
+ * notification_settings.channel_id per user. Guild feeds live in
+ * server_settings (setting_type 'notification_channel', like the
+ * 'allowed_channel' rows /restrict writes) and members can opt out of
+ * individual guilds through notification_opt_outs.
+ *
+ * The UNIQUE constraint on server_settings never applied to channel rows
+ * because setting_key is NULL for them, so duplicates are collapsed and a
+ * partial unique index makes INSERT OR IGNORE behave as intended.
+ */
+
+module.exports = {
+    version: 3,
+    name: 'guild_notification_routing',
+
+    async up(db) {
+        await db.run(`
+            DELETE FROM server_settings
+            WHERE setting_key IS NULL AND id NOT IN (
+                SELECT MIN(id) FROM server_settings
+                WHERE setting_key IS NULL
+                GROUP BY guild_id, setting_type, channel_id
+            )
+        `);
+
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_server_settings_channel
+            ON server_settings (guild_id, setting_type, channel_id)
+            WHERE setting_key IS NULL
+        `);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS notification_opt_outs (
+            discord_id TEXT NOT NULL,
+            guild_id TEXT NOT NULL,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            PRIMARY KEY (discord_id, guild_id),
+            FOREIGN KEY (discord_id) REFERENCES users (discord_id)
+        )`);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS notification_opt_outs');
+        await db.run('DROP INDEX IF EXISTS idx_server_settings_channel');
+        await db.run("DELETE FROM server_settings WHERE setting_type = 'notification_channel'");
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 004 - Game Catalog
+ *
+ * The catalog sync keeps games and user_games in step with each linked
+ * user's PSN title list. updated_at records when a row was last synced so
+ * stats built on these tables can say how current they are, and the
+ * game_id index serves per-game lookups across users (leaderboards,
+ * comparisons).
+ */
+
+const { addColumnIfMissing } = require('../schemaUtils');
+
+module.exports = {
+    version: 4,
+    name: 'game_catalog',
+
+    async up(db) {
+        await addColumnIfMissing(db, 'games', 'updated_at', 'INTEGER');
+        await addColumnIfMissing(db, 'user_games', 'updated_at', 'INTEGER');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_user_games_game ON user_games (game_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_user_games_game');
+        await db.run('ALTER TABLE user_games DROP COLUMN updated_at');
+        await db.run('ALTER TABLE games DROP COLUMN updated_at');
+    }
+};
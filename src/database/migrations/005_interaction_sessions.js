@@ -0,0 +1,31 @@
+/**
+ * Migration 005 - Interaction Sessions
+ *
+ * Multi-step flows (page buttons, unlink confirmation, the link modal) keep
+ * their state in interaction_sessions under an opaque token instead of in
+ * component custom IDs or process memory, so they survive a restart.
+ * Rows are dropped once a flow finishes and purged after expires_at.
+ */
+
+module.exports = {
+    version: 5,
+    name: 'interaction_sessions',
+
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS interaction_sessions (
+            token TEXT PRIMARY KEY,
+            flow TEXT NOT NULL,
+            owner_id TEXT NOT NULL,
+            data TEXT,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            expires_at INTEGER NOT NULL
+        )`);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_interaction_sessions_expires ON interaction_sessions (expires_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_interaction_sessions_expires');
+        await db.run('DROP TABLE IF EXISTS interaction_sessions');
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 006 - Link Verification
+ *
+ * users.verified_at records when a member proved they own their linked PSN
+ * account by putting a code in its About Me; NULL means unverified.
+ *
+ * Guild options are stored in server_settings as keyed rows (setting_key
+ * set, channel_id NULL), e.g. setting_type 'leaderboard' with setting_key
+ * 'require_verification'. The table's UNIQUE constraint never applied to
+ * them because channel_id is NULL, so a partial unique index lets them be
+ * upserted.
+ */
+
+const { addColumnIfMissing } = require('../schemaUtils');
+
+module.exports = {
+    version: 6,
+    name: 'link_verification',
+
+    async up(db) {
+        await addColumnIfMissing(db, 'users', 'verified_at', 'INTEGER');
+
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_server_settings_key
+            ON server_settings (guild_id, setting_type, setting_key)
+            WHERE setting_key IS NOT NULL
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_server_settings_key');
+        await db.run('ALTER TABLE users DROP COLUMN verified_at');
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration 007 - Link Disputes
+ *
+ * A member who owns a PSN account linked to someone else files a claim
+ * with /claim. Claims wait in link_disputes until a server admin approves
+ * or denies them from /disputes; an approved claim moves the link and its
+ * trophy history to the claimant. A member can only have one pending claim
+ * per PSN account.
+ */
+
+module.exports = {
+    version: 7,
+    name: 'link_disputes',
+
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS link_disputes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            psn_username TEXT NOT NULL,
+            psn_account_id TEXT NOT NULL,
+            claimant_id TEXT NOT NULL,
+            holder_id TEXT NOT NULL,
+            reason TEXT,
+            proven INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'pending',
+            reviewer_id TEXT,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            resolved_at INTEGER
+        )`);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_link_disputes_queue ON link_disputes (guild_id, status, created_at)');
+
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_link_disputes_pending
+            ON link_disputes (claimant_id, psn_account_id)
+            WHERE status = 'pending'
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_link_disputes_pending');
+        await db.run('DROP INDEX IF EXISTS idx_link_disputes_queue');
+        await db.run('DROP TABLE IF EXISTS link_disputes');
+    }
+};
@@ -0,0 +1,196 @@
+/**
+ * Migration 008 - Linked Accounts
+ *
+ * A member can link several PSN accounts, one of them primary. Accounts
+ * move from users into psn_accounts, leaving users with the member's own
+ * settings. Every existing link becomes its member's primary account.
+ *
+ * trophies and user_games gain psn_account_id, and they and
+ * user_trophy_snapshots are keyed per account instead of per member, so
+ * each account is tracked on its own. Rolling back keeps only the primary
+ * account of each member.
+ */
+
+const { rebuildTable } = require('../schemaUtils');
+
+const accountsTable = `CREATE TABLE IF NOT EXISTS psn_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    discord_id TEXT NOT NULL,
+    psn_username TEXT NOT NULL UNIQUE,
+    psn_account_id TEXT,
+    is_primary INTEGER NOT NULL DEFAULT 0,
+    last_trophy_check INTEGER DEFAULT 0,
+    verified_at INTEGER,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (discord_id) REFERENCES users (discord_id)
+)`;
+
+const tables = {
+    users: `CREATE TABLE users (
+        discord_id TEXT PRIMARY KEY,
+        notifications_enabled BOOLEAN DEFAULT 1,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )`,
+
+    trophies: `CREATE TABLE trophies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_id TEXT,
+        psn_account_id TEXT,
+        trophy_id TEXT,
+        trophy_name TEXT,
+        trophy_description TEXT,
+        trophy_type TEXT,
+        trophy_icon_url TEXT,
+        game_title TEXT,
+        game_id TEXT,
+        earned_date INTEGER,
+        is_platinum BOOLEAN DEFAULT 0,
+        notified BOOLEAN DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id),
+        UNIQUE(discord_id, psn_account_id, trophy_id, game_id)
+    )`,
+
+    user_games: `CREATE TABLE user_games (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_id TEXT,
+        psn_account_id TEXT,
+        game_id TEXT,
+        progress_percentage INTEGER DEFAULT 0,
+        earned_bronze INTEGER DEFAULT 0,
+        earned_silver INTEGER DEFAULT 0,
+        earned_gold INTEGER DEFAULT 0,
+        earned_platinum INTEGER DEFAULT 0,
+        last_played INTEGER,
+        completion_status TEXT DEFAULT 'not_started',
+        updated_at INTEGER,
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id),
+        FOREIGN KEY (game_id) REFERENCES games (game_id),
+        UNIQUE(discord_id, psn_account_id, game_id)
+    )`,
+
+    user_trophy_snapshots: `CREATE TABLE user_trophy_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_id TEXT NOT NULL,
+        psn_account_id TEXT NOT NULL,
+        snapshot_data TEXT NOT NULL,
+        trophy_count_bronze INTEGER DEFAULT 0,
+        trophy_count_silver INTEGER DEFAULT 0,
+        trophy_count_gold INTEGER DEFAULT 0,
+        trophy_count_platinum INTEGER DEFAULT 0,
+        trophy_level INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (discord_id) REFERENCES users (discord_id),
+        UNIQUE(discord_id, psn_account_id)
+    )`
+};
+
+// Shapes from migrations 001, 004 and 006, for rolling back
+const previousTables = {
+    users: `CREATE TABLE users (
+        discord_id TEXT PRIMARY KEY,
+        psn_username TEXT NOT NULL UNIQUE,
+        psn_account_id TEXT,
+        notifications_enabled BOOLEAN DEFAULT 1,
+        last_trophy_check INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        verified_at INTEGER
+    )`,
+
+    trophies: tables.trophies
+        .replace('        psn_account_id TEXT,\n', '')
+        .replace('UNIQUE(discord_id, psn_account_id, trophy_id, game_id)', 'UNIQUE(discord_id, trophy_id, game_id)'),
+
+    user_games: tables.user_games
+        .replace('        psn_account_id TEXT,\n', '')
+        .replace('UNIQUE(discord_id, psn_account_id, game_id)', 'UNIQUE(discord_id, game_id)'),
+
+    user_trophy_snapshots: tables.user_trophy_snapshots
+        .replace('UNIQUE(discord_id, psn_account_id)', 'UNIQUE(discord_id)')
+};
+
+const HISTORY_TABLES = ['trophies', 'user_games', 'user_trophy_snapshots'];
+
+/**
+ * Replace the users table, filling it from a SELECT. rebuildTable can't be
+ * used because the two shapes take their columns from different tables.
+ */
+async function replaceUsers(db, createSql, columns, selectSql) {
+    await db.run(createSql.replace('CREATE TABLE users', 'CREATE TABLE users__rebuild'));
+    await db.run(`INSERT INTO users__rebuild (${columns}) ${selectSql}`);
+    await db.run('DROP TABLE users');
+    await db.run('ALTER TABLE users__rebuild RENAME TO users');
+}
+
+module.exports = {
+    version: 8,
+    name: 'linked_accounts',
+
+    async up(db) {
+        await db.run(accountsTable);
+        await db.run(`
+            INSERT INTO psn_accounts
+            (discord_id, psn_username, psn_account_id, is_primary, last_trophy_check, verified_at, created_at, updated_at)
+            SELECT discord_id, psn_username, psn_account_id, 1, last_trophy_check, verified_at, created_at, updated_at
+            FROM users
+        `);
+
+        await replaceUsers(db, tables.users,
+            'discord_id, notifications_enabled, created_at, updated_at',
+            'SELECT discord_id, notifications_enabled, created_at, updated_at FROM users');
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_psn_accounts_discord ON psn_accounts (discord_id)');
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_psn_accounts_primary
+            ON psn_accounts (discord_id)
+            WHERE is_primary = 1
+        `);
+
+        for (const table of HISTORY_TABLES) {
+            await rebuildTable(db, table, tables[table]);
+        }
+
+        // Existing history belongs to the account each member had linked
+        for (const table of ['trophies', 'user_games']) {
+            await db.run(`
+                UPDATE ${table} SET psn_account_id = (
+                    SELECT a.psn_account_id FROM psn_accounts a
+                    WHERE a.discord_id = ${table}.discord_id AND a.is_primary = 1
+                )
+            `);
+        }
+
+        // Rebuilding dropped the table's indexes
+        await db.run('CREATE INDEX IF NOT EXISTS idx_user_games_game ON user_games (game_id)');
+    },
+
+    async down(db) {
+        // Only the primary account's history fits the old per-member keys
+        for (const table of HISTORY_TABLES) {
+            await db.run(`
+                DELETE FROM ${table} WHERE NOT EXISTS (
+                    SELECT 1 FROM psn_accounts a
+                    WHERE a.discord_id = ${table}.discord_id
+                      AND a.psn_account_id IS ${table}.psn_account_id
+                      AND a.is_primary = 1
+                )
+            `);
+            await rebuildTable(db, table, previousTables[table]);
+        }
+        await db.run('CREATE INDEX IF NOT EXISTS idx_user_games_game ON user_games (game_id)');
+
+        await replaceUsers(db, previousTables.users,
+            'discord_id, psn_username, psn_account_id, notifications_enabled, last_trophy_check, created_at, updated_at, verified_at',
+            `SELECT u.discord_id, a.psn_username, a.psn_account_id, u.notifications_enabled,
+                    a.last_trophy_check, u.created_at, u.updated_at, a.verified_at
+             FROM users u
+             JOIN psn_accounts a ON a.discord_id = u.discord_id AND a.is_primary = 1`);
+
+        await db.run('DROP INDEX IF EXISTS idx_psn_accounts_primary');
+        await db.run('DROP INDEX IF EXISTS idx_psn_accounts_discord');
+        await db.run('DROP TABLE IF EXISTS psn_accounts');
+    }
+};
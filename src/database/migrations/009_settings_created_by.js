@@ -0,0 +1,31 @@
+/**
+ * Migration 009 - Settings Created By
+ *
+ * server_settings.created_by records the member who created a guild
+ * setting, so their data export can include the settings they made.
+ * Notification channels already stored their creator in setting_value;
+ * other existing rows have no known creator and stay NULL.
+ */
+
+const { addColumnIfMissing } = require('../schemaUtils');
+
+module.exports = {
+    version: 9,
+    name: 'settings_created_by',
+
+    async up(db) {
+        await addColumnIfMissing(db, 'server_settings', 'created_by', 'TEXT');
+
+        await db.run(`
+            UPDATE server_settings SET created_by = setting_value
+            WHERE setting_type = 'notification_channel' AND created_by IS NULL
+        `);
+
+        await db.run('CREATE INDEX IF NOT EXISTS idx_server_settings_created_by ON server_settings (created_by)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_server_settings_created_by');
+        await db.run('ALTER TABLE server_settings DROP COLUMN created_by');
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * Migration 010 - Erasure Cascade
+ *
+ * Every table that references users deletes its rows along with the
+ * member, so erasing a member can't leave history behind. The tables are
+ * rebuilt from their live statements with ON DELETE CASCADE added to the
+ * users reference; their indexes are recreated afterwards.
+ *
+ * erasure_log keeps a minimal record of each erasure: whose data was
+ * removed, why, by whom and when - nothing of the data itself.
+ *
+ * Notification channels stop repeating their creator in setting_value;
+ * migration 009 copied it to created_by, which erasure clears.
+ */
+
+const { rebuildTable } = require('../schemaUtils');
+
+const MEMBER_TABLES = [
+    'psn_accounts', 'trophies', 'user_games', 'user_trophy_snapshots',
+    'notification_settings', 'notification_opt_outs'
+];
+
+const USERS_REFERENCE = /REFERENCES users\s*\(\s*discord_id\s*\)(?! ON DELETE)/g;
+
+/**
+ * Rebuild a table from its stored CREATE statement after rewriting it
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @param {Function} rewrite - (createSql) => createSql
+ */
+async function rewriteTable(db, table, rewrite) {
+    const stored = await db.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    if (!stored?.sql) return;
+
+    const rewritten = rewrite(stored.sql);
+    if (rewritten === stored.sql) return;
+
+    // Dropping the old table drops its indexes too
+    const indexes = await db.all(
+        "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+        [table]
+    );
+
+    await rebuildTable(db, table, rewritten);
+
+    for (const index of indexes) {
+        await db.run(index.sql);
+    }
+}
+
+module.exports = {
+    version: 10,
+    name: 'erasure_cascade',
+
+    async up(db) {
+        for (const table of MEMBER_TABLES) {
+            await rewriteTable(db, table, sql => sql.replace(USERS_REFERENCE, '$& ON DELETE CASCADE'));
+        }
+
+        await db.run(`CREATE TABLE IF NOT EXISTS erasure_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            discord_id TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            actor_id TEXT,
+            guild_id TEXT,
+            erased_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )`);
+
+        await db.run("UPDATE server_settings SET setting_value = NULL WHERE setting_type = 'notification_channel'");
+    },
+
+    async down(db) {
+        await db.run("UPDATE server_settings SET setting_value = created_by WHERE setting_type = 'notification_channel'");
+        await db.run('DROP TABLE IF EXISTS erasure_log');
+
+        for (const table of MEMBER_TABLES) {
+            await rewriteTable(db, table, sql => sql.replace(/ ON DELETE CASCADE/g, ''));
+        }
+    }
+};
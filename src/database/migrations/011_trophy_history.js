@@ -0,0 +1,50 @@
+/**
+ * Migration 011 - Trophy History
+ *
+ * user_trophy_snapshots only holds each account's latest PSN totals, so
+ * every trophy check overwrote the one before. trophy_history keeps one row
+ * per account and UTC day with that day's latest totals, level and points,
+ * so progress between two dates can be worked out. Existing snapshots seed
+ * the history on the day they were taken.
+ */
+
+const historyTable = `CREATE TABLE IF NOT EXISTS trophy_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    discord_id TEXT NOT NULL,
+    psn_account_id TEXT NOT NULL,
+    snapshot_date TEXT NOT NULL,
+    trophy_count_bronze INTEGER DEFAULT 0,
+    trophy_count_silver INTEGER DEFAULT 0,
+    trophy_count_gold INTEGER DEFAULT 0,
+    trophy_count_platinum INTEGER DEFAULT 0,
+    trophy_level INTEGER DEFAULT 0,
+    trophy_points INTEGER DEFAULT 0,
+    recorded_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (discord_id) REFERENCES users (discord_id) ON DELETE CASCADE,
+    UNIQUE(discord_id, psn_account_id, snapshot_date)
+)`;
+
+module.exports = {
+    version: 11,
+    name: 'trophy_history',
+
+    async up(db) {
+        await db.run(historyTable);
+
+        await db.run(`
+            INSERT OR IGNORE INTO trophy_history
+            (discord_id, psn_account_id, snapshot_date, trophy_count_bronze, trophy_count_silver,
+             trophy_count_gold, trophy_count_platinum, trophy_level, trophy_points, recorded_at)
+            SELECT discord_id, psn_account_id, date(created_at, 'unixepoch'),
+                   trophy_count_bronze, trophy_count_silver, trophy_count_gold, trophy_count_platinum, trophy_level,
+                   trophy_count_bronze * 15 + trophy_count_silver * 30 + trophy_count_gold * 90 + trophy_count_platinum * 300,
+                   created_at
+            FROM user_trophy_snapshots
+            WHERE created_at IS NOT NULL
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS trophy_history');
+    }
+};
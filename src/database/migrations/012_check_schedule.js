@@ -0,0 +1,25 @@
+/**
+ * Migration 012 - Check Schedule
+ *
+ * psn_accounts.next_check_at holds when each linked account is next due
+ * for a scheduled trophy check, so active accounts can be checked often
+ * and dormant ones about once a day. Existing and newly linked accounts
+ * start at 0, due on the next run.
+ */
+
+const { addColumnIfMissing } = require('../schemaUtils');
+
+module.exports = {
+    version: 12,
+    name: 'check_schedule',
+
+    async up(db) {
+        await addColumnIfMissing(db, 'psn_accounts', 'next_check_at', 'INTEGER NOT NULL DEFAULT 0');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_psn_accounts_next_check ON psn_accounts (next_check_at)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_psn_accounts_next_check');
+        await db.run('ALTER TABLE psn_accounts DROP COLUMN next_check_at');
+    }
+};
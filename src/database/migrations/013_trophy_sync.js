@@ -0,0 +1,25 @@
+/**
+ * Migration 013 - Trophy Sync
+ *
+ * psn_accounts.trophies_synced_at records when the first complete scan of
+ * an account's trophies finished. Until then, trophies found are imported
+ * silently instead of announced. last_trophy_check can't tell this on its
+ * own: accounts linked before the full title scan only stored trophies
+ * earned after linking, so they start unsynced and their backlog is
+ * imported silently on their next check.
+ */
+
+const { addColumnIfMissing } = require('../schemaUtils');
+
+module.exports = {
+    version: 13,
+    name: 'trophy_sync',
+
+    async up(db) {
+        await addColumnIfMissing(db, 'psn_accounts', 'trophies_synced_at', 'INTEGER');
+    },
+
+    async down(db) {
+        await db.run('ALTER TABLE psn_accounts DROP COLUMN trophies_synced_at');
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 014 - Unique PSN Account ID
+ *
+ * psn_accounts was only unique on psn_username, so after a PSN rename a
+ * second member could link the same account under its new name. Each
+ * psn_account_id may now be linked once.
+ *
+ * Existing duplicates keep the verified link, else the earliest one; the
+ * others lose their psn_account_id, which stops their trophy checks until
+ * their member unlinks them or files a /claim.
+ */
+
+module.exports = {
+    version: 14,
+    name: 'unique_psn_account_id',
+
+    async up(db) {
+        await db.run(`
+            UPDATE psn_accounts SET psn_account_id = NULL
+            WHERE psn_account_id IS NOT NULL AND id != (
+                SELECT kept.id FROM psn_accounts kept
+                WHERE kept.psn_account_id = psn_accounts.psn_account_id
+                ORDER BY kept.verified_at IS NULL, kept.id
+                LIMIT 1
+            )
+        `);
+        await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_psn_accounts_account_id
+            ON psn_accounts (psn_account_id) WHERE psn_account_id IS NOT NULL`);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_psn_accounts_account_id');
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration Registry
+ *
+ * Ordered list of schema migrations. Each migration exports
+ * { version, name, up(db), down(db) } and receives the Database instance.
+ * Versions must be unique and increasing; never edit a migration that has
+ * shipped - add a new one instead.
+ */
+
+module.exports = [
+    require('./001_initial_schema'),
+    require('./002_reconcile_legacy_schema'),
+    require('./003_guild_notification_routing'),
+    require('./004_game_catalog'),
+    require('./005_interaction_sessions'),
+    require('./006_link_verification'),
+    require('./007_link_disputes'),
+    require('./008_linked_accounts'),
+    require('./009_settings_created_by'),
+    require('./010_erasure_cascade'),
+    require('./011_trophy_history'),
+    require('./012_check_schedule'),
+    require('./013_trophy_sync'),
+    require('./014_unique_psn_account_id')
+];
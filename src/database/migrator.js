@@ -0,0 +1,202 @@
+/**
+ * Migrator - Versioned schema migrations
+ *
+ * Applies the migrations in src/database/migrations in version order and
+ * records each one in the schema_migrations table. Every migration runs in
+ * its own transaction with foreign keys disabled, so table rebuilds are safe;
+ * the foreign key check runs before commit so a migration can never leave
+ * dangling references behind.
+ */
+
+const defaultMigrations = require('./migrations');
+const { countForeignKeyViolations } = require('./schemaUtils');
+
+class Migrator {
+    /**
+     * @param {Object} database - Database instance (run/get/all/transaction)
+     * @param {Array} migrations - Migration modules, defaults to the registry
+     */
+    constructor(database, migrations = defaultMigrations) {
+        this.database = database;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.validate();
+    }
+
+    /**
+     * Format a migration as it is named on disk, e.g. "002_reconcile_legacy_schema"
+     * @param {Object} migration - Migration module or status entry
+     * @returns {string}
+     */
+    static describe(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+
+    /**
+     * Ensure migration versions are unique positive integers
+     */
+    validate() {
+        const seen = new Set();
+
+        for (const migration of this.migrations) {
+            if (!Number.isInteger(migration.version) || migration.version < 1) {
+                throw new Error(`Invalid migration version: ${migration.version}`);
+            }
+            if (seen.has(migration.version)) {
+                throw new Error(`Duplicate migration version: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${migration.version} must define up() and down()`);
+            }
+            seen.add(migration.version);
+        }
+    }
+
+    /**
+     * Create the schema_migrations table if needed
+     */
+    async ensureMigrationsTable() {
+        await this.database.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )`);
+    }
+
+    /**
+     * Get applied migration records
+     * @returns {Promise<Array>} - Rows of { version, name, applied_at }
+     */
+    async getApplied() {
+        await this.ensureMigrationsTable();
+        const rows = await this.database.all(
+            'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+        );
+        return rows || [];
+    }
+
+    /**
+     * Get the current schema version (0 when nothing is applied)
+     * @returns {Promise<number>}
+     */
+    async getCurrentVersion() {
+        const applied = await this.getApplied();
+        return applied.reduce((max, row) => Math.max(max, row.version || 0), 0);
+    }
+
+    /**
+     * Get the status of every known migration
+     * @returns {Promise<Array>} - Array of { version, name, applied, appliedAt }
+     */
+    async status() {
+        const applied = await this.getApplied();
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+        return this.migrations.map(migration => {
+            const record = appliedByVersion.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: !!record,
+                appliedAt: record ? record.applied_at : null
+            };
+        });
+    }
+
+    /**
+     * Apply all pending migrations up to an optional target version
+     * @param {Object} options - { to: target version }
+     * @returns {Promise<Array>} - Migrations that were applied
+     */
+    async migrate(options = {}) {
+        const target = options.to !== undefined ? options.to : Infinity;
+        const applied = new Set((await this.getApplied()).map(row => row.version));
+        const pending = this.migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+        if (pending.length === 0) {
+            return [];
+        }
+
+        await this.withForeignKeysDisabled(async () => {
+            for (const migration of pending) {
+                console.log(`⬆️  Applying migration ${Migrator.describe(migration)}`);
+
+                await this.database.transaction(async () => {
+                    await migration.up(this.database);
+                    await this.assertForeignKeys(migration);
+                    await this.database.run(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                });
+            }
+        });
+
+        return pending;
+    }
+
+    /**
+     * Revert applied migrations
+     * @param {Object} options - { steps: number of migrations to revert (default 1), to: target version }
+     * @returns {Promise<Array>} - Migrations that were reverted
+     */
+    async rollback(options = {}) {
+        const applied = new Set((await this.getApplied()).map(row => row.version));
+        let candidates = this.migrations
+            .filter(m => applied.has(m.version))
+            .reverse();
+
+        if (options.to !== undefined) {
+            candidates = candidates.filter(m => m.version > options.to);
+        } else {
+            candidates = candidates.slice(0, options.steps || 1);
+        }
+
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        await this.withForeignKeysDisabled(async () => {
+            for (const migration of candidates) {
+                console.log(`⬇️  Reverting migration ${Migrator.describe(migration)}`);
+
+                await this.database.transaction(async () => {
+                    await migration.down(this.database);
+                    await this.assertForeignKeys(migration);
+                    await this.database.run(
+                        'DELETE FROM schema_migrations WHERE version = ?',
+                        [migration.version]
+                    );
+                });
+            }
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Run a function with foreign key enforcement turned off.
+     * The pragma is a no-op inside a transaction, so it wraps the transactions.
+     * @param {Function} fn - Async function to run
+     */
+    async withForeignKeysDisabled(fn) {
+        await this.database.run('PRAGMA foreign_keys = OFF');
+        try {
+            await fn();
+        } finally {
+            await this.database.run('PRAGMA foreign_keys = ON');
+        }
+    }
+
+    /**
+     * Fail the current migration if it left foreign key violations behind
+     * @param {Object} migration - Migration being applied
+     */
+    async assertForeignKeys(migration) {
+        const violations = await countForeignKeyViolations(this.database);
+        if (violations > 0) {
+            throw new Error(`Migration ${Migrator.describe(migration)} left ${violations} foreign key violations`);
+        }
+    }
+}
+
+module.exports = Migrator;
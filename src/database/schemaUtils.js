@@ -0,0 +1,186 @@
+/**
+ * Schema Utilities - Introspection helpers for migrations
+ *
+ * Small helpers around SQLite's pragma functions so migrations can inspect
+ * the live schema instead of assuming it matches what the code expects.
+ * All helpers take the Database instance (run/get/all) as their first argument.
+ */
+
+/**
+ * Point a CREATE TABLE statement at a different table name
+ * @param {string} createSql - CREATE TABLE [IF NOT EXISTS] statement
+ * @param {string} table - Table name used in the statement
+ * @param {string} newName - Table name to create instead
+ * @returns {string}
+ */
+function renameCreateStatement(createSql, table, newName) {
+    const renamed = createSql.replace(
+        // SQLite quotes the name in the stored statement of a renamed table
+        new RegExp(`CREATE TABLE (IF NOT EXISTS )?("${table}"|${table}\\b)`),
+        `CREATE TABLE ${newName}`
+    );
+
+    if (renamed === createSql) {
+        throw new Error(`CREATE TABLE statement does not match table ${table}`);
+    }
+
+    return renamed;
+}
+
+/**
+ * Check whether a table exists
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>}
+ */
+async function tableExists(db, table) {
+    const row = await db.get(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+        [table]
+    );
+    return !!row;
+}
+
+/**
+ * Get the columns of a table
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @returns {Promise<Array>} - Array of { name, type, notnull, pk }
+ */
+async function getColumns(db, table) {
+    const rows = await db.all(
+        'SELECT name, type, "notnull", pk FROM pragma_table_info(?)',
+        [table]
+    );
+    return rows || [];
+}
+
+/**
+ * Check whether a table's columns (names, NOT NULL and primary key) match
+ * what a CREATE TABLE statement would produce
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} createSql - CREATE TABLE [IF NOT EXISTS] statement for the table
+ * @returns {Promise<boolean>}
+ */
+async function tableMatches(db, table, createSql) {
+    const scratchTable = `${table}__expected`;
+
+    await db.run(`DROP TABLE IF EXISTS ${scratchTable}`);
+    await db.run(renameCreateStatement(createSql, table, scratchTable));
+    const expected = await getColumns(db, scratchTable);
+    await db.run(`DROP TABLE ${scratchTable}`);
+
+    const actual = await getColumns(db, table);
+    if (actual.length !== expected.length) {
+        return false;
+    }
+
+    return expected.every(col => actual.some(other =>
+        other.name === col.name &&
+        other.notnull === col.notnull &&
+        other.pk === col.pk
+    ));
+}
+
+/**
+ * Add a column if the table does not have it yet
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints, e.g. "INTEGER DEFAULT 0"
+ * @returns {Promise<boolean>} - True if the column was added
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await getColumns(db, table);
+    if (columns.some(col => col.name === column)) {
+        return false;
+    }
+
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+/**
+ * Rebuild a table from a CREATE TABLE statement, keeping the data of every
+ * column the old and new shapes have in common.
+ *
+ * Follows SQLite's recommended create-copy-drop-rename sequence so that
+ * REFERENCES clauses in other tables keep pointing at the original name.
+ * Must run with foreign keys disabled (the Migrator takes care of that).
+ * Rows that violate the new constraints (NOT NULL, UNIQUE) are dropped.
+ *
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} createSql - CREATE TABLE [IF NOT EXISTS] statement for the table
+ * @returns {Promise<Object>} - { copied, dropped } row counts
+ */
+async function rebuildTable(db, table, createSql) {
+    const tempTable = `${table}__rebuild`;
+    const tempSql = renameCreateStatement(createSql, table, tempTable);
+
+    const oldColumns = (await getColumns(db, table)).map(col => col.name);
+
+    await db.run(`DROP TABLE IF EXISTS ${tempTable}`);
+    await db.run(tempSql);
+
+    const newColumns = (await getColumns(db, tempTable)).map(col => col.name);
+    const shared = newColumns.filter(name => name && oldColumns.includes(name));
+
+    let copied = 0;
+    let total = 0;
+
+    if (shared.length > 0) {
+        const columnList = shared.join(', ');
+        const countRow = await db.get(`SELECT COUNT(*) AS count FROM ${table}`);
+        total = (countRow && countRow.count) || 0;
+
+        const result = await db.run(
+            `INSERT OR IGNORE INTO ${tempTable} (${columnList}) SELECT ${columnList} FROM ${table}`
+        );
+        copied = (result && result.changes) || 0;
+    }
+
+    await db.run(`DROP TABLE ${table}`);
+    await db.run(`ALTER TABLE ${tempTable} RENAME TO ${table}`);
+
+    return { copied, dropped: Math.max(total - copied, 0) };
+}
+
+/**
+ * Count foreign key violations across the whole database
+ * @param {Object} db - Database instance
+ * @returns {Promise<number>}
+ */
+async function countForeignKeyViolations(db) {
+    const row = await db.get('SELECT COUNT(*) AS count FROM pragma_foreign_key_check');
+    return (row && row.count) || 0;
+}
+
+/**
+ * Delete every row that violates a foreign key (orphaned child rows)
+ * @param {Object} db - Database instance
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+async function deleteForeignKeyViolations(db) {
+    const violations = await db.all('SELECT "table", rowid FROM pragma_foreign_key_check') || [];
+    let deleted = 0;
+
+    for (const violation of violations) {
+        if (!violation.table) continue;
+        const result = await db.run(`DELETE FROM ${violation.table} WHERE rowid = ?`, [violation.rowid]);
+        deleted += (result && result.changes) || 0;
+    }
+
+    return deleted;
+}
+
+module.exports = {
+    tableExists,
+    tableMatches,
+    getColumns,
+    addColumnIfMissing,
+    rebuildTable,
+    countForeignKeyViolations,
+    deleteForeignKeyViolations
+};
@@ -0,0 +1,136 @@
+/**
+ * Autocomplete - Suggestions for PSN Name and Game Options
+ *
+ * PSN names are suggested from the current guild's linked members and the
+ * players looked up recently in it, or by the member in DMs. A member's own
+ * accounts are suggested from the accounts they linked, and games from the
+ * local catalog. All suggestions are ranked by fuzzy matching so typos still
+ * find the right entry.
+ *
+ * Commands call these from their `autocomplete` handler, which
+ * interactionCreate routes autocomplete interactions to.
+ */
+
+const { rankMatches } = require('./fuzzyMatch');
+const { getGuildLinkedAccounts } = require('./linkedAccounts');
+const recentPlayers = require('./recentPlayers');
+
+// Discord accepts at most 25 autocomplete choices
+const MAX_CHOICES = 25;
+// Choice names and values are limited to 100 characters
+const MAX_CHOICE_LENGTH = 100;
+
+/**
+ * Respond with PSN names matching the focused option
+ * @param {Object} interaction - Discord autocomplete interaction
+ */
+async function autocompletePsnNames(interaction) {
+    await respondSafely(interaction, async () => {
+        const query = interaction.options.getFocused();
+        const candidates = await getPsnNameCandidates(interaction);
+
+        return rankMatches(query, candidates, candidate => candidate.onlineId, MAX_CHOICES)
+            .map(candidate => ({
+                name: truncate(`${candidate.onlineId} (${candidate.source})`),
+                value: candidate.onlineId
+            }));
+    });
+}
+
+/**
+ * Respond with the PSN accounts a member linked that match the focused
+ * option: the accounts of the command's `user` option if it has one,
+ * otherwise the caller's
+ * @param {Object} interaction - Discord autocomplete interaction
+ */
+async function autocompleteLinkedAccounts(interaction) {
+    await respondSafely(interaction, async () => {
+        const query = interaction.options.getFocused();
+        const discordId = interaction.options.get('user')?.value || interaction.user.id;
+        const accounts = await interaction.client.database.getAccounts(discordId) || [];
+
+        return rankMatches(query, accounts, account => account.psn_username, MAX_CHOICES)
+            .map(account => ({
+                name: truncate(account.is_primary ? `${account.psn_username} (primary)` : account.psn_username),
+                value: account.psn_username
+            }));
+    });
+}
+
+/**
+ * Respond with catalog games matching the focused option; the value is
+ * the game's NP Communication ID
+ * @param {Object} interaction - Discord autocomplete interaction
+ */
+async function autocompleteGames(interaction) {
+    await respondSafely(interaction, async () => {
+        const query = interaction.options.getFocused();
+        const games = await interaction.client.database.all(
+            'SELECT game_id, title, platform FROM games WHERE title IS NOT NULL ORDER BY title'
+        );
+
+        return rankMatches(query, games, game => game.title, MAX_CHOICES)
+            .map(game => ({
+                name: truncate(game.platform ? `${game.title} (${game.platform})` : game.title),
+                value: game.game_id
+            }));
+    });
+}
+
+/**
+ * Collect the PSN names autocomplete can suggest: linked members of the
+ * current guild first, then players recently looked up there
+ * @param {Object} interaction - Discord autocomplete interaction
+ * @returns {Promise<Array<Object>>} - { onlineId, source }, one per name
+ */
+async function getPsnNameCandidates(interaction) {
+    const candidates = new Map();
+
+    if (interaction.guild) {
+        const accounts = await getGuildLinkedAccounts(
+            interaction.client.database,
+            interaction.guild,
+            interaction.client.logger
+        );
+
+        for (const account of accounts) {
+            candidates.set(account.psn_username.toLowerCase(), { onlineId: account.psn_username, source: 'linked member' });
+        }
+    }
+
+    for (const player of recentPlayers.list(recentPlayers.scopeOf(interaction))) {
+        const key = player.onlineId.toLowerCase();
+        if (!candidates.has(key)) {
+            candidates.set(key, { onlineId: player.onlineId, source: 'recently looked up' });
+        }
+    }
+
+    return [...candidates.values()];
+}
+
+/**
+ * Answer an autocomplete interaction, with no choices if building them fails
+ */
+async function respondSafely(interaction, buildChoices) {
+    let choices;
+    try {
+        choices = await buildChoices();
+    } catch (error) {
+        interaction.client.logger.error(`Error building autocomplete choices for ${interaction.commandName}:`, error);
+        choices = [];
+    }
+
+    await interaction.respond(choices);
+}
+
+function truncate(text) {
+    return text.length > MAX_CHOICE_LENGTH ? `${text.slice(0, MAX_CHOICE_LENGTH - 3)}...` : text;
+}
+
+module.exports = {
+    MAX_CHOICES,
+    autocompletePsnNames,
+    autocompleteLinkedAccounts,
+    autocompleteGames,
+    getPsnNameCandidates
+};
@@ -0,0 +1,114 @@
+/**
+ * Game Catalog Sync - PSN Title Lists into games and user_games
+ *
+ * Stores each title's metadata (platform, icon, defined trophy counts) in
+ * games and each linked account's progress in it - completion, earned
+ * counts, last played time and completion status - in user_games. The trophy tracker
+ * syncs every title list it fetches, so profile stats, leaderboards and
+ * comparisons can be answered from the database without calling PSN.
+ */
+
+const COMPLETION_STATUS = {
+    NOT_STARTED: 'not_started',
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed'
+};
+
+/**
+ * Work out a title's completion status from the user's progress
+ * @param {Object} title - Normalized title
+ * @returns {string} - One of COMPLETION_STATUS
+ */
+function getCompletionStatus(title) {
+    if ((title.progress || 0) >= 100) return COMPLETION_STATUS.COMPLETED;
+
+    const earned = title.earnedTrophies || {};
+    const earnedCount = (earned.bronze || 0) + (earned.silver || 0) + (earned.gold || 0) + (earned.platinum || 0);
+    return earnedCount > 0 ? COMPLETION_STATUS.IN_PROGRESS : COMPLETION_STATUS.NOT_STARTED;
+}
+
+/**
+ * Convert a PSN date to unix seconds
+ * @param {string|null} dateTime - ISO date
+ * @returns {number|null}
+ */
+function toUnixSeconds(dateTime) {
+    const time = Date.parse(dateTime);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+class CatalogSync {
+    /**
+     * @param {Object} database - Database instance
+     * @param {Object} logger - Logger instance
+     */
+    constructor(database, logger) {
+        this.database = database;
+        this.logger = logger;
+    }
+
+    /**
+     * Store the complete title list of one of a user's linked accounts.
+     * Titles missing from the list (hidden on PSN since the last sync) are
+     * removed from user_games.
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account the titles belong to
+     * @param {Array<Object>} titles - Every normalized title of the account
+     * @returns {Promise<number>} - Number of titles stored
+     */
+    async syncUserGames(discordId, psnAccountId, titles) {
+        await this.database.transaction(async () => {
+            for (const title of titles) {
+                await this.database.saveGame(this.toGameRecord(title));
+                await this.database.saveUserGame(discordId, psnAccountId, this.toUserGameRecord(title));
+            }
+
+            await this.database.deleteUserGamesExcept(discordId, psnAccountId, titles.map(title => title.npCommunicationId));
+        });
+
+        this.logger.debug(`Synced ${titles.length} games to the catalog for user ${discordId} (account ${psnAccountId})`);
+        return titles.length;
+    }
+
+    /**
+     * @param {Object} title - Normalized title
+     * @returns {Object} - Data for Database.saveGame
+     */
+    toGameRecord(title) {
+        const defined = title.definedTrophies || {};
+
+        return {
+            gameId: title.npCommunicationId,
+            title: title.trophyTitleName,
+            platform: title.trophyTitlePlatform,
+            iconUrl: title.trophyTitleIconUrl,
+            trophyCountBronze: defined.bronze || 0,
+            trophyCountSilver: defined.silver || 0,
+            trophyCountGold: defined.gold || 0,
+            trophyCountPlatinum: defined.platinum || 0
+        };
+    }
+
+    /**
+     * @param {Object} title - Normalized title
+     * @returns {Object} - Data for Database.saveUserGame
+     */
+    toUserGameRecord(title) {
+        const earned = title.earnedTrophies || {};
+
+        return {
+            gameId: title.npCommunicationId,
+            progressPercentage: title.progress || 0,
+            earnedBronze: earned.bronze || 0,
+            earnedSilver: earned.silver || 0,
+            earnedGold: earned.gold || 0,
+            earnedPlatinum: earned.platinum || 0,
+            lastPlayed: toUnixSeconds(title.lastUpdatedDateTime),
+            completionStatus: getCompletionStatus(title)
+        };
+    }
+}
+
+module.exports = CatalogSync;
+module.exports.COMPLETION_STATUS = COMPLETION_STATUS;
+module.exports.getCompletionStatus = getCompletionStatus;
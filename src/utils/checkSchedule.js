@@ -0,0 +1,92 @@
+/**
+ * Check Schedule - Adaptive Trophy Check Intervals
+ *
+ * Each linked account stores when it is next due for a scheduled trophy
+ * check (psn_accounts.next_check_at). After every check the account is
+ * rescheduled by how recently it had trophy activity on PSN: accounts
+ * active in the last day are checked every 30 minutes, backing off to once
+ * a day for dormant ones, so the PSN budget goes to accounts that change.
+ * A member running /check counts as active.
+ *
+ * Activity is the newest of the account's stored trophy earn dates and its
+ * titles' last played times, both refreshed by every check.
+ */
+
+const MINUTE_SECONDS = 60;
+const HOUR_SECONDS = 60 * MINUTE_SECONDS;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+// Interval by time since the account's last activity; the first match wins
+const ACTIVITY_INTERVALS = [
+    { activeWithin: DAY_SECONDS, interval: 30 * MINUTE_SECONDS },
+    { activeWithin: 7 * DAY_SECONDS, interval: 2 * HOUR_SECONDS },
+    { activeWithin: 30 * DAY_SECONDS, interval: 6 * HOUR_SECONDS }
+];
+const DORMANT_INTERVAL = DAY_SECONDS;
+
+// Accounts checked per scheduled run; the rest wait for the next run
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Accounts checked per scheduled run, from TROPHY_CHECK_BATCH_SIZE
+ * @returns {number}
+ */
+function getBatchSize() {
+    return parseInt(process.env.TROPHY_CHECK_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE;
+}
+
+/**
+ * Time until an account's next check
+ * @param {number|null} lastActivity - Unix seconds of its last activity
+ * @param {number} now - Current time in Unix seconds
+ * @returns {number} - Interval in seconds
+ */
+function checkInterval(lastActivity, now) {
+    if (lastActivity) {
+        const match = ACTIVITY_INTERVALS.find(tier => now - lastActivity <= tier.activeWithin);
+        if (match) return match.interval;
+    }
+    return DORMANT_INTERVAL;
+}
+
+/**
+ * Get when an account last had trophy activity
+ * @param {Object} database - Database instance
+ * @param {Object} account - psn_accounts row
+ * @returns {Promise<number|null>} - Unix seconds, or null if never seen
+ */
+async function getLastActivity(database, account) {
+    const row = await database.get(`
+        SELECT MAX(
+            COALESCE((SELECT MAX(earned_date) FROM trophies WHERE discord_id = ? AND psn_account_id = ?), 0),
+            COALESCE((SELECT MAX(last_played) FROM user_games WHERE discord_id = ? AND psn_account_id = ?), 0)
+        ) as last_activity
+    `, [account.discord_id, account.psn_account_id, account.discord_id, account.psn_account_id]);
+    return row?.last_activity || null;
+}
+
+/**
+ * Schedule an account's next trophy check from its recent activity
+ * @param {Object} database - Database instance
+ * @param {Object} account - psn_accounts row
+ * @param {Object} options - { now } in Unix seconds; { requested: true }
+ *   when a member asked for the check, which counts as activity
+ * @returns {Promise<number>} - next_check_at in Unix seconds
+ */
+async function scheduleNextCheck(database, account, options = {}) {
+    const now = options.now || Math.floor(Date.now() / 1000);
+    const lastActivity = options.requested ? now : await getLastActivity(database, account);
+    const nextCheckAt = now + checkInterval(lastActivity, now);
+
+    await database.run('UPDATE psn_accounts SET next_check_at = ? WHERE id = ?', [nextCheckAt, account.id]);
+    return nextCheckAt;
+}
+
+module.exports = {
+    ACTIVITY_INTERVALS,
+    DORMANT_INTERVAL,
+    getBatchSize,
+    checkInterval,
+    getLastActivity,
+    scheduleNextCheck
+};
@@ -0,0 +1,145 @@
+/**
+ * PSN Circuit Breaker - Stop Calling PSN While It Is Down
+ *
+ * Every PsnClient request runs through the shared instance exported here.
+ * After PSN_BREAKER_THRESHOLD consecutive requests fail because PSN is
+ * unreachable or timing out, the breaker opens and requests fail at once
+ * with PsnCircuitOpenError instead of waiting on PSN. After
+ * PSN_BREAKER_COOLDOWN_SECONDS one probe request is let through
+ * (half-open); if it succeeds the breaker closes, otherwise it opens again.
+ *
+ * Any other answer from PSN - including "not found" and private
+ * profiles - proves PSN is reachable and resets the failure count.
+ */
+
+const {
+    PsnError,
+    PsnCircuitOpenError,
+    PsnTimeoutError,
+    PsnUnavailableError
+} = require('./psnErrors');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+     * @param {number} options.cooldownMs - Time open before a probe is allowed
+     * @param {Function} options.now - Clock returning milliseconds
+     * @param {Object} options.logger - Logger instance
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold ||
+            parseInt(process.env.PSN_BREAKER_THRESHOLD, 10) || 5;
+        this.cooldownMs = options.cooldownMs ||
+            (parseInt(process.env.PSN_BREAKER_COOLDOWN_SECONDS, 10) || 300) * 1000;
+        this.now = options.now || Date.now;
+        this.logger = options.logger || null;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a request would be let through right now
+     * @returns {boolean}
+     */
+    isAvailable() {
+        if (this.state === STATES.CLOSED) return true;
+        if (this.state === STATES.HALF_OPEN) return !this.probeInFlight;
+        return this.now() - this.openedAt >= this.cooldownMs;
+    }
+
+    /**
+     * Run a PSN request unless the breaker is open
+     * @param {Function} request - Function performing the request
+     * @returns {Promise<*>} - The request's result
+     */
+    async execute(request) {
+        if (!this.isAvailable()) {
+            throw new PsnCircuitOpenError(
+                `PSN circuit breaker is open since ${new Date(this.openedAt).toISOString()}`,
+                { openedAt: this.openedAt }
+            );
+        }
+
+        const isProbe = this.state !== STATES.CLOSED;
+        if (isProbe) {
+            this.state = STATES.HALF_OPEN;
+            this.probeInFlight = true;
+            this.log('info', '🔌 Probing PlayStation Network after outage');
+        }
+
+        try {
+            const result = await request();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (error instanceof PsnUnavailableError || error instanceof PsnTimeoutError) {
+                this.recordFailure(error);
+            } else if (error instanceof PsnError && !(error instanceof PsnCircuitOpenError)) {
+                // PSN answered, just not with data
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (isProbe) this.probeInFlight = false;
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== STATES.CLOSED) {
+            this.log('info', '✅ PlayStation Network reachable again, circuit breaker closed');
+        }
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * @param {Error} error - Outage failure
+     */
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.lastError = error.message;
+
+        if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+            if (this.state !== STATES.OPEN) {
+                this.log('warn', `🔌 PlayStation Network unreachable after ${this.consecutiveFailures} failed requests, circuit breaker open`);
+            }
+            this.state = STATES.OPEN;
+            this.openedAt = this.now();
+        }
+    }
+
+    /**
+     * Snapshot of the breaker for status reporting
+     * @returns {Object} - { state, consecutiveFailures, openedAt, nextProbeAt, lastError };
+     *   nextProbeAt is only set while open
+     */
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt,
+            nextProbeAt: this.state === STATES.OPEN ? this.openedAt + this.cooldownMs : null,
+            lastError: this.lastError
+        };
+    }
+
+    log(level, message) {
+        if (this.logger) this.logger[level](message);
+    }
+}
+
+module.exports = new CircuitBreaker({ logger: require('./logger') });
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.STATES = STATES;
@@ -0,0 +1,138 @@
+/**
+ * Data Export - Everything Stored About a Member
+ *
+ * Collects every row tied to a Discord member for /mydata export: their
+ * settings, linked PSN accounts, trophies, game progress, snapshots, daily
+ * trophy history, opt-outs, claims they filed or received, the guild
+ * settings they created and the record of any earlier erasure. Rows shared
+ * with other members (claims) are limited to the member's own side, so an
+ * export never holds someone else's ID or text. Short-lived
+ * interaction sessions are left out; they hold in-progress button state
+ * and expire on their own.
+ *
+ * Earned trophies can also be written as CSV for spreadsheets.
+ */
+
+// Exported sections, in the order they appear in the JSON file. Sections
+// without columns export whole rows.
+const EXPORT_SECTIONS = [
+    { key: 'member', table: 'users', where: 'discord_id = ?' },
+    { key: 'psnAccounts', table: 'psn_accounts', where: 'discord_id = ?', order: 'is_primary DESC, created_at' },
+    { key: 'trophies', table: 'trophies', where: 'discord_id = ?', order: 'earned_date' },
+    { key: 'games', table: 'user_games', where: 'discord_id = ?', order: 'psn_account_id, game_id' },
+    { key: 'notificationSettings', table: 'notification_settings', where: 'discord_id = ?' },
+    { key: 'notificationOptOuts', table: 'notification_opt_outs', where: 'discord_id = ?', order: 'guild_id' },
+    { key: 'trophySnapshots', table: 'user_trophy_snapshots', where: 'discord_id = ?', order: 'psn_account_id' },
+    { key: 'trophyHistory', table: 'trophy_history', where: 'discord_id = ?', order: 'psn_account_id, snapshot_date' },
+    {
+        key: 'linkClaims',
+        table: 'link_disputes',
+        columns: ['id', 'guild_id', 'psn_username', 'psn_account_id', 'reason', 'proven', 'status', 'created_at', 'resolved_at'],
+        where: 'claimant_id = ?',
+        order: 'created_at'
+    },
+    {
+        key: 'claimsOnYourAccounts',
+        table: 'link_disputes',
+        columns: ['guild_id', 'psn_username', 'status', 'created_at', 'resolved_at'],
+        where: 'holder_id = ?',
+        order: 'created_at'
+    },
+    { key: 'guildSettings', table: 'server_settings', where: 'created_by = ?', order: 'guild_id, setting_type' },
+    { key: 'erasures', table: 'erasure_log', where: 'discord_id = ?', order: 'erased_at' }
+];
+
+const TROPHY_CSV_COLUMNS = [
+    'psn_account_id', 'game_id', 'game_title', 'trophy_id', 'trophy_name',
+    'trophy_description', 'trophy_type', 'is_platinum', 'earned_date', 'earned_at'
+];
+
+/**
+ * Collect every stored row tied to a member
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {number} now - Export time in Unix seconds
+ * @returns {Promise<Object>} - { exportedAt, discordId, member, ...sections }
+ *   where member is the users row (or null) and every other section is an
+ *   array of rows
+ */
+async function collectMemberData(database, discordId, now = Math.floor(Date.now() / 1000)) {
+    const data = {
+        exportedAt: new Date(now * 1000).toISOString(),
+        discordId
+    };
+
+    for (const section of EXPORT_SECTIONS) {
+        const params = section.where.match(/\?/g).map(() => discordId);
+        const rows = await database.all(
+            `SELECT ${section.columns ? section.columns.join(', ') : '*'} FROM ${section.table} WHERE ${section.where}${section.order ? ` ORDER BY ${section.order}` : ''}`,
+            params
+        );
+        data[section.key] = section.key === 'member' ? rows[0] || null : rows;
+    }
+
+    // Snapshots store PSN's summary as JSON text; export it as an object
+    data.trophySnapshots = data.trophySnapshots.map(snapshot => ({
+        ...snapshot,
+        snapshot_data: parseJson(snapshot.snapshot_data)
+    }));
+
+    return data;
+}
+
+/**
+ * Whether an export holds any stored rows
+ * @param {Object} data - Result of collectMemberData
+ * @returns {boolean}
+ */
+function hasStoredData(data) {
+    return EXPORT_SECTIONS.some(section => (
+        section.key === 'member' ? !!data.member : data[section.key].length > 0
+    ));
+}
+
+/**
+ * Write trophy rows as CSV, one trophy per line
+ * @param {Array<Object>} trophies - trophies rows
+ * @returns {string} - CSV text with a header row
+ */
+function trophiesToCsv(trophies) {
+    const lines = [TROPHY_CSV_COLUMNS.join(',')];
+
+    for (const trophy of trophies) {
+        const row = {
+            ...trophy,
+            earned_at: trophy.earned_date ? new Date(trophy.earned_date * 1000).toISOString() : ''
+        };
+        lines.push(TROPHY_CSV_COLUMNS.map(column => csvField(row[column])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or line breaks
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse stored JSON, keeping the raw text if it isn't valid
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+module.exports = {
+    EXPORT_SECTIONS,
+    collectMemberData,
+    hasStoredData,
+    trophiesToCsv
+};
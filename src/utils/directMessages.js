@@ -0,0 +1,28 @@
+/**
+ * Direct Messages - Best-Effort DMs to Members
+ *
+ * Members can close their DMs or leave every server the bot shares with
+ * them, so a DM that can't be delivered is logged rather than failing the
+ * action that sent it.
+ */
+
+/**
+ * Send a direct message to a Discord user
+ * @param {Object} client - Discord client
+ * @param {string} discordId - Discord user ID
+ * @param {Object} payload - Message options, e.g. { embeds }
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<boolean>} - Whether the message was delivered
+ */
+async function sendDirectMessage(client, discordId, payload, logger) {
+    try {
+        const user = await client.users.fetch(discordId);
+        await user.send(payload);
+        return true;
+    } catch (error) {
+        logger.warn(`Could not DM user ${discordId}: ${error.message}`);
+        return false;
+    }
+}
+
+module.exports = { sendDirectMessage };
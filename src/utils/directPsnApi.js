@@ -7,29 +7,41 @@
  * No authentication required - works with truly public data only.
  */
 
+const http = require('http');
 const https = require('https');
 const { URL } = require('url');
+const { resolvePsnUrl } = require('./psnBaseUrl');
+const { PsnNotFoundError, PsnTimeoutError, toPsnError } = require('./psnErrors');
+const { scheduleRequest } = require('./rateLimiter');
 
 class DirectPSNApi {
-    constructor(logger) {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} options - API options
+     * @param {string} options.psnBaseUrl - Server to send requests to
+     *   instead of PSN, PSN_BASE_URL by default
+     */
+    constructor(logger, options = {}) {
         this.logger = logger;
         this.baseUrl = 'https://web.np.playstation.com';
+        this.psnBaseUrl = options.psnBaseUrl || process.env.PSN_BASE_URL;
         this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
     }
 
     /**
-     * Make an HTTP request to PSN
+     * Make an HTTP request to PSN on the current rate limit budget
      * @param {string} path - API path
      * @param {Object} options - Request options
      * @returns {Promise<Object>} - Response data
      */
     async makeRequest(path, options = {}) {
-        return new Promise((resolve, reject) => {
-            const url = new URL(path, this.baseUrl);
+        return scheduleRequest(() => new Promise((resolve, reject) => {
+            const url = new URL(resolvePsnUrl(new URL(path, this.baseUrl), this.psnBaseUrl));
+            const transport = url.protocol === 'http:' ? http : https;
             
             const requestOptions = {
                 hostname: url.hostname,
-                port: url.port || 443,
+                port: url.port || (transport === http ? 80 : 443),
                 path: url.pathname + url.search,
                 method: options.method || 'GET',
                 headers: {
@@ -55,7 +67,7 @@ class DirectPSNApi {
 
             this.logger.debug(`Making HTTP request to: ${url.href}`);
             
-            const req = https.request(requestOptions, (res) => {
+            const req = transport.request(requestOptions, (res) => {
                 let data = '';
                 
                 res.on('data', (chunk) => {
@@ -74,7 +86,10 @@ class DirectPSNApi {
                             resolve({ rawData: data, statusCode: res.statusCode });
                         }
                     } else {
-                        reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+                        reject(toPsnError(Object.assign(new Error(`HTTP ${res.statusCode}: ${data}`), {
+                            statusCode: res.statusCode,
+                            retryAfter: res.headers['retry-after']
+                        })));
                     }
                 });
             });
@@ -86,7 +101,7 @@ class DirectPSNApi {
 
             req.on('timeout', () => {
                 req.destroy();
-                reject(new Error('Request timeout'));
+                reject(new PsnTimeoutError('Request timeout'));
             });
 
             if (options.body) {
@@ -94,7 +109,7 @@ class DirectPSNApi {
             }
             
             req.end();
-        });
+        }));
     }
 
     /**
@@ -106,6 +121,9 @@ class DirectPSNApi {
         try {
             this.logger.info(`🔍 Validating PSN username via direct HTTP: "${username}"`);
             
+            // Only a lookup that actually answered can prove the user doesn't exist
+            const lookupErrors = [];
+            
             // Method 1: Try to access the public profile page
             try {
                 const profilePath = `/api/graphql/v1/`;
@@ -151,6 +169,7 @@ class DirectPSNApi {
                 }
             } catch (graphqlError) {
                 this.logger.debug(`GraphQL profile lookup failed: ${graphqlError.message}`);
+                lookupErrors.push(graphqlError);
             }
 
             // Method 2: Try to access the public trophy summary
@@ -195,29 +214,11 @@ class DirectPSNApi {
                 }
             } catch (trophyError) {
                 this.logger.debug(`Trophy GraphQL lookup failed: ${trophyError.message}`);
+                lookupErrors.push(trophyError);
             }
 
-            // Method 3: Try to access the public profile HTML page
-            try {
-                const profileUrl = `https://my.playstation.com/profile/${username}`;
-                this.logger.debug(`Trying to access public profile page: ${profileUrl}`);
-                
-                // This would require HTML parsing, but for now we'll just check if the page exists
-                const response = await this.makeRequest(`/profile/${username}`);
-                
-                if (response && !response.error) {
-                    this.logger.info(`✅ Found user via public profile page: ${username}`);
-                    
-                    // Extract account ID from the page if possible
-                    // For now, return a placeholder
-                    return {
-                        accountId: `placeholder_${username}`,
-                        onlineId: username,
-                        avatarUrl: null
-                    };
-                }
-            } catch (profileError) {
-                this.logger.debug(`Public profile page lookup failed: ${profileError.message}`);
+            if (lookupErrors.length === 2) {
+                throw lookupErrors[1];
             }
 
             this.logger.warn(`❌ PSN username "${username}" not found via any direct method`);
@@ -225,7 +226,7 @@ class DirectPSNApi {
             
         } catch (error) {
             this.logger.error(`💥 Direct PSN API validation failed for "${username}":`, error.message);
-            throw new Error(`Failed to validate PSN username "${username}": ${error.message}`);
+            throw toPsnError(error, `Failed to validate PSN username "${username}"`);
         }
     }
 
@@ -287,11 +288,11 @@ class DirectPSNApi {
                 };
             }
 
-            throw new Error('No trophy summary data found');
+            throw new PsnNotFoundError('No trophy summary data found');
             
         } catch (error) {
             this.logger.error('Failed to fetch trophy summary via direct HTTP:', error.message);
-            throw new Error(`Failed to fetch trophy summary: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch trophy summary`);
         }
     }
 
@@ -355,7 +356,7 @@ class DirectPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch user games via direct HTTP:', error.message);
-            return [];
+            throw toPsnError(error, `Failed to fetch user games`);
         }
     }
 
@@ -416,7 +417,7 @@ class DirectPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch game trophies via direct HTTP:', error.message);
-            return [];
+            throw toPsnError(error, `Failed to fetch game trophies`);
         }
     }
 
@@ -471,7 +472,7 @@ class DirectPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to search users via direct HTTP:', error.message);
-            return [];
+            throw toPsnError(error, `User search failed`);
         }
     }
 }
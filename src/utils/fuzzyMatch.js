@@ -0,0 +1,108 @@
+/**
+ * Fuzzy Match - Typo-Tolerant Ranking for Autocomplete
+ *
+ * Scores how well typed text matches a PSN name or game title. Exact and
+ * prefix matches rank first, then matches at the start of a word, anywhere
+ * in the text and as a subsequence ("bldbrn"). Text that matches none of
+ * those can still rank through edit distance, so a mistyped name such as
+ * "TrophyHuntr" still finds "TrophyHunter".
+ */
+
+// Lowest edit-distance similarity (0-1) still worth suggesting
+const MIN_TYPO_SIMILARITY = 0.6;
+
+/**
+ * Score how well a query matches a text
+ * @param {string} query - Typed text
+ * @param {string} text - Candidate name or title
+ * @returns {number} - 0 for no match, up to 1 for an exact match
+ */
+function scoreMatch(query, text) {
+    const q = normalize(query);
+    const t = normalize(text);
+    if (!q || !t) return 0;
+
+    // Closer lengths are better matches, but only as a tie-breaker
+    const closeness = q.length / Math.max(t.length, q.length);
+
+    if (t === q) return 1;
+    if (t.startsWith(q)) return 0.9 + 0.05 * closeness;
+    if (words(text).some(word => word.startsWith(q))) return 0.8 + 0.05 * closeness;
+    if (t.includes(q)) return 0.7 + 0.05 * closeness;
+    if (isSubsequence(q, t)) return 0.5 + 0.05 * closeness;
+
+    // Typo tolerance: compare against the whole text and against its start
+    const similarity = Math.max(
+        similarityOf(q, t),
+        similarityOf(q, t.slice(0, q.length + 1))
+    );
+    return similarity >= MIN_TYPO_SIMILARITY ? 0.4 * similarity : 0;
+}
+
+/**
+ * Rank items by how well their text matches a query
+ * @param {string} query - Typed text; empty keeps the items' own order
+ * @param {Array} items - Candidates
+ * @param {Function} getText - Returns the text to match for an item
+ * @param {number} limit - Maximum number of items returned
+ * @returns {Array} - Matching items, best first
+ */
+function rankMatches(query, items, getText, limit = 25) {
+    if (!normalize(query)) return items.slice(0, limit);
+
+    return items
+        .map(item => ({ item, text: getText(item), score: scoreMatch(query, getText(item)) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.text.localeCompare(b.text))
+        .slice(0, limit)
+        .map(match => match.item);
+}
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function words(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function isSubsequence(query, text) {
+    let position = 0;
+    for (const char of text) {
+        if (char === query[position]) position++;
+        if (position === query.length) return true;
+    }
+    return false;
+}
+
+function similarityOf(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+module.exports = {
+    scoreMatch,
+    rankMatches,
+    levenshtein
+};
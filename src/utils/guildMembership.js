@@ -0,0 +1,104 @@
+/**
+ * Guild Membership Utility
+ *
+ * Answers "is this Discord user a member of that guild?" without the
+ * privileged GuildMembers intent: the member cache is checked first and
+ * single members are fetched over REST, which does not need the intent.
+ */
+
+// Discord API error code for "Unknown Member"
+const UNKNOWN_MEMBER = 10007;
+// Discord API error code for "Unknown User"
+const UNKNOWN_USER = 10013;
+// Most user IDs a single guild member request may ask for
+const MEMBER_FETCH_BATCH_SIZE = 100;
+
+/**
+ * Check whether a user is a member of a guild
+ * @param {Object} guild - Discord guild
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<boolean>} - True if the user is a member
+ */
+async function isGuildMember(guild, userId) {
+    if (!guild) return false;
+
+    if (guild.members.cache.has(userId)) {
+        return true;
+    }
+
+    try {
+        const member = await guild.members.fetch(userId);
+        return !!member;
+    } catch (error) {
+        if (error.code === UNKNOWN_MEMBER || error.code === UNKNOWN_USER) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Filter a list of guilds down to those the user is a member of
+ * @param {Array} guilds - Discord guilds
+ * @param {string} userId - Discord user ID
+ * @param {Object} logger - Logger for membership lookup failures
+ * @returns {Promise<Array>} - Guilds the user belongs to
+ */
+async function filterGuildsForMember(guilds, userId, logger = console) {
+    const memberGuilds = [];
+
+    for (const guild of guilds) {
+        try {
+            if (await isGuildMember(guild, userId)) {
+                memberGuilds.push(guild);
+            }
+        } catch (error) {
+            logger.warn(`Could not check membership of ${userId} in guild ${guild.id}: ${error.message}`);
+        }
+    }
+
+    return memberGuilds;
+}
+
+/**
+ * Filter a list of users down to those who are members of a guild.
+ * Members missing from the cache are fetched by ID, which the gateway
+ * allows without the privileged intent, in batches of its 100-ID limit.
+ * @param {Object} guild - Discord guild
+ * @param {Array<string>} userIds - Discord user IDs
+ * @param {Object} logger - Logger for membership lookup failures
+ * @returns {Promise<Set<string>>} - IDs of the users in the guild
+ */
+async function filterGuildMembers(guild, userIds, logger = console) {
+    const memberIds = new Set();
+    if (!guild) return memberIds;
+
+    const uncached = [];
+    for (const userId of userIds) {
+        if (guild.members.cache.has(userId)) {
+            memberIds.add(userId);
+        } else {
+            uncached.push(userId);
+        }
+    }
+
+    for (let i = 0; i < uncached.length; i += MEMBER_FETCH_BATCH_SIZE) {
+        const batch = uncached.slice(i, i + MEMBER_FETCH_BATCH_SIZE);
+        try {
+            const members = await guild.members.fetch({ user: batch });
+            for (const userId of members.keys()) {
+                memberIds.add(userId);
+            }
+        } catch (error) {
+            logger.warn(`Could not fetch ${batch.length} members of guild ${guild.id}: ${error.message}`);
+        }
+    }
+
+    return memberIds;
+}
+
+module.exports = {
+    isGuildMember,
+    filterGuildsForMember,
+    filterGuildMembers
+};
@@ -0,0 +1,226 @@
+/**
+ * Interaction Sessions - Persistent State for Multi-Step Flows
+ *
+ * A flow that spans several interactions (page buttons, the unlink
+ * confirmation, the link modal) starts a session holding its state in the
+ * interaction_sessions table under an opaque token. Components and modals
+ * of the flow carry only that token and an action in their custom ID:
+ *
+ *   session:<token>:<action>
+ *
+ * The button, select menu and modal routers hand such interactions to
+ * handle(), which loads the session, turns away anyone but the member who
+ * started the flow, greys out expired components and then calls the
+ * handler registered for the session's flow. Handlers are registered when
+ * their module loads, so flows keep working after the bot restarts.
+ */
+
+const crypto = require('crypto');
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    StringSelectMenuBuilder,
+    UserSelectMenuBuilder,
+    RoleSelectMenuBuilder,
+    MentionableSelectMenuBuilder,
+    ChannelSelectMenuBuilder,
+    ComponentType
+} = require('discord.js');
+
+const PREFIX = 'session';
+
+// Builder that can copy each kind of message component
+const COMPONENT_BUILDERS = {
+    [ComponentType.Button]: ButtonBuilder,
+    [ComponentType.StringSelect]: StringSelectMenuBuilder,
+    [ComponentType.UserSelect]: UserSelectMenuBuilder,
+    [ComponentType.RoleSelect]: RoleSelectMenuBuilder,
+    [ComponentType.MentionableSelect]: MentionableSelectMenuBuilder,
+    [ComponentType.ChannelSelect]: ChannelSelectMenuBuilder
+};
+
+// Discord interaction tokens last 15 minutes, so by default a flow ends
+// while the bot can still edit its reply
+const DEFAULT_TTL_MINUTES = 10;
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token - Opaque session token
+ * @property {string} flow - Flow the session belongs to
+ * @property {string} ownerId - Discord ID of the member who started it
+ * @property {Object} data - Flow state
+ * @property {number} expiresAt - Unix timestamp in seconds
+ */
+
+class InteractionSessions {
+    /**
+     * @param {Object} options - Session options
+     * @param {Function} options.now - Clock returning milliseconds
+     */
+    constructor(options = {}) {
+        this.now = options.now || Date.now;
+
+        // Flow name -> async (interaction, session, action) => void
+        this.handlers = new Map();
+    }
+
+    /**
+     * Register the handler for a flow's components and modals
+     * @param {string} flow - Flow name
+     * @param {Function} handler - async (interaction, session, action); the
+     *   interaction's user always owns the session
+     */
+    register(flow, handler) {
+        this.handlers.set(flow, handler);
+    }
+
+    /**
+     * Start a session owned by the interaction's user
+     * @param {Object} interaction - Interaction starting the flow
+     * @param {string} flow - Registered flow name
+     * @param {Object} data - Flow state; must be JSON serializable
+     * @param {Object} options - { ttlMinutes }
+     * @returns {Promise<Session>}
+     */
+    async start(interaction, flow, data = {}, options = {}) {
+        const ttlMinutes = options.ttlMinutes || DEFAULT_TTL_MINUTES;
+        const session = {
+            token: crypto.randomBytes(12).toString('base64url'),
+            flow,
+            ownerId: interaction.user.id,
+            data,
+            expiresAt: Math.floor(this.now() / 1000) + Math.round(ttlMinutes * 60)
+        };
+
+        await interaction.client.database.saveSession({ ...session, data: JSON.stringify(data) });
+        return session;
+    }
+
+    /**
+     * Replace a session's state, e.g. after a wizard step
+     * @param {Object} interaction - Interaction in the flow
+     * @param {Session} session - Session to update
+     * @param {Object} data - New flow state
+     * @returns {Promise<Session>}
+     */
+    async update(interaction, session, data) {
+        await interaction.client.database.updateSessionData(session.token, JSON.stringify(data));
+        return { ...session, data };
+    }
+
+    /**
+     * End a session; its components stop working
+     * @param {Object} interaction - Interaction in the flow
+     * @param {Session} session - Session to end
+     */
+    async end(interaction, session) {
+        await interaction.client.database.deleteSession(session.token);
+    }
+
+    /**
+     * Build the custom ID of a component or modal in a session's flow
+     * @param {Session} session - Session
+     * @param {string} action - Action the flow's handler receives; must keep
+     *   the whole ID within Discord's 100 characters
+     * @returns {string}
+     */
+    customId(session, action) {
+        return `${PREFIX}:${session.token}:${action}`;
+    }
+
+    /**
+     * Whether a custom ID belongs to a session flow
+     * @param {string} customId - Component or modal custom ID
+     * @returns {boolean}
+     */
+    isSessionId(customId) {
+        return customId.startsWith(`${PREFIX}:`);
+    }
+
+    /**
+     * Route a button, select menu or modal interaction to its flow
+     * @param {Object} interaction - Component or modal submit interaction
+     */
+    async handle(interaction) {
+        const database = interaction.client.database;
+        const [, token, ...actionParts] = interaction.customId.split(':');
+        const action = actionParts.join(':');
+
+        const row = await database.getSession(token);
+        const expired = !row || row.expires_at * 1000 <= this.now();
+
+        if (expired) {
+            if (row) await database.deleteSession(token);
+            await this.rejectExpired(interaction);
+            return;
+        }
+
+        if (interaction.user.id !== row.owner_id) {
+            await interaction.reply({
+                content: '❌ Only the member who started this can use it. Run the command yourself instead.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const handler = this.handlers.get(row.flow);
+        if (!handler) {
+            throw new Error(`No interaction flow registered as "${row.flow}"`);
+        }
+
+        await handler(interaction, toSession(row), action);
+    }
+
+    /**
+     * Grey out an expired flow's components and tell the member why
+     */
+    async rejectExpired(interaction) {
+        const content = '⌛ This has expired. Run the command again to start over.';
+
+        if (interaction.isModalSubmit?.() || !interaction.message) {
+            await interaction.reply({ content, ephemeral: true });
+            return;
+        }
+
+        await interaction.update({ components: disableComponents(interaction.message.components || []) });
+        await interaction.followUp({ content, ephemeral: true });
+    }
+
+    /**
+     * Drop sessions past their expiry
+     * @param {Object} database - Database instance
+     * @returns {Promise<number>} - Number of sessions removed
+     */
+    async purgeExpired(database) {
+        const result = await database.deleteExpiredSessions(Math.floor(this.now() / 1000));
+        return result.changes;
+    }
+}
+
+function toSession(row) {
+    return {
+        token: row.token,
+        flow: row.flow,
+        ownerId: row.owner_id,
+        data: row.data ? JSON.parse(row.data) : {},
+        expiresAt: row.expires_at
+    };
+}
+
+/**
+ * Grey out every button and select menu of a message's component rows
+ * @param {Array<Object>} rows - Message action rows
+ * @returns {Array<ActionRowBuilder>}
+ */
+function disableComponents(rows) {
+    return rows.map(row => new ActionRowBuilder().addComponents(
+        row.components.map(component => {
+            const Builder = COMPONENT_BUILDERS[component.type];
+            return Builder ? Builder.from(component).setDisabled(true) : component;
+        })
+    ));
+}
+
+module.exports = new InteractionSessions();
+module.exports.InteractionSessions = InteractionSessions;
+module.exports.disableComponents = disableComponents;
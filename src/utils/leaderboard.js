@@ -0,0 +1,181 @@
+/**
+ * Leaderboard - Guild Rankings from Stored Trophy Data
+ *
+ * Ranks linked users by one of several metrics without calling PSN:
+ * totals and level come from each account's latest trophy snapshot, with
+ * the trophies table as a fallback for accounts that have no snapshot yet,
+ * and recent activity is counted from the trophies table.
+ *
+ * Values are worked out per linked account and then combined per user, so
+ * a member with several accounts is ranked once, under their primary
+ * account's name.
+ */
+
+// PSN trophy point values, as used for trophy levels
+const TROPHY_POINTS_SQL = `
+    CASE LOWER(t.trophy_type)
+        WHEN 'platinum' THEN 300
+        WHEN 'gold' THEN 90
+        WHEN 'silver' THEN 30
+        WHEN 'bronze' THEN 15
+        ELSE 0
+    END`;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const formatNumber = value => value.toLocaleString('en-US');
+const formatCount = (singular, plural) => value => `${formatNumber(value)} ${value === 1 ? singular : plural}`;
+
+const sum = values => values.reduce((total, value) => total + (value || 0), 0);
+const average = (values) => {
+    const known = values.filter(value => value !== null && value !== undefined);
+    return known.length > 0 ? Math.round(sum(known) / known.length) : 0;
+};
+
+/**
+ * Metrics a leaderboard can rank by. `sql` is the value selected per linked
+ * account (with psn_accounts aliased a and snapshots s); `combine` merges a
+ * user's account values into one; `since` gives the earliest earned_date
+ * counted, for metrics over a recent period; `format` renders a value for
+ * display.
+ */
+const METRICS = {
+    points: {
+        name: 'Trophy Points',
+        emoji: '🏆',
+        format: value => `${formatNumber(value)} pts`,
+        combine: sum,
+        sql: `COALESCE(
+            s.trophy_count_bronze * 15 + s.trophy_count_silver * 30 +
+            s.trophy_count_gold * 90 + s.trophy_count_platinum * 300,
+            (SELECT SUM(${TROPHY_POINTS_SQL}) FROM trophies t WHERE t.discord_id = a.discord_id AND t.psn_account_id = a.psn_account_id),
+            0
+        )`
+    },
+    platinums: {
+        name: 'Platinum Trophies',
+        emoji: '💎',
+        format: formatCount('platinum', 'platinums'),
+        combine: sum,
+        sql: `COALESCE(
+            s.trophy_count_platinum,
+            (SELECT COUNT(*) FROM trophies t WHERE t.discord_id = a.discord_id AND t.psn_account_id = a.psn_account_id AND LOWER(t.trophy_type) = 'platinum')
+        )`
+    },
+    level: {
+        name: 'Trophy Level',
+        emoji: '📊',
+        format: value => `Level ${formatNumber(value)}`,
+        combine: values => Math.max(0, ...values),
+        sql: 'COALESCE(s.trophy_level, 0)'
+    },
+    completion: {
+        name: 'Completion Rate',
+        emoji: '⭐',
+        format: value => `${formatNumber(value)}%`,
+        // Accounts without synced games don't pull the average down
+        combine: average,
+        sql: `(SELECT ROUND(AVG(ug.progress_percentage)) FROM user_games ug
+            WHERE ug.discord_id = a.discord_id AND ug.psn_account_id = a.psn_account_id)`
+    },
+    week: {
+        name: 'Trophies This Week',
+        emoji: '📅',
+        format: formatCount('trophy', 'trophies'),
+        combine: sum,
+        since: now => now - 7 * DAY_SECONDS,
+        sql: '(SELECT COUNT(*) FROM trophies t WHERE t.discord_id = a.discord_id AND t.psn_account_id = a.psn_account_id AND t.earned_date >= ?)'
+    },
+    month: {
+        name: 'Trophies This Month',
+        emoji: '🗓️',
+        format: formatCount('trophy', 'trophies'),
+        combine: sum,
+        since: now => now - 30 * DAY_SECONDS,
+        sql: '(SELECT COUNT(*) FROM trophies t WHERE t.discord_id = a.discord_id AND t.psn_account_id = a.psn_account_id AND t.earned_date >= ?)'
+    }
+};
+
+/**
+ * Rank users by a metric
+ * @param {Object} database - Database instance
+ * @param {Array<string>} discordIds - Users to rank, e.g. a guild's linked members
+ * @param {string} metric - Key of METRICS
+ * @param {number} now - Current time in unix seconds
+ * @param {Object} options - { primaryOnly } to rank each user's primary
+ *   account alone instead of combining their accounts; { verifiedOnly } to
+ *   leave out accounts whose ownership wasn't verified
+ * @returns {Promise<Array>} - Rows of { rank, discord_id, psn_username, value },
+ *   highest value first; users with equal values share a rank
+ */
+async function getRankings(database, discordIds, metric, now = Math.floor(Date.now() / 1000), options = {}) {
+    const definition = METRICS[metric];
+    if (!definition) {
+        throw new Error(`Unknown leaderboard metric: ${metric}`);
+    }
+    if (discordIds.length === 0) return [];
+
+    const placeholders = discordIds.map(() => '?').join(', ');
+    const params = definition.since ? [definition.since(now), ...discordIds] : discordIds;
+    const filters = [
+        options.primaryOnly ? ' AND a.is_primary = 1' : '',
+        options.verifiedOnly ? ' AND a.verified_at IS NOT NULL' : ''
+    ].join('');
+
+    const accounts = await database.all(`
+        SELECT a.discord_id, a.psn_username, a.is_primary, ${definition.sql} as value
+        FROM psn_accounts a
+        LEFT JOIN user_trophy_snapshots s ON s.discord_id = a.discord_id AND s.psn_account_id = a.psn_account_id
+        WHERE a.discord_id IN (${placeholders})${filters}
+    `, params);
+
+    const byUser = new Map();
+    for (const account of accounts) {
+        if (!byUser.has(account.discord_id)) {
+            byUser.set(account.discord_id, []);
+        }
+        byUser.get(account.discord_id).push(account);
+    }
+
+    const rows = [...byUser.entries()].map(([discordId, userAccounts]) => ({
+        discord_id: discordId,
+        psn_username: (userAccounts.find(account => account.is_primary) || userAccounts[0]).psn_username,
+        value: definition.combine(userAccounts.map(account => account.value)) || 0
+    }));
+
+    rows.sort((a, b) => b.value - a.value || compareNames(a.psn_username, b.psn_username));
+
+    let rank = 0;
+    return rows.map((row, index) => {
+        if (index === 0 || row.value !== rows[index - 1].value) {
+            rank = index + 1;
+        }
+        return { rank, ...row };
+    });
+}
+
+/**
+ * Order PSN names case-insensitively, like COLLATE NOCASE
+ */
+function compareNames(a, b) {
+    const first = a.toLowerCase();
+    const second = b.toLowerCase();
+    if (first === second) return 0;
+    return first < second ? -1 : 1;
+}
+
+/**
+ * Format a metric value for display
+ * @param {string} metric - Key of METRICS
+ * @param {number} value - Value from getRankings
+ * @returns {string}
+ */
+function formatValue(metric, value) {
+    return METRICS[metric].format(value || 0);
+}
+
+module.exports = {
+    METRICS,
+    getRankings,
+    formatValue
+};
@@ -0,0 +1,242 @@
+/**
+ * Link Disputes - Claims on PSN Accounts Linked to Someone Else
+ *
+ * psn_username is unique, so only one member can link a PSN account. A
+ * member who owns an account linked to someone else files a claim with
+ * /claim, ideally proving ownership with an About Me code first. Claims
+ * wait in the server's review queue (/disputes) until an admin approves or
+ * denies them.
+ *
+ * Approving a claim moves the account, its trophy history and its
+ * leaderboard snapshot to the claimant in one transaction, alongside any
+ * accounts the claimant has linked already. The previous holder keeps
+ * their other accounts; if the moved account was their last, they are
+ * erased like a member who unlinked it, claims included. Other pending
+ * claims on the account are voided since they were made against the old
+ * holder.
+ *
+ * A claim is never approved by its own claimant, and an unproven claim
+ * cannot take an account its holder verified. Only servers the holder is a
+ * member of may take claims on their accounts (see /claim and /disputes).
+ */
+
+const {
+    ACCOUNT_HISTORY_TABLES,
+    ensurePrimaryAccount,
+    removeMemberIfUnlinked
+} = require('./linkedAccounts');
+
+const STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    DENIED: 'denied',
+    // The link changed before the claim was reviewed
+    VOID: 'void'
+};
+
+// Why an approval was refused; the claim stays pending
+const REFUSAL = {
+    OWN_CLAIM: 'own_claim',
+    VERIFIED_HOLDER: 'verified_holder',
+    // Checked by /disputes, which knows the reviewing server
+    HOLDER_NOT_MEMBER: 'holder_not_member'
+};
+
+/**
+ * @typedef {Object} LinkDispute
+ * @property {number} id
+ * @property {string} guild_id - Server whose admins review the claim
+ * @property {string} psn_username
+ * @property {string} psn_account_id
+ * @property {string} claimant_id - Discord ID of the member claiming the account
+ * @property {string} holder_id - Discord ID of the member it is linked to
+ * @property {string|null} reason
+ * @property {number} proven - 1 when the claimant proved ownership via About Me
+ * @property {string} status - One of STATUS
+ * @property {string|null} reviewer_id
+ * @property {number} created_at
+ * @property {number|null} resolved_at
+ */
+
+/**
+ * File a claim for review
+ * @param {Object} database - Database instance
+ * @param {Object} claim - { guildId, psnUsername, accountId, claimantId, holderId, reason, proven }
+ * @returns {Promise<number|null>} - Dispute ID, or null if the claimant
+ *   already has a pending claim on the account
+ */
+async function fileDispute(database, claim) {
+    try {
+        const result = await database.run(`
+            INSERT INTO link_disputes (guild_id, psn_username, psn_account_id, claimant_id, holder_id, reason, proven)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            claim.guildId,
+            claim.psnUsername,
+            claim.accountId,
+            claim.claimantId,
+            claim.holderId,
+            claim.reason || null,
+            claim.proven ? 1 : 0
+        ]);
+        return result.id;
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) return null;
+        throw error;
+    }
+}
+
+/**
+ * Find a member's pending claim on a PSN account
+ * @param {Object} database - Database instance
+ * @param {string} claimantId - Discord user ID
+ * @param {string} accountId - PSN account ID
+ * @returns {Promise<LinkDispute|undefined>}
+ */
+async function findPendingClaim(database, claimantId, accountId) {
+    return database.get(
+        'SELECT * FROM link_disputes WHERE claimant_id = ? AND psn_account_id = ? AND status = ?',
+        [claimantId, accountId, STATUS.PENDING]
+    );
+}
+
+/**
+ * Get a dispute by ID
+ * @param {Object} database - Database instance
+ * @param {number} id - Dispute ID
+ * @returns {Promise<LinkDispute|undefined>}
+ */
+async function getDispute(database, id) {
+    return database.get('SELECT * FROM link_disputes WHERE id = ?', [id]);
+}
+
+/**
+ * List a server's pending claims, oldest first
+ * @param {Object} database - Database instance
+ * @param {string} guildId - Discord guild ID
+ * @param {number} limit - Maximum number of claims
+ * @returns {Promise<Array<LinkDispute>>}
+ */
+async function listPending(database, guildId, limit) {
+    return database.all(
+        'SELECT * FROM link_disputes WHERE guild_id = ? AND status = ? ORDER BY created_at, id LIMIT ?',
+        [guildId, STATUS.PENDING, limit]
+    );
+}
+
+/**
+ * Count a server's pending claims
+ * @param {Object} database - Database instance
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<number>}
+ */
+async function countPending(database, guildId) {
+    const row = await database.get(
+        'SELECT COUNT(*) as count FROM link_disputes WHERE guild_id = ? AND status = ?',
+        [guildId, STATUS.PENDING]
+    );
+    return row?.count || 0;
+}
+
+/**
+ * Close a pending claim without moving the link
+ * @param {Object} database - Database instance
+ * @param {number} id - Dispute ID
+ * @param {string} status - STATUS.DENIED or STATUS.VOID
+ * @param {string|null} reviewerId - Discord ID of the admin, if any
+ * @returns {Promise<boolean>} - False if the claim was no longer pending
+ */
+async function closeDispute(database, id, status, reviewerId) {
+    const result = await database.run(`
+        UPDATE link_disputes
+        SET status = ?, reviewer_id = ?, resolved_at = strftime('%s', 'now')
+        WHERE id = ? AND status = ?
+    `, [status, reviewerId, id, STATUS.PENDING]);
+    return result.changes > 0;
+}
+
+/**
+ * Approve a claim: move the account and its history to the claimant
+ * @param {Object} database - Database instance
+ * @param {LinkDispute} dispute - Pending dispute
+ * @param {string} reviewerId - Discord ID of the approving admin
+ * @returns {Promise<string|null>} - STATUS.APPROVED; STATUS.VOID when the
+ *   account is no longer linked to the holder; a REFUSAL when the claim may
+ *   not be approved; null if the claim was resolved in the meantime
+ */
+async function approveDispute(database, dispute, reviewerId) {
+    if (reviewerId === dispute.claimant_id) return REFUSAL.OWN_CLAIM;
+
+    return database.transaction(async () => {
+        // Another admin may have resolved it since it was loaded
+        const current = await getDispute(database, dispute.id);
+        if (current?.status !== STATUS.PENDING) return null;
+
+        const account = await database.get(
+            'SELECT id, verified_at FROM psn_accounts WHERE discord_id = ? AND psn_account_id = ?',
+            [dispute.holder_id, dispute.psn_account_id]
+        );
+
+        if (!account) {
+            await closeDispute(database, dispute.id, STATUS.VOID, reviewerId);
+            return STATUS.VOID;
+        }
+
+        // Only proof of ownership outweighs the holder's own verification
+        if (account.verified_at && !current.proven) return REFUSAL.VERIFIED_HOLDER;
+
+        await database.run(
+            'INSERT INTO users (discord_id) VALUES (?) ON CONFLICT (discord_id) DO NOTHING',
+            [dispute.claimant_id]
+        );
+
+        // Primary only if the claimant has no accounts of their own
+        await database.run(`
+            UPDATE psn_accounts
+            SET discord_id = ?,
+                is_primary = NOT EXISTS (SELECT 1 FROM psn_accounts WHERE discord_id = ? AND is_primary = 1),
+                verified_at = ?,
+                updated_at = strftime('%s', 'now')
+            WHERE id = ?
+        `, [dispute.claimant_id, dispute.claimant_id, dispute.proven ? Math.floor(Date.now() / 1000) : null, account.id]);
+
+        for (const table of ACCOUNT_HISTORY_TABLES) {
+            await database.run(
+                `UPDATE ${table} SET discord_id = ? WHERE discord_id = ? AND psn_account_id = ?`,
+                [dispute.claimant_id, dispute.holder_id, dispute.psn_account_id]
+            );
+        }
+
+        await database.run(`
+            UPDATE link_disputes
+            SET status = ?, reviewer_id = ?, resolved_at = strftime('%s', 'now')
+            WHERE id = ?
+        `, [STATUS.APPROVED, reviewerId, dispute.id]);
+
+        await database.run(`
+            UPDATE link_disputes
+            SET status = ?, resolved_at = strftime('%s', 'now')
+            WHERE psn_account_id = ? AND status = ?
+        `, [STATUS.VOID, dispute.psn_account_id, STATUS.PENDING]);
+
+        // Erasing the holder also deletes the claims naming them, this one included
+        const audit = { reason: 'transfer', actorId: reviewerId, guildId: dispute.guild_id };
+        if (!(await removeMemberIfUnlinked(database, dispute.holder_id, audit))) {
+            await ensurePrimaryAccount(database, dispute.holder_id);
+        }
+
+        return STATUS.APPROVED;
+    });
+}
+
+module.exports = {
+    STATUS,
+    REFUSAL,
+    fileDispute,
+    findPendingClaim,
+    getDispute,
+    listPending,
+    countPending,
+    closeDispute,
+    approveDispute
+};
@@ -0,0 +1,196 @@
+/**
+ * Linked Accounts - A Member's PSN Accounts
+ *
+ * A member can link several PSN accounts (psn_accounts). While any are
+ * linked, exactly one is primary: it is the account commands use when
+ * none is chosen, and the name shown for the member on leaderboards.
+ *
+ * Each account's trophy history is stored under its PSN account ID, so
+ * unlinking one account only removes that account's history. Unlinking
+ * the last account erases everything stored about the member.
+ */
+
+const { filterGuildMembers } = require('./guildMembership');
+
+// Each account is checked against PSN on its own, so keep the number bounded
+const MAX_ACCOUNTS_PER_MEMBER = 5;
+
+// Tables whose rows belong to one linked account
+const ACCOUNT_HISTORY_TABLES = ['trophies', 'user_games', 'user_trophy_snapshots', 'trophy_history'];
+
+// How long a guild's linked accounts are reused before being looked up again
+const GUILD_ACCOUNTS_TTL_MS = 60 * 1000;
+// Guild ID -> { expiresAt, accounts: Promise<Array<Object>> }
+const guildAccounts = new Map();
+
+/**
+ * Pick an account from a member's linked accounts by PSN username
+ * @param {Array<Object>} accounts - Rows from Database.getAccounts
+ * @param {string|null} psnUsername - Name to look for, case-insensitive;
+ *   omit for the primary account
+ * @returns {Object|undefined} - The account row
+ */
+function findAccount(accounts, psnUsername) {
+    if (!psnUsername) {
+        return accounts.find(account => account.is_primary) || accounts[0];
+    }
+
+    const name = psnUsername.trim().toLowerCase();
+    return accounts.find(account => account.psn_username.toLowerCase() === name);
+}
+
+/**
+ * Look up the account a command should act on
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {string|null} psnUsername - Account chosen in the command, if any
+ * @returns {Promise<Object|undefined>} - The chosen account, or the primary
+ *   account when none was chosen
+ */
+async function getLinkedAccount(database, discordId, psnUsername) {
+    if (!psnUsername) {
+        return database.getUser(discordId);
+    }
+    return findAccount(await database.getAccounts(discordId) || [], psnUsername);
+}
+
+/**
+ * Make one of a member's accounts their primary account
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {number} id - psn_accounts row ID
+ * @returns {Promise<boolean>} - False if the member has no such account
+ */
+async function setPrimaryAccount(database, discordId, id) {
+    return database.transaction(async () => {
+        const account = await database.get(
+            'SELECT id FROM psn_accounts WHERE id = ? AND discord_id = ?',
+            [id, discordId]
+        );
+        if (!account) return false;
+
+        // Clear the old primary first; only one may exist at a time
+        await database.run('UPDATE psn_accounts SET is_primary = 0 WHERE discord_id = ? AND is_primary = 1', [discordId]);
+        await database.run(
+            "UPDATE psn_accounts SET is_primary = 1, updated_at = strftime('%s', 'now') WHERE id = ?",
+            [id]
+        );
+        return true;
+    });
+}
+
+/**
+ * Make a member's oldest remaining account primary if they have none,
+ * e.g. after their primary account was unlinked or moved
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<boolean>} - True if an account was promoted
+ */
+async function ensurePrimaryAccount(database, discordId) {
+    const result = await database.run(`
+        UPDATE psn_accounts SET is_primary = 1
+        WHERE id = (SELECT id FROM psn_accounts WHERE discord_id = ? ORDER BY created_at, id LIMIT 1)
+          AND NOT EXISTS (SELECT 1 FROM psn_accounts WHERE discord_id = ? AND is_primary = 1)
+    `, [discordId, discordId]);
+    return result.changes > 0;
+}
+
+/**
+ * Erase a member who has no linked accounts left, along with everything
+ * else stored about them
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {Object} audit - { reason, actorId, guildId } for the erasure log
+ * @returns {Promise<boolean>} - True if the member was removed
+ */
+async function removeMemberIfUnlinked(database, discordId, audit) {
+    const remaining = await database.get('SELECT COUNT(*) as count FROM psn_accounts WHERE discord_id = ?', [discordId]);
+    if (remaining?.count > 0) return false;
+
+    await database.eraseUser(discordId, audit);
+    return true;
+}
+
+/**
+ * Unlink one account and delete its trophy history. If it was the primary
+ * account, the member's oldest remaining account becomes primary; if it was
+ * their last account, the member is erased.
+ * @param {Object} database - Database instance
+ * @param {Object} account - psn_accounts row
+ * @returns {Promise<Object>} - { memberRemoved, primary } where primary is
+ *   the member's primary account afterwards, if any
+ */
+async function unlinkAccount(database, account) {
+    return database.transaction(async () => {
+        const others = await database.get(
+            'SELECT COUNT(*) as count FROM psn_accounts WHERE discord_id = ? AND id != ?',
+            [account.discord_id, account.id]
+        );
+        if (!others?.count) {
+            await database.eraseUser(account.discord_id, { reason: 'unlink', actorId: account.discord_id });
+            return { memberRemoved: true, primary: null };
+        }
+
+        for (const table of ACCOUNT_HISTORY_TABLES) {
+            await database.run(
+                `DELETE FROM ${table} WHERE discord_id = ? AND psn_account_id IS ?`,
+                [account.discord_id, account.psn_account_id]
+            );
+        }
+        await database.run('DELETE FROM psn_accounts WHERE id = ?', [account.id]);
+
+        await ensurePrimaryAccount(database, account.discord_id);
+        return { memberRemoved: false, primary: await database.getUser(account.discord_id) };
+    });
+}
+
+/**
+ * Get the linked accounts of a guild's members. Finding the members takes
+ * Discord member fetches, so the list is kept for a minute per guild and
+ * shared by autocomplete keystrokes and leaderboard pages; links made or
+ * removed meanwhile show up once it expires.
+ * @param {Object} database - Database instance
+ * @param {Object} guild - Discord guild
+ * @param {Object} logger - Logger for membership lookup failures
+ * @returns {Promise<Array<Object>>} - { discord_id, psn_username,
+ *   is_primary, verified_at } of each account
+ */
+async function getGuildLinkedAccounts(database, guild, logger) {
+    const cached = guildAccounts.get(guild.id);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.accounts;
+    }
+
+    // Concurrent callers share one lookup
+    const accounts = (async () => {
+        const rows = await database.all('SELECT discord_id, psn_username, is_primary, verified_at FROM psn_accounts');
+        const memberIds = await filterGuildMembers(guild, [...new Set(rows.map(row => row.discord_id))], logger);
+        return rows.filter(row => memberIds.has(row.discord_id));
+    })();
+
+    guildAccounts.set(guild.id, { expiresAt: Date.now() + GUILD_ACCOUNTS_TTL_MS, accounts });
+    accounts.catch(() => {
+        if (guildAccounts.get(guild.id)?.accounts === accounts) guildAccounts.delete(guild.id);
+    });
+    return accounts;
+}
+
+/**
+ * Forget every guild's cached linked accounts
+ */
+function clearGuildLinkedAccounts() {
+    guildAccounts.clear();
+}
+
+module.exports = {
+    MAX_ACCOUNTS_PER_MEMBER,
+    ACCOUNT_HISTORY_TABLES,
+    findAccount,
+    getLinkedAccount,
+    getGuildLinkedAccounts,
+    clearGuildLinkedAccounts,
+    setPrimaryAccount,
+    ensurePrimaryAccount,
+    removeMemberIfUnlinked,
+    unlinkAccount
+};
@@ -0,0 +1,28 @@
+/**
+ * NP Service Utility
+ *
+ * PSN serves trophy data for PS3, PS4 and PS Vita titles from the 'trophy'
+ * service and for PS5 titles from 'trophy2'. Every trophy request has to
+ * name the right service or it fails / comes back empty.
+ */
+
+const NP_SERVICE_LEGACY = 'trophy';
+const NP_SERVICE_PS5 = 'trophy2';
+
+/**
+ * Resolve the NP service name for a title's platform
+ * @param {string} platform - trophyTitlePlatform, possibly comma-separated (e.g. 'PS4,PSVITA')
+ * @returns {string} - 'trophy2' for PS5 titles, 'trophy' otherwise
+ */
+function getNpServiceName(platform) {
+    if (!platform) return NP_SERVICE_LEGACY;
+
+    const platforms = String(platform).toUpperCase().split(',').map(p => p.trim());
+    return platforms.includes('PS5') ? NP_SERVICE_PS5 : NP_SERVICE_LEGACY;
+}
+
+module.exports = {
+    NP_SERVICE_LEGACY,
+    NP_SERVICE_PS5,
+    getNpServiceName
+};
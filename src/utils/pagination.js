@@ -0,0 +1,351 @@
+/**
+ * Pagination - Paged Embeds with Button Controls
+ *
+ * Commands with long output register a view builder under a short key and
+ * reply through here. A view is an array of pages, each an array of embed
+ * sections; the reply shows one page with first/previous/jump/next/last
+ * buttons, plus any select menus the view declares. Picking a menu option
+ * replaces one of the view's arguments, e.g. a filter, and goes back to
+ * the first page. Only the member who ran the command can page, and after
+ * PAGINATION_TTL_MINUTES the controls are greyed out.
+ *
+ * The view key and its arguments are kept in an interaction session, and
+ * the view is rebuilt on each click. Builders are registered when their
+ * command module loads, so buttons keep working after the bot restarts.
+ */
+
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const sessions = require('./interactionSessions');
+
+const FLOW = 'page';
+const JUMP_INPUT_ID = 'page';
+
+// Interaction tokens last 15 minutes; expiring before that lets the bot
+// still edit the reply to grey the buttons out
+const DEFAULT_TTL_MINUTES = 10;
+
+// Discord embed limits
+const MAX_FIELDS = 25;
+const MAX_EMBED_LENGTH = 6000;
+
+/**
+ * A part of an embed page: either a field or description text.
+ * @typedef {Object} Section
+ * @property {string} [name] - Field name
+ * @property {string} [value] - Field value
+ * @property {boolean} [inline] - Inline field
+ * @property {string} [description] - Description text; a page's
+ *   description sections are joined with blank lines
+ */
+
+/**
+ * A select menu shown under the page buttons.
+ * @typedef {Object} Menu
+ * @property {number} arg - Index of the view argument the picked value
+ *   replaces
+ * @property {string} placeholder - Text shown when nothing is picked
+ * @property {Array<Object>} options - Discord select menu options
+ *   ({ label, value, emoji, default }), at most 25
+ */
+
+/**
+ * @typedef {Object} PagedView
+ * @property {Array<Array<Section>>} pages - Sections shown on each page
+ * @property {Function} createEmbed - (pageIndex) => EmbedBuilder each page
+ *   starts from (title, colour, thumbnail...)
+ * @property {string|Function} [footer] - Footer text, or (pageIndex) => text;
+ *   the page number is appended when there are several pages
+ * @property {string} [footerIconUrl] - Footer icon
+ * @property {Array<Menu>} [menus] - Select menus changing the view
+ */
+
+class Pagination {
+    /**
+     * @param {Object} options - Pagination options
+     * @param {number} options.ttlMinutes - Minutes before buttons expire
+     */
+    constructor(options = {}) {
+        this.ttlMinutes = options.ttlMinutes ||
+            parseInt(process.env.PAGINATION_TTL_MINUTES, 10) || DEFAULT_TTL_MINUTES;
+
+        // View key -> async (interaction, args) => PagedView
+        this.builders = new Map();
+    }
+
+    /**
+     * Register the builder for a view
+     * @param {string} key - View key
+     * @param {Function} build - async (interaction, args) => PagedView; the
+     *   interaction's user is always the view's owner
+     */
+    register(key, build) {
+        this.builders.set(key, build);
+    }
+
+    /**
+     * Build a view and send its first page as the interaction's reply
+     * @param {Object} interaction - Command interaction, deferred or not
+     * @param {string} key - Registered view key
+     * @param {Array<string>} args - Arguments for the builder
+     * @param {Object} options - { page } to start elsewhere, plus reply
+     *   options such as flags
+     * @returns {Promise<Object>} - The payload sent
+     */
+    async reply(interaction, key, args = [], options = {}) {
+        const { page = 0, ...replyOptions } = options;
+
+        const view = await this.buildView(interaction, { key, args });
+
+        // A single page without menus needs no controls, and so no session
+        const session = view.pages.length > 1 || view.menus?.length > 0
+            ? await sessions.start(interaction, FLOW, { key, args }, { ttlMinutes: this.ttlMinutes })
+            : null;
+        const payload = this.render(view, session, page);
+
+        if (interaction.deferred || interaction.replied) {
+            await interaction.editReply(payload);
+        } else {
+            await interaction.reply({ ...payload, ...replyOptions });
+        }
+
+        if (session) {
+            this.scheduleExpiry(interaction, session);
+        }
+
+        return payload;
+    }
+
+    /**
+     * Handle a page button, a view's menu or the jump-to-page modal.
+     * Sessions have already checked the member owns the view and that it
+     * has not expired.
+     * @param {Object} interaction - Button, select menu or modal submit
+     *   interaction
+     * @param {Object} session - The view's session
+     * @param {string} action - '<button>:<page>', 'menu:<arg>' or 'goto'
+     */
+    async handleSession(interaction, session, action) {
+        const [name, pageText] = action.split(':');
+        const page = parseInt(pageText, 10) || 0;
+
+        if (name === 'menu') {
+            const args = [...session.data.args];
+            args[page] = interaction.values[0];
+
+            const updated = await sessions.update(interaction, session, { ...session.data, args });
+            await this.showPage(interaction, updated, 0);
+            return;
+        }
+
+        if (name === 'jump') {
+            await interaction.showModal(this.buildJumpModal(session, page));
+            return;
+        }
+
+        if (name === 'goto') {
+            const requested = parseInt(interaction.fields.getTextInputValue(JUMP_INPUT_ID), 10);
+            if (Number.isNaN(requested)) {
+                await interaction.reply({ content: '❌ Enter a page number.', ephemeral: true });
+                return;
+            }
+
+            await this.showPage(interaction, session, requested - 1);
+            return;
+        }
+
+        await this.showPage(interaction, session, page);
+    }
+
+    /**
+     * Rebuild the view and show one of its pages in place
+     */
+    async showPage(interaction, session, page) {
+        // Rebuilding can take longer than Discord's 3 second window
+        await interaction.deferUpdate();
+
+        try {
+            const view = await this.buildView(interaction, session.data);
+            // Clear the buttons if the view shrank to a single page
+            await interaction.editReply({ components: [], ...this.render(view, session, page) });
+        } catch (error) {
+            interaction.client.logger.error(`Error showing page of ${session.data.key}:`, error);
+
+            await interaction.followUp({
+                content: `❌ ${error.userMessage || 'Could not load this page. Please try again later.'}`,
+                ephemeral: true
+            });
+        }
+    }
+
+    async buildView(interaction, { key, args }) {
+        const build = this.builders.get(key);
+        if (!build) {
+            throw new Error(`No paginated view registered as "${key}"`);
+        }
+
+        return build(interaction, args);
+    }
+
+    /**
+     * Render one page of a view
+     * @param {PagedView} view - Built view
+     * @param {Object|null} session - The view's session; null for a view
+     *   that was a single page without menus when the command ran
+     * @param {number} page - Zero-based page, clamped to the pages available
+     * @returns {Object} - Reply payload; components only when there are
+     *   several pages or menus
+     */
+    render(view, session, page) {
+        const pages = view.pages.length > 0 ? view.pages : [[]];
+        const pageCount = pages.length;
+        const current = Math.min(Math.max(page, 0), pageCount - 1);
+        const sections = pages[current];
+
+        const embed = view.createEmbed(current);
+
+        const descriptions = sections.filter(section => section.description).map(section => section.description);
+        if (descriptions.length > 0) {
+            embed.setDescription(descriptions.join('\n\n'));
+        }
+
+        const fields = sections.filter(section => section.name);
+        if (fields.length > 0) {
+            embed.addFields(fields.map(({ name, value, inline }) => ({ name, value, inline: !!inline })));
+        }
+
+        const footerText = typeof view.footer === 'function' ? view.footer(current) : view.footer;
+        const pageText = pageCount > 1 ? `Page ${current + 1} of ${pageCount}` : null;
+        const text = [footerText, pageText].filter(Boolean).join(' • ');
+        if (text) {
+            embed.setFooter(view.footerIconUrl ? { text, iconURL: view.footerIconUrl } : { text });
+        }
+
+        const components = [];
+        if (session && pageCount > 1) {
+            components.push(this.buildControls(session, current, pageCount));
+        }
+        if (session) {
+            components.push(...(view.menus || []).map(menu => this.buildMenu(session, menu)));
+        }
+
+        return components.length > 0 ? { embeds: [embed], components } : { embeds: [embed] };
+    }
+
+    /**
+     * Build first/previous/jump/next/last buttons. Each custom ID carries
+     * the page it leads to, so no two buttons share one.
+     * @returns {ActionRowBuilder}
+     */
+    buildControls(session, page, pageCount) {
+        const button = (action, target, emoji, disabled) => new ButtonBuilder()
+            .setCustomId(sessions.customId(session, `${action}:${target}`))
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji(emoji)
+            .setDisabled(disabled);
+
+        return new ActionRowBuilder()
+            .addComponents(
+                button('first', 0, '⏮️', page === 0),
+                button('prev', page - 1, '◀️', page === 0),
+                new ButtonBuilder()
+                    .setCustomId(sessions.customId(session, `jump:${page}`))
+                    .setLabel(`${page + 1} / ${pageCount}`)
+                    .setStyle(ButtonStyle.Primary),
+                button('next', page + 1, '▶️', page >= pageCount - 1),
+                button('last', pageCount - 1, '⏭️', page >= pageCount - 1)
+            );
+    }
+
+    /**
+     * @param {Object} session - The view's session
+     * @param {Menu} menu - Menu declared by the view
+     * @returns {ActionRowBuilder}
+     */
+    buildMenu(session, menu) {
+        const select = new StringSelectMenuBuilder()
+            .setCustomId(sessions.customId(session, `menu:${menu.arg}`))
+            .setPlaceholder(menu.placeholder)
+            .addOptions(menu.options);
+
+        return new ActionRowBuilder().addComponents(select);
+    }
+
+    buildJumpModal(session, page) {
+        const input = new TextInputBuilder()
+            .setCustomId(JUMP_INPUT_ID)
+            .setLabel('Page number')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder(String(page + 1))
+            .setRequired(true)
+            .setMaxLength(4);
+
+        return new ModalBuilder()
+            .setCustomId(sessions.customId(session, 'goto'))
+            .setTitle('Jump to page')
+            .addComponents(new ActionRowBuilder().addComponents(input));
+    }
+
+    /**
+     * Grey out the controls once the view expires. Best effort: the timer
+     * is lost on restart, where expired clicks grey them out instead.
+     */
+    scheduleExpiry(interaction, session) {
+        const delay = session.expiresAt * 1000 - sessions.now();
+
+        const timer = setTimeout(async () => {
+            try {
+                const message = await interaction.fetchReply();
+                await interaction.editReply({ components: sessions.disableComponents(message.components) });
+            } catch (error) {
+                // The reply may have been deleted meanwhile
+                interaction.client.logger.debug(`Could not expire ${session.data.key} buttons: ${error.message}`);
+            }
+        }, delay);
+        timer.unref?.();
+    }
+}
+
+/**
+ * Split sections into pages of at most perPage sections, also starting a
+ * new page before Discord's field count or embed length limits are hit
+ * @param {Array<Section>} sections - Sections in display order
+ * @param {number} perPage - Most sections per page
+ * @returns {Array<Array<Section>>}
+ */
+function chunkSections(sections, perPage) {
+    const pages = [];
+    let page = [];
+    let length = 0;
+
+    for (const section of sections) {
+        const size = (section.name || '').length + (section.value || '').length + (section.description || '').length;
+        const fields = page.filter(existing => existing.name).length + (section.name ? 1 : 0);
+
+        if (page.length > 0 && (page.length >= perPage || fields > MAX_FIELDS || length + size > MAX_EMBED_LENGTH)) {
+            pages.push(page);
+            page = [];
+            length = 0;
+        }
+
+        page.push(section);
+        length += size;
+    }
+
+    if (page.length > 0) pages.push(page);
+    return pages;
+}
+
+module.exports = new Pagination();
+module.exports.Pagination = Pagination;
+module.exports.chunkSections = chunkSections;
+
+sessions.register(FLOW, (interaction, session, action) =>
+    module.exports.handleSession(interaction, session, action));
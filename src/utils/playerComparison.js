@@ -0,0 +1,108 @@
+/**
+ * Player Comparison - Head-to-Head Trophy Comparisons
+ *
+ * Pairs up two players' title lists and trophy lists so /compare can show
+ * the games they share, who is ahead in each, and which trophies only one
+ * of them has earned.
+ */
+
+/**
+ * Convert a stored user_games row or a PSN title into the shape compared
+ * @param {Object} game - user_games row joined with games, or normalized title
+ * @returns {Object} - { gameId, title, platform, progress }
+ */
+function toComparableGame(game) {
+    if (game.game_id) {
+        return {
+            gameId: game.game_id,
+            title: game.title || 'Unknown Game',
+            platform: game.platform || null,
+            progress: game.progress_percentage || 0
+        };
+    }
+
+    return {
+        gameId: game.npCommunicationId,
+        title: game.trophyTitleName || 'Unknown Game',
+        platform: game.trophyTitlePlatform || null,
+        progress: game.progress || 0
+    };
+}
+
+/**
+ * Find the games both players have trophies in
+ * @param {Array<Object>} gamesA - First player's games (rows or titles)
+ * @param {Array<Object>} gamesB - Second player's games (rows or titles)
+ * @returns {Array<Object>} - { gameId, title, platform, progressA, progressB,
+ *   leader } where leader is 'a', 'b' or null for a tie; most progressed first
+ */
+function findSharedGames(gamesA, gamesB) {
+    const byIdB = new Map(gamesB.map(toComparableGame).map(game => [game.gameId, game]));
+
+    return gamesA
+        .map(toComparableGame)
+        .filter(game => byIdB.has(game.gameId))
+        .map(game => {
+            const progressB = byIdB.get(game.gameId).progress;
+            return {
+                gameId: game.gameId,
+                title: game.title,
+                platform: game.platform || byIdB.get(game.gameId).platform,
+                progressA: game.progress,
+                progressB,
+                leader: getLeader(game.progress, progressB)
+            };
+        })
+        .sort((x, y) => (y.progressA + y.progressB) - (x.progressA + x.progressB) || x.title.localeCompare(y.title));
+}
+
+/**
+ * Count how many shared games each player leads
+ * @param {Array<Object>} sharedGames - Result of findSharedGames
+ * @returns {Object} - { a, b, tied }
+ */
+function countLeads(sharedGames) {
+    const counts = { a: 0, b: 0, tied: 0 };
+    for (const game of sharedGames) {
+        counts[game.leader || 'tied']++;
+    }
+    return counts;
+}
+
+/**
+ * Line up two players' trophy lists for one game
+ * @param {Array<Object>} trophiesA - First player's trophies, with earned flags
+ * @param {Array<Object>} trophiesB - Second player's trophies, with earned flags
+ * @returns {Object} - { trophies: [{ trophyId, trophyName, trophyType,
+ *   earnedA, earnedB }], earnedA, earnedB, onlyA, onlyB }
+ */
+function compareGameTrophies(trophiesA, trophiesB) {
+    const earnedByIdB = new Map(trophiesB.map(trophy => [trophy.trophyId, !!trophy.earned]));
+
+    const trophies = trophiesA.map(trophy => ({
+        trophyId: trophy.trophyId,
+        trophyName: trophy.trophyName || 'Hidden Trophy',
+        trophyType: trophy.trophyType,
+        earnedA: !!trophy.earned,
+        earnedB: earnedByIdB.get(trophy.trophyId) || false
+    }));
+
+    return {
+        trophies,
+        earnedA: trophies.filter(trophy => trophy.earnedA).length,
+        earnedB: trophies.filter(trophy => trophy.earnedB).length,
+        onlyA: trophies.filter(trophy => trophy.earnedA && !trophy.earnedB).length,
+        onlyB: trophies.filter(trophy => trophy.earnedB && !trophy.earnedA).length
+    };
+}
+
+function getLeader(progressA, progressB) {
+    if (progressA === progressB) return null;
+    return progressA > progressB ? 'a' : 'b';
+}
+
+module.exports = {
+    findSharedGames,
+    countLeads,
+    compareGameTrophies
+};
@@ -10,6 +10,8 @@
  * Uses the psn-api library for PlayStation Network interactions
  */
 
+// Must run before psn-api loads so PSN_BASE_URL applies to its requests
+require('./psnBaseUrl').installFetchOverride(process.env.PSN_BASE_URL);
 const {
     exchangeNpssoForCode,
     exchangeCodeForAccessToken,
@@ -17,9 +19,13 @@ const {
     getUserTitles,
     getTitleTrophies,
     getUserTrophyGroupEarningsForTitle,
+    getUserTrophyProfileSummary,
     getProfileFromAccountId,
     makeUniversalSearch
 } = require('psn-api');
+const { getNpServiceName } = require('./npService');
+const { PsnTimeoutError, toPsnError, assertPsnResponse } = require('./psnErrors');
+const { scheduleRequest } = require('./rateLimiter');
 
 class PSNApi {
     constructor(logger) {
@@ -39,7 +45,7 @@ class PSNApi {
         
         const timeoutPromise = new Promise((_, reject) => {
             timeoutId = setTimeout(() => {
-                reject(new Error(`PSN API request timed out after ${timeout}ms`));
+                reject(new PsnTimeoutError(`PSN API request timed out after ${timeout}ms`));
             }, timeout);
         });
 
@@ -61,6 +67,16 @@ class PSNApi {
         });
     }
 
+    /**
+     * Make one PSN API call on the current rate limit budget, timing out
+     * once it has started
+     * @param {Function} call - Function starting the psn-api request
+     * @returns {Promise} - The call's response
+     */
+    callPsn(call) {
+        return scheduleRequest(() => this.withTimeout(call()));
+    }
+
     /**
      * Authenticate user with NPSSO token
      * @param {string} npssoToken - NPSSO token from PlayStation Network
@@ -71,10 +87,10 @@ class PSNApi {
             this.logger.info('Authenticating with PSN using NPSSO token');
             
             // Exchange NPSSO for authorization code with timeout
-            const authCode = await this.withTimeout(exchangeNpssoForCode(npssoToken));
+            const authCode = await this.callPsn(() => exchangeNpssoForCode(npssoToken));
             
             // Exchange code for access tokens with timeout
-            const authTokens = await this.withTimeout(exchangeCodeForAccessToken(authCode));
+            const authTokens = await this.callPsn(() => exchangeCodeForAccessToken(authCode));
             
             this.logger.info('PSN authentication successful');
             
@@ -87,7 +103,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('PSN authentication failed:', error.message);
-            throw new Error(`PSN authentication failed: ${error.message}`);
+            throw toPsnError(error, `PSN authentication failed`);
         }
     }
 
@@ -100,7 +116,7 @@ class PSNApi {
         try {
             this.logger.debug('Refreshing PSN access token');
             
-            const authTokens = await this.withTimeout(exchangeRefreshTokenForAuthTokens(refreshToken));
+            const authTokens = await this.callPsn(() => exchangeRefreshTokenForAuthTokens(refreshToken));
             
             return {
                 accessToken: authTokens.accessToken,
@@ -111,7 +127,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('Token refresh failed:', error.message);
-            throw new Error(`Token refresh failed: ${error.message}`);
+            throw toPsnError(error, `Token refresh failed`);
         }
     }
 
@@ -125,7 +141,7 @@ class PSNApi {
         try {
             this.logger.debug(`Fetching profile for account ID: ${accountId}`);
             
-            const profile = await this.withTimeout(getProfileFromAccountId(
+            const profile = await this.callPsn(() => getProfileFromAccountId(
                 { accessToken },
                 accountId
             ));
@@ -146,7 +162,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch user profile:', error.message);
-            throw new Error(`Failed to fetch user profile: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch user profile`);
         }
     }
 
@@ -160,17 +176,38 @@ class PSNApi {
         try {
             this.logger.debug(`Searching for PSN user: ${username}`);
             
-            const searchResults = await this.withTimeout(makeUniversalSearch(
+            const searchResults = assertPsnResponse(await this.callPsn(() => makeUniversalSearch(
                 { accessToken },
                 username,
                 'SocialAllAccounts'
-            ));
+            )));
             
             return searchResults;
             
         } catch (error) {
             this.logger.error('User search failed:', error.message);
-            throw new Error(`User search failed: ${error.message}`);
+            throw toPsnError(error, `User search failed`);
+        }
+    }
+
+    /**
+     * Get user's trophy summary
+     * @param {string} accessToken - PSN access token
+     * @param {string} accountId - PSN account ID
+     * @returns {Object} - Trophy level and earned trophy counts
+     */
+    async getUserTrophySummary(accessToken, accountId) {
+        try {
+            this.logger.debug(`Fetching trophy summary for account ID: ${accountId}`);
+            
+            return assertPsnResponse(await this.callPsn(() => getUserTrophyProfileSummary(
+                { accessToken },
+                accountId
+            )));
+            
+        } catch (error) {
+            this.logger.error('Failed to fetch trophy summary:', error.message);
+            throw toPsnError(error, `Failed to fetch trophy summary`);
         }
     }
 
@@ -185,14 +222,14 @@ class PSNApi {
         try {
             this.logger.debug(`Fetching games for account ID: ${accountId}`);
             
-            const titles = await this.withTimeout(getUserTitles(
+            const titles = assertPsnResponse(await this.callPsn(() => getUserTitles(
                 { accessToken },
                 accountId,
                 {
                     limit,
                     offset: 0
                 }
-            ));
+            )));
             
             return titles.trophyTitles.map(title => ({
                 npCommunicationId: title.npCommunicationId,
@@ -200,6 +237,7 @@ class PSNApi {
                 trophyTitleDetail: title.trophyTitleDetail,
                 trophyTitleIconUrl: title.trophyTitleIconUrl,
                 trophyTitlePlatform: title.trophyTitlePlatform,
+                npServiceName: title.npServiceName || getNpServiceName(title.trophyTitlePlatform),
                 hasTrophyGroups: title.hasTrophyGroups,
                 definedTrophies: title.definedTrophies,
                 progress: title.progress,
@@ -210,7 +248,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch user games:', error.message);
-            throw new Error(`Failed to fetch user games: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch user games`);
         }
     }
 
@@ -219,20 +257,21 @@ class PSNApi {
      * @param {string} accessToken - PSN access token
      * @param {string} npCommunicationId - Game's NP Communication ID
      * @param {string} trophyGroupId - Trophy group ID (usually 'default')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
      * @returns {Array} - Array of trophies
      */
-    async getGameTrophies(accessToken, npCommunicationId, trophyGroupId = 'default') {
+    async getGameTrophies(accessToken, npCommunicationId, trophyGroupId = 'default', platform = null) {
         try {
             this.logger.debug(`Fetching trophies for game: ${npCommunicationId}`);
             
-            const trophies = await this.withTimeout(getTitleTrophies(
+            const trophies = assertPsnResponse(await this.callPsn(() => getTitleTrophies(
                 { accessToken },
                 npCommunicationId,
                 'all',
                 {
-                    npServiceName: 'trophy'
+                    npServiceName: getNpServiceName(platform)
                 }
-            ));
+            )));
             
             return trophies.trophies.map(trophy => ({
                 trophyId: trophy.trophyId,
@@ -250,7 +289,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch game trophies:', error.message);
-            throw new Error(`Failed to fetch game trophies: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch game trophies`);
         }
     }
 
@@ -260,19 +299,20 @@ class PSNApi {
      * @param {string} accountId - PSN account ID
      * @param {string} npCommunicationId - Game's NP Communication ID
      * @param {string} trophyGroupId - Trophy group ID (usually 'default')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
      * @returns {Object} - User's trophy progress for the game
      */
-    async getUserGameTrophies(accessToken, accountId, npCommunicationId, trophyGroupId = 'default') {
+    async getUserGameTrophies(accessToken, accountId, npCommunicationId, trophyGroupId = 'default', platform = null) {
         try {
             this.logger.debug(`Fetching user trophies for game: ${npCommunicationId}`);
             
-            const userTrophies = await this.withTimeout(getUserTrophyGroupEarningsForTitle(
+            const userTrophies = await this.callPsn(() => getUserTrophyGroupEarningsForTitle(
                 { accessToken },
                 accountId,
                 npCommunicationId,
                 trophyGroupId,
                 {
-                    npServiceName: 'trophy'
+                    npServiceName: getNpServiceName(platform)
                 }
             ));
             
@@ -294,7 +334,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch user game trophies:', error.message);
-            throw new Error(`Failed to fetch user game trophies: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch user game trophies`);
         }
     }
 
@@ -320,7 +360,9 @@ class PSNApi {
                     const gameTrophies = await this.getUserGameTrophies(
                         accessToken, 
                         accountId, 
-                        game.npCommunicationId
+                        game.npCommunicationId,
+                        'default',
+                        game.trophyTitlePlatform
                     );
                     
                     // Add earned trophies with game context
@@ -347,7 +389,7 @@ class PSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch recent trophies:', error.message);
-            throw new Error(`Failed to fetch recent trophies: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch recent trophies`);
         }
     }
 
@@ -0,0 +1,113 @@
+/**
+ * Authenticated PSN Backend
+ *
+ * psn-api's authenticated endpoints, using an NPSSO token from the bot
+ * owner's PSN account (PSN_NPSSO). Useful as a fallback when the public
+ * endpoints refuse a request. Tokens are exchanged on first use and
+ * refreshed before they expire.
+ */
+
+const PSNApi = require('../psnApi');
+const {
+    normalizeProfile,
+    normalizeProfileDetails,
+    extractSearchResults,
+    normalizeTrophySummary,
+    normalizeTitle,
+    normalizeTrophy,
+    normalizeGameTrophies
+} = require('../psnModels');
+
+// Refresh tokens a minute before PSN expires them
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+class AuthenticatedBackend {
+    constructor(logger, options = {}) {
+        this.name = 'authenticated';
+        this.api = new PSNApi(logger);
+        this.npsso = options.npsso || process.env.PSN_NPSSO;
+        this.tokens = null;
+    }
+
+    /**
+     * Get a valid access token, authenticating or refreshing as needed
+     * @returns {Promise<string>} - Access token
+     */
+    async getAccessToken() {
+        if (!this.npsso) {
+            throw new Error('PSN_NPSSO is not configured');
+        }
+
+        if (this.tokens && this.tokens.expiresAt - TOKEN_EXPIRY_MARGIN > Date.now()) {
+            return this.tokens.accessToken;
+        }
+
+        if (this.tokens?.refreshToken) {
+            try {
+                this.tokens = await this.api.refreshAccessToken(this.tokens.refreshToken);
+                return this.tokens.accessToken;
+            } catch (error) {
+                // Fall through to a fresh NPSSO exchange
+                this.tokens = null;
+            }
+        }
+
+        this.tokens = await this.api.authenticateWithNpsso(this.npsso);
+        return this.tokens.accessToken;
+    }
+
+    async validateUsername(username) {
+        const results = await this.searchUsers(username, 50);
+        return results.find(result =>
+            result.onlineId && result.onlineId.toLowerCase() === username.toLowerCase()
+        ) || null;
+    }
+
+    async searchUsers(query, limit = 10) {
+        const accessToken = await this.getAccessToken();
+        const results = extractSearchResults(await this.api.searchUser(accessToken, query));
+
+        return results.map(normalizeProfile).filter(Boolean).slice(0, limit);
+    }
+
+    async getUserProfile(accountId) {
+        const accessToken = await this.getAccessToken();
+        return normalizeProfileDetails(await this.api.getUserProfile(accessToken, accountId));
+    }
+
+    async getUserTrophySummary(accountId) {
+        const accessToken = await this.getAccessToken();
+        return normalizeTrophySummary(await this.api.getUserTrophySummary(accessToken, accountId));
+    }
+
+    async getUserGames(accountId, limit) {
+        const accessToken = await this.getAccessToken();
+        const games = await this.api.getUserGames(accessToken, accountId, limit) || [];
+        return games.map(normalizeTitle);
+    }
+
+    async getGameTrophies(npCommunicationId, trophyGroupId = 'all', platform = null) {
+        const accessToken = await this.getAccessToken();
+        const trophies = await this.api.getGameTrophies(accessToken, npCommunicationId, trophyGroupId, platform);
+        return normalizeGameTrophies(npCommunicationId, trophies);
+    }
+
+    async getUserGameTrophies(accountId, npCommunicationId, trophyGroupId = 'all', platform = null) {
+        const accessToken = await this.getAccessToken();
+        const [earned, definitions] = await Promise.all([
+            this.api.getUserGameTrophies(accessToken, accountId, npCommunicationId, trophyGroupId, platform),
+            this.api.getGameTrophies(accessToken, npCommunicationId, trophyGroupId, platform)
+        ]);
+
+        const definitionsById = new Map(
+            (definitions || []).map(trophy => [trophy.trophyId, trophy])
+        );
+
+        return (earned.trophies || []).map(trophy => normalizeTrophy({
+            ...definitionsById.get(trophy.trophyId),
+            ...trophy
+        }));
+    }
+}
+
+module.exports = AuthenticatedBackend;
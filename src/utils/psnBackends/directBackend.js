@@ -0,0 +1,47 @@
+/**
+ * Direct PSN Backend
+ *
+ * Calls PSN's web GraphQL endpoint over plain HTTPS, bypassing psn-api.
+ * It has no trophy definitions or pagination, so the client falls through
+ * to the next backend for those.
+ */
+
+const DirectPSNApi = require('../directPsnApi');
+const {
+    normalizeProfile,
+    normalizeTrophySummary,
+    normalizeTitle,
+    normalizeTrophy
+} = require('../psnModels');
+
+class DirectBackend {
+    constructor(logger) {
+        this.name = 'direct';
+        this.api = new DirectPSNApi(logger);
+    }
+
+    async validateUsername(username) {
+        return normalizeProfile(await this.api.validateUsername(username));
+    }
+
+    async searchUsers(query, limit) {
+        const results = await this.api.searchUsers(query, limit) || [];
+        return results.map(normalizeProfile).filter(Boolean);
+    }
+
+    async getUserTrophySummary(accountId) {
+        return normalizeTrophySummary(await this.api.getUserTrophySummary(accountId));
+    }
+
+    async getUserGames(accountId, limit) {
+        const games = await this.api.getUserGames(accountId, limit) || [];
+        return games.map(normalizeTitle);
+    }
+
+    async getUserGameTrophies(accountId, npCommunicationId) {
+        const trophies = await this.api.getGameTrophies(accountId, npCommunicationId) || [];
+        return trophies.map(normalizeTrophy);
+    }
+}
+
+module.exports = DirectBackend;
@@ -0,0 +1,13 @@
+/**
+ * PSN Backend Registry
+ *
+ * Backends PsnClient can chain, by the name used in PSN_BACKENDS. Each
+ * backend implements any subset of the PsnClient data methods and returns
+ * objects from psnModels.
+ */
+
+module.exports = {
+    public: require('./publicBackend'),
+    authenticated: require('./authenticatedBackend'),
+    direct: require('./directBackend')
+};
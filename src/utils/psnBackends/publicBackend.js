@@ -0,0 +1,65 @@
+/**
+ * Public PSN Backend
+ *
+ * psn-api's public endpoints, no authentication required. This is the
+ * default backend and the only one that supports every PsnClient method.
+ * Game trophy definitions are served from the shared trophy cache.
+ */
+
+const PublicPSNApi = require('../publicPsnApi');
+const trophyCache = require('../trophyCache');
+const {
+    normalizeProfile,
+    normalizeTrophySummary,
+    normalizeTitle,
+    normalizeTrophy,
+    normalizeGameTrophies,
+    normalizeTrophyGroups
+} = require('../psnModels');
+
+class PublicBackend {
+    constructor(logger) {
+        this.name = 'public';
+        this.api = new PublicPSNApi(logger, { trophyCache });
+    }
+
+    async validateUsername(username) {
+        return normalizeProfile(await this.api.validateUsername(username));
+    }
+
+    async searchUsers(query, limit) {
+        const results = await this.api.searchUsers(query, limit) || [];
+        return results.map(normalizeProfile).filter(Boolean);
+    }
+
+    async getUserTrophySummary(accountId) {
+        return normalizeTrophySummary(await this.api.getUserTrophySummary(accountId));
+    }
+
+    async getUserGames(accountId, limit) {
+        const games = await this.api.getUserGames(accountId, limit) || [];
+        return games.map(normalizeTitle);
+    }
+
+    async getAllUserGames(accountId) {
+        const games = await this.api.getAllUserGames(accountId) || [];
+        return games.map(normalizeTitle);
+    }
+
+    async getGameTrophies(npCommunicationId, trophyGroupId, platform) {
+        const trophies = await this.api.getGameTrophies(npCommunicationId, trophyGroupId, platform);
+        return normalizeGameTrophies(npCommunicationId, trophies);
+    }
+
+    async getGameTrophyGroups(npCommunicationId, platform) {
+        const groups = await this.api.getGameTrophyGroups(npCommunicationId, platform);
+        return normalizeTrophyGroups(npCommunicationId, groups);
+    }
+
+    async getUserGameTrophies(accountId, npCommunicationId, trophyGroupId, platform) {
+        const trophies = await this.api.getUserGameTrophies(accountId, npCommunicationId, trophyGroupId, platform) || [];
+        return trophies.map(normalizeTrophy);
+    }
+}
+
+module.exports = PublicBackend;
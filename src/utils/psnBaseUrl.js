@@ -0,0 +1,62 @@
+/**
+ * PSN Base URL Override
+ *
+ * When PSN_BASE_URL is set, every request to a PlayStation Network host is
+ * sent to that server instead, keeping its path and query. This is how
+ * the wrappers and the trophy tracker run against the local mock PSN
+ * server in tests. Unset, requests go to PSN unchanged.
+ *
+ * DirectPSNApi builds its own URLs and takes the base URL as an option.
+ * psn-api has no such option, so its wrappers call installFetchOverride
+ * before loading it, which routes global fetch through the base URL only
+ * when PSN_BASE_URL is set; otherwise global fetch is left alone. psn-api
+ * keeps a reference to global fetch when it is first loaded, so
+ * PSN_BASE_URL must be set before the wrappers are required.
+ */
+
+const PSN_HOSTS = [
+    'm.np.playstation.com',
+    'web.np.playstation.com',
+    'ca.account.sony.com',
+    'us-prof.np.community.playstation.net',
+    'dms.api.playstation.com'
+];
+
+/**
+ * Point a PSN URL at a base URL if one is set
+ * @param {string|URL} url - Request URL
+ * @param {string} baseUrl - Server to send PSN requests to, PSN_BASE_URL
+ *   by default
+ * @returns {string} - URL to request
+ */
+function resolvePsnUrl(url, baseUrl = process.env.PSN_BASE_URL) {
+    const parsed = new URL(String(url));
+    if (!baseUrl || !PSN_HOSTS.includes(parsed.hostname)) return String(url);
+
+    const base = new URL(baseUrl);
+    const basePath = base.pathname.replace(/\/$/, '');
+    return `${base.origin}${basePath}${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Route global fetch's PSN requests to a base URL
+ * @param {string} baseUrl - Server to send PSN requests to
+ */
+function installFetchOverride(baseUrl) {
+    if (!baseUrl || typeof global.fetch !== 'function' || global.fetch.psnBaseUrlOverride) return;
+
+    const originalFetch = global.fetch;
+    const fetchWithOverride = (input, init) => {
+        const url = typeof input === 'string' || input instanceof URL ? resolvePsnUrl(input, baseUrl) : input;
+        return originalFetch(url, init);
+    };
+    fetchWithOverride.psnBaseUrlOverride = true;
+
+    global.fetch = fetchWithOverride;
+}
+
+module.exports = {
+    PSN_HOSTS,
+    resolvePsnUrl,
+    installFetchOverride
+};
@@ -0,0 +1,300 @@
+/**
+ * PSN Client - Single Entry Point for PlayStation Network Data
+ *
+ * Commands and the trophy tracker talk to PSN only through this client.
+ * Requests go to an ordered chain of backends (PSN_BACKENDS, default
+ * 'public'); when a backend throws or doesn't support a request the next
+ * one is tried. Every result uses the data model in psnModels, whichever
+ * backend produced it.
+ *
+ * A backend returning "not found" (null or an empty list) is an answer,
+ * not a failure - only errors fall through to the next backend. Errors are
+ * typed (see psnErrors); missing data and private profiles look the same
+ * from every backend, so those are thrown without trying the rest.
+ * Retryable failures are retried on the same backend first, using the
+ * retry policy for the client's priority.
+ *
+ * Whole requests run through the shared circuit breaker, so while PSN is
+ * down they fail immediately with PsnCircuitOpenError.
+ *
+ * Every HTTP call a backend attempt makes is scheduled through the shared
+ * rate limiter under the client's priority ('interactive' for commands,
+ * 'background' for the trophy poll), so a paged listing such as
+ * getAllUserGames spends one token per page.
+ */
+
+const backendRegistry = require('./psnBackends');
+const rateLimiter = require('./rateLimiter');
+const { withBudget } = rateLimiter;
+const circuitBreaker = require('./circuitBreaker');
+const recentPlayers = require('./recentPlayers');
+const { withRetry } = require('./retryPolicy');
+const { PsnNotFoundError, PsnPrivateProfileError } = require('./psnErrors');
+
+const DEFAULT_BACKENDS = 'public';
+
+class PsnClient {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} options - Client options
+     * @param {Array<string|Object>} options.backends - Backend names from the
+     *   registry or backend instances, in the order they should be tried
+     * @param {string} options.priority - Rate limit budget to draw from
+     *   ('interactive' or 'background')
+     * @param {Object} options.rateLimiter - Limiter to schedule requests on
+     * @param {Object} options.retry - Overrides for the retry policy
+     * @param {Object} options.circuitBreaker - Breaker guarding requests
+     * @param {string} options.lookupScope - recentPlayers scope accounts
+     *   found by name are remembered under; unset to not remember them
+     */
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.priority = options.priority || 'interactive';
+        this.rateLimiter = options.rateLimiter || rateLimiter;
+        this.retryOptions = options.retry || {};
+        this.circuitBreaker = options.circuitBreaker || circuitBreaker;
+        this.lookupScope = options.lookupScope || null;
+        this.backends = this.createBackends(
+            options.backends || (process.env.PSN_BACKENDS || DEFAULT_BACKENDS).split(',')
+        );
+    }
+
+    /**
+     * Build the backend chain, skipping unknown backend names
+     * @param {Array<string|Object>} specs - Backend names or instances
+     * @returns {Array<Object>} - Backend instances
+     */
+    createBackends(specs) {
+        const backends = [];
+
+        for (const spec of specs) {
+            if (typeof spec !== 'string') {
+                backends.push(spec);
+                continue;
+            }
+
+            const name = spec.trim().toLowerCase();
+            if (!name) continue;
+
+            const Backend = backendRegistry[name];
+            if (!Backend) {
+                this.logger.warn(`Unknown PSN backend "${name}" ignored. Available: ${Object.keys(backendRegistry).join(', ')}`);
+                continue;
+            }
+            backends.push(new Backend(this.logger));
+        }
+
+        if (backends.length === 0) {
+            this.logger.warn(`No usable PSN backends configured, using "${DEFAULT_BACKENDS}"`);
+            backends.push(new backendRegistry[DEFAULT_BACKENDS](this.logger));
+        }
+
+        return backends;
+    }
+
+    /**
+     * Get a view of this client that draws from another rate limit budget,
+     * sharing the same backends
+     * @param {string} priority - 'interactive' or 'background'
+     * @returns {PsnClient}
+     */
+    withPriority(priority) {
+        if (priority === this.priority) return this;
+
+        const client = Object.create(this);
+        client.priority = priority;
+        return client;
+    }
+
+    /**
+     * Whether PSN requests are currently let through by the circuit breaker
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.circuitBreaker.isAvailable();
+    }
+
+    /**
+     * Whether any configured backend can answer a request. Some requests,
+     * such as getUserProfile, are only available from the authenticated
+     * backend.
+     * @param {string} method - Backend method name
+     * @returns {boolean}
+     */
+    supports(method) {
+        return this.backends.some(backend => typeof backend[method] === 'function');
+    }
+
+    /**
+     * Run a request unless the circuit breaker is open
+     * @param {string} method - Backend method name
+     * @param {Array} args - Method arguments
+     * @returns {Promise<*>} - First backend's answer
+     */
+    async request(method, ...args) {
+        return this.circuitBreaker.execute(() => this.requestFromBackends(method, ...args));
+    }
+
+    /**
+     * Run a request against each backend in turn until one answers
+     * @param {string} method - Backend method name
+     * @param {Array} args - Method arguments
+     * @returns {Promise<*>} - First backend's answer
+     */
+    async requestFromBackends(method, ...args) {
+        let lastError = null;
+
+        for (const backend of this.backends) {
+            if (typeof backend[method] !== 'function') continue;
+
+            try {
+                return await withRetry(
+                    () => withBudget(this.rateLimiter, this.priority, () => backend[method](...args)),
+                    {
+                        ...this.retryOptions,
+                        priority: this.priority,
+                        onRetry: (error, attempt, delayMs) => this.logger.warn(
+                            `PSN backend "${backend.name}" failed ${method} (${error.name}), retry ${attempt} in ${delayMs}ms`
+                        )
+                    }
+                );
+            } catch (error) {
+                if (error instanceof PsnNotFoundError || error instanceof PsnPrivateProfileError) {
+                    throw error;
+                }
+                lastError = error;
+                this.logger.warn(`PSN backend "${backend.name}" failed ${method}: ${error.message}`);
+            }
+        }
+
+        throw lastError || new Error(`No PSN backend supports ${method}`);
+    }
+
+    /**
+     * Look up a PSN account by exact username. Accounts found are
+     * remembered in recentPlayers for autocomplete, under the client's
+     * lookupScope.
+     * @param {string} username - PSN username
+     * @returns {Promise<Profile|null>} - Profile, or null if no such user
+     */
+    async validateUsername(username) {
+        const profile = await this.request('validateUsername', username);
+        if (this.lookupScope) {
+            recentPlayers.record(this.lookupScope, profile);
+        }
+        return profile;
+    }
+
+    /**
+     * Search PSN accounts by username
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results
+     * @returns {Promise<Array<Profile>>}
+     */
+    async searchUsers(query, limit = 10) {
+        return this.request('searchUsers', query, limit);
+    }
+
+    /**
+     * Get a user's full profile, including the About Me text. Needs the
+     * authenticated backend; check supports('getUserProfile') first.
+     * @param {string} accountId - PSN account ID
+     * @returns {Promise<ProfileDetails|null>}
+     */
+    async getUserProfile(accountId) {
+        return this.request('getUserProfile', accountId);
+    }
+
+    /**
+     * Get a user's trophy level and earned counts
+     * @param {string} accountId - PSN account ID
+     * @returns {Promise<TrophySummary>}
+     */
+    async getUserTrophySummary(accountId) {
+        return this.request('getUserTrophySummary', accountId);
+    }
+
+    /**
+     * Get a user's most recently updated titles
+     * @param {string} accountId - PSN account ID
+     * @param {number} limit - Number of titles
+     * @returns {Promise<Array<Title>>}
+     */
+    async getUserGames(accountId, limit = 100) {
+        return this.request('getUserGames', accountId, limit);
+    }
+
+    /**
+     * Get every title a user has trophies in
+     * @param {string} accountId - PSN account ID
+     * @returns {Promise<Array<Title>>}
+     */
+    async getAllUserGames(accountId) {
+        return this.request('getAllUserGames', accountId);
+    }
+
+    /**
+     * Get a game's trophy definitions
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {string} trophyGroupId - Trophy group ID (usually 'all')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
+     * @returns {Promise<GameTrophies>}
+     */
+    async getGameTrophies(npCommunicationId, trophyGroupId = 'all', platform = null) {
+        return this.request('getGameTrophies', npCommunicationId, trophyGroupId, platform);
+    }
+
+    /**
+     * Get a game's trophy groups: the base game and each DLC pack
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
+     * @returns {Promise<GameTrophyGroups>}
+     */
+    async getGameTrophyGroups(npCommunicationId, platform = null) {
+        return this.request('getGameTrophyGroups', npCommunicationId, platform);
+    }
+
+    /**
+     * Get a user's trophies for a game, with earned status
+     * @param {string} accountId - PSN account ID
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {string} trophyGroupId - Trophy group ID (usually 'all')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
+     * @returns {Promise<Array<Trophy>>}
+     */
+    async getUserGameTrophies(accountId, npCommunicationId, trophyGroupId = 'all', platform = null) {
+        return this.request('getUserGameTrophies', accountId, npCommunicationId, trophyGroupId, platform);
+    }
+
+    /**
+     * Get a user's trophy summary together with statistics over their titles
+     * @param {string} accountId - PSN account ID
+     * @returns {Promise<Object>} - TrophySummary plus gameStats
+     */
+    async getDetailedTrophyStats(accountId) {
+        const [summary, games] = await Promise.all([
+            this.getUserTrophySummary(accountId),
+            this.getUserGames(accountId, 50)
+        ]);
+
+        const completedGames = games.filter(game => game.progress === 100).length;
+        const gamesWithPlatinum = games.filter(game => game.earnedTrophies.platinum > 0).length;
+        const averageCompletion = games.length > 0
+            ? Math.round(games.reduce((sum, game) => sum + game.progress, 0) / games.length)
+            : 0;
+
+        return {
+            ...summary,
+            gameStats: {
+                totalGames: games.length,
+                completedGames,
+                gamesWithPlatinum,
+                averageCompletion,
+                recentGames: games.slice(0, 5),
+                games
+            }
+        };
+    }
+}
+
+module.exports = PsnClient;
@@ -0,0 +1,207 @@
+/**
+ * PSN Errors - Typed Failures for PlayStation Network Requests
+ *
+ * The PSN wrappers turn whatever psn-api, fetch or https threw into one of
+ * these classes so callers can react to the kind of failure instead of
+ * matching message strings. psn-api only exposes PSN's error message, so
+ * classification falls back to the message when there is no HTTP status.
+ */
+
+class PsnError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - Error details
+     * @param {Error} options.cause - Original error
+     * @param {number} options.statusCode - HTTP status, when known
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.cause = options.cause;
+        this.statusCode = options.statusCode || null;
+    }
+
+    /**
+     * Whether repeating the same request later may succeed
+     * @returns {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+
+    /**
+     * Short explanation suitable for showing to Discord users
+     * @returns {string|null} - null for unclassified errors, which have
+     *   nothing better to say than their message
+     */
+    get userMessage() {
+        return null;
+    }
+}
+
+class PsnNotFoundError extends PsnError {
+    get userMessage() {
+        return 'The requested PlayStation Network data does not exist.';
+    }
+}
+
+class PsnPrivateProfileError extends PsnError {
+    get userMessage() {
+        return 'This player\'s trophies are not visible to everyone in their PSN privacy settings.';
+    }
+}
+
+class PsnRateLimitedError extends PsnError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - Error details, plus retryAfterMs from Retry-After
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.retryAfterMs = options.retryAfterMs ?? null;
+    }
+
+    get retryable() {
+        return true;
+    }
+
+    get userMessage() {
+        return 'PlayStation Network is limiting requests right now. Please try again in a few minutes.';
+    }
+}
+
+class PsnUnavailableError extends PsnError {
+    get retryable() {
+        return true;
+    }
+
+    get userMessage() {
+        return 'PlayStation Network could not be reached. This is usually temporary.';
+    }
+}
+
+class PsnTimeoutError extends PsnError {
+    get retryable() {
+        return true;
+    }
+
+    get userMessage() {
+        return 'PlayStation Network took too long to respond. Please try again.';
+    }
+}
+
+class PsnCircuitOpenError extends PsnError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} options - Error details, plus openedAt from the breaker
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.openedAt = options.openedAt || null;
+    }
+
+    get userMessage() {
+        return 'PlayStation Network is currently unreachable. Trophy data will be back once it recovers.';
+    }
+}
+
+const UNAVAILABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|number} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Milliseconds to wait, or null if unusable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Pick the error class for a raw failure
+ * @param {Error} error - Raw error
+ * @returns {Function} - PsnError subclass
+ */
+function classify(error) {
+    const status = error.statusCode || error.status;
+    if (status === 404) return PsnNotFoundError;
+    if (status === 403) return PsnPrivateProfileError;
+    if (status === 429) return PsnRateLimitedError;
+    if (status >= 500) return PsnUnavailableError;
+
+    const message = error.message || '';
+    if (/too many requests|rate limit|\b429\b/i.test(message)) return PsnRateLimitedError;
+    if (/not permitted by access control|private|forbidden|\b403\b/i.test(message)) return PsnPrivateProfileError;
+    if (/not found|\b404\b/i.test(message)) return PsnNotFoundError;
+    if (error.code === 'ETIMEDOUT' || /timed out|timeout/i.test(message)) return PsnTimeoutError;
+    if (UNAVAILABLE_CODES.includes(error.code) ||
+        /fetch failed|socket hang up|service unavailable|bad gateway|\b50[0-4]\b|unexpected token/i.test(message)) {
+        return PsnUnavailableError;
+    }
+
+    return PsnError;
+}
+
+/**
+ * Convert any failure from a PSN request into a typed PsnError
+ * @param {Error} error - Raw error
+ * @param {string} context - What was being attempted, prefixed to the message
+ * @returns {PsnError}
+ */
+function toPsnError(error, context) {
+    if (error instanceof PsnError) {
+        if (!context) return error;
+
+        // Keep the type, add the context
+        return new error.constructor(`${context}: ${error.message}`, {
+            cause: error,
+            statusCode: error.statusCode,
+            retryAfterMs: error.retryAfterMs
+        });
+    }
+
+    const ErrorClass = classify(error);
+    const message = context ? `${context}: ${error.message}` : error.message;
+
+    return new ErrorClass(message, {
+        cause: error,
+        statusCode: error.statusCode || error.status,
+        retryAfterMs: parseRetryAfter(error.retryAfter ?? error.headers?.['retry-after'])
+    });
+}
+
+/**
+ * Throw the error PSN answered with, if any. Several psn-api functions
+ * return PSN's error body ({ error: { code, message } }) instead of
+ * throwing it, for example for private profiles and rate limits.
+ * @param {Object} response - Parsed psn-api response
+ * @returns {Object} - The response, when it is not an error
+ */
+function assertPsnResponse(response) {
+    if (response && response.error && !Array.isArray(response)) {
+        throw toPsnError(new Error(response.error.message || 'Unexpected Error'));
+    }
+
+    return response;
+}
+
+module.exports = {
+    PsnError,
+    PsnNotFoundError,
+    PsnPrivateProfileError,
+    PsnRateLimitedError,
+    PsnUnavailableError,
+    PsnTimeoutError,
+    PsnCircuitOpenError,
+    parseRetryAfter,
+    toPsnError,
+    assertPsnResponse
+};
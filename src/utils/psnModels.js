@@ -0,0 +1,276 @@
+/**
+ * PSN Data Model - Normalized Profiles, Titles and Trophies
+ *
+ * Every PSN backend returns its own shapes. PsnClient hands the rest of the
+ * bot only the objects built here, so commands and the tracker never need
+ * to know which backend answered a request.
+ */
+
+const { getNpServiceName } = require('./npService');
+
+/**
+ * @typedef {Object} TrophyCounts
+ * @property {number} bronze
+ * @property {number} silver
+ * @property {number} gold
+ * @property {number} platinum
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} accountId - PSN account ID
+ * @property {string} onlineId - PSN username as PSN spells it
+ * @property {string|null} avatarUrl
+ */
+
+/**
+ * @typedef {Object} ProfileDetails
+ * @property {string} accountId
+ * @property {string} onlineId
+ * @property {string|null} avatarUrl
+ * @property {string} aboutMe - The profile's About Me text ('' when unset)
+ */
+
+/**
+ * @typedef {Object} TrophySummary
+ * @property {string} accountId
+ * @property {number} trophyLevel
+ * @property {number} progress - Progress to the next level (%)
+ * @property {number} tier
+ * @property {TrophyCounts} earnedTrophies
+ * @property {number} hiddenTrophyCount
+ * @property {string|null} lastUpdatedDateTime
+ */
+
+/**
+ * @typedef {Object} Title
+ * @property {string} npCommunicationId
+ * @property {string} trophyTitleName
+ * @property {string} trophyTitleDetail
+ * @property {string|null} trophyTitleIconUrl
+ * @property {string|null} trophyTitlePlatform - e.g. 'PS5' or 'PS4,PSVITA'
+ * @property {string} npServiceName - 'trophy' or 'trophy2'
+ * @property {boolean} hasTrophyGroups
+ * @property {TrophyCounts} definedTrophies
+ * @property {TrophyCounts} earnedTrophies
+ * @property {number} progress - Completion (%)
+ * @property {boolean} hiddenFlag
+ * @property {string|null} lastUpdatedDateTime
+ */
+
+/**
+ * @typedef {Object} Trophy
+ * @property {number} trophyId
+ * @property {string} trophyName
+ * @property {string} trophyDetail
+ * @property {string} trophyType - 'bronze', 'silver', 'gold' or 'platinum'
+ * @property {string|null} trophyIconUrl
+ * @property {string} trophyGroupId
+ * @property {boolean} trophyHidden
+ * @property {number} trophyRare
+ * @property {string} trophyEarnedRate
+ * @property {boolean} earned
+ * @property {string|null} earnedDateTime
+ */
+
+/**
+ * @typedef {Object} GameTrophies
+ * @property {string} npCommunicationId
+ * @property {string} trophyTitleName
+ * @property {string} trophyTitleDetail
+ * @property {string|null} trophyTitleIconUrl
+ * @property {string|null} trophyTitlePlatform
+ * @property {TrophyCounts} definedTrophies
+ * @property {Array<Trophy>} trophies
+ */
+
+/**
+ * @typedef {Object} TrophyGroup
+ * @property {string} trophyGroupId - 'default' for the base game, '001'... for DLC
+ * @property {string} trophyGroupName
+ * @property {string} trophyGroupDetail
+ * @property {string|null} trophyGroupIconUrl
+ * @property {TrophyCounts} definedTrophies
+ */
+
+/**
+ * @typedef {Object} GameTrophyGroups
+ * @property {string} npCommunicationId
+ * @property {string} trophyTitleName
+ * @property {string|null} trophyTitleIconUrl
+ * @property {Array<TrophyGroup>} trophyGroups
+ */
+
+/**
+ * Normalize trophy counts by grade
+ * @param {Object} counts - Raw counts (may be missing grades)
+ * @returns {TrophyCounts}
+ */
+function normalizeTrophyCounts(counts = {}) {
+    return {
+        bronze: counts?.bronze || 0,
+        silver: counts?.silver || 0,
+        gold: counts?.gold || 0,
+        platinum: counts?.platinum || 0
+    };
+}
+
+/**
+ * Normalize a PSN profile or search result
+ * @param {Object} raw - Raw profile
+ * @returns {Profile|null} - Null when the profile has no account ID
+ */
+function normalizeProfile(raw) {
+    if (!raw || !raw.accountId) return null;
+
+    return {
+        accountId: String(raw.accountId),
+        onlineId: raw.onlineId,
+        avatarUrl: raw.avatarUrl || null
+    };
+}
+
+/**
+ * Normalize a full PSN profile, including its About Me
+ * @param {Object} raw - Raw profile
+ * @returns {ProfileDetails|null} - Null when the profile has no account ID
+ */
+function normalizeProfileDetails(raw) {
+    const profile = normalizeProfile(raw);
+    if (!profile) return null;
+
+    return {
+        ...profile,
+        aboutMe: raw.aboutMe || ''
+    };
+}
+
+/**
+ * Flatten a universal search response into raw profiles
+ * @param {Object|Array} raw - makeUniversalSearch response; results are
+ *   nested per domain, older responses were a flat array
+ * @returns {Array<Object>} - Raw profiles for normalizeProfile
+ */
+function extractSearchResults(raw) {
+    if (Array.isArray(raw)) return raw;
+
+    return (raw?.domainResponses?.[0]?.results || []).map(result => result.socialMetadata || result);
+}
+
+/**
+ * Normalize a trophy summary
+ * @param {Object} raw - Raw summary
+ * @returns {TrophySummary}
+ */
+function normalizeTrophySummary(raw) {
+    return {
+        accountId: raw.accountId,
+        trophyLevel: Number(raw.trophyLevel) || 0,
+        progress: raw.progress || 0,
+        tier: raw.tier || 0,
+        earnedTrophies: normalizeTrophyCounts(raw.earnedTrophies),
+        hiddenTrophyCount: raw.hiddenTrophyCount || 0,
+        lastUpdatedDateTime: raw.lastUpdatedDateTime || null
+    };
+}
+
+/**
+ * Normalize a trophy title from a user's title list
+ * @param {Object} raw - Raw title
+ * @returns {Title}
+ */
+function normalizeTitle(raw) {
+    const platform = raw.trophyTitlePlatform || null;
+
+    return {
+        npCommunicationId: raw.npCommunicationId,
+        trophyTitleName: raw.trophyTitleName || raw.name || 'Unknown Game',
+        trophyTitleDetail: raw.trophyTitleDetail || '',
+        trophyTitleIconUrl: raw.trophyTitleIconUrl || null,
+        trophyTitlePlatform: platform,
+        npServiceName: raw.npServiceName || getNpServiceName(platform),
+        hasTrophyGroups: !!raw.hasTrophyGroups,
+        definedTrophies: normalizeTrophyCounts(raw.definedTrophies),
+        earnedTrophies: normalizeTrophyCounts(raw.earnedTrophies),
+        progress: raw.progress || 0,
+        hiddenFlag: !!raw.hiddenFlag,
+        lastUpdatedDateTime: raw.lastUpdatedDateTime || raw.lastPlayedDateTime || null
+    };
+}
+
+/**
+ * Normalize a trophy, with or without the user's earned status
+ * @param {Object} raw - Raw trophy
+ * @returns {Trophy}
+ */
+function normalizeTrophy(raw) {
+    return {
+        trophyId: raw.trophyId,
+        trophyName: raw.trophyName || 'Unknown Trophy',
+        trophyDetail: raw.trophyDetail || raw.trophyDescription || '',
+        trophyType: raw.trophyType,
+        trophyIconUrl: raw.trophyIconUrl || null,
+        trophyGroupId: raw.trophyGroupId || 'default',
+        trophyHidden: !!raw.trophyHidden,
+        trophyRare: raw.trophyRare ?? raw.rarity ?? 0,
+        trophyEarnedRate: raw.trophyEarnedRate || '0.0%',
+        earned: !!raw.earned,
+        earnedDateTime: raw.earnedDateTime || null
+    };
+}
+
+/**
+ * Normalize a game's trophy list
+ * @param {string} npCommunicationId - Game's NP Communication ID
+ * @param {Object|Array} raw - Raw trophy list, or an object with a trophies array
+ * @returns {GameTrophies}
+ */
+function normalizeGameTrophies(npCommunicationId, raw) {
+    const details = Array.isArray(raw) ? {} : (raw || {});
+    const trophies = Array.isArray(raw) ? raw : (details.trophies || []);
+
+    return {
+        npCommunicationId,
+        trophyTitleName: details.trophyTitleName || 'Unknown Game',
+        trophyTitleDetail: details.trophyTitleDetail || '',
+        trophyTitleIconUrl: details.trophyTitleIconUrl || null,
+        trophyTitlePlatform: details.trophyTitlePlatform || null,
+        definedTrophies: normalizeTrophyCounts(details.definedTrophies),
+        trophies: trophies.map(normalizeTrophy)
+    };
+}
+
+/**
+ * Normalize a game's trophy groups (base game and DLC packs)
+ * @param {string} npCommunicationId - Game's NP Communication ID
+ * @param {Object} raw - Raw response with a trophyGroups array
+ * @returns {GameTrophyGroups}
+ */
+function normalizeTrophyGroups(npCommunicationId, raw) {
+    const details = raw || {};
+
+    return {
+        npCommunicationId,
+        trophyTitleName: details.trophyTitleName || 'Unknown Game',
+        trophyTitleIconUrl: details.trophyTitleIconUrl || null,
+        trophyGroups: (details.trophyGroups || []).map(group => ({
+            trophyGroupId: group.trophyGroupId || 'default',
+            trophyGroupName: group.trophyGroupName || (group.trophyGroupId === 'default' ? 'Base Game' : 'Unknown Group'),
+            trophyGroupDetail: group.trophyGroupDetail || '',
+            trophyGroupIconUrl: group.trophyGroupIconUrl || null,
+            definedTrophies: normalizeTrophyCounts(group.definedTrophies)
+        }))
+    };
+}
+
+module.exports = {
+    normalizeTrophyCounts,
+    normalizeProfile,
+    normalizeProfileDetails,
+    extractSearchResults,
+    normalizeTrophySummary,
+    normalizeTitle,
+    normalizeTrophy,
+    normalizeGameTrophies,
+    normalizeTrophyGroups
+};
@@ -10,19 +10,33 @@
  * - User profile summaries
  */
 
+// Must run before psn-api loads so PSN_BASE_URL applies to its requests
+require('./psnBaseUrl').installFetchOverride(process.env.PSN_BASE_URL);
 const {
     getUserTitles,
     getTitleTrophies,
     getTitleTrophyGroups,
     getUserTrophyProfileSummary,
+    getUserTrophiesEarnedForTitle,
     makeUniversalSearch
 } = require('psn-api');
+const { getNpServiceName } = require('./npService');
+const { PsnTimeoutError, toPsnError, assertPsnResponse } = require('./psnErrors');
+const { scheduleRequest } = require('./rateLimiter');
+const { extractSearchResults } = require('./psnModels');
 
 class PublicPSNApi {
-    constructor(logger) {
+    /**
+     * @param {Object} logger - Logger instance
+     * @param {Object} options - API options
+     * @param {Object} options.trophyCache - TrophyCache serving game trophy
+     *   definitions; without one they are always fetched from PSN
+     */
+    constructor(logger, options = {}) {
         this.logger = logger || console;
         // Default timeout of 30 seconds for PSN API calls
         this.defaultTimeout = 30000;
+        this.trophyCache = options.trophyCache || null;
     }
 
     /**
@@ -36,7 +50,7 @@ class PublicPSNApi {
         
         const timeoutPromise = new Promise((_, reject) => {
             timeoutId = setTimeout(() => {
-                reject(new Error(`PSN API request timed out after ${timeout}ms`));
+                reject(new PsnTimeoutError(`PSN API request timed out after ${timeout}ms`));
             }, timeout);
         });
 
@@ -58,6 +72,16 @@ class PublicPSNApi {
         });
     }
 
+    /**
+     * Make one PSN API call on the current rate limit budget, timing out
+     * once it has started
+     * @param {Function} call - Function starting the psn-api request
+     * @returns {Promise} - The call's response
+     */
+    callPsn(call) {
+        return scheduleRequest(() => this.withTimeout(call()));
+    }
+
     /**
      * Validate PSN username and get account ID
      * @param {string} username - PSN username to validate
@@ -67,15 +91,18 @@ class PublicPSNApi {
         try {
             this.logger.info(`🔍 Starting PSN username validation for: "${username}"`);
             
+            // A search PSN couldn't answer doesn't mean the user doesn't exist
+            let searchFailure = null;
+            
             // Method 1: Try universal search first
             this.logger.debug(`Method 1: Attempting universal search for "${username}"`);
             let searchResults;
             try {
-                searchResults = await this.withTimeout(makeUniversalSearch(
+                searchResults = extractSearchResults(assertPsnResponse(await this.callPsn(() => makeUniversalSearch(
                     {}, // No auth token needed
                     username,
                     'SocialAllAccounts'
-                ));
+                ))));
                 this.logger.debug(`Universal search returned ${searchResults?.length || 0} results`);
                 
                 if (searchResults && searchResults.length > 0) {
@@ -99,15 +126,16 @@ class PublicPSNApi {
                 }
             } catch (searchError) {
                 this.logger.warn(`Universal search failed: ${searchError.message}`);
+                searchFailure = toPsnError(searchError);
             }
             
             // Method 2: Try direct user profile lookup
             this.logger.debug(`Method 2: Attempting direct profile lookup for "${username}"`);
             try {
-                const directProfile = await this.withTimeout(getUserTrophyProfileSummary(
+                const directProfile = assertPsnResponse(await this.callPsn(() => getUserTrophyProfileSummary(
                     {}, // No auth token needed
                     username // Try using username directly as account ID
-                ));
+                )));
                 
                 if (directProfile && directProfile.accountId) {
                     this.logger.info(`✅ Found user via direct profile lookup: ${username} (ID: ${directProfile.accountId})`);
@@ -124,11 +152,11 @@ class PublicPSNApi {
             // Method 3: Try searching with different search type
             this.logger.debug(`Method 3: Attempting alternative search type for "${username}"`);
             try {
-                const altSearchResults = await this.withTimeout(makeUniversalSearch(
+                const altSearchResults = extractSearchResults(assertPsnResponse(await this.callPsn(() => makeUniversalSearch(
                     {}, // No auth token needed
                     username,
                     'SocialAllAccounts'
-                ));
+                ))));
                 
                 if (altSearchResults && altSearchResults.length > 0) {
                     this.logger.debug(`Alternative search returned ${altSearchResults.length} results`);
@@ -152,6 +180,11 @@ class PublicPSNApi {
                 }
             } catch (altError) {
                 this.logger.debug(`Alternative search failed: ${altError.message}`);
+                searchFailure = toPsnError(altError);
+            }
+            
+            if (searchFailure && searchFailure.retryable) {
+                throw searchFailure;
             }
             
             this.logger.warn(`❌ PSN username "${username}" not found after trying all methods`);
@@ -161,7 +194,7 @@ class PublicPSNApi {
         } catch (error) {
             this.logger.error(`💥 PSN username validation completely failed for "${username}":`, error.message);
             this.logger.error(`Full error details:`, error);
-            throw new Error(`Failed to validate PSN username "${username}": ${error.message}`);
+            throw toPsnError(error, `Failed to validate PSN username "${username}"`);
         }
     }
 
@@ -174,10 +207,10 @@ class PublicPSNApi {
         try {
             this.logger.debug(`Fetching trophy summary for account: ${accountId}`);
             
-            const summary = await this.withTimeout(getUserTrophyProfileSummary(
+            const summary = assertPsnResponse(await this.callPsn(() => getUserTrophyProfileSummary(
                 {}, // No auth token needed
                 accountId
-            ));
+            )));
             
             return {
                 accountId: summary.accountId,
@@ -196,7 +229,7 @@ class PublicPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch trophy summary:', error.message);
-            throw new Error(`Failed to fetch trophy summary: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch trophy summary`);
         }
     }
 
@@ -210,53 +243,124 @@ class PublicPSNApi {
         try {
             this.logger.debug(`Fetching games for account: ${accountId}`);
             
-            const titles = await this.withTimeout(getUserTitles(
+            const titles = assertPsnResponse(await this.callPsn(() => getUserTitles(
                 {}, // No auth token needed
                 accountId,
                 {
                     limit,
                     offset: 0
                 }
-            ));
-            
-            return titles.trophyTitles.map(title => ({
-                npCommunicationId: title.npCommunicationId,
-                trophyTitleName: title.trophyTitleName,
-                trophyTitleDetail: title.trophyTitleDetail,
-                trophyTitleIconUrl: title.trophyTitleIconUrl,
-                trophyTitlePlatform: title.trophyTitlePlatform,
-                hasTrophyGroups: title.hasTrophyGroups,
-                definedTrophies: title.definedTrophies || {},
-                progress: title.progress || 0,
-                earnedTrophies: title.earnedTrophies || {},
-                hiddenFlag: title.hiddenFlag,
-                lastUpdatedDateTime: title.lastUpdatedDateTime
-            }));
+            )));
+            
+            return titles.trophyTitles.map(title => this.formatUserTitle(title));
+            
+        } catch (error) {
+            this.logger.error('Failed to fetch user games:', error.message);
+            throw toPsnError(error, `Failed to fetch user games`);
+        }
+    }
+
+    /**
+     * Get every game a user has trophies in, following PSN pagination
+     * @param {string} accountId - PSN account ID
+     * @param {number} pageSize - Titles requested per page
+     * @returns {Array} - Array of all user games
+     */
+    async getAllUserGames(accountId, pageSize = 100) {
+        try {
+            this.logger.debug(`Fetching all games for account: ${accountId}`);
+            
+            const games = [];
+            let offset = 0;
+            
+            while (true) {
+                const titles = assertPsnResponse(await this.callPsn(() => getUserTitles(
+                    {}, // No auth token needed
+                    accountId,
+                    {
+                        limit: pageSize,
+                        offset
+                    }
+                )));
+                
+                const page = titles.trophyTitles || [];
+                games.push(...page.map(title => this.formatUserTitle(title)));
+                
+                // nextOffset is omitted on the last page
+                if (!titles.nextOffset || page.length === 0) break;
+                offset = titles.nextOffset;
+            }
+            
+            return games;
             
         } catch (error) {
             this.logger.error('Failed to fetch user games:', error.message);
-            throw new Error(`Failed to fetch user games: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch user games`);
         }
     }
 
+    /**
+     * Format a trophy title from the user titles endpoint
+     * @param {Object} title - Raw trophy title
+     * @returns {Object} - Formatted game
+     */
+    formatUserTitle(title) {
+        return {
+            npCommunicationId: title.npCommunicationId,
+            trophyTitleName: title.trophyTitleName,
+            trophyTitleDetail: title.trophyTitleDetail,
+            trophyTitleIconUrl: title.trophyTitleIconUrl,
+            trophyTitlePlatform: title.trophyTitlePlatform,
+            npServiceName: title.npServiceName || getNpServiceName(title.trophyTitlePlatform),
+            hasTrophyGroups: title.hasTrophyGroups,
+            definedTrophies: title.definedTrophies || {},
+            progress: title.progress || 0,
+            earnedTrophies: title.earnedTrophies || {},
+            hiddenFlag: title.hiddenFlag,
+            lastUpdatedDateTime: title.lastUpdatedDateTime
+        };
+    }
+
     /**
      * Get all trophies for a specific game (public data)
      * @param {string} npCommunicationId - Game's NP Communication ID
      * @param {string} trophyGroupId - Trophy group ID (usually 'all')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
+     * @param {Object} options - { refresh: true } to bypass the trophy cache
+     * @returns {Array} - Array of trophies with details
+     */
+    async getGameTrophies(npCommunicationId, trophyGroupId = 'all', platform = null, options = {}) {
+        // Whole trophy lists are the same for every player, so they are cached
+        if (this.trophyCache && trophyGroupId === 'all') {
+            return this.trophyCache.getGameTrophies(
+                npCommunicationId,
+                () => this.fetchGameTrophies(npCommunicationId, trophyGroupId, platform),
+                options
+            );
+        }
+        
+        return this.fetchGameTrophies(npCommunicationId, trophyGroupId, platform);
+    }
+
+    /**
+     * Fetch all trophies for a specific game from PSN
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {string} trophyGroupId - Trophy group ID (usually 'all')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
      * @returns {Array} - Array of trophies with details
      */
-    async getGameTrophies(npCommunicationId, trophyGroupId = 'all') {
+    async fetchGameTrophies(npCommunicationId, trophyGroupId = 'all', platform = null) {
         try {
             this.logger.debug(`Fetching trophies for game: ${npCommunicationId}`);
             
-            const trophies = await this.withTimeout(getTitleTrophies(
+            const trophies = assertPsnResponse(await this.callPsn(() => getTitleTrophies(
                 {}, // No auth token needed
                 npCommunicationId,
                 trophyGroupId,
                 {
-                    npServiceName: 'trophy'
+                    npServiceName: getNpServiceName(platform)
                 }
-            ));
+            )));
             
             return {
                 npCommunicationId,
@@ -280,26 +384,82 @@ class PublicPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch game trophies:', error.message);
-            throw new Error(`Failed to fetch game trophies: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch game trophies`);
+        }
+    }
+
+    /**
+     * Get a user's trophies for a specific game, with earned status merged
+     * into the public trophy definitions
+     * @param {string} accountId - PSN account ID
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {string} trophyGroupId - Trophy group ID (usually 'all')
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
+     * @returns {Array} - Array of trophies with earned status and details
+     */
+    async getUserGameTrophies(accountId, npCommunicationId, trophyGroupId = 'all', platform = null) {
+        try {
+            this.logger.debug(`Fetching earned trophies for account ${accountId} in game: ${npCommunicationId}`);
+            
+            const [earned, gameTrophies] = await Promise.all([
+                this.callPsn(() => getUserTrophiesEarnedForTitle(
+                    {}, // No auth token needed
+                    accountId,
+                    npCommunicationId,
+                    trophyGroupId,
+                    {
+                        npServiceName: getNpServiceName(platform)
+                    }
+                )),
+                this.getGameTrophies(npCommunicationId, trophyGroupId, platform)
+            ]);
+            
+            let definitions = gameTrophies;
+            let definitionsById = new Map(
+                definitions.trophies.map(trophy => [trophy.trophyId, trophy])
+            );
+            
+            // Cached definitions can predate trophies added since (e.g. DLC)
+            if (this.trophyCache && (earned.trophies || []).some(trophy => !definitionsById.has(trophy.trophyId))) {
+                definitions = await this.getGameTrophies(npCommunicationId, trophyGroupId, platform, { refresh: true });
+                definitionsById = new Map(
+                    definitions.trophies.map(trophy => [trophy.trophyId, trophy])
+                );
+            }
+            
+            return (earned.trophies || []).map(trophy => ({
+                ...definitionsById.get(trophy.trophyId),
+                trophyId: trophy.trophyId,
+                trophyType: trophy.trophyType,
+                earned: trophy.earned || false,
+                earnedDateTime: trophy.earnedDateTime || null,
+                trophyRare: trophy.trophyRare || 0,
+                trophyEarnedRate: trophy.trophyEarnedRate || '0.0%'
+            }));
+            
+        } catch (error) {
+            this.logger.error('Failed to fetch user game trophies:', error.message);
+            throw toPsnError(error, `Failed to fetch user game trophies`);
         }
     }
 
     /**
      * Get trophy groups for a specific game
      * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {string} platform - trophyTitlePlatform of the game (selects trophy/trophy2)
      * @returns {Array} - Array of trophy groups
      */
-    async getGameTrophyGroups(npCommunicationId) {
+    async getGameTrophyGroups(npCommunicationId, platform = null) {
         try {
             this.logger.debug(`Fetching trophy groups for game: ${npCommunicationId}`);
             
-            const groups = await this.withTimeout(getTitleTrophyGroups(
+            const groups = assertPsnResponse(await this.callPsn(() => getTitleTrophyGroups(
                 {}, // No auth token needed
                 npCommunicationId,
                 {
-                    npServiceName: 'trophy'
+                    npServiceName: getNpServiceName(platform)
                 }
-            ));
+            )));
             
             return {
                 npCommunicationId,
@@ -316,7 +476,7 @@ class PublicPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch trophy groups:', error.message);
-            throw new Error(`Failed to fetch trophy groups: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch trophy groups`);
         }
     }
 
@@ -330,11 +490,11 @@ class PublicPSNApi {
         try {
             this.logger.debug(`Searching for PSN users: ${query}`);
             
-            const searchResults = await this.withTimeout(makeUniversalSearch(
+            const searchResults = extractSearchResults(assertPsnResponse(await this.callPsn(() => makeUniversalSearch(
                 {}, // No auth token needed
                 query,
                 'SocialAllAccounts'
-            ));
+            ))));
             
             if (!searchResults || searchResults.length === 0) {
                 return [];
@@ -348,7 +508,7 @@ class PublicPSNApi {
             
         } catch (error) {
             this.logger.error('User search failed:', error.message);
-            throw new Error(`User search failed: ${error.message}`);
+            throw toPsnError(error, `User search failed`);
         }
     }
 
@@ -387,7 +547,7 @@ class PublicPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch recent games:', error.message);
-            throw new Error(`Failed to fetch recent games: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch recent games`);
         }
     }
 
@@ -428,7 +588,7 @@ class PublicPSNApi {
             
         } catch (error) {
             this.logger.error('Failed to fetch detailed trophy stats:', error.message);
-            throw new Error(`Failed to fetch detailed trophy stats: ${error.message}`);
+            throw toPsnError(error, `Failed to fetch detailed trophy stats`);
         }
     }
 }
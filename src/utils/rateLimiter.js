@@ -0,0 +1,225 @@
+/**
+ * PSN Rate Limiter - Process-wide Request Budget
+ *
+ * Every outbound PSN request is scheduled through the shared instance
+ * exported here. Each request needs a token from the overall budget and
+ * from its own priority's budget (background polling or interactive
+ * commands); requests wait in a queue while either is spent. When the
+ * overall budget refills, queued interactive requests go before
+ * background ones, so the poll can never starve slash commands.
+ *
+ * The budget is spent per HTTP call: PsnClient runs each backend attempt
+ * with withBudget, and the API wrappers send every call through
+ * scheduleRequest, so a paged listing or a multi-step lookup costs one
+ * token per call it makes.
+ *
+ * Budgets are requests per minute and can be tuned with
+ * PSN_RATE_LIMIT_PER_MINUTE, PSN_BACKGROUND_RATE_LIMIT and
+ * PSN_INTERACTIVE_RATE_LIMIT.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['interactive', 'background'];
+
+// Limiter and priority of the PsnClient request in progress
+const budgetContext = new AsyncLocalStorage();
+
+const DEFAULT_BUDGETS = {
+    total: { perMinute: 60, burst: 10 },
+    interactive: { perMinute: 30, burst: 10 },
+    background: { perMinute: 40, burst: 5 }
+};
+
+class TokenBucket {
+    /**
+     * @param {Object} budget - Bucket configuration
+     * @param {number} budget.perMinute - Tokens added per minute
+     * @param {number} budget.burst - Maximum tokens held at once
+     * @param {Function} now - Clock returning milliseconds
+     */
+    constructor({ perMinute, burst }, now) {
+        this.capacity = Math.max(1, burst);
+        this.ratePerMs = perMinute / 60000;
+        this.tokens = this.capacity;
+        this.now = now;
+        this.updatedAt = now();
+    }
+
+    /**
+     * Add tokens earned since the last refill
+     */
+    refill() {
+        const now = this.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * @returns {boolean} - True if a whole token is available
+     */
+    hasToken() {
+        this.refill();
+        return this.tokens >= 1;
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+
+    /**
+     * @returns {number} - Milliseconds until a whole token is available
+     */
+    msUntilToken() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.ratePerMs);
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} options - Limiter options
+     * @param {Object} options.budgets - Overrides for the total, interactive
+     *   and background budgets ({ perMinute, burst })
+     * @param {Function} options.now - Clock returning milliseconds
+     */
+    constructor(options = {}) {
+        const now = options.now || Date.now;
+        const budgets = this.resolveBudgets(options.budgets || {});
+
+        this.total = new TokenBucket(budgets.total, now);
+        this.buckets = {};
+        this.queues = {};
+        for (const priority of PRIORITIES) {
+            this.buckets[priority] = new TokenBucket(budgets[priority], now);
+            this.queues[priority] = [];
+        }
+        this.timer = null;
+    }
+
+    /**
+     * Merge configured budgets with environment overrides and defaults
+     * @param {Object} overrides - Budgets passed to the constructor
+     * @returns {Object} - Budgets keyed by total/interactive/background
+     */
+    resolveBudgets(overrides) {
+        const fromEnv = {
+            total: process.env.PSN_RATE_LIMIT_PER_MINUTE,
+            interactive: process.env.PSN_INTERACTIVE_RATE_LIMIT,
+            background: process.env.PSN_BACKGROUND_RATE_LIMIT
+        };
+
+        const budgets = {};
+        for (const name of Object.keys(DEFAULT_BUDGETS)) {
+            const envLimit = parseInt(fromEnv[name], 10);
+            budgets[name] = {
+                ...DEFAULT_BUDGETS[name],
+                ...(envLimit > 0 ? { perMinute: envLimit } : {}),
+                ...overrides[name]
+            };
+        }
+        return budgets;
+    }
+
+    /**
+     * Run a PSN request once the budget allows it
+     * @param {string} priority - 'interactive' or 'background'
+     * @param {Function} task - Function performing the request
+     * @returns {Promise<*>} - The task's result
+     */
+    schedule(priority, task) {
+        if (!this.queues[priority]) {
+            return Promise.reject(new Error(`Unknown rate limit priority: ${priority}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queues[priority].push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * Start every queued request the budgets currently allow, then wait for
+     * the next token if anything is still queued
+     */
+    drain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        let started = true;
+        while (started) {
+            started = false;
+            for (const priority of PRIORITIES) {
+                if (this.queues[priority].length === 0) continue;
+                if (!this.total.hasToken() || !this.buckets[priority].hasToken()) continue;
+
+                this.total.take();
+                this.buckets[priority].take();
+                this.run(this.queues[priority].shift());
+                started = true;
+                break;
+            }
+        }
+
+        const waits = PRIORITIES
+            .filter(priority => this.queues[priority].length > 0)
+            .map(priority => Math.max(this.total.msUntilToken(), this.buckets[priority].msUntilToken()));
+
+        if (waits.length > 0) {
+            this.timer = setTimeout(() => this.drain(), Math.max(1, Math.min(...waits)));
+            // Queued requests shouldn't keep the process alive on shutdown
+            if (this.timer.unref) this.timer.unref();
+        }
+    }
+
+    /**
+     * @param {Object} job - Queued request
+     */
+    run({ task, resolve, reject }) {
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject);
+    }
+
+    /**
+     * Number of requests waiting for budget
+     * @returns {Object} - Queue lengths keyed by priority
+     */
+    getQueueLengths() {
+        const lengths = {};
+        for (const priority of PRIORITIES) {
+            lengths[priority] = this.queues[priority].length;
+        }
+        return lengths;
+    }
+}
+
+/**
+ * Run a backend attempt so every HTTP call it makes draws from a budget
+ * @param {Object} limiter - Limiter to schedule the calls on
+ * @param {string} priority - 'interactive' or 'background'
+ * @param {Function} fn - Backend attempt
+ * @returns {Promise<*>} - The attempt's result
+ */
+function withBudget(limiter, priority, fn) {
+    return budgetContext.run({ limiter, priority }, fn);
+}
+
+/**
+ * Schedule one HTTP call to PSN on the budget of the PsnClient request
+ * making it. API wrappers used outside PsnClient run calls unscheduled.
+ * @param {Function} task - Function performing the call
+ * @returns {Promise<*>} - The call's result
+ */
+function scheduleRequest(task) {
+    const budget = budgetContext.getStore();
+    if (!budget) return Promise.resolve().then(task);
+    return budget.limiter.schedule(budget.priority, task);
+}
+
+module.exports = new RateLimiter();
+module.exports.RateLimiter = RateLimiter;
+module.exports.withBudget = withBudget;
+module.exports.scheduleRequest = scheduleRequest;
@@ -0,0 +1,75 @@
+/**
+ * Recent Players - PSN Accounts Looked Up Recently
+ *
+ * Remembers the PSN accounts the bot has found by name so autocomplete can
+ * suggest them again. Lookups are kept per scope - the server they were
+ * made in, or the member for lookups in DMs - so one server's searches are
+ * never suggested in another. Held in memory only and capped, oldest
+ * lookups are forgotten first.
+ */
+
+const DEFAULT_MAX_PLAYERS = 200;
+const DEFAULT_MAX_SCOPES = 1000;
+
+/**
+ * Get the scope an interaction's lookups are remembered under
+ * @param {Object} interaction - Discord interaction
+ * @returns {string} - Guild ID, or the member's ID outside servers
+ */
+function scopeOf(interaction) {
+    return interaction.guild ? interaction.guild.id : `user:${interaction.user.id}`;
+}
+
+class RecentPlayers {
+    constructor(maxPlayers = DEFAULT_MAX_PLAYERS, maxScopes = DEFAULT_MAX_SCOPES) {
+        this.maxPlayers = maxPlayers;
+        this.maxScopes = maxScopes;
+        // Scope -> (lowercased online ID -> Profile, oldest lookup first),
+        // least recently used scope first
+        this.scopes = new Map();
+    }
+
+    /**
+     * Remember a PSN account that was just looked up
+     * @param {string} scope - From scopeOf
+     * @param {Object} profile - Normalized Profile ({ accountId, onlineId })
+     */
+    record(scope, profile) {
+        if (!scope || !profile || !profile.onlineId) return;
+
+        const players = this.scopes.get(scope) || new Map();
+        this.scopes.delete(scope);
+        this.scopes.set(scope, players);
+        if (this.scopes.size > this.maxScopes) {
+            this.scopes.delete(this.scopes.keys().next().value);
+        }
+
+        const key = profile.onlineId.toLowerCase();
+        players.delete(key);
+        players.set(key, { accountId: profile.accountId, onlineId: profile.onlineId });
+
+        if (players.size > this.maxPlayers) {
+            players.delete(players.keys().next().value);
+        }
+    }
+
+    /**
+     * Get the accounts remembered in a scope
+     * @param {string} scope - From scopeOf
+     * @returns {Array<Object>} - Profiles, most recent lookup first
+     */
+    list(scope) {
+        return [...(this.scopes.get(scope)?.values() || [])].reverse();
+    }
+
+    /**
+     * Forget every remembered account
+     */
+    clear() {
+        this.scopes.clear();
+    }
+}
+
+module.exports = new RecentPlayers();
+module.exports.RecentPlayers = RecentPlayers;
+module.exports.scopeOf = scopeOf;
@@ -0,0 +1,77 @@
+/**
+ * Retry Policy - Exponential Backoff for PSN Requests
+ *
+ * Retries requests that failed with a retryable PsnError (rate limited,
+ * unavailable or timed out). Delays double on each attempt with random
+ * jitter so concurrent retries spread out, and a Retry-After sent by PSN
+ * is honoured. Requests PSN wants delayed longer than the policy allows
+ * fail straight away instead of holding the caller.
+ */
+
+const { toPsnError } = require('./psnErrors');
+
+// Interactive commands have a user waiting; the background poll can wait longer
+const RETRY_POLICIES = {
+    interactive: { retries: 1, baseDelayMs: 1000, maxDelayMs: 5000 },
+    background: { retries: 3, baseDelayMs: 2000, maxDelayMs: 60000 }
+};
+
+/**
+ * Compute the delay before a retry
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {PsnError} error - Error that caused the retry
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} - Milliseconds to wait, or null to stop retrying
+ */
+function getRetryDelay(attempt, error, policy) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+        return error.retryAfterMs <= policy.maxDelayMs ? error.retryAfterMs : null;
+    }
+
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+    // Equal jitter: half fixed, half random
+    const random = policy.random || Math.random;
+    return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+/**
+ * Run a request, retrying retryable PSN failures with backoff
+ * @param {Function} request - Function performing the request
+ * @param {Object} options - Policy overrides
+ * @param {string} options.priority - Base policy to use ('interactive' or 'background')
+ * @param {number} options.retries - Maximum number of retries
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Longest delay the caller accepts
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting
+ * @param {Function} options.sleep - Sleep implementation, for tests
+ * @param {Function} options.random - Random source for jitter, for tests
+ * @returns {Promise<*>} - The request's result
+ */
+async function withRetry(request, options = {}) {
+    const policy = {
+        ...RETRY_POLICIES[options.priority || 'interactive'],
+        ...options
+    };
+    const sleep = policy.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await request();
+        } catch (rawError) {
+            const error = toPsnError(rawError);
+            if (!error.retryable || attempt >= policy.retries) throw error;
+
+            const delayMs = getRetryDelay(attempt, error, policy);
+            if (delayMs === null) throw error;
+
+            if (policy.onRetry) policy.onRetry(error, attempt + 1, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports = {
+    RETRY_POLICIES,
+    getRetryDelay,
+    withRetry
+};
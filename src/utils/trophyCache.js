@@ -0,0 +1,173 @@
+/**
+ * Trophy Cache - Read-Through Cache for Game Trophy Definitions
+ *
+ * A game's trophy list (names, descriptions, icons) is the same for every
+ * player, so it is stored in trophy_cache and served from there instead of
+ * being fetched from PSN for each user checked. Entries older than
+ * TROPHY_CACHE_TTL_HOURS are still served, but refreshed in the background
+ * on the rate limiter's background budget.
+ *
+ * The cache is an optimisation only: if the database can't be read or
+ * written, definitions are fetched from PSN as if nothing was cached.
+ */
+
+const rateLimiter = require('./rateLimiter');
+const { withBudget } = rateLimiter;
+
+const DEFAULT_TTL_HOURS = 24;
+
+class TrophyCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {Object} options.database - Database instance holding trophy_cache
+     * @param {Object} options.logger - Logger instance
+     * @param {number} options.ttlSeconds - Age after which entries are refreshed
+     * @param {Object} options.rateLimiter - Limiter for background refreshes
+     * @param {Function} options.now - Clock returning milliseconds
+     */
+    constructor(options = {}) {
+        this.database = options.database;
+        this.logger = options.logger || null;
+        this.ttlSeconds = options.ttlSeconds ||
+            (parseInt(process.env.TROPHY_CACHE_TTL_HOURS, 10) || DEFAULT_TTL_HOURS) * 3600;
+        this.rateLimiter = options.rateLimiter || rateLimiter;
+        this.now = options.now || Date.now;
+
+        // Fetches in progress by game, so concurrent misses share one request
+        this.inFlight = new Map();
+        this.stats = { hits: 0, staleHits: 0, misses: 0 };
+    }
+
+    /**
+     * Get a game's trophy definitions, fetching them on a miss
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {Function} fetch - Fetches the definitions from PSN
+     * @param {Object} options - { refresh: true } to skip the cached entry
+     * @returns {Promise<Object>} - Trophy definitions
+     */
+    async getGameTrophies(npCommunicationId, fetch, options = {}) {
+        if (!options.refresh) {
+            const entry = await this.read(npCommunicationId);
+
+            if (entry && entry.expiresAt > this.nowSeconds()) {
+                this.stats.hits++;
+                return entry.data;
+            }
+
+            if (entry) {
+                this.stats.staleHits++;
+                this.refreshInBackground(npCommunicationId, fetch);
+                return entry.data;
+            }
+        }
+
+        this.stats.misses++;
+        return this.refresh(npCommunicationId, fetch);
+    }
+
+    /**
+     * Fetch a game's definitions and store them
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {Function} fetch - Fetches the definitions from PSN
+     * @returns {Promise<Object>} - Trophy definitions
+     */
+    refresh(npCommunicationId, fetch) {
+        if (this.inFlight.has(npCommunicationId)) {
+            return this.inFlight.get(npCommunicationId);
+        }
+
+        const request = (async () => {
+            const data = await fetch();
+            await this.write(npCommunicationId, data);
+            return data;
+        })().finally(() => this.inFlight.delete(npCommunicationId));
+
+        this.inFlight.set(npCommunicationId, request);
+        return request;
+    }
+
+    /**
+     * Refresh a stale entry without making the caller wait
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @param {Function} fetch - Fetches the definitions from PSN
+     */
+    refreshInBackground(npCommunicationId, fetch) {
+        if (this.inFlight.has(npCommunicationId)) return;
+
+        withBudget(this.rateLimiter, 'background', () => this.refresh(npCommunicationId, fetch))
+            .catch(error => this.log('warn', `Could not refresh cached trophies for ${npCommunicationId}: ${error.message}`));
+    }
+
+    /**
+     * Drop one game's cached definitions
+     * @param {string} npCommunicationId - Game's NP Communication ID
+     * @returns {Promise<boolean>} - True if an entry was removed
+     */
+    async invalidate(npCommunicationId) {
+        const result = await this.database.deleteCachedTrophies(npCommunicationId);
+        return result.changes > 0;
+    }
+
+    /**
+     * Drop every cached game
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async clear() {
+        const result = await this.database.deleteCachedTrophies();
+        return result.changes;
+    }
+
+    /**
+     * Cache size and hit counts since startup
+     * @returns {Promise<Object>} - { entries, staleEntries, hits, staleHits, misses }
+     */
+    async getStats() {
+        const row = await this.database.get(
+            'SELECT COUNT(*) as entries, COUNT(CASE WHEN expires_at <= ? THEN 1 END) as staleEntries FROM trophy_cache',
+            [this.nowSeconds()]
+        );
+
+        return {
+            entries: row?.entries || 0,
+            staleEntries: row?.staleEntries || 0,
+            ...this.stats
+        };
+    }
+
+    async read(npCommunicationId) {
+        try {
+            const row = await this.database.getCachedTrophies(npCommunicationId);
+            return row ? { data: JSON.parse(row.trophy_data), expiresAt: row.expires_at } : null;
+        } catch (error) {
+            this.log('debug', `Trophy cache read failed for ${npCommunicationId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async write(npCommunicationId, data) {
+        try {
+            await this.database.saveCachedTrophies({
+                npCommunicationId,
+                gameTitle: data.trophyTitleName || null,
+                trophyData: JSON.stringify(data),
+                expiresAt: this.nowSeconds() + this.ttlSeconds
+            });
+        } catch (error) {
+            this.log('debug', `Trophy cache write failed for ${npCommunicationId}: ${error.message}`);
+        }
+    }
+
+    nowSeconds() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    log(level, message) {
+        if (this.logger) this.logger[level](message);
+    }
+}
+
+module.exports = new TrophyCache({
+    database: require('../database/database'),
+    logger: require('./logger')
+});
+module.exports.TrophyCache = TrophyCache;
@@ -0,0 +1,87 @@
+/**
+ * Trophy Filters - Narrow a Game's Trophy List for /game
+ *
+ * Merges a player's earned status into a game's trophy definitions and
+ * applies the filters offered by the /game filter menu: earned status,
+ * grade and PSN rarity tier. PSN only reports rarity in a player's trophy
+ * list, not in the game's definitions, so rarity also comes from there.
+ */
+
+// PSN rarity tiers, as reported in trophyRare
+const RARITY = {
+    ULTRA_RARE: 0,
+    VERY_RARE: 1,
+    RARE: 2,
+    COMMON: 3
+};
+
+/**
+ * Filters offered by the /game filter menu, by select menu value.
+ * needsProgress filters need a player's trophy list: earned status and
+ * rarity are only known from it.
+ */
+const FILTERS = {
+    all: { name: 'All Trophies', emoji: '🏆', test: () => true },
+    earned: { name: 'Earned', emoji: '✅', needsProgress: true, test: trophy => trophy.earned },
+    unearned: { name: 'Not Earned', emoji: '⬜', needsProgress: true, test: trophy => !trophy.earned },
+    platinum: { name: 'Platinum', emoji: '🏆', test: trophy => isGrade(trophy, 'platinum') },
+    gold: { name: 'Gold', emoji: '🥇', test: trophy => isGrade(trophy, 'gold') },
+    silver: { name: 'Silver', emoji: '🥈', test: trophy => isGrade(trophy, 'silver') },
+    bronze: { name: 'Bronze', emoji: '🥉', test: trophy => isGrade(trophy, 'bronze') },
+    ultra_rare: { name: 'Ultra Rare', emoji: '💎', needsProgress: true, test: trophy => trophy.trophyRare === RARITY.ULTRA_RARE },
+    very_rare: { name: 'Very Rare', emoji: '🔷', needsProgress: true, test: trophy => trophy.trophyRare === RARITY.VERY_RARE },
+    rare: { name: 'Rare', emoji: '🔹', needsProgress: true, test: trophy => trophy.trophyRare === RARITY.RARE },
+    common: { name: 'Common', emoji: '⚪', needsProgress: true, test: trophy => trophy.trophyRare === RARITY.COMMON }
+};
+
+/**
+ * Copy a player's earned status and the rarity PSN reports with it onto a
+ * game's trophy definitions
+ * @param {Array<Object>} trophies - Game trophy definitions
+ * @param {Array<Object>|null} userTrophies - Player's trophies for the game,
+ *   or null when the player's progress is unknown
+ * @returns {Array<Object>} - Definitions with earned, earnedDateTime,
+ *   trophyRare and trophyEarnedRate set; rarity is null for trophies
+ *   missing from the player's list
+ */
+function mergeProgress(trophies, userTrophies) {
+    if (!userTrophies) return trophies;
+
+    const earnedById = new Map(userTrophies.map(trophy => [trophy.trophyId, trophy]));
+    return trophies.map(trophy => {
+        const userTrophy = earnedById.get(trophy.trophyId);
+        return {
+            ...trophy,
+            earned: !!userTrophy?.earned,
+            earnedDateTime: userTrophy?.earnedDateTime || null,
+            trophyRare: userTrophy ? userTrophy.trophyRare : null,
+            trophyEarnedRate: userTrophy ? userTrophy.trophyEarnedRate : null
+        };
+    });
+}
+
+/**
+ * Apply a trophy group and a filter to a game's trophies
+ * @param {Array<Object>} trophies - Game trophies, with earned status when known
+ * @param {string} groupId - Trophy group ID, or 'all' for every group
+ * @param {string} filter - Key of FILTERS
+ * @returns {Array<Object>}
+ */
+function filterTrophies(trophies, groupId, filter) {
+    const definition = FILTERS[filter] || FILTERS.all;
+
+    return trophies.filter(trophy =>
+        (groupId === 'all' || trophy.trophyGroupId === groupId) && definition.test(trophy)
+    );
+}
+
+function isGrade(trophy, grade) {
+    return String(trophy.trophyType).toLowerCase() === grade;
+}
+
+module.exports = {
+    FILTERS,
+    RARITY,
+    mergeProgress,
+    filterTrophies
+};
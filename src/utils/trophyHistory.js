@@ -0,0 +1,114 @@
+/**
+ * Trophy History - Trophy Totals Over Time
+ *
+ * Every trophy check records the account's PSN totals, level and points in
+ * trophy_history, one row per account and UTC day (see
+ * Database.saveTrophySnapshot). The account's standing on a day is the last
+ * row on or before it, so progress between two dates is the difference
+ * between those two rows. An account first tracked within the period counts
+ * from its first row.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Values compared between two days, keyed by their name in a delta
+const FIELDS = {
+    bronze: 'trophy_count_bronze',
+    silver: 'trophy_count_silver',
+    gold: 'trophy_count_gold',
+    platinum: 'trophy_count_platinum',
+    level: 'trophy_level',
+    points: 'trophy_points'
+};
+
+/**
+ * UTC day of a time, as stored in snapshot_date
+ * @param {number} time - Unix seconds
+ * @returns {string} - YYYY-MM-DD
+ */
+function toDay(time) {
+    return new Date(time * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Get an account's daily history rows up to a time, oldest first
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {string} psnAccountId - PSN account ID
+ * @param {number} until - Unix seconds; rows of later days are left out
+ * @returns {Promise<Array<Object>>} - trophy_history rows
+ */
+async function getHistory(database, discordId, psnAccountId, until = Math.floor(Date.now() / 1000)) {
+    return database.all(`
+        SELECT * FROM trophy_history
+        WHERE discord_id = ? AND psn_account_id = ? AND snapshot_date <= ?
+        ORDER BY snapshot_date
+    `, [discordId, psnAccountId, toDay(until)]);
+}
+
+/**
+ * Work out progress between two days from history rows
+ * @param {Array<Object>} rows - trophy_history rows, oldest first
+ * @param {string} fromDay - YYYY-MM-DD
+ * @param {string} untilDay - YYYY-MM-DD
+ * @returns {Object|null} - { start, end, delta } where delta holds the
+ *   change of each FIELDS value plus trophies; null without rows by untilDay
+ */
+function progressBetween(rows, fromDay, untilDay) {
+    const lastBy = day => rows.filter(row => row.snapshot_date <= day).pop();
+
+    const end = lastBy(untilDay);
+    if (!end) return null;
+    const start = lastBy(fromDay) || rows.find(row => row.snapshot_date > fromDay);
+
+    const delta = {};
+    for (const [name, column] of Object.entries(FIELDS)) {
+        delta[name] = (end[column] || 0) - (start[column] || 0);
+    }
+    delta.trophies = delta.bronze + delta.silver + delta.gold + delta.platinum;
+
+    return { start, end, delta };
+}
+
+/**
+ * Progress of an account between two dates
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {string} psnAccountId - PSN account ID
+ * @param {number} from - Unix seconds
+ * @param {number} to - Unix seconds
+ * @returns {Promise<Object|null>} - See progressBetween
+ */
+async function getProgress(database, discordId, psnAccountId, from, to) {
+    const rows = await getHistory(database, discordId, psnAccountId, to);
+    return progressBetween(rows, toDay(from), toDay(to));
+}
+
+/**
+ * Split the time before now into equal periods and work out the progress
+ * in each, newest first
+ * @param {Array<Object>} rows - trophy_history rows, oldest first
+ * @param {number} now - Unix seconds
+ * @param {number} days - Length of a period in days
+ * @param {number} count - Number of periods
+ * @returns {Array<Object>} - { from, to, progress } with from and to in
+ *   Unix seconds and progress as from progressBetween
+ */
+function periodProgress(rows, now, days, count) {
+    const periods = [];
+    for (let i = 0; i < count; i++) {
+        const to = now - i * days * DAY_SECONDS;
+        const from = to - days * DAY_SECONDS;
+        periods.push({ from, to, progress: progressBetween(rows, toDay(from), toDay(to)) });
+    }
+    return periods;
+}
+
+module.exports = {
+    DAY_SECONDS,
+    toDay,
+    getHistory,
+    progressBetween,
+    getProgress,
+    periodProgress
+};
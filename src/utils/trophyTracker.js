@@ -3,14 +3,26 @@
  * 
  * Monitors users for new trophy achievements and sends Discord notifications
  * Features:
- * - Periodic trophy checking for all registered users
+ * - Scheduled trophy checks of the accounts that are due, more often for
+ *   active accounts than dormant ones
  * - New trophy detection and storage
- * - Discord notification dispatch
+ * - Game catalog sync of every user's title list
+ * - Trophy summary snapshots for leaderboards
+ * - Discord notification dispatch to every guild feed the user belongs to
  * - Platinum trophy special handling
  * - Rate limiting and error handling
  */
 
-const PublicPSNApi = require('./publicPsnApi');
+const PsnClient = require('./psnClient');
+const CatalogSync = require('./catalogSync');
+const {
+    PsnCircuitOpenError,
+    PsnPrivateProfileError,
+    PsnRateLimitedError,
+    toPsnError
+} = require('./psnErrors');
+const { filterGuildsForMember } = require('./guildMembership');
+const { getBatchSize, scheduleNextCheck } = require('./checkSchedule');
 const { EmbedBuilder } = require('discord.js');
 
 class TrophyTracker {
@@ -18,150 +30,331 @@ class TrophyTracker {
         this.database = database;
         this.logger = logger;
         this.client = client;
-        this.psnApi = new PublicPSNApi(logger);
-        
-        // Rate limiting - delay between API calls
-        this.apiDelay = 2000; // 2 seconds between calls
+        // PSN requests are paced by the shared rate limiter's background budget
+        this.psnClient = new PsnClient(logger, { priority: 'background' });
+        this.catalogSync = new CatalogSync(database, logger);
+        this.checkRunning = false;
     }
 
     /**
-     * Check all users for new trophies
+     * Check the linked accounts due for a scheduled trophy check, longest
+     * overdue first, at most one batch per run. A run is skipped while the
+     * previous one is still going.
+     * @param {number} now - Current time in Unix seconds
      */
-    async checkAllUsers() {
+    async checkDueAccounts(now = Math.floor(Date.now() / 1000)) {
+        if (this.checkRunning) {
+            this.logger.warn('Previous trophy check is still running, skipping this run');
+            return;
+        }
+        this.checkRunning = true;
+        
         try {
-            this.logger.info('Starting trophy check for all users...');
+            // Walking every user during an outage would only fail user by user
+            if (!this.psnClient.isAvailable()) {
+                const { openedAt } = this.psnClient.circuitBreaker.getState();
+                this.logger.warn(`🔌 PlayStation Network unreachable since ${new Date(openedAt).toISOString()}, skipping trophy check`);
+                return;
+            }
+            
+            this.logger.info('Starting trophy check for due accounts...');
             
             let users;
             try {
-                users = await this.database.getUsersWithNotifications();
+                users = await this.database.getAccountsDueForCheck(now, getBatchSize());
             } catch (dbError) {
                 this.logger.error('Database error fetching users for trophy check:', dbError);
                 return;
             }
-            this.logger.info(`Found ${users.length} users to check for trophies`);
+            this.logger.info(`Found ${users.length} linked accounts due for a trophy check`);
             
             for (const user of users) {
                 try {
-                    await this.checkUserTrophies(user);
+                    const result = await this.checkUserTrophies(user);
                     
-                    // Rate limiting
-                    if (users.length > 1) {
-                        await this.sleep(this.apiDelay);
+                    // Retrying is already done; more requests now would only extend the limit
+                    if (result?.psnError instanceof PsnRateLimitedError) {
+                        this.logger.warn('⏳ PSN is rate limiting requests, ending this trophy check early');
+                        break;
+                    }
+                    if (result?.psnError instanceof PsnCircuitOpenError) {
+                        this.logger.warn('🔌 PlayStation Network became unreachable, ending this trophy check early');
+                        break;
                     }
-                    
                 } catch (error) {
                     this.logger.error(`Error checking trophies for user ${user.discord_id}:`, error.message);
                 }
             }
             
-            this.logger.info('Trophy check completed for all users');
+            this.logger.info('Trophy check completed for due accounts');
             
         } catch (error) {
             this.logger.error('Error during bulk trophy check:', error);
+        } finally {
+            this.checkRunning = false;
         }
     }
 
     /**
-     * Check trophies for a specific user
+     * Check trophies for a specific user, then schedule their next check
      * @param {Object} user - User data from database
+     * @param {Object} options - Check options
+     * @param {Function} options.onProgress - Called as each game is scanned with
+     *   { game, index, total, newTrophies } so callers can report progress
+     * @param {string} options.priority - Rate limit budget for the PSN
+     *   requests, 'background' unless a user is waiting on the result; a
+     *   member waiting on an 'interactive' check counts as active
+     * @returns {Object} - { newTrophies, gamesScanned, gamesTotal, initialSync,
+     *   importedTrophies, error, psnError } where psnError is the typed
+     *   PsnError behind error, if PSN caused it
+     */
+    async checkUserTrophies(user, options = {}) {
+        const result = await this.scanUserTrophies(user, options);
+        
+        // PSN turned the check away, so the account stays due for the next run
+        if (result.psnError instanceof PsnRateLimitedError || result.psnError instanceof PsnCircuitOpenError) {
+            return result;
+        }
+        
+        try {
+            await scheduleNextCheck(this.database, user, { requested: options.priority === 'interactive' });
+        } catch (dbError) {
+            this.logger.error(`Database error scheduling next trophy check for user ${user.discord_id}:`, dbError);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Look for new trophies of a user on PSN and store them; see checkUserTrophies
      */
-    async checkUserTrophies(user) {
+    async scanUserTrophies(user, options = {}) {
+        const result = {
+            newTrophies: [],
+            gamesScanned: 0,
+            gamesTotal: 0,
+            initialSync: false,
+            importedTrophies: 0,
+            error: null,
+            psnError: null
+        };
+        
+        const psnClient = this.psnClient.withPriority(options.priority || 'background');
+        
         try {
             this.logger.debug(`Checking trophies for user: ${user.psn_username}`);
             
             // Validate user has required PSN data
             if (!user.psn_account_id || !user.psn_username) {
                 this.logger.warn(`User ${user.discord_id} missing PSN account information`);
-                return;
+                result.error = 'Linked account is missing PSN account information';
+                return result;
             }
             
             // Get user's trophy summary to check for updates
             let trophySummary;
             try {
-                trophySummary = await this.psnApi.getUserTrophySummary(user.psn_account_id);
+                trophySummary = await psnClient.getUserTrophySummary(user.psn_account_id);
             } catch (summaryError) {
-                this.logger.warn(`Unable to get trophy summary for user ${user.discord_id}: ${summaryError.message}`);
-                return;
+                if (summaryError instanceof PsnPrivateProfileError) {
+                    this.logger.info(`🔒 Trophies for ${user.psn_username} are private, skipping`);
+                } else {
+                    this.logger.warn(`Unable to get trophy summary for user ${user.discord_id}: ${summaryError.message}`);
+                }
+                this.setPsnError(result, summaryError);
+                return result;
             }
             
-            // Get user's recent games to check for new trophies
-            let recentGames;
+            // Latest PSN totals and level, used by leaderboards
             try {
-                recentGames = await this.psnApi.getUserGames(user.psn_account_id, 20);
+                await this.database.saveTrophySnapshot(user.discord_id, user.psn_account_id, trophySummary);
+            } catch (dbError) {
+                this.logger.error(`Database error saving trophy snapshot for user ${user.discord_id}:`, dbError);
+            }
+            
+            // Every title the user has trophies in, not just recently played ones
+            let games;
+            try {
+                games = await psnClient.getAllUserGames(user.psn_account_id);
             } catch (gamesError) {
-                this.logger.warn(`Unable to get recent games for user ${user.discord_id}: ${gamesError.message}`);
-                return;
+                this.logger.warn(`Unable to get games for user ${user.discord_id}: ${gamesError.message}`);
+                this.setPsnError(result, gamesError);
+                return result;
             }
             
-            // Check recent games for new trophies
-            const lastCheck = user.last_trophy_check || 0;
-            const allNewTrophies = [];
+            // Titles, progress and completion for stats served from the database
+            try {
+                await this.catalogSync.syncUserGames(user.discord_id, user.psn_account_id, games);
+            } catch (dbError) {
+                this.logger.error(`Database error syncing game catalog for user ${user.discord_id}:`, dbError);
+            }
+            
+            // Trophies already stored for this account, keyed like
+            // UNIQUE(discord_id, psn_account_id, trophy_id, game_id)
+            let storedKeys;
+            try {
+                storedKeys = await this.getStoredTrophyKeys(user.discord_id, user.psn_account_id);
+            } catch (dbError) {
+                this.logger.error(`Database error fetching stored trophies for user ${user.discord_id}:`, dbError);
+                result.error = 'Could not read stored trophies';
+                return result;
+            }
             
-            // Check recent games for new trophy progress
-            for (const game of recentGames.slice(0, 10)) { // Limit to 10 most recent games
-                if (game.lastPlayedDateTime) {
-                    const lastPlayedTime = new Date(game.lastPlayedDateTime).getTime() / 1000;
+            // Until one scan of an account completes, what it finds is its
+            // trophy history, imported silently instead of announced
+            result.initialSync = !user.trophies_synced_at;
+            
+            // Only titles with more earned trophies than we have stored can hold new ones
+            const updatedGames = games.filter(game =>
+                this.countEarnedTrophies(game) > (storedKeys.get(game.npCommunicationId)?.size || 0)
+            );
+            result.gamesTotal = updatedGames.length;
+            
+            const foundTrophies = [];
+            let scanComplete = true;
+            for (const [index, game] of updatedGames.entries()) {
+                try {
+                    const gameTrophies = await psnClient.getUserGameTrophies(
+                        user.psn_account_id,
+                        game.npCommunicationId,
+                        'all',
+                        game.trophyTitlePlatform
+                    );
+                    
+                    // Any earned trophy not stored yet is new, whenever it was earned
+                    const storedIds = storedKeys.get(game.npCommunicationId) || new Set();
+                    const gameNewTrophies = gameTrophies.filter(trophy =>
+                        trophy.earned && !storedIds.has(String(trophy.trophyId))
+                    );
+                    
+                    // Add game info to trophies
+                    gameNewTrophies.forEach(trophy => {
+                        trophy.gameTitle = game.trophyTitleName;
+                        trophy.gameIcon = game.trophyTitleIconUrl;
+                        trophy.npCommunicationId = game.npCommunicationId;
+                    });
+                    
+                    foundTrophies.push(...gameNewTrophies);
+                    
+                } catch (trophyError) {
+                    scanComplete = false;
                     
-                    // Only check games played since last check
-                    if (lastPlayedTime > lastCheck) {
-                        try {
-                            const gameTrophies = await this.psnApi.getGameTrophies(
-                                user.psn_account_id, 
-                                game.npCommunicationId
-                            );
-                            
-                            // Find earned trophies since last check
-                            const newTrophies = gameTrophies.filter(trophy => {
-                                if (trophy.earned && trophy.earnedDateTime) {
-                                    const earnedTime = new Date(trophy.earnedDateTime).getTime() / 1000;
-                                    return earnedTime > lastCheck;
-                                }
-                                return false;
-                            });
-                            
-                            // Add game info to trophies
-                            newTrophies.forEach(trophy => {
-                                trophy.gameTitle = game.trophyTitleName || game.name;
-                                trophy.gameIcon = game.trophyTitleIconUrl;
-                                trophy.npCommunicationId = game.npCommunicationId;
-                            });
-                            
-                            allNewTrophies.push(...newTrophies);
-                            
-                        } catch (trophyError) {
-                            this.logger.debug(`Could not get trophies for game ${game.npCommunicationId}: ${trophyError.message}`);
-                            // Continue with other games
-                        }
-                        
-                        // Rate limiting between game trophy requests
-                        await this.sleep(500);
+                    // Other games can't succeed while PSN is limiting us or down
+                    if (trophyError instanceof PsnRateLimitedError || trophyError instanceof PsnCircuitOpenError) {
+                        this.logger.warn(`PSN stopped the trophy scan for ${user.psn_username} after ${result.gamesScanned} games: ${trophyError.message}`);
+                        this.setPsnError(result, trophyError);
+                        break;
                     }
+                    this.logger.debug(`Could not get trophies for game ${game.npCommunicationId}: ${trophyError.message}`);
+                    // Continue with other games
                 }
+                
+                result.gamesScanned++;
+                await this.reportProgress(options.onProgress, {
+                    game,
+                    index: index + 1,
+                    total: updatedGames.length,
+                    newTrophies: result.initialSync ? [] : foundTrophies
+                });
             }
             
-            if (allNewTrophies.length > 0) {
-                this.logger.info(`Found ${allNewTrophies.length} new trophies for ${user.psn_username}`);
-                
-                // Process and store new trophies
-                for (const trophy of allNewTrophies) {
-                    await this.processTrophy(user, trophy);
+            // Only trophies this check actually inserted count as new, so a
+            // concurrent check cannot announce the same trophy twice
+            const savedTrophies = [];
+            for (const trophy of foundTrophies) {
+                if (await this.processTrophy(user, trophy)) {
+                    savedTrophies.push(trophy);
                 }
+            }
+            
+            if (result.initialSync) {
+                result.importedTrophies = savedTrophies.length;
+                if (savedTrophies.length > 0) {
+                    this.logger.info(`Imported ${savedTrophies.length} existing trophies for ${user.psn_username}`);
+                }
+            } else if (savedTrophies.length > 0) {
+                result.newTrophies = savedTrophies;
+                this.logger.info(`Found ${savedTrophies.length} new trophies for ${user.psn_username}`);
                 
                 // Send notification if enabled
                 if (user.notifications_enabled && this.client) {
-                    await this.sendTrophyNotifications(user, allNewTrophies);
+                    await this.sendTrophyNotifications(user, savedTrophies);
                 }
             }
             
-            // Update last check timestamp
+            // Games left unscanned are picked up by the next check, which
+            // also finishes an initial sync
+            if (!scanComplete) {
+                this.logger.debug(`Trophy scan for ${user.psn_username} was incomplete, not recording the check`);
+                return result;
+            }
+            
             try {
-                await this.database.updateLastTrophyCheck(user.discord_id);
+                await this.database.updateLastTrophyCheck(user.discord_id, user.psn_account_id);
             } catch (dbError) {
                 this.logger.error(`Database error updating last trophy check for user ${user.discord_id}:`, dbError);
             }
             
         } catch (error) {
             this.logger.error(`Error checking trophies for ${user.psn_username}:`, error.message);
+            result.error = error.message;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Record a PSN failure on a check result
+     * @param {Object} result - checkUserTrophies result
+     * @param {Error} error - Error from the PSN client
+     */
+    setPsnError(result, error) {
+        result.psnError = toPsnError(error);
+        result.error = result.psnError.userMessage || result.psnError.message;
+    }
+
+    /**
+     * Load the trophies already stored for a linked account, grouped by game
+     * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - PSN account ID
+     * @returns {Promise<Map>} - Map of game ID to a Set of stored trophy IDs
+     */
+    async getStoredTrophyKeys(discordId, psnAccountId) {
+        const rows = await this.database.getStoredTrophyKeys(discordId, psnAccountId) || [];
+        const keys = new Map();
+        
+        for (const row of rows) {
+            if (!keys.has(row.game_id)) {
+                keys.set(row.game_id, new Set());
+            }
+            keys.get(row.game_id).add(String(row.trophy_id));
+        }
+        
+        return keys;
+    }
+
+    /**
+     * Count the trophies a user has earned in a game from its title summary
+     * @param {Object} game - Game from the user titles endpoint
+     * @returns {number} - Earned trophy count
+     */
+    countEarnedTrophies(game) {
+        const earned = game.earnedTrophies || {};
+        return (earned.bronze || 0) + (earned.silver || 0) + (earned.gold || 0) + (earned.platinum || 0);
+    }
+
+    /**
+     * Invoke a progress callback without letting its failures abort the check
+     * @param {Function} onProgress - Progress callback (optional)
+     * @param {Object} progress - Progress details
+     */
+    async reportProgress(onProgress, progress) {
+        if (typeof onProgress !== 'function') return;
+        
+        try {
+            await onProgress(progress);
+        } catch (error) {
+            this.logger.debug(`Trophy check progress callback failed: ${error.message}`);
         }
     }
 
@@ -169,11 +362,13 @@ class TrophyTracker {
      * Process and store a new trophy
      * @param {Object} user - User data
      * @param {Object} trophy - Trophy data from public PSN API
+     * @returns {Promise<boolean>} - True if the trophy was newly stored
      */
     async processTrophy(user, trophy) {
         try {
             const trophyData = {
                 discordId: user.discord_id,
+                psnAccountId: user.psn_account_id,
                 trophyId: trophy.trophyId,
                 trophyName: trophy.trophyName || 'Unknown Trophy',
                 trophyDescription: trophy.trophyDetail || trophy.trophyDescription || '',
@@ -186,21 +381,30 @@ class TrophyTracker {
                 notified: false
             };
             
+            let saved;
             try {
-                await this.database.saveTrophy(trophyData);
+                saved = await this.database.saveTrophy(trophyData);
             } catch (dbError) {
                 this.logger.error(`Database error saving trophy for user ${user.discord_id}:`, dbError);
                 throw dbError; // Re-throw to handle in parent function
             }
+            
+            // INSERT OR IGNORE reports no changes when the trophy was already stored
+            if (saved?.changes === 0) {
+                return false;
+            }
             this.logger.debug(`Saved trophy: ${trophy.trophyName} for ${user.psn_username}`);
+            return true;
             
         } catch (error) {
             this.logger.error('Error processing trophy:', error.message);
+            return false;
         }
     }
 
     /**
-     * Send Discord notifications for new trophies
+     * Send Discord notifications for new trophies to every guild feed the
+     * user should be announced in
      * @param {Object} user - User data
      * @param {Array} trophies - Array of new trophies
      */
@@ -223,35 +427,41 @@ class TrophyTracker {
                 return;
             }
             
-            const channelId = settings?.channel_id;
-            if (!channelId) {
-                this.logger.debug(`No notification channel set for user ${user.discord_id}`);
-                return;
-            }
+            // Users without a settings row get the column defaults (enabled)
+            const trophyNotifications = settings ? !!settings.trophy_notifications : true;
+            const platinumNotifications = settings ? !!settings.platinum_notifications : true;
             
-            const channel = await this.client.channels.fetch(channelId);
-            if (!channel) {
-                this.logger.warn(`Cannot find notification channel ${channelId}`);
+            const channelIds = await this.getNotificationChannelIds(user, settings);
+            if (channelIds.length === 0) {
+                this.logger.debug(`No notification channels for user ${user.discord_id}`);
                 return;
             }
             
             // Group trophies by type
             const platinums = trophies.filter(t => t.trophyType === 'platinum');
-            const golds = trophies.filter(t => t.trophyType === 'gold');
-            const silvers = trophies.filter(t => t.trophyType === 'silver');
-            const bronzes = trophies.filter(t => t.trophyType === 'bronze');
-            
-            // Send platinum notifications separately
-            if (platinums.length > 0 && settings?.platinum_notifications) {
-                for (const platinum of platinums) {
-                    await this.sendPlatinumNotification(channel, user, platinum);
-                }
-            }
+            const regularTrophies = trophies.filter(t => ['gold', 'silver', 'bronze'].includes(t.trophyType));
             
-            // Send regular trophy notifications
-            if (settings?.trophy_notifications) {
-                const regularTrophies = [...golds, ...silvers, ...bronzes];
-                if (regularTrophies.length > 0) {
+            for (const channelId of channelIds) {
+                let channel;
+                try {
+                    channel = await this.client.channels.fetch(channelId);
+                } catch (fetchError) {
+                    this.logger.debug(`Failed to fetch notification channel ${channelId}: ${fetchError.message}`);
+                }
+                if (!channel) {
+                    this.logger.warn(`Cannot find notification channel ${channelId}`);
+                    continue;
+                }
+                
+                // Send platinum notifications separately
+                if (platinums.length > 0 && platinumNotifications) {
+                    for (const platinum of platinums) {
+                        await this.sendPlatinumNotification(channel, user, platinum);
+                    }
+                }
+                
+                // Send regular trophy notifications
+                if (regularTrophies.length > 0 && trophyNotifications) {
                     await this.sendTrophyBatchNotification(channel, user, regularTrophies);
                 }
             }
@@ -261,6 +471,64 @@ class TrophyTracker {
         }
     }
 
+    /**
+     * Resolve the channels a user's trophies should be announced in: the
+     * feeds of every guild the user is a member of and hasn't muted, plus the
+     * legacy per-user channel when its guild has no feed of its own
+     * @param {Object} user - User data
+     * @param {Object} settings - User's notification_settings row (optional)
+     * @returns {Promise<Array>} - Channel IDs
+     */
+    async getNotificationChannelIds(user, settings) {
+        let feeds;
+        let optOuts;
+        try {
+            feeds = await this.database.all(
+                "SELECT guild_id, channel_id FROM server_settings WHERE setting_type = 'notification_channel'"
+            ) || [];
+            optOuts = await this.database.all(
+                'SELECT guild_id FROM notification_opt_outs WHERE discord_id = ?',
+                [user.discord_id]
+            ) || [];
+        } catch (dbError) {
+            this.logger.error(`Database error fetching notification channels for user ${user.discord_id}:`, dbError);
+            return [];
+        }
+        
+        const mutedGuilds = new Set(optOuts.map(row => row.guild_id));
+        const feedsByGuild = new Map();
+        for (const feed of feeds) {
+            if (!feedsByGuild.has(feed.guild_id)) {
+                feedsByGuild.set(feed.guild_id, []);
+            }
+            feedsByGuild.get(feed.guild_id).push(feed.channel_id);
+        }
+        
+        const candidateGuilds = [...feedsByGuild.keys()]
+            .filter(guildId => !mutedGuilds.has(guildId))
+            .map(guildId => this.client.guilds.cache.get(guildId))
+            .filter(Boolean);
+        
+        const memberGuilds = await filterGuildsForMember(candidateGuilds, user.discord_id, this.logger);
+        const channelIds = memberGuilds.flatMap(guild => feedsByGuild.get(guild.id));
+        
+        // Legacy per-user channel from before guild feeds existed
+        const legacyChannelId = settings?.channel_id;
+        if (legacyChannelId && !channelIds.includes(legacyChannelId)) {
+            try {
+                const legacyChannel = await this.client.channels.fetch(legacyChannelId);
+                const legacyGuildId = legacyChannel?.guildId;
+                if (legacyChannel && !feedsByGuild.has(legacyGuildId) && !mutedGuilds.has(legacyGuildId)) {
+                    channelIds.push(legacyChannelId);
+                }
+            } catch (error) {
+                this.logger.debug(`Legacy notification channel ${legacyChannelId} unavailable: ${error.message}`);
+            }
+        }
+        
+        return channelIds;
+    }
+
     /**
      * Send special notification for platinum trophies
      * @param {Object} channel - Discord channel
@@ -376,10 +644,15 @@ class TrophyTracker {
     /**
      * Get trophy statistics for a user
      * @param {string} discordId - Discord user ID
+     * @param {string} psnAccountId - Only this linked account; omit to
+     *   combine all of the user's accounts
      * @returns {Object} - Trophy statistics
      */
-    async getUserTrophyStats(discordId) {
+    async getUserTrophyStats(discordId, psnAccountId = null) {
         try {
+            const accountFilter = psnAccountId ? ' AND psn_account_id = ?' : '';
+            const filterParams = psnAccountId ? [discordId, psnAccountId] : [discordId];
+            
             let stats;
             try {
                 stats = await this.database.get(`
@@ -389,10 +662,14 @@ class TrophyTracker {
                         COUNT(CASE WHEN trophy_type = 'gold' THEN 1 END) as gold_count,
                         COUNT(CASE WHEN trophy_type = 'silver' THEN 1 END) as silver_count,
                         COUNT(CASE WHEN trophy_type = 'bronze' THEN 1 END) as bronze_count,
-                        COUNT(DISTINCT game_id) as games_played
+                        MAX(
+                            COUNT(DISTINCT game_id),
+                            (SELECT COUNT(DISTINCT game_id) FROM user_games WHERE discord_id = ?${accountFilter})
+                        ) as games_played,
+                        (SELECT ROUND(AVG(progress_percentage)) FROM user_games WHERE discord_id = ?${accountFilter}) as average_completion
                     FROM trophies 
-                    WHERE discord_id = ?
-                `, [discordId]);
+                    WHERE discord_id = ?${accountFilter}
+                `, [...filterParams, ...filterParams, ...filterParams]);
             } catch (dbError) {
                 this.logger.error(`Database error fetching trophy stats for user ${discordId}:`, dbError);
                 return {
@@ -434,14 +711,6 @@ class TrophyTracker {
     setClient(client) {
         this.client = client;
     }
-
-    /**
-     * Sleep for specified milliseconds
-     * @param {number} ms - Milliseconds to sleep
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 module.exports = TrophyTracker;
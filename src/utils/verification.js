@@ -0,0 +1,113 @@
+/**
+ * Link Verification - Proving Ownership of a Linked PSN Account
+ *
+ * /link accepts any PSN username. A member proves the account is theirs by
+ * putting a short code from /verify in the account's About Me; the bot
+ * reads the profile back and stamps psn_accounts.verified_at. Each linked
+ * account is verified on its own.
+ *
+ * Guilds can require verification before members appear on their
+ * leaderboards. The option is a keyed server_settings row (setting_type
+ * 'leaderboard', setting_key 'require_verification').
+ */
+
+const crypto = require('crypto');
+
+const CODE_PREFIX = 'PSNBOT-';
+const CODE_LENGTH = 6;
+
+// No 0/O or 1/I, so codes survive being typed on a controller
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const SETTING_TYPE = 'leaderboard';
+const REQUIRE_VERIFICATION_KEY = 'require_verification';
+
+/**
+ * Generate a verification code for a member's About Me
+ * @returns {string} - e.g. 'PSNBOT-7KQ2XM'
+ */
+function generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const suffix = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${CODE_PREFIX}${suffix}`;
+}
+
+/**
+ * Whether an About Me text contains a verification code. Case and
+ * surrounding text are ignored.
+ * @param {string} aboutMe - Profile About Me text
+ * @param {string} code - Code issued by /verify
+ * @returns {boolean}
+ */
+function containsCode(aboutMe, code) {
+    return (aboutMe || '').toUpperCase().includes(code.toUpperCase());
+}
+
+/**
+ * Read a PSN account's About Me and look for a verification code
+ * @param {PsnClient} psnClient - Client with a backend supporting getUserProfile
+ * @param {string} accountId - PSN account ID
+ * @param {string} code - Code issued to the member
+ * @returns {Promise<boolean>}
+ */
+async function aboutMeContainsCode(psnClient, accountId, code) {
+    const profile = await psnClient.getUserProfile(accountId);
+    return !!profile && containsCode(profile.aboutMe, code);
+}
+
+/**
+ * Mark one of a member's linked accounts as verified. The account must
+ * still be linked to the member, so unlinking or relinking while verifying
+ * doesn't verify a different account.
+ * @param {Object} database - Database instance
+ * @param {string} discordId - Discord user ID
+ * @param {string} accountId - PSN account ID the code was issued for
+ * @returns {Promise<boolean>} - False if the link changed in the meantime
+ */
+async function markVerified(database, discordId, accountId) {
+    const result = await database.run(
+        "UPDATE psn_accounts SET verified_at = strftime('%s', 'now') WHERE discord_id = ? AND psn_account_id = ?",
+        [discordId, accountId]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Whether a guild only ranks verified members on its leaderboards
+ * @param {Object} database - Database instance
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<boolean>}
+ */
+async function isVerificationRequired(database, guildId) {
+    const row = await database.get(
+        'SELECT setting_value FROM server_settings WHERE guild_id = ? AND setting_type = ? AND setting_key = ?',
+        [guildId, SETTING_TYPE, REQUIRE_VERIFICATION_KEY]
+    );
+    return row?.setting_value === '1';
+}
+
+/**
+ * Turn a guild's verification requirement on or off
+ * @param {Object} database - Database instance
+ * @param {string} guildId - Discord guild ID
+ * @param {boolean} required - Whether leaderboards need verified links
+ * @param {string} [memberId] - Admin making the change, recorded as the
+ *   setting's creator the first time it is set
+ */
+async function setVerificationRequired(database, guildId, required, memberId = null) {
+    await database.run(`
+        INSERT INTO server_settings (guild_id, setting_type, setting_key, setting_value, created_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (guild_id, setting_type, setting_key) WHERE setting_key IS NOT NULL
+        DO UPDATE SET setting_value = excluded.setting_value, updated_at = strftime('%s', 'now')
+    `, [guildId, SETTING_TYPE, REQUIRE_VERIFICATION_KEY, required ? '1' : '0', memberId]);
+}
+
+module.exports = {
+    generateCode,
+    containsCode,
+    aboutMeContainsCode,
+    markVerified,
+    isVerificationRequired,
+    setVerificationRequired
+};
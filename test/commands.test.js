@@ -6,6 +6,7 @@ jest.mock('discord.js', () => ({
         setName: jest.fn().mockReturnThis(),
         setDescription: jest.fn().mockReturnThis(),
         addUserOption: jest.fn().mockReturnThis(),
+        addStringOption: jest.fn().mockReturnThis(),
         addSubcommand: jest.fn().mockReturnThis(),
         addChannelOption: jest.fn().mockReturnThis(),
         setDefaultMemberPermissions: jest.fn().mockReturnThis()
@@ -21,7 +22,8 @@ jest.mock('discord.js', () => ({
     PermissionFlagsBits: {
         ManageChannels: 'ManageChannels',
         Administrator: 'Administrator'
-    }
+    },
+    ComponentType: { Button: 2, StringSelect: 3, UserSelect: 5, RoleSelect: 6, MentionableSelect: 7, ChannelSelect: 8 }
 }));
 
 // Mock logger
@@ -45,7 +47,10 @@ describe('Command Error Handling', () => {
         mockInteraction = {
             reply: jest.fn().mockResolvedValue(),
             editReply: jest.fn().mockResolvedValue(),
-            deferReply: jest.fn().mockResolvedValue(),
+            deferReply: jest.fn(function () {
+                this.deferred = true;
+                return Promise.resolve();
+            }),
             user: { 
                 id: 'user123',
                 tag: 'TestUser#1234',
@@ -56,6 +61,7 @@ describe('Command Error Handling', () => {
             channel: { id: 'channel123' },
             options: {
                 getUser: jest.fn(),
+                getString: jest.fn().mockReturnValue(null),
                 getSubcommand: jest.fn(),
                 getChannel: jest.fn()
             },
@@ -65,6 +71,7 @@ describe('Command Error Handling', () => {
         // Mock database
         mockDatabase = {
             getUser: jest.fn(),
+            getAccounts: jest.fn().mockResolvedValue([]),
             getRecentTrophies: jest.fn(),
             getPlatinumTrophies: jest.fn(),
             run: jest.fn(),
@@ -6,6 +6,7 @@ jest.mock('discord.js', () => ({
         setName: jest.fn().mockReturnThis(),
         setDescription: jest.fn().mockReturnThis(),
         addUserOption: jest.fn().mockReturnThis(),
+        addStringOption: jest.fn().mockReturnThis(),
         addSubcommand: jest.fn().mockReturnThis(),
         addChannelOption: jest.fn().mockReturnThis(),
         setDefaultMemberPermissions: jest.fn().mockReturnThis()
@@ -24,7 +25,8 @@ jest.mock('discord.js', () => ({
     },
     ActionRowBuilder: jest.fn(),
     ButtonBuilder: jest.fn(),
-    ButtonStyle: { Primary: 1, Secondary: 2 }
+    ButtonStyle: { Primary: 1, Secondary: 2 },
+    ComponentType: { Button: 2, StringSelect: 3, UserSelect: 5, RoleSelect: 6, MentionableSelect: 7, ChannelSelect: 8 }
 }));
 
 // Mock logger
@@ -49,7 +51,10 @@ describe('Command Error Handling', () => {
         mockInteraction = {
             reply: jest.fn().mockResolvedValue(),
             editReply: jest.fn().mockResolvedValue(),
-            deferReply: jest.fn().mockResolvedValue(),
+            deferReply: jest.fn(function () {
+                this.deferred = true;
+                return Promise.resolve();
+            }),
             user: { 
                 id: 'user123',
                 tag: 'TestUser#1234',
@@ -60,6 +65,7 @@ describe('Command Error Handling', () => {
             channel: { id: 'channel123' },
             options: {
                 getUser: jest.fn(),
+                getString: jest.fn().mockReturnValue(null),
                 getSubcommand: jest.fn(),
                 getChannel: jest.fn()
             },
@@ -69,6 +75,7 @@ describe('Command Error Handling', () => {
         // Mock database
         mockDatabase = {
             getUser: jest.fn(),
+            getAccounts: jest.fn().mockResolvedValue([]),
             getRecentTrophies: jest.fn(),
             getPlatinumTrophies: jest.fn(),
             run: jest.fn(),
@@ -514,6 +521,7 @@ describe('Database Error Handling Tests', () => {
         
         mockDatabase = {
             getUser: jest.fn(),
+            getAccounts: jest.fn().mockResolvedValue([]),
             getRecentTrophies: jest.fn(),
             getPlatinumTrophies: jest.fn(),
             run: jest.fn(),
@@ -533,7 +541,10 @@ describe('Database Error Handling Tests', () => {
         mockInteraction = {
             reply: jest.fn().mockResolvedValue(),
             editReply: jest.fn().mockResolvedValue(),
-            deferReply: jest.fn().mockResolvedValue(),
+            deferReply: jest.fn(function () {
+                this.deferred = true;
+                return Promise.resolve();
+            }),
             user: { 
                 id: 'user123',
                 tag: 'TestUser#1234',
@@ -544,6 +555,7 @@ describe('Database Error Handling Tests', () => {
             channel: { id: 'channel123' },
             options: {
                 getUser: jest.fn(),
+                getString: jest.fn().mockReturnValue(null),
                 getSubcommand: jest.fn(),
                 getChannel: jest.fn()
             },
@@ -735,15 +747,15 @@ describe('Database Error Handling Tests', () => {
     });
 
             describe.skip('Trophy Tracker Database Errors', () => {
-        test('should handle getUsersWithNotifications error', async () => {
+        test('should handle getAccountsDueForCheck error', async () => {
             const TrophyTracker = require('../src/utils/trophyTracker');
             const tracker = new TrophyTracker(mockDatabase, mockLogger);
             
-            mockDatabase.getUsersWithNotifications.mockRejectedValue(
+            mockDatabase.getAccountsDueForCheck.mockRejectedValue(
                 new Error('SQLITE_ERROR: database is locked')
             );
 
-            await tracker.checkAllUsers();
+            await tracker.checkDueAccounts();
 
             expect(mockLogger.error).toHaveBeenCalledWith(
                 'Database error fetching users for trophy check:',
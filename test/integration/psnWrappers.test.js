@@ -0,0 +1,182 @@
+/**
+ * PSN Wrapper Integration Tests
+ *
+ * Runs the public, direct and authenticated PSN wrappers over HTTP against
+ * the local mock PSN server, so the real response shapes are parsed
+ */
+
+jest.unmock('psn-api');
+
+const MockPsnServer = require('../support/mockPsnServer');
+const DirectPSNApi = require('../../src/utils/directPsnApi');
+const {
+    PsnPrivateProfileError,
+    PsnRateLimitedError,
+    PsnTimeoutError
+} = require('../../src/utils/psnErrors');
+
+const ACCOUNT_ID = '1000000000000000001';
+const PRIVATE_ACCOUNT_ID = '1000000000000000002';
+
+describe('PSN wrappers against the mock PSN server', () => {
+    let server;
+    let baseUrl;
+    let mockLogger;
+    let PublicPSNApi;
+    let AuthenticatedBackend;
+
+    beforeAll(async () => {
+        server = new MockPsnServer();
+        baseUrl = await server.start();
+
+        // psn-api wrappers only follow PSN_BASE_URL if it is set before they load
+        process.env.PSN_BASE_URL = baseUrl;
+        PublicPSNApi = require('../../src/utils/publicPsnApi');
+        AuthenticatedBackend = require('../../src/utils/psnBackends/authenticatedBackend');
+    });
+
+    afterAll(async () => {
+        delete process.env.PSN_BASE_URL;
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.reset();
+        server.load('trophyHunter').load('privateProfile');
+        mockLogger = createMockLogger();
+    });
+
+    describe('PublicPSNApi', () => {
+        let api;
+
+        beforeEach(() => {
+            api = new PublicPSNApi(mockLogger);
+        });
+
+        it('should find a user through universal search', async () => {
+            const user = await api.validateUsername('TrophyHunter');
+
+            expect(user).toEqual({
+                accountId: ACCOUNT_ID,
+                onlineId: 'TrophyHunter',
+                avatarUrl: expect.stringContaining('avatar')
+            });
+        });
+
+        it('should read the trophy summary and game list', async () => {
+            const summary = await api.getUserTrophySummary(ACCOUNT_ID);
+            const games = await api.getAllUserGames(ACCOUNT_ID);
+
+            expect(summary).toEqual(expect.objectContaining({
+                accountId: ACCOUNT_ID,
+                trophyLevel: 312,
+                earnedTrophies: { bronze: 3, silver: 0, gold: 1, platinum: 0 }
+            }));
+            expect(games.map(game => [game.npCommunicationId, game.npServiceName])).toEqual([
+                ['NPWR20188_00', 'trophy2'],
+                ['NPWR07897_00', 'trophy']
+            ]);
+        });
+
+        it('should merge earned status into trophy definitions', async () => {
+            const trophies = await api.getUserGameTrophies(ACCOUNT_ID, 'NPWR20188_00', 'all', 'PS5');
+
+            expect(trophies).toHaveLength(3);
+            expect(trophies[1]).toEqual(expect.objectContaining({
+                trophyId: 1,
+                trophyName: 'Hello, World!',
+                earned: true,
+                earnedDateTime: '2024-04-30T18:00:00Z'
+            }));
+            expect(server.requests.map(request => request.path)).toContain(
+                `/api/trophy/v1/users/${ACCOUNT_ID}/npCommunicationIds/NPWR20188_00/trophyGroups/all/trophies?npServiceName=trophy2`
+            );
+        });
+
+        it('should report private profiles', async () => {
+            await expect(api.getUserTrophySummary(PRIVATE_ACCOUNT_ID)).rejects.toBeInstanceOf(PsnPrivateProfileError);
+        });
+
+        it('should report rate limiting', async () => {
+            server.respond(
+                { path: `/api/trophy/v1/users/${ACCOUNT_ID}/trophyTitles` },
+                { status: 429, headers: { 'Retry-After': '30' }, body: { error: { code: 2241025, message: 'Too Many Requests' } } }
+            );
+
+            await expect(api.getAllUserGames(ACCOUNT_ID)).rejects.toBeInstanceOf(PsnRateLimitedError);
+        });
+
+        it('should time out slow responses', async () => {
+            api.defaultTimeout = 50;
+            server.respond(
+                { path: `/api/trophy/v1/users/${ACCOUNT_ID}/trophySummary` },
+                { delayMs: 500, body: {} }
+            );
+
+            await expect(api.getUserTrophySummary(ACCOUNT_ID)).rejects.toBeInstanceOf(PsnTimeoutError);
+        });
+    });
+
+    describe('DirectPSNApi', () => {
+        let api;
+
+        beforeEach(() => {
+            api = new DirectPSNApi(mockLogger, { psnBaseUrl: baseUrl });
+        });
+
+        it('should read profiles, summaries and games from the GraphQL endpoint', async () => {
+            const user = await api.validateUsername('TrophyHunter');
+            const summary = await api.getUserTrophySummary(ACCOUNT_ID);
+            const games = await api.getUserGames(ACCOUNT_ID);
+            const trophies = await api.getGameTrophies(ACCOUNT_ID, 'NPWR20188_00');
+
+            expect(user.accountId).toBe(ACCOUNT_ID);
+            expect(summary.trophyLevel).toBe(312);
+            expect(games).toHaveLength(2);
+            expect(trophies.filter(trophy => trophy.earned)).toHaveLength(2);
+        });
+
+        it('should search users', async () => {
+            await expect(api.searchUsers('TrophyHunter')).resolves.toEqual([
+                expect.objectContaining({ accountId: ACCOUNT_ID, onlineId: 'TrophyHunter', isPlus: true })
+            ]);
+        });
+
+        it('should report private profiles from the HTTP status', async () => {
+            await expect(api.getUserTrophySummary(PRIVATE_ACCOUNT_ID)).rejects.toBeInstanceOf(PsnPrivateProfileError);
+        });
+
+        it('should pass Retry-After on from rate limited responses', async () => {
+            server.respond(
+                { method: 'POST', path: '/api/graphql/v1/', body: { operationName: 'userGames' } },
+                { status: 429, headers: { 'Retry-After': '30' }, body: { error: { message: 'Too Many Requests' } } }
+            );
+
+            const error = await api.getUserGames(ACCOUNT_ID).catch(caught => caught);
+
+            expect(error).toBeInstanceOf(PsnRateLimitedError);
+            expect(error.retryAfterMs).toBe(30000);
+        });
+
+        it('should time out slow responses', async () => {
+            server.respond({ path: '/api/graphql/v1/' }, { delayMs: 500, body: {} });
+
+            await expect(api.makeRequest('/api/graphql/v1/', { method: 'POST', body: '{}', timeout: 50 }))
+                .rejects.toBeInstanceOf(PsnTimeoutError);
+        });
+    });
+
+    describe('AuthenticatedBackend', () => {
+        it('should sign in with the NPSSO token and fetch data', async () => {
+            const backend = new AuthenticatedBackend(mockLogger, { npsso: 'mock-npsso' });
+
+            const user = await backend.validateUsername('TrophyHunter');
+            const summary = await backend.getUserTrophySummary(ACCOUNT_ID);
+
+            expect(user.accountId).toBe(ACCOUNT_ID);
+            expect(summary.trophyLevel).toBe(312);
+            expect(backend.tokens.accessToken).toBe('mock-access-token');
+            expect(server.requests.filter(request => request.path.startsWith('/api/authz/'))).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Trophy Tracker Integration Tests
+ *
+ * Runs trophy checks end to end through the PSN client and public wrapper
+ * against the local mock PSN server
+ */
+
+jest.unmock('psn-api');
+
+const MockPsnServer = require('../support/mockPsnServer');
+const { PsnPrivateProfileError, PsnRateLimitedError } = require('../../src/utils/psnErrors');
+
+describe('TrophyTracker against the mock PSN server', () => {
+    let server;
+    let tracker;
+    let TrophyTracker;
+    let PsnClient;
+    let mockDatabase;
+    let mockLogger;
+
+    const user = {
+        discord_id: '123456789',
+        psn_username: 'TrophyHunter',
+        psn_account_id: '1000000000000000001',
+        notifications_enabled: false,
+        last_trophy_check: 1700000000,
+        trophies_synced_at: 1700000000
+    };
+
+    beforeAll(async () => {
+        server = new MockPsnServer();
+
+        // psn-api wrappers only follow PSN_BASE_URL if it is set before they load
+        process.env.PSN_BASE_URL = await server.start();
+        TrophyTracker = require('../../src/utils/trophyTracker');
+        PsnClient = require('../../src/utils/psnClient');
+    });
+
+    afterAll(async () => {
+        delete process.env.PSN_BASE_URL;
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.reset();
+        server.load('trophyHunter').load('privateProfile');
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getStoredTrophyKeys = jest.fn().mockResolvedValue([]);
+        mockDatabase.saveGame = jest.fn().mockResolvedValue({ changes: 1 });
+        mockDatabase.saveUserGame = jest.fn().mockResolvedValue({ changes: 1 });
+        mockDatabase.deleteUserGamesExcept = jest.fn().mockResolvedValue({ changes: 0 });
+        mockDatabase.saveTrophySnapshot = jest.fn().mockResolvedValue({ changes: 1 });
+        mockDatabase.transaction = jest.fn(fn => fn());
+        mockDatabase.saveTrophy.mockResolvedValue({ changes: 1 });
+        mockLogger = createMockLogger();
+
+        tracker = new TrophyTracker(mockDatabase, mockLogger);
+        tracker.psnClient = new PsnClient(mockLogger, {
+            backends: ['public'],
+            priority: 'background',
+            retry: { retries: 0 }
+        });
+    });
+
+    it('should store every newly earned trophy', async () => {
+        const result = await tracker.checkUserTrophies(user);
+
+        expect(result.error).toBeNull();
+        expect(result.gamesScanned).toBe(2);
+        expect(result.newTrophies.map(trophy => [trophy.npCommunicationId, trophy.trophyName])).toEqual([
+            ['NPWR20188_00', 'Hello, World!'],
+            ['NPWR20188_00', 'Cooling Springs'],
+            ['NPWR07897_00', 'Yharnam, Pthumerian Birthplace'],
+            ['NPWR07897_00', 'Yharnam Sunrise']
+        ]);
+        expect(mockDatabase.saveGame).toHaveBeenCalledWith(expect.objectContaining({
+            gameId: 'NPWR20188_00',
+            platform: 'PS5'
+        }));
+        expect(mockDatabase.saveTrophySnapshot).toHaveBeenCalledWith(user.discord_id, user.psn_account_id, expect.objectContaining({
+            trophyLevel: 312
+        }));
+        expect(mockDatabase.updateLastTrophyCheck).toHaveBeenCalledWith(user.discord_id, user.psn_account_id);
+    });
+
+    it('should skip games with no trophies beyond those stored', async () => {
+        mockDatabase.getStoredTrophyKeys.mockResolvedValue([
+            { game_id: 'NPWR07897_00', trophy_id: '0' },
+            { game_id: 'NPWR07897_00', trophy_id: '1' }
+        ]);
+
+        const result = await tracker.checkUserTrophies(user);
+
+        expect(result.gamesScanned).toBe(1);
+        expect(mockDatabase.saveUserGame).toHaveBeenCalledWith(user.discord_id, user.psn_account_id, expect.objectContaining({
+            gameId: 'NPWR07897_00',
+            completionStatus: 'completed'
+        }));
+        expect(server.requests.some(request => request.path.includes('NPWR07897_00'))).toBe(false);
+    });
+
+    it('should skip private profiles', async () => {
+        const result = await tracker.checkUserTrophies({
+            ...user,
+            psn_username: 'HiddenGamer',
+            psn_account_id: '1000000000000000002'
+        });
+
+        expect(result.psnError).toBeInstanceOf(PsnPrivateProfileError);
+        expect(mockDatabase.saveTrophy).not.toHaveBeenCalled();
+    });
+
+    it('should stop scanning games when PSN rate limits', async () => {
+        server.respond(
+            { path: `/api/trophy/v1/users/${user.psn_account_id}/npCommunicationIds/NPWR20188_00/trophyGroups/all/trophies` },
+            { status: 429, body: { error: { code: 2241025, message: 'Too Many Requests' } } }
+        );
+
+        const result = await tracker.checkUserTrophies(user);
+
+        expect(result.psnError).toBeInstanceOf(PsnRateLimitedError);
+        expect(result.gamesScanned).toBe(0);
+        expect(server.requests.some(request => request.path.includes('NPWR07897_00'))).toBe(false);
+    });
+});
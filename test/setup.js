@@ -16,7 +16,9 @@ jest.mock('discord.js', () => ({
                     setDescription: jest.fn().mockReturnThis(),
                     setRequired: jest.fn().mockReturnThis(),
                     setMaxLength: jest.fn().mockReturnThis(),
-                    setMinLength: jest.fn().mockReturnThis()
+                    setMinLength: jest.fn().mockReturnThis(),
+                    setAutocomplete: jest.fn().mockReturnThis(),
+                    addChoices: jest.fn().mockReturnThis()
                 };
                 if (callback) callback(option);
                 return builder;
@@ -25,6 +27,8 @@ jest.mock('discord.js', () => ({
             addBooleanOption: jest.fn().mockReturnThis(),
             addUserOption: jest.fn().mockReturnThis(),
             addChannelOption: jest.fn().mockReturnThis(),
+            addSubcommand: jest.fn().mockReturnThis(),
+            setDefaultMemberPermissions: jest.fn().mockReturnThis(),
             toJSON: jest.fn().mockReturnValue({}),
             data: { name: 'test', description: 'Test command' }
         };
@@ -62,12 +66,46 @@ jest.mock('discord.js', () => ({
         Short: 'SHORT',
         Paragraph: 'PARAGRAPH'
     },
-    ButtonBuilder: jest.fn().mockImplementation(() => ({
-        setCustomId: jest.fn().mockReturnThis(),
-        setLabel: jest.fn().mockReturnThis(),
-        setStyle: jest.fn().mockReturnThis(),
-        setEmoji: jest.fn().mockReturnThis(),
-        toJSON: jest.fn().mockReturnValue({})
+    ButtonBuilder: (() => {
+        const createButton = () => ({
+            setCustomId: jest.fn().mockReturnThis(),
+            setLabel: jest.fn().mockReturnThis(),
+            setStyle: jest.fn().mockReturnThis(),
+            setEmoji: jest.fn().mockReturnThis(),
+            setDisabled: jest.fn().mockReturnThis(),
+            toJSON: jest.fn().mockReturnValue({})
+        });
+        return Object.assign(jest.fn().mockImplementation(createButton), {
+            from: jest.fn().mockImplementation(createButton)
+        });
+    })(),
+    StringSelectMenuBuilder: (() => {
+        const createSelectMenu = () => ({
+            setCustomId: jest.fn().mockReturnThis(),
+            setPlaceholder: jest.fn().mockReturnThis(),
+            addOptions: jest.fn().mockReturnThis(),
+            setMinValues: jest.fn().mockReturnThis(),
+            setMaxValues: jest.fn().mockReturnThis(),
+            setDisabled: jest.fn().mockReturnThis(),
+            toJSON: jest.fn().mockReturnValue({})
+        });
+        return Object.assign(jest.fn().mockImplementation(createSelectMenu), {
+            from: jest.fn().mockImplementation(createSelectMenu)
+        });
+    })(),
+    ComponentType: {
+        ActionRow: 1,
+        Button: 2,
+        StringSelect: 3,
+        TextInput: 4,
+        UserSelect: 5,
+        RoleSelect: 6,
+        MentionableSelect: 7,
+        ChannelSelect: 8
+    },
+    AttachmentBuilder: jest.fn().mockImplementation((attachment, options) => ({
+        attachment,
+        name: options?.name
     })),
     ButtonStyle: {
         Primary: 1,
@@ -89,6 +127,10 @@ jest.mock('discord.js', () => ({
         GuildMessages: 2,
         MessageContent: 4
     },
+    PermissionFlagsBits: {
+        ManageChannels: 'ManageChannels',
+        Administrator: 'Administrator'
+    },
     Events: {
         InteractionCreate: 'interactionCreate',
         Ready: 'ready'
@@ -106,6 +148,7 @@ jest.mock('psn-api', () => ({
     getTitleTrophies: jest.fn(),
     getTitleTrophyGroups: jest.fn(),
     getUserTrophyProfileSummary: jest.fn(),
+    getUserTrophiesEarnedForTitle: jest.fn(),
     makeUniversalSearch: jest.fn(),
     exchangeNpssoForCode: jest.fn(),
     exchangeCodeForAccessToken: jest.fn(),
@@ -143,6 +186,17 @@ jest.mock('dotenv', () => ({
     config: jest.fn()
 }));
 
+// Run PSN requests immediately; the limiter has its own unit tests
+jest.mock('../src/utils/rateLimiter', () => {
+    const { withBudget, scheduleRequest } = jest.requireActual('../src/utils/rateLimiter');
+    return {
+        schedule: jest.fn((priority, task) => Promise.resolve().then(task)),
+        getQueueLengths: jest.fn().mockReturnValue({ interactive: 0, background: 0 }),
+        withBudget,
+        scheduleRequest
+    };
+});
+
 // Global test utilities
 global.createMockInteraction = (options = {}) => ({
     user: { id: '123456789', username: 'testuser' },
@@ -158,7 +212,11 @@ global.createMockInteraction = (options = {}) => ({
     reply: jest.fn().mockResolvedValue({}),
     editReply: jest.fn().mockResolvedValue({}),
     followUp: jest.fn().mockResolvedValue({}),
-    deferReply: jest.fn().mockResolvedValue({}),
+    // Like discord.js, deferring marks the interaction as deferred
+    deferReply: jest.fn(function () {
+        this.deferred = true;
+        return Promise.resolve({});
+    }),
     showModal: jest.fn().mockResolvedValue({}),
     client: {
         database: null,
@@ -175,14 +233,23 @@ global.createMockInteraction = (options = {}) => ({
 global.createMockDatabase = () => ({
     getUser: jest.fn(),
     getUserByPsnUsername: jest.fn(),
+    getUserByPsnAccountId: jest.fn(),
+    getAccounts: jest.fn(),
     createUser: jest.fn(),
     updateUser: jest.fn(),
     deleteUser: jest.fn(),
+    eraseUser: jest.fn(),
     getUsersWithNotifications: jest.fn(),
+    getAccountsDueForCheck: jest.fn(),
     saveTrophy: jest.fn(),
     getRecentTrophies: jest.fn(),
     getPlatinumTrophies: jest.fn(),
     updateLastTrophyCheck: jest.fn(),
+    saveSession: jest.fn(),
+    getSession: jest.fn(),
+    updateSessionData: jest.fn(),
+    deleteSession: jest.fn(),
+    deleteExpiredSessions: jest.fn(),
     run: jest.fn(),
     get: jest.fn(),
     all: jest.fn(),
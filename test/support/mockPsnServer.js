@@ -0,0 +1,281 @@
+/**
+ * Mock PSN Server
+ *
+ * A local HTTP stand-in for the PlayStation Network endpoints the bot
+ * uses. With PSN_BASE_URL pointing at it, the psn-api wrappers,
+ * DirectPSNApi and the trophy tracker talk to this server instead of PSN,
+ * so whole flows can be tested without network access.
+ *
+ * Responses come from fixtures - request/response pairs loaded from
+ * test/fixtures/psn or scripted by a test with respond(). A fixture's
+ * response can carry any status, headers (e.g. Retry-After) and a delay,
+ * which covers private accounts, rate limits and slow responses.
+ *
+ * In record mode, requests no fixture matches are forwarded to PSN and
+ * the exchange is kept so save() can write it out as a fixture file.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'psn');
+
+// Which PSN host serves each path, for forwarding in record mode
+const UPSTREAM_HOSTS = [
+    ['/api/authz/', 'ca.account.sony.com'],
+    ['/api/graphql/', 'web.np.playstation.com'],
+    ['/userProfile/', 'us-prof.np.community.playstation.net'],
+    ['/', 'm.np.playstation.com']
+];
+
+// Sign-in exchanges are answered by the server itself and never recorded
+const AUTH_PATH = '/api/authz/v3/oauth/';
+
+class MockPsnServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {boolean} options.record - Forward unmatched requests to PSN
+     *   and keep them for save()
+     */
+    constructor(options = {}) {
+        this.record = options.record || false;
+        this.fixtures = [];
+        this.requests = [];
+        this.recorded = [];
+        this.timers = new Set();
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.baseUrl = null;
+    }
+
+    /**
+     * Start listening on a free local port
+     * @returns {Promise<string>} - Base URL to use as PSN_BASE_URL
+     */
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', resolve);
+        });
+
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        return this.baseUrl;
+    }
+
+    /**
+     * Stop the server, dropping any delayed responses still pending
+     */
+    async stop() {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    /**
+     * Load fixtures from a JSON file in test/fixtures/psn
+     * @param {string} name - Fixture file name without .json
+     * @returns {MockPsnServer} - this, for chaining
+     */
+    load(name) {
+        const file = path.join(FIXTURES_DIR, `${name}.json`);
+        this.fixtures.push(...JSON.parse(fs.readFileSync(file, 'utf8')));
+        return this;
+    }
+
+    /**
+     * Script a response. Scripted responses take priority over loaded
+     * fixtures, so a test can override one endpoint of a fixture file.
+     * @param {Object} request - { method, path, body } to match; path
+     *   without a query string matches any query, body matches if every
+     *   field given is equal in the request's JSON body
+     * @param {Object} response - { status, headers, body, delayMs, times }
+     *   where times limits how often the response is served
+     * @returns {MockPsnServer} - this, for chaining
+     */
+    respond(request, response = {}) {
+        this.fixtures.unshift({ request, response });
+        return this;
+    }
+
+    /**
+     * Remove scripted and loaded fixtures and the request log
+     */
+    reset() {
+        this.fixtures = [];
+        this.requests = [];
+        this.recorded = [];
+    }
+
+    /**
+     * Write the exchanges forwarded in record mode as a fixture file
+     * @param {string} name - Fixture file name without .json
+     * @returns {string} - Path of the written file
+     */
+    save(name) {
+        const file = path.join(FIXTURES_DIR, `${name}.json`);
+        fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(this.recorded, null, 4)}\n`);
+        return file;
+    }
+
+    async handle(req, res) {
+        const rawBody = await readBody(req);
+        const request = {
+            method: req.method,
+            path: req.url,
+            body: parseBody(rawBody)
+        };
+        this.requests.push(request);
+
+        const fixture = this.fixtures.find(candidate => matches(candidate, request));
+        if (fixture) {
+            if (fixture.response.times !== undefined && --fixture.response.times <= 0) {
+                this.fixtures.splice(this.fixtures.indexOf(fixture), 1);
+            }
+            return this.send(res, fixture.response);
+        }
+
+        if (request.path.startsWith(AUTH_PATH) && !this.record) {
+            return this.send(res, authResponse(request));
+        }
+
+        if (this.record) {
+            try {
+                const response = await forward(req, rawBody);
+                if (!request.path.startsWith(AUTH_PATH)) {
+                    this.recorded.push({ request, response });
+                }
+                return this.send(res, response);
+            } catch (error) {
+                return this.send(res, { status: 502, body: { error: { message: error.message } } });
+            }
+        }
+
+        this.send(res, {
+            status: 501,
+            body: { error: { message: `No mock PSN fixture for ${request.method} ${request.path}` } }
+        });
+    }
+
+    send(res, response) {
+        const write = () => {
+            const body = typeof response.body === 'string'
+                ? response.body
+                : JSON.stringify(response.body ?? {});
+
+            res.writeHead(response.status || 200, {
+                'Content-Type': 'application/json',
+                ...response.headers
+            });
+            res.end(body);
+        };
+
+        if (!response.delayMs) return write();
+
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            write();
+        }, response.delayMs);
+        this.timers.add(timer);
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function parseBody(rawBody) {
+    if (!rawBody) return null;
+    try {
+        return JSON.parse(rawBody);
+    } catch (error) {
+        return rawBody;
+    }
+}
+
+/**
+ * Whether every field of expected is equal in actual
+ */
+function containsFields(actual, expected) {
+    if (expected === null || typeof expected !== 'object') return actual === expected;
+    if (actual === null || typeof actual !== 'object') return false;
+
+    return Object.keys(expected).every(key => containsFields(actual[key], expected[key]));
+}
+
+function matches(fixture, request) {
+    const expected = fixture.request;
+    if (expected.method && expected.method !== request.method) return false;
+
+    const requestPath = expected.path.includes('?') ? request.path : request.path.split('?')[0];
+    if (expected.path !== requestPath) return false;
+
+    return expected.body === undefined || containsFields(request.body, expected.body);
+}
+
+/**
+ * Answer PSN's NPSSO sign-in with a fake code and tokens
+ */
+function authResponse(request) {
+    if (request.path.startsWith(`${AUTH_PATH}authorize`)) {
+        return {
+            status: 302,
+            headers: { Location: 'com.scee.psxandroid.scecompcall://redirect/?code=mock-access-code' }
+        };
+    }
+
+    return {
+        body: {
+            access_token: 'mock-access-token',
+            refresh_token: 'mock-refresh-token',
+            expires_in: 3600,
+            refresh_token_expires_in: 5184000,
+            token_type: 'bearer',
+            scope: 'psn:mobile.v2.core psn:clientapp'
+        }
+    };
+}
+
+/**
+ * Send a request on to PSN and capture the response as a fixture response
+ */
+function forward(req, rawBody) {
+    const [, hostname] = UPSTREAM_HOSTS.find(([prefix]) => req.url.startsWith(prefix));
+    const headers = { ...req.headers, host: hostname };
+    // Keep responses uncompressed so they can be saved as JSON
+    delete headers['accept-encoding'];
+
+    return new Promise((resolve, reject) => {
+        const upstream = https.request({
+            hostname,
+            path: req.url,
+            method: req.method,
+            headers
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                const response = { status: res.statusCode, body: parseBody(data) };
+                const keptHeaders = ['retry-after', 'location'].filter(name => res.headers[name]);
+                if (keptHeaders.length > 0) {
+                    response.headers = Object.fromEntries(keptHeaders.map(name => [name, res.headers[name]]));
+                }
+                resolve(response);
+            });
+        });
+
+        upstream.on('error', reject);
+        if (rawBody) upstream.write(rawBody);
+        upstream.end();
+    });
+}
+
+module.exports = MockPsnServer;
+module.exports.FIXTURES_DIR = FIXTURES_DIR;
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Record PSN Fixtures
+ *
+ * Looks up a real PSN account through the PSN client with the mock PSN
+ * server in record mode, and saves every PSN exchange as a fixture file in
+ * test/fixtures/psn. Failures (private profiles, rate limits) are recorded
+ * like any other response.
+ *
+ * Usage: node test/support/recordPsnFixtures.js <onlineId> <fixtureName>
+ *
+ * Uses the backends in PSN_BACKENDS and PSN_NPSSO like the bot does.
+ * Sign-in requests are not recorded, but the responses are saved as PSN
+ * sent them - check the file for personal data before committing it.
+ */
+
+const MockPsnServer = require('./mockPsnServer');
+
+const MAX_GAMES = 3;
+
+async function record(onlineId, fixtureName) {
+    const server = new MockPsnServer({ record: true });
+    process.env.PSN_BASE_URL = await server.start();
+
+    // Loaded only now so every PSN request goes through the server
+    const PsnClient = require('../../src/utils/psnClient');
+    const client = new PsnClient(console);
+
+    const step = async (label, request) => {
+        try {
+            const result = await request();
+            console.log(`✅ ${label}`);
+            return result;
+        } catch (error) {
+            console.log(`⚠️ ${label}: ${error.message}`);
+            return null;
+        }
+    };
+
+    try {
+        const user = await step(`Validate ${onlineId}`, () => client.validateUsername(onlineId));
+        if (user) {
+            await step('Trophy summary', () => client.getUserTrophySummary(user.accountId));
+            const games = await step('Game list', () => client.getAllUserGames(user.accountId)) || [];
+
+            for (const game of games.slice(0, MAX_GAMES)) {
+                await step(`Trophies for ${game.trophyTitleName}`, () => client.getUserGameTrophies(
+                    user.accountId,
+                    game.npCommunicationId,
+                    'all',
+                    game.trophyTitlePlatform
+                ));
+            }
+        }
+
+        const file = server.save(fixtureName);
+        console.log(`📼 Saved ${server.recorded.length} PSN responses to ${file}`);
+    } finally {
+        await server.stop();
+    }
+}
+
+if (require.main === module) {
+    const [onlineId, fixtureName] = process.argv.slice(2);
+    if (!onlineId || !fixtureName) {
+        console.error('Usage: node test/support/recordPsnFixtures.js <onlineId> <fixtureName>');
+        process.exit(1);
+    }
+
+    record(onlineId, fixtureName).catch(error => {
+        console.error('❌ Recording failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { record };
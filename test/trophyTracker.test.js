@@ -1,5 +1,6 @@
 const TrophyTracker = require('../src/utils/trophyTracker');
 const PublicPSNApi = require('../src/utils/publicPsnApi');
+const { PsnCircuitOpenError, PsnPrivateProfileError, PsnRateLimitedError } = require('../src/utils/psnErrors');
 
 // Mock dependencies
 jest.mock('../src/utils/publicPsnApi');
@@ -22,9 +23,15 @@ describe('TrophyTracker Error Handling', () => {
         
         // Mock database
         mockDatabase = {
-            getUsersWithNotifications: jest.fn(),
+            getAccountsDueForCheck: jest.fn(),
             updateLastTrophyCheck: jest.fn(),
             saveTrophy: jest.fn(),
+            getStoredTrophyKeys: jest.fn().mockResolvedValue([]),
+            saveGame: jest.fn().mockResolvedValue({ changes: 1 }),
+            saveUserGame: jest.fn().mockResolvedValue({ changes: 1 }),
+            deleteUserGamesExcept: jest.fn().mockResolvedValue({ changes: 0 }),
+            saveTrophySnapshot: jest.fn().mockResolvedValue({ changes: 1 }),
+            transaction: jest.fn(fn => fn()),
             get: jest.fn(),
             run: jest.fn()
         };
@@ -52,20 +59,22 @@ describe('TrophyTracker Error Handling', () => {
         mockPsnApi = {
             getUserTrophySummary: jest.fn(),
             getUserGames: jest.fn(),
-            getGameTrophies: jest.fn()
+            getAllUserGames: jest.fn(),
+            getGameTrophies: jest.fn(),
+            getUserGameTrophies: jest.fn()
         };
         PublicPSNApi.mockImplementation(() => mockPsnApi);
         
         trophyTracker = new TrophyTracker(mockDatabase, mockLogger, mockClient);
     });
 
-    describe('checkAllUsers', () => {
+    describe('checkDueAccounts', () => {
         test('should handle database error when fetching users', async () => {
-            mockDatabase.getUsersWithNotifications.mockRejectedValue(
+            mockDatabase.getAccountsDueForCheck.mockRejectedValue(
                 new Error('SQLITE_ERROR: database is locked')
             );
 
-            await trophyTracker.checkAllUsers();
+            await trophyTracker.checkDueAccounts();
 
             expect(mockLogger.error).toHaveBeenCalledWith(
                 'Database error fetching users for trophy check:',
@@ -79,7 +88,7 @@ describe('TrophyTracker Error Handling', () => {
                 { discord_id: 'user2', psn_username: 'psn2', access_token: 'token2' }
             ];
             
-            mockDatabase.getUsersWithNotifications.mockResolvedValue(users);
+            mockDatabase.getAccountsDueForCheck.mockResolvedValue(users);
             
             // Make first user fail, second succeed
             mockPsnApi.isTokenValid.mockReturnValue(true);
@@ -89,7 +98,7 @@ describe('TrophyTracker Error Handling', () => {
             
             mockDatabase.updateLastTrophyCheck.mockResolvedValue();
 
-            await trophyTracker.checkAllUsers();
+            await trophyTracker.checkDueAccounts();
 
             expect(mockLogger.error).toHaveBeenCalledWith(
                 'Error checking trophies for user user1:',
@@ -97,6 +106,30 @@ describe('TrophyTracker Error Handling', () => {
             );
             expect(mockDatabase.updateLastTrophyCheck).toHaveBeenCalledWith('user2');
         });
+
+        test('should fetch at most one batch of due accounts', async () => {
+            process.env.TROPHY_CHECK_BATCH_SIZE = '10';
+            mockDatabase.getAccountsDueForCheck.mockResolvedValue([]);
+
+            await trophyTracker.checkDueAccounts(1700000000);
+
+            expect(mockDatabase.getAccountsDueForCheck).toHaveBeenCalledWith(1700000000, 10);
+            delete process.env.TROPHY_CHECK_BATCH_SIZE;
+        });
+
+        test('should skip a run while the previous one is still going', async () => {
+            let finishFetch;
+            mockDatabase.getAccountsDueForCheck.mockReturnValue(new Promise(resolve => { finishFetch = resolve; }));
+
+            const firstRun = trophyTracker.checkDueAccounts();
+            await trophyTracker.checkDueAccounts();
+            finishFetch([]);
+            await firstRun;
+
+            expect(mockDatabase.getAccountsDueForCheck).toHaveBeenCalledTimes(1);
+            expect(mockLogger.warn).toHaveBeenCalledWith('Previous trophy check is still running, skipping this run');
+            expect(trophyTracker.checkRunning).toBe(false);
+        });
     });
 
     describe('checkUserTrophies', () => {
@@ -105,13 +138,14 @@ describe('TrophyTracker Error Handling', () => {
             psn_username: 'testuser',
             access_token: 'token123',
             psn_account_id: 'account123',
-            last_trophy_check: 1640995200
+            last_trophy_check: 1640995200,
+            trophies_synced_at: 1640995200
         };
 
         test('should handle updateLastTrophyCheck database errors', async () => {
             // Mock successful API calls
             mockPsnApi.getUserTrophySummary.mockResolvedValue({ trophyLevel: 50 });
-            mockPsnApi.getUserGames.mockResolvedValue([]);
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
             
             // Mock database error
             mockDatabase.updateLastTrophyCheck.mockRejectedValue(
@@ -216,6 +250,105 @@ describe('TrophyTracker Error Handling', () => {
         });
     });
 
+    describe('notification routing', () => {
+        const mockUser = {
+            discord_id: 'user123',
+            psn_username: 'testuser'
+        };
+
+        const mockTrophies = [
+            { trophyType: 'gold', trophyName: 'Golden Trophy', gameTitle: 'Test Game' }
+        ];
+
+        const makeGuild = (id, isMember) => ({
+            id,
+            members: {
+                cache: new Map(),
+                fetch: isMember
+                    ? jest.fn().mockResolvedValue({ id: 'user123' })
+                    : jest.fn().mockRejectedValue(Object.assign(new Error('Unknown Member'), { code: 10007 }))
+            }
+        });
+
+        let channels;
+
+        beforeEach(() => {
+            channels = {};
+            mockClient.channels.fetch = jest.fn(async (id) => {
+                if (!channels[id]) {
+                    channels[id] = { id, guildId: id.replace('channel', 'guild'), send: jest.fn().mockResolvedValue({}) };
+                }
+                return channels[id];
+            });
+            mockClient.guilds = {
+                cache: new Map([
+                    ['guildA', makeGuild('guildA', true)],
+                    ['guildB', makeGuild('guildB', true)],
+                    ['guildC', makeGuild('guildC', false)]
+                ])
+            };
+            mockDatabase.all = jest.fn(async (sql) => {
+                if (sql.includes('server_settings')) {
+                    return [
+                        { guild_id: 'guildA', channel_id: 'channelA' },
+                        { guild_id: 'guildB', channel_id: 'channelB' },
+                        { guild_id: 'guildC', channel_id: 'channelC' }
+                    ];
+                }
+                return [{ guild_id: 'guildB' }];
+            });
+        });
+
+        test('should fan out to every guild the user is in and has not muted', async () => {
+            mockDatabase.get.mockResolvedValue(null);
+
+            await trophyTracker.sendTrophyNotifications(mockUser, mockTrophies);
+
+            expect(channels.channelA.send).toHaveBeenCalledTimes(1);
+            expect(channels.channelB).toBeUndefined();
+            expect(channels.channelC).toBeUndefined();
+            expect(mockDatabase.all).toHaveBeenCalledWith(
+                'SELECT guild_id FROM notification_opt_outs WHERE discord_id = ?',
+                ['user123']
+            );
+        });
+
+        test('should still use a legacy channel in a guild without its own feed', async () => {
+            mockDatabase.get.mockResolvedValue({
+                channel_id: 'channelLegacy',
+                trophy_notifications: 1,
+                platinum_notifications: 1
+            });
+
+            await trophyTracker.sendTrophyNotifications(mockUser, mockTrophies);
+
+            expect(channels.channelA.send).toHaveBeenCalledTimes(1);
+            expect(channels.channelLegacy.send).toHaveBeenCalledTimes(1);
+        });
+
+        test('should skip a legacy channel whose guild has a feed', async () => {
+            mockDatabase.get.mockResolvedValue({
+                channel_id: 'channelOld',
+                trophy_notifications: 1,
+                platinum_notifications: 1
+            });
+            channels.channelOld = { id: 'channelOld', guildId: 'guildA', send: jest.fn() };
+
+            await trophyTracker.sendTrophyNotifications(mockUser, mockTrophies);
+
+            expect(channels.channelA.send).toHaveBeenCalledTimes(1);
+            expect(channels.channelOld.send).not.toHaveBeenCalled();
+        });
+
+        test('should respect disabled trophy notifications', async () => {
+            mockDatabase.get.mockResolvedValue({ trophy_notifications: 0, platinum_notifications: 1 });
+
+            await trophyTracker.sendTrophyNotifications(mockUser, mockTrophies);
+
+            expect(channels.channelA.send).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getUserTrophyStats', () => {
         test('should handle database errors and return default stats', async () => {
             mockDatabase.get.mockRejectedValue(
@@ -262,13 +395,445 @@ describe('TrophyTracker Error Handling', () => {
         });
     });
 
+    describe('checkUserTrophies results', () => {
+        const mockUser = {
+            discord_id: 'user123',
+            psn_username: 'testuser',
+            psn_account_id: 'account123',
+            last_trophy_check: 1700000000,
+            trophies_synced_at: 1700000000
+        };
+
+        beforeEach(() => {
+            trophyTracker.sleep = jest.fn().mockResolvedValue();
+            mockPsnApi.getUserTrophySummary.mockResolvedValue({ trophyLevel: 50 });
+            mockDatabase.saveTrophy.mockResolvedValue({ id: 1, changes: 1 });
+            mockDatabase.updateLastTrophyCheck.mockResolvedValue();
+            mockDatabase.get.mockResolvedValue(null);
+        });
+
+        const game = (id, name, earnedTrophies, lastUpdatedDateTime = '2020-01-01T00:00:00Z') => ({
+            npCommunicationId: id,
+            trophyTitleName: name,
+            earnedTrophies,
+            lastUpdatedDateTime
+        });
+
+        test('should return and save earned trophies that are not stored yet', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'New Game', { gold: 1, bronze: 1 })
+            ]);
+            mockDatabase.getStoredTrophyKeys.mockResolvedValue([
+                { game_id: 'NPWR00001_00', trophy_id: '2' }
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'gold', trophyName: 'Fresh', earned: true, earnedDateTime: '2024-06-01T00:00:00Z' },
+                { trophyId: 2, trophyType: 'bronze', trophyName: 'Stored', earned: true, earnedDateTime: '2020-01-01T00:00:00Z' },
+                { trophyId: 3, trophyType: 'silver', trophyName: 'Locked', earned: false }
+            ]);
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockPsnApi.getUserGameTrophies).toHaveBeenCalledWith('account123', 'NPWR00001_00', 'all', null);
+            expect(result.error).toBeNull();
+            expect(result.gamesScanned).toBe(1);
+            expect(result.newTrophies).toHaveLength(1);
+            expect(result.newTrophies[0]).toEqual(expect.objectContaining({
+                trophyName: 'Fresh',
+                gameTitle: 'New Game',
+                npCommunicationId: 'NPWR00001_00'
+            }));
+            expect(mockDatabase.saveTrophy).toHaveBeenCalledTimes(1);
+            expect(mockDatabase.saveTrophy).toHaveBeenCalledWith(expect.objectContaining({
+                discordId: 'user123',
+                trophyName: 'Fresh',
+                gameId: 'NPWR00001_00'
+            }));
+        });
+
+        test('should detect trophies synced late from offline play', async () => {
+            // Earned a year before the last check, but only synced to PSN now
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Offline Game', { silver: 1 }, '2022-01-01T00:00:00Z')
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 7, trophyType: 'silver', trophyName: 'On The Plane', earned: true, earnedDateTime: '2022-11-14T00:00:00Z' }
+            ]);
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(result.newTrophies).toEqual([
+                expect.objectContaining({ trophyName: 'On The Plane' })
+            ]);
+        });
+
+        test('should detect trophies earned with a skewed clock', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Skewed Game', { bronze: 1 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'bronze', trophyName: 'Time Traveller', earned: true, earnedDateTime: '1970-01-01T00:00:00Z' }
+            ]);
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(result.newTrophies).toHaveLength(1);
+        });
+
+        test('should scan every title, not just the most recent ones', async () => {
+            const games = Array.from({ length: 30 }, (_, i) =>
+                game(`NPWR${String(i).padStart(5, '0')}_00`, `Game ${i}`, { bronze: 1 })
+            );
+            mockPsnApi.getAllUserGames.mockResolvedValue(games);
+            mockDatabase.getStoredTrophyKeys.mockResolvedValue(
+                games.slice(0, 29).map(g => ({ game_id: g.npCommunicationId, trophy_id: '1' }))
+            );
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'bronze', trophyName: 'Deep Cut', earned: true, earnedDateTime: '2019-01-01T00:00:00Z' }
+            ]);
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockPsnApi.getUserGameTrophies).toHaveBeenCalledTimes(1);
+            expect(mockPsnApi.getUserGameTrophies).toHaveBeenCalledWith('account123', 'NPWR00029_00', 'all', null);
+            expect(result.newTrophies).toEqual([
+                expect.objectContaining({ trophyName: 'Deep Cut', gameTitle: 'Game 29' })
+            ]);
+        });
+
+        test('should skip titles whose earned count matches what is stored', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Done Game', { gold: 1 }, '2030-01-01T00:00:00Z')
+            ]);
+            mockDatabase.getStoredTrophyKeys.mockResolvedValue([
+                { game_id: 'NPWR00001_00', trophy_id: '1' }
+            ]);
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockPsnApi.getUserGameTrophies).not.toHaveBeenCalled();
+            expect(result.newTrophies).toEqual([]);
+        });
+
+        test('should not announce trophies another check already stored', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Race Game', { gold: 1 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'gold', trophyName: 'Contested', earned: true, earnedDateTime: '2024-06-01T00:00:00Z' }
+            ]);
+            mockDatabase.saveTrophy.mockResolvedValue({ id: 0, changes: 0 });
+            trophyTracker.sendTrophyNotifications = jest.fn();
+
+            const result = await trophyTracker.checkUserTrophies({ ...mockUser, notifications_enabled: 1 });
+
+            expect(result.newTrophies).toEqual([]);
+            expect(trophyTracker.sendTrophyNotifications).not.toHaveBeenCalled();
+        });
+
+        test('should import existing trophies silently on the first sync', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Backlog Game', { bronze: 2 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'bronze', trophyName: 'Old One', earned: true, earnedDateTime: '2018-01-01T00:00:00Z' },
+                { trophyId: 2, trophyType: 'bronze', trophyName: 'Old Two', earned: true, earnedDateTime: '2018-01-02T00:00:00Z' }
+            ]);
+            trophyTracker.sendTrophyNotifications = jest.fn();
+
+            const result = await trophyTracker.checkUserTrophies({
+                ...mockUser,
+                last_trophy_check: 0,
+                trophies_synced_at: null,
+                notifications_enabled: 1
+            });
+
+            expect(result.initialSync).toBe(true);
+            expect(result.importedTrophies).toBe(2);
+            expect(result.newTrophies).toEqual([]);
+            expect(mockDatabase.saveTrophy).toHaveBeenCalledTimes(2);
+            expect(trophyTracker.sendTrophyNotifications).not.toHaveBeenCalled();
+            expect(mockDatabase.updateLastTrophyCheck).toHaveBeenCalledWith('user123', 'account123');
+        });
+
+        test('should import silently for accounts checked before the full title scan', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Backlog Game', { bronze: 2 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'bronze', trophyName: 'Old One', earned: true, earnedDateTime: '2018-01-01T00:00:00Z' },
+                { trophyId: 2, trophyType: 'bronze', trophyName: 'Since Linking', earned: true, earnedDateTime: '2024-01-01T00:00:00Z' }
+            ]);
+            mockDatabase.getStoredTrophyKeys.mockResolvedValue([{ game_id: 'NPWR00001_00', trophy_id: '2' }]);
+            trophyTracker.sendTrophyNotifications = jest.fn();
+
+            const result = await trophyTracker.checkUserTrophies({
+                ...mockUser,
+                trophies_synced_at: null,
+                notifications_enabled: 1
+            });
+
+            expect(result.initialSync).toBe(true);
+            expect(result.importedTrophies).toBe(1);
+            expect(trophyTracker.sendTrophyNotifications).not.toHaveBeenCalled();
+        });
+
+        test('should not finish an initial sync that skipped games', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Game A', { bronze: 1 }),
+                game('NPWR00002_00', 'Game B', { bronze: 1 })
+            ]);
+            mockPsnApi.getUserGameTrophies
+                .mockRejectedValueOnce(new Error('Internal Server Error'))
+                .mockResolvedValueOnce([
+                    { trophyId: 1, trophyType: 'bronze', trophyName: 'Old One', earned: true, earnedDateTime: '2018-01-01T00:00:00Z' }
+                ]);
+
+            const result = await trophyTracker.checkUserTrophies({ ...mockUser, trophies_synced_at: null });
+
+            expect(result.importedTrophies).toBe(1);
+            expect(mockDatabase.updateLastTrophyCheck).not.toHaveBeenCalled();
+        });
+
+        test('should not record a check that PSN cut short', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Game A', { bronze: 1 }),
+                game('NPWR00002_00', 'Game B', { bronze: 1 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockRejectedValue(
+                new PsnRateLimitedError('Too Many Requests', { retryAfterMs: 3600000 })
+            );
+
+            await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockDatabase.updateLastTrophyCheck).not.toHaveBeenCalled();
+        });
+
+        test('should look up PS5 titles with their platform and store it', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([{
+                ...game('NPWR20000_00', 'PS5 Game', { gold: 1 }),
+                trophyTitlePlatform: 'PS5',
+                definedTrophies: { bronze: 30, silver: 8, gold: 3, platinum: 1 }
+            }]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 4, trophyType: 'gold', trophyName: 'Next Gen', earned: true, earnedDateTime: '2024-06-01T00:00:00Z' }
+            ]);
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockPsnApi.getUserGameTrophies).toHaveBeenCalledWith('account123', 'NPWR20000_00', 'all', 'PS5');
+            expect(mockDatabase.saveGame).toHaveBeenCalledWith(expect.objectContaining({
+                gameId: 'NPWR20000_00',
+                title: 'PS5 Game',
+                platform: 'PS5',
+                trophyCountPlatinum: 1
+            }));
+            expect(result.newTrophies).toHaveLength(1);
+        });
+
+        test('should sync every title to the game catalog, not only updated ones', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Updated Game', { bronze: 1 }),
+                game('NPWR00002_00', 'Unchanged Game', {})
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([]);
+
+            await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockDatabase.saveGame).toHaveBeenCalledTimes(2);
+            expect(mockDatabase.saveUserGame).toHaveBeenCalledWith(mockUser.discord_id, mockUser.psn_account_id, expect.objectContaining({
+                gameId: 'NPWR00002_00',
+                completionStatus: 'not_started'
+            }));
+            expect(mockDatabase.deleteUserGamesExcept).toHaveBeenCalledWith(mockUser.discord_id, mockUser.psn_account_id, ['NPWR00001_00', 'NPWR00002_00']);
+        });
+
+        test('should keep checking trophies when the catalog sync fails', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([game('NPWR00001_00', 'Game', { bronze: 1 })]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([
+                { trophyId: 1, trophyType: 'bronze', earned: true, earnedDateTime: '2024-06-01T00:00:00Z' }
+            ]);
+            mockDatabase.transaction.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(result.newTrophies).toHaveLength(1);
+            expect(mockLogger.error).toHaveBeenCalledWith(
+                expect.stringContaining('syncing game catalog'),
+                expect.any(Error)
+            );
+        });
+
+        test('should store the trophy summary as the user\'s snapshot', async () => {
+            const summary = { trophyLevel: 312, earnedTrophies: { bronze: 3, silver: 0, gold: 1, platinum: 0 } };
+            mockPsnApi.getUserTrophySummary.mockResolvedValue(summary);
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
+            mockDatabase.saveTrophySnapshot.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockDatabase.saveTrophySnapshot).toHaveBeenCalledWith(
+                mockUser.discord_id,
+                mockUser.psn_account_id,
+                expect.objectContaining(summary)
+            );
+            expect(result.error).toBeNull();
+            expect(mockDatabase.updateLastTrophyCheck).toHaveBeenCalled();
+        });
+
+        test('should report progress for each scanned game', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Game A', { bronze: 1 }),
+                game('NPWR00002_00', 'Game B', { bronze: 1 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockResolvedValue([]);
+            const onProgress = jest.fn().mockRejectedValueOnce(new Error('Unknown Message'));
+
+            const result = await trophyTracker.checkUserTrophies(mockUser, { onProgress });
+
+            expect(onProgress).toHaveBeenCalledTimes(2);
+            expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+                index: 2,
+                total: 2,
+                game: expect.objectContaining({ trophyTitleName: 'Game B' })
+            }));
+            expect(result.gamesScanned).toBe(2);
+        });
+
+        test('should return an error when stored trophies cannot be read', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
+            mockDatabase.getStoredTrophyKeys.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(result.error).toBe('Could not read stored trophies');
+            expect(mockDatabase.updateLastTrophyCheck).not.toHaveBeenCalled();
+        });
+
+        test('should end the scheduled check early when PSN rate limits', async () => {
+            const users = [
+                { ...mockUser, discord_id: 'user1' },
+                { ...mockUser, discord_id: 'user2' }
+            ];
+            mockDatabase.getAccountsDueForCheck.mockResolvedValue(users);
+            mockPsnApi.getUserTrophySummary.mockRejectedValue(
+                new PsnRateLimitedError('Too Many Requests', { retryAfterMs: 3600000 })
+            );
+
+            await trophyTracker.checkDueAccounts();
+
+            expect(mockPsnApi.getUserTrophySummary).toHaveBeenCalledTimes(1);
+            expect(mockLogger.warn).toHaveBeenCalledWith('⏳ PSN is rate limiting requests, ending this trophy check early');
+        });
+
+        test('should skip the scheduled check while PSN is unreachable', async () => {
+            trophyTracker.psnClient.isAvailable = jest.fn().mockReturnValue(false);
+            trophyTracker.psnClient.circuitBreaker.getState = jest.fn().mockReturnValue({ openedAt: 1700000000000 });
+
+            await trophyTracker.checkDueAccounts();
+
+            expect(mockDatabase.getAccountsDueForCheck).not.toHaveBeenCalled();
+            expect(mockLogger.warn).toHaveBeenCalledWith(
+                '🔌 PlayStation Network unreachable since 2023-11-14T22:13:20.000Z, skipping trophy check'
+            );
+        });
+
+        test('should end the scheduled check early when PSN becomes unreachable', async () => {
+            mockDatabase.getAccountsDueForCheck.mockResolvedValue([
+                { ...mockUser, discord_id: 'user1' },
+                { ...mockUser, discord_id: 'user2' }
+            ]);
+            mockPsnApi.getUserTrophySummary.mockRejectedValue(new PsnCircuitOpenError('PSN circuit breaker is open'));
+
+            await trophyTracker.checkDueAccounts();
+
+            expect(mockPsnApi.getUserTrophySummary).toHaveBeenCalledTimes(1);
+            expect(mockLogger.warn).toHaveBeenCalledWith('🔌 PlayStation Network became unreachable, ending this trophy check early');
+        });
+
+        test('should stop scanning games when PSN rate limits', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([
+                game('NPWR00001_00', 'Game A', { bronze: 1 }),
+                game('NPWR00002_00', 'Game B', { bronze: 1 })
+            ]);
+            mockPsnApi.getUserGameTrophies.mockRejectedValue(
+                new PsnRateLimitedError('Too Many Requests', { retryAfterMs: 3600000 })
+            );
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(mockPsnApi.getUserGameTrophies).toHaveBeenCalledTimes(1);
+            expect(result.psnError).toBeInstanceOf(PsnRateLimitedError);
+            expect(result.error).toBe('PlayStation Network is limiting requests right now. Please try again in a few minutes.');
+        });
+
+        test('should return the error when the summary cannot be fetched', async () => {
+            mockPsnApi.getUserTrophySummary.mockRejectedValue(new Error('Not permitted by access control'));
+
+            const result = await trophyTracker.checkUserTrophies(mockUser);
+
+            expect(result.error).toBe('This player\'s trophies are not visible to everyone in their PSN privacy settings.');
+            expect(result.psnError).toBeInstanceOf(PsnPrivateProfileError);
+            expect(result.newTrophies).toEqual([]);
+            expect(mockDatabase.updateLastTrophyCheck).not.toHaveBeenCalled();
+        });
+
+        test('should schedule the next check by the account\'s recent activity', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
+            const now = Math.floor(Date.now() / 1000);
+            mockDatabase.get.mockResolvedValue({ last_activity: now - 3 * 24 * 60 * 60 });
+
+            await trophyTracker.checkUserTrophies({ ...mockUser, id: 7 });
+
+            const [sql, [nextCheckAt, id]] = mockDatabase.run.mock.calls.find(([query]) => query.includes('next_check_at'));
+            expect(sql).toBe('UPDATE psn_accounts SET next_check_at = ? WHERE id = ?');
+            expect(id).toBe(7);
+            expect(nextCheckAt - now).toBeGreaterThanOrEqual(2 * 60 * 60);
+            expect(nextCheckAt - now).toBeLessThan(2 * 60 * 60 + 5);
+        });
+
+        test('should check often again after a member asks for a check', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
+            const now = Math.floor(Date.now() / 1000);
+
+            await trophyTracker.checkUserTrophies({ ...mockUser, id: 7 }, { priority: 'interactive' });
+
+            const [, [nextCheckAt]] = mockDatabase.run.mock.calls.find(([query]) => query.includes('next_check_at'));
+            expect(nextCheckAt - now).toBeGreaterThanOrEqual(30 * 60);
+            expect(nextCheckAt - now).toBeLessThan(30 * 60 + 5);
+        });
+
+        test('should leave the account due when PSN turns the check away', async () => {
+            mockPsnApi.getUserTrophySummary.mockRejectedValue(
+                new PsnRateLimitedError('Too Many Requests', { retryAfterMs: 3600000 })
+            );
+
+            await trophyTracker.checkUserTrophies({ ...mockUser, id: 7 });
+
+            expect(mockDatabase.run.mock.calls.filter(([query]) => query.includes('next_check_at'))).toEqual([]);
+        });
+
+        test('should still return the result when the next check cannot be scheduled', async () => {
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
+            mockDatabase.run.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+            const result = await trophyTracker.checkUserTrophies({ ...mockUser, id: 7 });
+
+            expect(result.error).toBeNull();
+            expect(mockLogger.error).toHaveBeenCalledWith(
+                'Database error scheduling next trophy check for user user123:',
+                expect.any(Error)
+            );
+        });
+    });
+
     describe('Edge Cases and Robustness', () => {
         test('should handle null/undefined database responses', async () => {
-            mockDatabase.getUsersWithNotifications.mockResolvedValue([]);
+            mockDatabase.getAccountsDueForCheck.mockResolvedValue([]);
 
-            await trophyTracker.checkAllUsers();
+            await trophyTracker.checkDueAccounts();
 
-            expect(mockLogger.info).toHaveBeenCalledWith('Found 0 users to check for trophies');
+            expect(mockLogger.info).toHaveBeenCalledWith('Found 0 linked accounts due for a trophy check');
         });
 
         test('should handle empty trophy arrays', async () => {
@@ -280,12 +845,12 @@ describe('TrophyTracker Error Handling', () => {
 
             // Mock successful API calls with no new trophies
             mockPsnApi.getUserTrophySummary.mockResolvedValue({ trophyLevel: 50 });
-            mockPsnApi.getUserGames.mockResolvedValue([]);
+            mockPsnApi.getAllUserGames.mockResolvedValue([]);
             mockDatabase.updateLastTrophyCheck.mockResolvedValue();
 
             await trophyTracker.checkUserTrophies(mockUser);
 
-            expect(mockDatabase.updateLastTrophyCheck).toHaveBeenCalledWith('user123');
+            expect(mockDatabase.updateLastTrophyCheck).toHaveBeenCalledWith('user123', 'account123');
         });
 
         test('should handle malformed trophy data', async () => {
@@ -0,0 +1,169 @@
+/**
+ * Autocomplete Unit Tests
+ *
+ * Tests for PSN name suggestions from guild members and recent lookups,
+ * game title suggestions from the catalog and the recent players store
+ */
+
+const { autocompletePsnNames, autocompleteGames } = require('../../src/utils/autocomplete');
+const recentPlayers = require('../../src/utils/recentPlayers');
+const { RecentPlayers } = require('../../src/utils/recentPlayers');
+const { clearGuildLinkedAccounts } = require('../../src/utils/linkedAccounts');
+
+describe('Autocomplete', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const linkedUsers = [
+        { discord_id: '1', psn_username: 'TrophyHunter' },
+        { discord_id: '2', psn_username: 'TrophyQueen' },
+        { discord_id: '3', psn_username: 'TrophyElsewhere' }
+    ];
+
+    const choices = () => mockInteraction.respond.mock.calls[0][0];
+
+    beforeEach(() => {
+        recentPlayers.clear();
+        clearGuildLinkedAccounts();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.all.mockResolvedValue(linkedUsers);
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                commandName: 'browse-player',
+                respond: jest.fn().mockResolvedValue({}),
+                // Member 3 is not in this guild
+                guild: {
+                    id: '987654321',
+                    members: {
+                        cache: new Map([['1', {}], ['2', {}]]),
+                        fetch: jest.fn().mockResolvedValue(new Map())
+                    }
+                },
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+        mockInteraction.options.getFocused = jest.fn().mockReturnValue('trophy');
+    });
+
+    describe('autocompletePsnNames', () => {
+        it('should suggest linked members of the guild and recent lookups', async () => {
+            recentPlayers.record('987654321', { accountId: 'acct-x', onlineId: 'TrophyTourist' });
+            recentPlayers.record('987654321', { accountId: 'acct-1', onlineId: 'trophyhunter' });
+
+            await autocompletePsnNames(mockInteraction);
+
+            expect(choices()).toEqual(expect.arrayContaining([
+                { name: 'TrophyHunter (linked member)', value: 'TrophyHunter' },
+                { name: 'TrophyQueen (linked member)', value: 'TrophyQueen' },
+                { name: 'TrophyTourist (recently looked up)', value: 'TrophyTourist' }
+            ]));
+            expect(choices()).toHaveLength(3);
+        });
+
+        it('should rank typos toward the closest name', async () => {
+            mockInteraction.options.getFocused.mockReturnValue('TrophyHuntr');
+
+            await autocompletePsnNames(mockInteraction);
+
+            expect(choices()[0].value).toBe('TrophyHunter');
+        });
+
+        it('should not suggest players looked up in other servers', async () => {
+            recentPlayers.record('other-guild', { accountId: 'acct-x', onlineId: 'TrophyTourist' });
+
+            await autocompletePsnNames(mockInteraction);
+
+            expect(choices().map(choice => choice.value)).not.toContain('TrophyTourist');
+        });
+
+        it('should reuse the guild\'s linked members between keystrokes', async () => {
+            mockInteraction.guild.members.cache.delete('2');
+
+            await autocompletePsnNames(mockInteraction);
+            await autocompletePsnNames(mockInteraction);
+
+            expect(mockDatabase.all).toHaveBeenCalledTimes(1);
+            expect(mockInteraction.guild.members.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should only suggest the member\'s own recent lookups outside a guild', async () => {
+            mockInteraction.guild = null;
+            recentPlayers.record('987654321', { accountId: 'acct-y', onlineId: 'TrophyGuest' });
+            recentPlayers.record('user:123456789', { accountId: 'acct-x', onlineId: 'TrophyTourist' });
+
+            await autocompletePsnNames(mockInteraction);
+
+            expect(mockDatabase.all).not.toHaveBeenCalled();
+            expect(choices()).toEqual([{ name: 'TrophyTourist (recently looked up)', value: 'TrophyTourist' }]);
+        });
+
+        it('should respond with no choices when suggestions fail', async () => {
+            mockDatabase.all.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+            await autocompletePsnNames(mockInteraction);
+
+            expect(mockInteraction.respond).toHaveBeenCalledWith([]);
+            expect(mockInteraction.client.logger.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('autocompleteGames', () => {
+        it('should suggest catalog games by fuzzy title match', async () => {
+            mockInteraction.options.getFocused.mockReturnValue('bloodbrone');
+            mockDatabase.all.mockResolvedValue([
+                { game_id: 'NPWR2', title: 'Astro Bot', platform: 'PS5' },
+                { game_id: 'NPWR1', title: 'Bloodborne', platform: 'PS4' }
+            ]);
+
+            await autocompleteGames(mockInteraction);
+
+            expect(choices()).toEqual([{ name: 'Bloodborne (PS4)', value: 'NPWR1' }]);
+        });
+
+        it('should cap suggestions at 25', async () => {
+            mockInteraction.options.getFocused.mockReturnValue('');
+            mockDatabase.all.mockResolvedValue(Array.from({ length: 30 }, (_, index) => ({
+                game_id: `NPWR${index}`,
+                title: `Game ${index}`,
+                platform: null
+            })));
+
+            await autocompleteGames(mockInteraction);
+
+            expect(choices()).toHaveLength(25);
+            expect(choices()[0]).toEqual({ name: 'Game 0', value: 'NPWR0' });
+        });
+    });
+
+    describe('RecentPlayers', () => {
+        it('should keep the most recent lookups, newest first', () => {
+            const players = new RecentPlayers(2);
+
+            players.record('guild1', { accountId: '1', onlineId: 'First' });
+            players.record('guild1', { accountId: '2', onlineId: 'Second' });
+            players.record('guild1', { accountId: '1', onlineId: 'First' });
+            players.record('guild1', { accountId: '3', onlineId: 'Third' });
+            players.record('guild1', null);
+
+            expect(players.list('guild1').map(player => player.onlineId)).toEqual(['Third', 'First']);
+        });
+
+        it('should keep lookups per scope and forget the least recently used scope', () => {
+            const players = new RecentPlayers(5, 2);
+
+            players.record('guild1', { accountId: '1', onlineId: 'First' });
+            players.record('guild2', { accountId: '2', onlineId: 'Second' });
+            players.record('guild1', { accountId: '3', onlineId: 'Third' });
+            players.record('guild3', { accountId: '4', onlineId: 'Fourth' });
+
+            expect(players.list('guild1').map(player => player.onlineId)).toEqual(['Third', 'First']);
+            expect(players.list('guild2')).toEqual([]);
+            expect(players.list('guild3').map(player => player.onlineId)).toEqual(['Fourth']);
+        });
+    });
+});
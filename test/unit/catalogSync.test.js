@@ -0,0 +1,82 @@
+/**
+ * Catalog Sync Unit Tests
+ *
+ * Tests for storing PSN title lists in games and user_games
+ */
+
+const CatalogSync = require('../../src/utils/catalogSync');
+const { getCompletionStatus } = require('../../src/utils/catalogSync');
+
+describe('CatalogSync', () => {
+    let mockDatabase;
+    let catalogSync;
+
+    const title = (overrides = {}) => ({
+        npCommunicationId: 'NPWR20188_00',
+        trophyTitleName: 'Astro\'s Playroom',
+        trophyTitlePlatform: 'PS5',
+        trophyTitleIconUrl: 'https://example.com/icon.png',
+        definedTrophies: { bronze: 30, silver: 8, gold: 3, platinum: 1 },
+        earnedTrophies: { bronze: 12, silver: 2, gold: 0, platinum: 0 },
+        progress: 35,
+        lastUpdatedDateTime: '2024-05-01T19:20:00Z',
+        ...overrides
+    });
+
+    beforeEach(() => {
+        mockDatabase = createMockDatabase();
+        mockDatabase.saveGame = jest.fn().mockResolvedValue({ changes: 1 });
+        mockDatabase.saveUserGame = jest.fn().mockResolvedValue({ changes: 1 });
+        mockDatabase.deleteUserGamesExcept = jest.fn().mockResolvedValue({ changes: 0 });
+        mockDatabase.transaction = jest.fn(fn => fn());
+        catalogSync = new CatalogSync(mockDatabase, createMockLogger());
+    });
+
+    it('should store title metadata and the user\'s progress', async () => {
+        await expect(catalogSync.syncUserGames('123', 'account123', [title()])).resolves.toBe(1);
+
+        expect(mockDatabase.saveGame).toHaveBeenCalledWith({
+            gameId: 'NPWR20188_00',
+            title: 'Astro\'s Playroom',
+            platform: 'PS5',
+            iconUrl: 'https://example.com/icon.png',
+            trophyCountBronze: 30,
+            trophyCountSilver: 8,
+            trophyCountGold: 3,
+            trophyCountPlatinum: 1
+        });
+        expect(mockDatabase.saveUserGame).toHaveBeenCalledWith('123', 'account123', {
+            gameId: 'NPWR20188_00',
+            progressPercentage: 35,
+            earnedBronze: 12,
+            earnedSilver: 2,
+            earnedGold: 0,
+            earnedPlatinum: 0,
+            lastPlayed: 1714591200,
+            completionStatus: 'in_progress'
+        });
+    });
+
+    it('should write the whole list in one transaction and drop unlisted games', async () => {
+        await catalogSync.syncUserGames('123', 'account123', [title(), title({ npCommunicationId: 'NPWR07897_00' })]);
+
+        expect(mockDatabase.transaction).toHaveBeenCalledTimes(1);
+        expect(mockDatabase.deleteUserGamesExcept).toHaveBeenCalledWith('123', 'account123', ['NPWR20188_00', 'NPWR07897_00']);
+    });
+
+    it('should store games without a last played time', async () => {
+        await catalogSync.syncUserGames('123', 'account123', [title({ lastUpdatedDateTime: null })]);
+
+        expect(mockDatabase.saveUserGame).toHaveBeenCalledWith('123', 'account123', expect.objectContaining({ lastPlayed: null }));
+    });
+
+    describe('getCompletionStatus', () => {
+        it.each([
+            [{ progress: 0, earnedTrophies: {} }, 'not_started'],
+            [{ progress: 1, earnedTrophies: { bronze: 1 } }, 'in_progress'],
+            [{ progress: 100, earnedTrophies: { bronze: 40, platinum: 1 } }, 'completed']
+        ])('should classify %o as %s', (game, status) => {
+            expect(getCompletionStatus(game)).toBe(status);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Check Schedule Unit Tests
+ *
+ * Schedules trophy checks against a real in-memory SQLite database
+ */
+
+jest.unmock('sqlite3');
+
+const {
+    ACTIVITY_INTERVALS,
+    DORMANT_INTERVAL,
+    getBatchSize,
+    checkInterval,
+    scheduleNextCheck
+} = require('../../src/utils/checkSchedule');
+
+const NOW = 1717243200; // 2024-06-01T12:00:00Z
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+describe('Check Schedule', () => {
+    let database;
+    let account;
+
+    const linkAccount = async (discordId, psnAccountId) => {
+        await database.createUser(discordId, { psn_username: `User${psnAccountId}`, psn_account_id: psnAccountId });
+        return database.get('SELECT * FROM psn_accounts WHERE psn_account_id = ?', [psnAccountId]);
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        account = await linkAccount('111', 'acc-1');
+        await database.saveGame({ gameId: 'NPWR00001_00', title: 'Game' });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+        delete process.env.TROPHY_CHECK_BATCH_SIZE;
+    });
+
+    describe('checkInterval', () => {
+        it('should check more often the more recent the activity', () => {
+            expect(checkInterval(NOW - HOUR, NOW)).toBe(30 * 60);
+            expect(checkInterval(NOW - 3 * DAY, NOW)).toBe(2 * HOUR);
+            expect(checkInterval(NOW - 20 * DAY, NOW)).toBe(6 * HOUR);
+            expect(checkInterval(NOW - 90 * DAY, NOW)).toBe(DORMANT_INTERVAL);
+        });
+
+        it('should treat accounts without activity as dormant', () => {
+            expect(checkInterval(null, NOW)).toBe(DORMANT_INTERVAL);
+        });
+
+        it('should never check dormant accounts more often than active ones', () => {
+            const intervals = [...ACTIVITY_INTERVALS.map(tier => tier.interval), DORMANT_INTERVAL];
+
+            expect([...intervals].sort((a, b) => a - b)).toEqual(intervals);
+        });
+    });
+
+    describe('getBatchSize', () => {
+        it('should default to 25 accounts per run', () => {
+            expect(getBatchSize()).toBe(25);
+        });
+
+        it('should read TROPHY_CHECK_BATCH_SIZE', () => {
+            process.env.TROPHY_CHECK_BATCH_SIZE = '5';
+
+            expect(getBatchSize()).toBe(5);
+        });
+    });
+
+    describe('scheduleNextCheck', () => {
+        it('should schedule from the latest trophy earned', async () => {
+            await database.saveTrophy({ discordId: '111', psnAccountId: 'acc-1', trophyId: '1', gameId: 'NPWR00001_00', earnedDate: NOW - 2 * HOUR });
+
+            expect(await scheduleNextCheck(database, account, { now: NOW })).toBe(NOW + 30 * 60);
+            expect(await database.get('SELECT next_check_at FROM psn_accounts WHERE id = ?', [account.id]))
+                .toEqual({ next_check_at: NOW + 30 * 60 });
+        });
+
+        it('should schedule from the latest title played', async () => {
+            await database.run(`INSERT INTO user_games (discord_id, psn_account_id, game_id, last_played)
+                VALUES ('111', 'acc-1', 'NPWR00001_00', ?)`, [NOW - 10 * DAY]);
+
+            expect(await scheduleNextCheck(database, account, { now: NOW })).toBe(NOW + 6 * HOUR);
+        });
+
+        it('should only count the account\'s own activity', async () => {
+            const other = await linkAccount('111', 'acc-2');
+            await database.saveTrophy({ discordId: '111', psnAccountId: 'acc-1', trophyId: '1', gameId: 'NPWR00001_00', earnedDate: NOW - HOUR });
+
+            expect(await scheduleNextCheck(database, other, { now: NOW })).toBe(NOW + DORMANT_INTERVAL);
+        });
+
+        it('should check often again after a member asks for a check', async () => {
+            expect(await scheduleNextCheck(database, account, { now: NOW, requested: true })).toBe(NOW + 30 * 60);
+        });
+    });
+
+    describe('getAccountsDueForCheck', () => {
+        it('should return newly linked accounts right away', async () => {
+            const due = await database.getAccountsDueForCheck(NOW, 25);
+
+            expect(due.map(row => row.psn_account_id)).toEqual(['acc-1']);
+        });
+
+        it('should return due accounts longest overdue first, one batch at a time', async () => {
+            await linkAccount('222', 'acc-2');
+            await linkAccount('333', 'acc-3');
+            await linkAccount('444', 'acc-4');
+            await database.run("UPDATE psn_accounts SET next_check_at = ? WHERE psn_account_id = 'acc-1'", [NOW - HOUR]);
+            await database.run("UPDATE psn_accounts SET next_check_at = ? WHERE psn_account_id = 'acc-2'", [NOW - DAY]);
+            await database.run("UPDATE psn_accounts SET next_check_at = ? WHERE psn_account_id = 'acc-3'", [NOW + HOUR]);
+            await database.run("UPDATE psn_accounts SET next_check_at = ? WHERE psn_account_id = 'acc-4'", [NOW - 2 * HOUR]);
+
+            expect((await database.getAccountsDueForCheck(NOW, 2)).map(row => row.psn_account_id)).toEqual(['acc-2', 'acc-4']);
+            expect((await database.getAccountsDueForCheck(NOW, 25)).map(row => row.psn_account_id)).toEqual(['acc-2', 'acc-4', 'acc-1']);
+        });
+
+        it('should leave out members with notifications disabled', async () => {
+            await linkAccount('222', 'acc-2');
+            await database.run("UPDATE users SET notifications_enabled = 0 WHERE discord_id = '111'");
+
+            expect((await database.getAccountsDueForCheck(NOW, 25)).map(row => row.psn_account_id)).toEqual(['acc-2']);
+        });
+    });
+});
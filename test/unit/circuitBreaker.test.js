@@ -0,0 +1,123 @@
+/**
+ * Circuit Breaker Unit Tests
+ *
+ * Tests for opening on repeated PSN outages, probing and closing again
+ */
+
+const { CircuitBreaker, STATES } = require('../../src/utils/circuitBreaker');
+const {
+    PsnCircuitOpenError,
+    PsnNotFoundError,
+    PsnTimeoutError,
+    PsnUnavailableError
+} = require('../../src/utils/psnErrors');
+
+describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+    let mockLogger;
+
+    const fail = (error = new PsnUnavailableError('fetch failed')) =>
+        breaker.execute(() => Promise.reject(error)).catch(caught => caught);
+
+    beforeEach(() => {
+        now = 1700000000000;
+        mockLogger = createMockLogger();
+        breaker = new CircuitBreaker({
+            failureThreshold: 3,
+            cooldownMs: 60000,
+            now: () => now,
+            logger: mockLogger
+        });
+    });
+
+    it('should let requests through while closed', async () => {
+        await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+        expect(breaker.getState()).toEqual(expect.objectContaining({ state: STATES.CLOSED, openedAt: null }));
+    });
+
+    it('should open after consecutive outage failures', async () => {
+        await fail();
+        await fail(new PsnTimeoutError('timed out'));
+        expect(breaker.isAvailable()).toBe(true);
+
+        await fail();
+
+        expect(breaker.getState()).toEqual({
+            state: STATES.OPEN,
+            consecutiveFailures: 3,
+            openedAt: now,
+            nextProbeAt: now + 60000,
+            lastError: 'fetch failed'
+        });
+        expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('circuit breaker open'));
+    });
+
+    it('should reset the count when PSN answers, even without data', async () => {
+        await fail();
+        await fail();
+        await fail(new PsnNotFoundError('Resource not found'));
+        await fail();
+
+        expect(breaker.getState().state).toBe(STATES.CLOSED);
+        expect(breaker.getState().consecutiveFailures).toBe(1);
+    });
+
+    it('should reject requests without calling PSN while open', async () => {
+        await fail();
+        await fail();
+        await fail();
+        const request = jest.fn();
+
+        const error = await breaker.execute(request).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(PsnCircuitOpenError);
+        expect(error.openedAt).toBe(now);
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    it('should close after a successful probe once the cooldown passes', async () => {
+        await fail();
+        await fail();
+        await fail();
+
+        now += 60000;
+        expect(breaker.isAvailable()).toBe(true);
+        await breaker.execute(() => Promise.resolve('back'));
+
+        expect(breaker.getState().state).toBe(STATES.CLOSED);
+        expect(mockLogger.info).toHaveBeenCalledWith('✅ PlayStation Network reachable again, circuit breaker closed');
+    });
+
+    it('should only let one probe through at a time', async () => {
+        await fail();
+        await fail();
+        await fail();
+        now += 60000;
+
+        let finishProbe;
+        const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+
+        expect(breaker.getState().state).toBe(STATES.HALF_OPEN);
+        await expect(breaker.execute(jest.fn())).rejects.toBeInstanceOf(PsnCircuitOpenError);
+
+        finishProbe('ok');
+        await probe;
+        expect(breaker.isAvailable()).toBe(true);
+    });
+
+    it('should open again when the probe fails', async () => {
+        await fail();
+        await fail();
+        await fail();
+        now += 60000;
+
+        await fail();
+
+        expect(breaker.getState()).toEqual(expect.objectContaining({
+            state: STATES.OPEN,
+            openedAt: now,
+            nextProbeAt: now + 60000
+        }));
+    });
+});
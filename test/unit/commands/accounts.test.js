@@ -0,0 +1,86 @@
+/**
+ * Accounts Command Unit Tests
+ *
+ * Tests for listing a member's linked PSN accounts and changing the
+ * primary account
+ */
+
+const accountsCommand = require('../../../src/commands/accounts');
+
+describe('Accounts Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const accounts = [
+        { id: 1, discord_id: '123456789', psn_username: 'TrophyHunter', is_primary: 1, verified_at: 1700000000, created_at: 1690000000 },
+        { id: 2, discord_id: '123456789', psn_username: 'SecondName', is_primary: 0, verified_at: null, created_at: 1695000000 }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getAccounts.mockResolvedValue(accounts);
+        mockDatabase.get.mockResolvedValue({ id: 2 });
+        mockDatabase.run.mockResolvedValue({ changes: 1 });
+        mockDatabase.transaction = jest.fn(async (work) => work());
+
+        mockInteraction = createMockInteraction({
+            strings: { account: 'secondname' },
+            overrides: {
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+        mockInteraction.options.getSubcommand = jest.fn().mockReturnValue('list');
+    });
+
+    it('should list linked accounts with the primary marked', async () => {
+        await accountsCommand.execute(mockInteraction);
+
+        const payload = mockInteraction.reply.mock.calls[0][0];
+        expect(payload.ephemeral).toBe(true);
+        expect(payload.embeds[0].setDescription).toHaveBeenCalledWith(
+            '**TrophyHunter** (⭐ Primary, ✅ Verified) - linked <t:1690000000:R>\n**SecondName** - linked <t:1695000000:R>'
+        );
+        expect(mockDatabase.run).not.toHaveBeenCalled();
+    });
+
+    it('should make the chosen account primary', async () => {
+        mockInteraction.options.getSubcommand.mockReturnValue('primary');
+
+        await accountsCommand.execute(mockInteraction);
+
+        expect(mockDatabase.run).toHaveBeenCalledWith(
+            'UPDATE psn_accounts SET is_primary = 0 WHERE discord_id = ? AND is_primary = 1',
+            ['123456789']
+        );
+        expect(mockDatabase.run).toHaveBeenCalledWith(expect.stringContaining('SET is_primary = 1'), [2]);
+        expect(mockDatabase.getAccounts).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject accounts the member hasn\'t linked', async () => {
+        mockInteraction.options.getSubcommand.mockReturnValue('primary');
+        mockInteraction.options.getString.mockReturnValue('Stranger');
+
+        await accountsCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '❌ **Stranger** isn\'t one of your linked PSN accounts.',
+            ephemeral: true
+        });
+        expect(mockDatabase.run).not.toHaveBeenCalled();
+    });
+
+    it('should point members without accounts to /link', async () => {
+        mockDatabase.getAccounts.mockResolvedValue([]);
+
+        await accountsCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('Use `/link`')
+        }));
+    });
+});
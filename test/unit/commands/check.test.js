@@ -0,0 +1,210 @@
+/**
+ * Check Command Unit Tests
+ *
+ * Tests for the /check command including the trophy check pipeline,
+ * progress reporting and the per-user cooldown
+ */
+
+describe('Check Command', () => {
+    let checkCommand;
+    let circuitBreaker;
+    let mockInteraction;
+    let mockDatabase;
+    let mockTrophyTracker;
+
+    const linkedUser = {
+        discord_id: '123456789',
+        psn_username: 'TestPlayer',
+        psn_account_id: 'account123',
+        notifications_enabled: 1
+    };
+
+    beforeEach(() => {
+        // Fresh module per test so the in-memory cooldowns start empty
+        jest.isolateModules(() => {
+            checkCommand = require('../../../src/commands/check');
+            circuitBreaker = require('../../../src/utils/circuitBreaker');
+        });
+
+        mockDatabase = createMockDatabase();
+        mockTrophyTracker = {
+            checkUserTrophies: jest.fn(),
+            getUserTrophyStats: jest.fn().mockResolvedValue({
+                total_trophies: 12,
+                platinum_count: 1,
+                gold_count: 2,
+                silver_count: 3,
+                bronze_count: 6
+            })
+        };
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger(),
+                    trophyTracker: mockTrophyTracker
+                }
+            }
+        });
+        mockInteraction.user.displayAvatarURL = jest.fn().mockReturnValue('avatar.png');
+    });
+
+    it('should export a timeout longer than the default command timeout', () => {
+        expect(checkCommand.timeout).toBeGreaterThan(30000);
+    });
+
+    it('should run the trophy tracker pipeline for the caller', async () => {
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockTrophyTracker.checkUserTrophies.mockResolvedValue({
+            newTrophies: [
+                { trophyName: 'Fresh', trophyType: 'gold', gameTitle: 'Test Game' }
+            ],
+            gamesScanned: 2,
+            gamesTotal: 2,
+            error: null
+        });
+
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockInteraction.deferReply).toHaveBeenCalled();
+        expect(mockTrophyTracker.checkUserTrophies).toHaveBeenCalledWith(
+            linkedUser,
+            { onProgress: expect.any(Function), priority: 'interactive' }
+        );
+        expect(mockTrophyTracker.getUserTrophyStats).toHaveBeenCalledWith('123456789', 'account123');
+        expect(mockInteraction.editReply).toHaveBeenLastCalledWith({ embeds: [expect.any(Object)] });
+
+        const resultEmbed = mockInteraction.editReply.mock.calls.at(-1)[0].embeds[0];
+        expect(resultEmbed.setTitle).toHaveBeenCalledWith('🏆 New Trophies Found!');
+        expect(resultEmbed.addFields).toHaveBeenCalledWith([
+            expect.objectContaining({
+                name: '🆕 New Trophies',
+                value: expect.stringContaining('Fresh')
+            })
+        ]);
+    });
+
+    it('should stream progress into the deferred reply', async () => {
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockTrophyTracker.checkUserTrophies.mockImplementation(async (user, { onProgress }) => {
+            await onProgress({
+                game: { trophyTitleName: 'Game A' },
+                index: 1,
+                total: 1,
+                newTrophies: []
+            });
+            return { newTrophies: [], gamesScanned: 1, gamesTotal: 1, error: null };
+        });
+
+        await checkCommand.execute(mockInteraction);
+
+        const progressEmbed = mockInteraction.editReply.mock.calls[1][0].embeds[0];
+        expect(progressEmbed.addFields).toHaveBeenCalledWith([
+            expect.objectContaining({ value: 'Game A (1/1)' }),
+            expect.objectContaining({ value: '0' })
+        ]);
+    });
+
+    it('should show the PSN error when the check fails', async () => {
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockTrophyTracker.checkUserTrophies.mockResolvedValue({
+            newTrophies: [],
+            gamesScanned: 0,
+            gamesTotal: 0,
+            error: 'Not permitted by access control'
+        });
+
+        await checkCommand.execute(mockInteraction);
+
+        const errorEmbed = mockInteraction.editReply.mock.calls.at(-1)[0].embeds[0];
+        expect(errorEmbed.setTitle).toHaveBeenCalledWith('❌ Trophy Check Failed');
+        expect(mockTrophyTracker.getUserTrophyStats).not.toHaveBeenCalled();
+    });
+
+    it('should report trophies imported by the first sync', async () => {
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockTrophyTracker.checkUserTrophies.mockResolvedValue({
+            newTrophies: [],
+            gamesScanned: 3,
+            gamesTotal: 3,
+            initialSync: true,
+            importedTrophies: 42,
+            error: null
+        });
+
+        await checkCommand.execute(mockInteraction);
+
+        const resultEmbed = mockInteraction.editReply.mock.calls.at(-1)[0].embeds[0];
+        expect(resultEmbed.setDescription).toHaveBeenCalledWith(
+            expect.stringContaining('Imported **42** existing trophies')
+        );
+    });
+
+    it('should enforce a cooldown between checks', async () => {
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockTrophyTracker.checkUserTrophies.mockResolvedValue({ newTrophies: [], gamesScanned: 0, error: null });
+
+        await checkCommand.execute(mockInteraction);
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockTrophyTracker.checkUserTrophies).toHaveBeenCalledTimes(1);
+        expect(mockInteraction.editReply).toHaveBeenLastCalledWith({
+            content: expect.stringContaining('You can check again')
+        });
+    });
+
+    it('should not start the cooldown when no account is linked', async () => {
+        mockDatabase.getUser.mockResolvedValue(null);
+
+        await checkCommand.execute(mockInteraction);
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).not.toHaveBeenCalledWith({
+            content: expect.stringContaining('You can check again')
+        });
+        expect(mockTrophyTracker.checkUserTrophies).not.toHaveBeenCalled();
+    });
+
+    it('should report PSN as unreachable without using the cooldown', async () => {
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        circuitBreaker.isAvailable = jest.fn().mockReturnValue(false);
+        circuitBreaker.getState = jest.fn().mockReturnValue({ state: 'open', nextProbeAt: Date.now() + 60000 });
+
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockTrophyTracker.checkUserTrophies).not.toHaveBeenCalled();
+
+        circuitBreaker.isAvailable.mockReturnValue(true);
+        mockTrophyTracker.checkUserTrophies.mockResolvedValue({ newTrophies: [], gamesScanned: 0, error: null });
+
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockTrophyTracker.checkUserTrophies).toHaveBeenCalledTimes(1);
+    });
+
+    it('should check the linked account the member chose', async () => {
+        const secondAccount = { ...linkedUser, psn_username: 'AltPlayer', psn_account_id: 'account456', is_primary: 0 };
+        mockDatabase.getAccounts.mockResolvedValue([{ ...linkedUser, is_primary: 1 }, secondAccount]);
+        mockInteraction.options.getString = jest.fn(() => 'altplayer');
+        mockTrophyTracker.checkUserTrophies.mockResolvedValue({ newTrophies: [], gamesScanned: 1, error: null });
+
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockDatabase.getUser).not.toHaveBeenCalled();
+        expect(mockTrophyTracker.checkUserTrophies).toHaveBeenCalledWith(secondAccount, expect.any(Object));
+        expect(mockTrophyTracker.getUserTrophyStats).toHaveBeenCalledWith('123456789', 'account456');
+    });
+
+    it('should reject an account the member hasn\'t linked', async () => {
+        mockDatabase.getAccounts.mockResolvedValue([{ ...linkedUser, is_primary: 1 }]);
+        mockInteraction.options.getString = jest.fn(() => 'Stranger');
+
+        await checkCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: expect.stringContaining('isn\'t one of your linked PSN accounts')
+        });
+        expect(mockTrophyTracker.checkUserTrophies).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Claim Command Unit Tests
+ *
+ * Tests for filing a claim on a PSN account linked to someone else, with
+ * and without About Me proof
+ */
+
+const claimCommand = require('../../../src/commands/claim');
+const sessions = require('../../../src/utils/interactionSessions');
+const PsnClient = require('../../../src/utils/psnClient');
+const { ButtonBuilder } = require('discord.js');
+
+describe('Claim Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+    let holderUser;
+
+    const holder = { discord_id: '111', psn_username: 'TrophyHunter', psn_account_id: 'account111' };
+
+    const storedSession = {
+        token: 'token123',
+        flow: 'claim',
+        owner_id: '123456789',
+        data: JSON.stringify({
+            guildId: '987654321',
+            psnUsername: 'TrophyHunter',
+            accountId: 'account111',
+            claimantId: '123456789',
+            holderId: '111',
+            reason: null,
+            code: 'PSNBOT-7KQ2XM'
+        }),
+        expires_at: Math.floor(Date.now() / 1000) + 1800
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        jest.spyOn(PsnClient.prototype, 'supports').mockReturnValue(true);
+
+        holderUser = { send: jest.fn().mockResolvedValue({}) };
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getUser.mockResolvedValue(undefined);
+        mockDatabase.getUserByPsnUsername.mockResolvedValue(holder);
+        mockDatabase.getSession.mockResolvedValue(storedSession);
+        mockDatabase.run.mockResolvedValue({ id: 7, changes: 1 });
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                guild: {
+                    id: '987654321',
+                    name: 'Test Guild',
+                    members: { cache: new Map([['111', {}]]), fetch: jest.fn() }
+                },
+                update: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger(),
+                    users: { fetch: jest.fn().mockResolvedValue(holderUser) }
+                }
+            }
+        });
+        mockInteraction.options.getString = jest.fn(name => (name === 'username' ? 'TrophyHunter' : 'My account since 2013'));
+    });
+
+    describe('execute', () => {
+        it('should issue an About Me code with a Check button bound to a session', async () => {
+            await claimCommand.execute(mockInteraction);
+
+            const [session] = mockDatabase.saveSession.mock.calls[0];
+            const data = JSON.parse(session.data);
+            expect(session).toMatchObject({ flow: 'claim', ownerId: '123456789' });
+            expect(data).toMatchObject({
+                guildId: '987654321',
+                psnUsername: 'TrophyHunter',
+                accountId: 'account111',
+                holderId: '111',
+                reason: 'My account since 2013'
+            });
+            expect(data.code).toMatch(/^PSNBOT-/);
+
+            const [check] = ButtonBuilder.mock.results.map(result => result.value);
+            expect(check.setCustomId).toHaveBeenCalledWith(`session:${session.token}:check`);
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+        });
+
+        it('should file an unproven claim when About Me can\'t be read', async () => {
+            PsnClient.prototype.supports.mockReturnValue(false);
+
+            await claimCommand.execute(mockInteraction);
+
+            const [sql, params] = mockDatabase.run.mock.calls[0];
+            expect(sql).toContain('INSERT INTO link_disputes');
+            expect(params).toEqual(['987654321', 'TrophyHunter', 'account111', '123456789', '111', 'My account since 2013', 0]);
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+
+            const payload = mockInteraction.reply.mock.calls[0][0];
+            expect(payload.embeds[0].setTitle).toHaveBeenCalledWith('📨 Claim Filed');
+            expect(holderUser.send).toHaveBeenCalled();
+        });
+
+        it('should let members with accounts of their own claim another', async () => {
+            mockDatabase.getUser.mockResolvedValue({ discord_id: '123456789', psn_username: 'OtherName' });
+
+            await claimCommand.execute(mockInteraction);
+
+            expect(mockDatabase.saveSession).toHaveBeenCalled();
+        });
+
+        it('should say when the account is already linked to the member', async () => {
+            mockDatabase.getUserByPsnUsername.mockResolvedValue({ ...holder, discord_id: '123456789' });
+
+            await claimCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('already linked to you')
+            }));
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+
+        it('should point to /link when nobody holds the account', async () => {
+            mockDatabase.getUserByPsnUsername.mockResolvedValue(undefined);
+
+            await claimCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('isn\'t linked to anyone')
+            }));
+        });
+
+        it('should not open a second claim on the same account', async () => {
+            mockDatabase.get.mockResolvedValue({ id: 3, status: 'pending' });
+
+            await claimCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('already have a claim')
+            }));
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+
+        it('should only take claims on members of this server', async () => {
+            mockInteraction.guild.members.cache.clear();
+            mockInteraction.guild.members.fetch.mockRejectedValue(Object.assign(new Error('Unknown Member'), { code: 10007 }));
+
+            await claimCommand.execute(mockInteraction);
+
+            expect(mockInteraction.guild.members.fetch).toHaveBeenCalledWith('111');
+            expect(mockInteraction.reply).toHaveBeenCalledWith({
+                content: '❌ **TrophyHunter** is linked to someone who isn\'t in this server. File your claim in a server you share with them.',
+                ephemeral: true
+            });
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+
+        it('should only be available in servers', async () => {
+            mockInteraction.guild = null;
+
+            await claimCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+            expect(mockDatabase.getUserByPsnUsername).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Check button', () => {
+        beforeEach(() => {
+            mockInteraction.customId = 'session:token123:check';
+        });
+
+        it('should file a proven claim and tell the holder by DM', async () => {
+            jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockResolvedValue({ accountId: 'account111', onlineId: 'TrophyHunter', aboutMe: 'PSNBOT-7KQ2XM' });
+
+            await sessions.handle(mockInteraction);
+
+            const [, params] = mockDatabase.run.mock.calls[0];
+            expect(params.at(-1)).toBe(1);
+            expect(mockDatabase.deleteSession).toHaveBeenCalledWith('token123');
+
+            const payload = mockInteraction.update.mock.calls[0][0];
+            expect(payload.components).toEqual([]);
+            expect(payload.embeds[0].setFooter).toHaveBeenCalledWith({ text: 'Claim #7' });
+
+            expect(mockInteraction.client.users.fetch).toHaveBeenCalledWith('111');
+            expect(holderUser.send).toHaveBeenCalledWith({ embeds: [expect.any(Object)] });
+        });
+
+        it('should keep waiting while the code is missing', async () => {
+            jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockResolvedValue({ accountId: 'account111', onlineId: 'TrophyHunter', aboutMe: '' });
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('isn\'t in the About Me'),
+                ephemeral: true
+            }));
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+        });
+
+        it('should still file the claim when the holder can\'t be DMed', async () => {
+            jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockResolvedValue({ accountId: 'account111', onlineId: 'TrophyHunter', aboutMe: 'PSNBOT-7KQ2XM' });
+            holderUser.send.mockRejectedValue(new Error('Cannot send messages to this user'));
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.update).toHaveBeenCalled();
+            expect(mockInteraction.client.logger.warn).toHaveBeenCalledWith(expect.stringContaining('Could not DM user 111'));
+        });
+    });
+});
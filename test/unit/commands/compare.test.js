@@ -0,0 +1,178 @@
+/**
+ * Compare Command Unit Tests
+ *
+ * Tests for resolving both players, the side-by-side comparison and the
+ * shared game drill-down
+ */
+
+const mockPsnClient = {
+    validateUsername: jest.fn(),
+    getUserTrophySummary: jest.fn(),
+    getAllUserGames: jest.fn(),
+    getGameTrophies: jest.fn(),
+    getUserGameTrophies: jest.fn()
+};
+
+jest.mock('../../../src/utils/psnClient', () => jest.fn().mockImplementation(() => mockPsnClient));
+
+const compareCommand = require('../../../src/commands/compare');
+const { StringSelectMenuBuilder } = require('discord.js');
+const { PsnPrivateProfileError } = require('../../../src/utils/psnErrors');
+
+describe('Compare Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const caller = { discord_id: '123456789', psn_username: 'TrophyHunter', psn_account_id: 'acct-a' };
+    const rival = { id: '222', username: 'rival', displayName: 'Rival' };
+
+    const summary = (trophyLevel, platinum) => ({
+        trophyLevel,
+        earnedTrophies: { bronze: 10, silver: 5, gold: 2, platinum }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getUser.mockImplementation(async (discordId) =>
+            discordId === caller.discord_id ? caller : null
+        );
+        mockDatabase.getUserByPsnUsername.mockResolvedValue(null);
+        mockDatabase.getUserGames = jest.fn().mockResolvedValue([
+            { game_id: 'NPWR1', title: 'Bloodborne', platform: 'PS4', progress_percentage: 80 },
+            { game_id: 'NPWR2', title: 'Solo Game', platform: 'PS5', progress_percentage: 10 }
+        ]);
+
+        mockPsnClient.validateUsername.mockResolvedValue({ accountId: 'acct-b', onlineId: 'Rival_PSN' });
+        mockPsnClient.getUserTrophySummary.mockImplementation(async (accountId) =>
+            accountId === 'acct-a' ? summary(300, 4) : summary(120, 1)
+        );
+        mockPsnClient.getAllUserGames.mockResolvedValue([
+            { npCommunicationId: 'NPWR1', trophyTitleName: 'Bloodborne', trophyTitlePlatform: 'PS4', progress: 95 }
+        ]);
+
+        mockInteraction = createMockInteraction({
+            strings: { psn2: 'Rival_PSN' },
+            overrides: {
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should ask who to compare against', async () => {
+        mockInteraction.options.getString = jest.fn().mockReturnValue(null);
+
+        await compareCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('Choose who to compare against'),
+            ephemeral: true
+        }));
+    });
+
+    it('should compare the caller with a PSN name', async () => {
+        await compareCommand.execute(mockInteraction);
+
+        expect(mockPsnClient.validateUsername).toHaveBeenCalledWith('Rival_PSN');
+        expect(mockDatabase.getUserGames).toHaveBeenCalledWith(caller.discord_id, caller.psn_account_id);
+        expect(mockPsnClient.getAllUserGames).toHaveBeenCalledWith('acct-b');
+
+        const payload = mockInteraction.editReply.mock.calls[0][0];
+        const embed = payload.embeds[0];
+        expect(embed.setTitle).toHaveBeenCalledWith('⚔️ TrophyHunter vs Rival_PSN');
+        expect(embed.addFields).toHaveBeenCalledWith(expect.arrayContaining([
+            expect.objectContaining({ name: '🎯 Shared Games (1)', value: '**Bloodborne** - 80% vs 95% ➜ Rival_PSN' })
+        ]));
+
+        const menu = StringSelectMenuBuilder.mock.results[0].value;
+        expect(menu.setCustomId).toHaveBeenCalledWith('compare_game:acct-a:TrophyHunter:acct-b:Rival_PSN');
+        expect(menu.addOptions).toHaveBeenCalledWith([
+            { label: 'Bloodborne', value: 'NPWR1:PS4', description: 'TrophyHunter 80% • Rival_PSN 95%' }
+        ]);
+        expect(payload.components).toHaveLength(1);
+    });
+
+    it('should report members who have not linked an account', async () => {
+        mockInteraction.options.getUser = jest.fn(name => (name === 'user2' ? rival : null));
+        mockInteraction.options.getString = jest.fn().mockReturnValue(null);
+
+        await compareCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Rival hasn\'t linked a PSN account yet.' });
+        expect(mockPsnClient.getUserTrophySummary).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown PSN names', async () => {
+        mockPsnClient.validateUsername.mockResolvedValue(null);
+
+        await compareCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: '❌ Could not find a PlayStation Network player named **Rival_PSN**.'
+        });
+    });
+
+    it('should refuse comparing a player with themselves', async () => {
+        mockDatabase.getUserByPsnUsername.mockResolvedValue(caller);
+        mockInteraction.options.getString = jest.fn(name => (name === 'psn2' ? 'TrophyHunter' : null));
+
+        await compareCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '❌ Pick two different players to compare.' });
+    });
+
+    it('should explain private profiles', async () => {
+        mockPsnClient.getUserTrophySummary.mockImplementation(async (accountId) => {
+            if (accountId === 'acct-b') throw new PsnPrivateProfileError('Not permitted');
+            return summary(300, 4);
+        });
+
+        await compareCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: '🔒 **Rival_PSN**\'s trophies are private, so they can\'t be compared.'
+        });
+    });
+
+    describe('handleSelect', () => {
+        beforeEach(() => {
+            mockInteraction.customId = 'compare_game:acct-a:TrophyHunter:acct-b:Rival_PSN';
+            mockInteraction.values = ['NPWR1:PS4'];
+            mockPsnClient.getGameTrophies.mockResolvedValue({ trophyTitleName: 'Bloodborne', trophies: [] });
+            mockPsnClient.getUserGameTrophies.mockImplementation(async (accountId) => [
+                { trophyId: 0, trophyName: 'Platinum', trophyType: 'platinum', earned: accountId === 'acct-b' },
+                { trophyId: 1, trophyName: 'Yharnam Sunrise', trophyType: 'gold', earned: true }
+            ]);
+        });
+
+        it('should compare a shared game trophy by trophy', async () => {
+            await compareCommand.handleSelect(mockInteraction);
+
+            expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+            expect(mockPsnClient.getUserGameTrophies).toHaveBeenCalledWith('acct-a', 'NPWR1', 'all', 'PS4');
+            expect(mockPsnClient.getUserGameTrophies).toHaveBeenCalledWith('acct-b', 'NPWR1', 'all', 'PS4');
+
+            const embed = mockInteraction.editReply.mock.calls[0][0].embeds[0];
+            expect(embed.setTitle).toHaveBeenCalledWith('⚔️ TrophyHunter vs Rival_PSN - Bloodborne');
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('❌✅ 🏆 Platinum'));
+            expect(embed.addFields).toHaveBeenCalledWith([
+                expect.objectContaining({ name: 'TrophyHunter', value: '**1/2** earned\n0 not earned by Rival_PSN' }),
+                expect.objectContaining({ name: 'Rival_PSN', value: '**2/2** earned\n1 not earned by TrophyHunter' })
+            ]);
+        });
+
+        it('should report PSN failures', async () => {
+            mockPsnClient.getUserGameTrophies.mockRejectedValue(new PsnPrivateProfileError('Not permitted'));
+
+            await compareCommand.handleSelect(mockInteraction);
+
+            expect(mockInteraction.editReply).toHaveBeenCalledWith({
+                content: '🔒 One of these players has made their trophies private.'
+            });
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Disputes Command Unit Tests
+ *
+ * Tests for the claim review queue and its Approve and Deny buttons
+ */
+
+const disputesCommand = require('../../../src/commands/disputes');
+const { ButtonBuilder } = require('discord.js');
+
+describe('Disputes Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+    let dmUsers;
+
+    const pendingDispute = {
+        id: 7,
+        guild_id: '987654321',
+        psn_username: 'TrophyHunter',
+        psn_account_id: 'account111',
+        claimant_id: '222',
+        holder_id: '111',
+        reason: 'My account since 2013',
+        proven: 1,
+        status: 'pending',
+        created_at: 1700000000
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+
+        dmUsers = {};
+        mockDatabase = createMockDatabase();
+        mockDatabase.all.mockResolvedValue([pendingDispute]);
+        mockDatabase.get.mockImplementation(async (sql) => {
+            if (sql.includes('COUNT(*)')) return { count: 1 };
+            if (sql.includes('FROM link_disputes WHERE id')) return pendingDispute;
+            return undefined;
+        });
+        mockDatabase.run.mockResolvedValue({ changes: 1 });
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                guild: {
+                    id: '987654321',
+                    name: 'Test Guild',
+                    members: { cache: new Map([['111', {}]]), fetch: jest.fn() }
+                },
+                memberPermissions: { has: jest.fn().mockReturnValue(true) },
+                update: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger(),
+                    users: {
+                        fetch: jest.fn(async (id) => {
+                            dmUsers[id] = { send: jest.fn().mockResolvedValue({}) };
+                            return dmUsers[id];
+                        })
+                    }
+                }
+            }
+        });
+    });
+
+    it('should list pending claims with review buttons', async () => {
+        await disputesCommand.execute(mockInteraction);
+
+        expect(mockDatabase.all).toHaveBeenCalledWith(expect.stringContaining('FROM link_disputes'), ['987654321', 'pending', 5]);
+
+        const payload = mockInteraction.reply.mock.calls[0][0];
+        expect(payload.ephemeral).toBe(true);
+        expect(payload.embeds).toHaveLength(1);
+        expect(payload.embeds[0].setTitle).toHaveBeenCalledWith('⚖️ Claim #7 - TrophyHunter');
+        expect(payload.components).toHaveLength(1);
+
+        const [approve, deny] = ButtonBuilder.mock.results.map(result => result.value);
+        expect(approve.setCustomId).toHaveBeenCalledWith('dispute_review:approve:7');
+        expect(deny.setCustomId).toHaveBeenCalledWith('dispute_review:deny:7');
+    });
+
+    it('should say when the queue is empty', async () => {
+        mockDatabase.all.mockResolvedValue([]);
+
+        await disputesCommand.execute(mockInteraction);
+
+        const payload = mockInteraction.reply.mock.calls[0][0];
+        expect(payload.embeds[0].setDescription).toHaveBeenCalledWith('No claims are waiting for review.');
+        expect(payload.components).toEqual([]);
+    });
+
+    describe('review buttons', () => {
+        it('should move the link on approval and DM both members', async () => {
+            mockDatabase.transaction = jest.fn(async (work) => work());
+            mockDatabase.get.mockImplementation(async (sql) => {
+                if (sql.includes('FROM link_disputes WHERE id')) return pendingDispute;
+                if (sql.includes('psn_account_id = ?')) return { id: 1, discord_id: '111' };
+                return undefined;
+            });
+            mockInteraction.customId = 'dispute_review:approve:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockDatabase.run).toHaveBeenCalledWith(expect.stringContaining('UPDATE psn_accounts'), ['222', '222', expect.any(Number), 1]);
+            expect(mockInteraction.update).toHaveBeenCalled();
+            expect(mockInteraction.followUp).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Claim #7 approved')
+            }));
+            expect(dmUsers['222'].send).toHaveBeenCalled();
+            expect(dmUsers['111'].send).toHaveBeenCalled();
+        });
+
+        it('should close the claim on denial and DM both members', async () => {
+            mockInteraction.customId = 'dispute_review:deny:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockDatabase.run).toHaveBeenCalledWith(expect.stringContaining('UPDATE link_disputes'), ['denied', '123456789', 7, 'pending']);
+            expect(mockInteraction.followUp).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Claim #7 denied')
+            }));
+            expect(Object.keys(dmUsers).sort()).toEqual(['111', '222']);
+        });
+
+        it('should not approve claims on members who aren\'t in the server', async () => {
+            mockDatabase.transaction = jest.fn(async (work) => work());
+            mockInteraction.guild.members.cache.clear();
+            mockInteraction.guild.members.fetch.mockRejectedValue(Object.assign(new Error('Unknown Member'), { code: 10007 }));
+            mockInteraction.customId = 'dispute_review:approve:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockDatabase.transaction).not.toHaveBeenCalled();
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+            expect(mockInteraction.followUp).toHaveBeenCalledWith({
+                content: '❌ <@111> isn\'t in this server, so claim #7 can\'t be approved here. You can still deny it.',
+                ephemeral: true
+            });
+            expect(dmUsers).toEqual({});
+        });
+
+        it('should not let claimants approve their own claim', async () => {
+            mockDatabase.transaction = jest.fn(async (work) => work());
+            mockInteraction.user.id = '222';
+            mockInteraction.customId = 'dispute_review:approve:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+            expect(mockInteraction.followUp).toHaveBeenCalledWith({
+                content: '❌ Claim #7 is your own, so another admin has to review it.',
+                ephemeral: true
+            });
+        });
+
+        it('should not approve an unproven claim on a verified link', async () => {
+            mockDatabase.transaction = jest.fn(async (work) => work());
+            mockDatabase.get.mockImplementation(async (sql) => {
+                if (sql.includes('FROM link_disputes WHERE id')) return { ...pendingDispute, proven: 0 };
+                if (sql.includes('psn_account_id = ?')) return { id: 1, verified_at: 1700000000 };
+                return undefined;
+            });
+            mockInteraction.customId = 'dispute_review:approve:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+            expect(mockInteraction.followUp).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('can only be approved with proof of ownership')
+            }));
+        });
+
+        it('should only let admins review claims', async () => {
+            mockInteraction.memberPermissions.has.mockReturnValue(false);
+            mockInteraction.customId = 'dispute_review:approve:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Only server admins'),
+                ephemeral: true
+            }));
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+        });
+
+        it('should refresh the queue when a claim was already resolved', async () => {
+            mockDatabase.get.mockImplementation(async (sql) => (
+                sql.includes('FROM link_disputes WHERE id') ? { ...pendingDispute, status: 'denied' } : undefined
+            ));
+            mockInteraction.customId = 'dispute_review:approve:7';
+
+            await disputesCommand.handleButton(mockInteraction);
+
+            expect(mockInteraction.update).toHaveBeenCalled();
+            expect(mockInteraction.followUp).toHaveBeenCalledWith({ content: 'ℹ️ Claim #7 has already been resolved.', ephemeral: true });
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+        });
+    });
+});
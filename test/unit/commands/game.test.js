@@ -0,0 +1,276 @@
+/**
+ * Game Command Unit Tests
+ *
+ * Tests for finding a game, the paged trophy list with the viewer's
+ * progress, title autocomplete and the group and filter menus, which run
+ * through the shared pagination and its sessions
+ */
+
+const mockPsnClient = {
+    getGameTrophies: jest.fn(),
+    getGameTrophyGroups: jest.fn(),
+    getUserGameTrophies: jest.fn()
+};
+
+jest.mock('../../../src/utils/psnClient', () => jest.fn().mockImplementation(() => mockPsnClient));
+
+const gameCommand = require('../../../src/commands/game');
+const sessions = require('../../../src/utils/interactionSessions');
+const { ButtonBuilder, StringSelectMenuBuilder } = require('discord.js');
+const { PsnNotFoundError } = require('../../../src/utils/psnErrors');
+
+describe('Game Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+    let storedSessions;
+
+    const catalogGame = { game_id: 'NPWR1', title: 'Bloodborne', platform: 'PS4' };
+    const linkedUser = { discord_id: '123456789', psn_username: 'TrophyHunter', psn_account_id: 'acct-a' };
+
+    // 12 base game trophies and 2 DLC trophies. Like PSN's title endpoint,
+    // the definitions carry no rarity.
+    const trophies = [
+        { trophyId: 0, trophyName: 'Yharnam Sunrise', trophyType: 'platinum', trophyGroupId: 'default' },
+        ...Array.from({ length: 11 }, (_, index) => ({
+            trophyId: index + 1,
+            trophyName: `Hunter ${index + 1}`,
+            trophyType: 'bronze',
+            trophyGroupId: 'default'
+        })),
+        { trophyId: 12, trophyName: 'Ludwig', trophyType: 'gold', trophyGroupId: '001' },
+        { trophyId: 13, trophyName: 'Orphan', trophyType: 'gold', trophyGroupId: '001' }
+    ];
+
+    // The viewer's trophy list, where PSN reports rarity as bare percentages
+    const rarity = { 0: [0, '5.0'], 12: [1, '12.0'], 13: [0, '3.0'] };
+    const userTrophies = trophies.map(({ trophyId }) => ({
+        trophyId,
+        earned: trophyId === 1 || trophyId === 12,
+        trophyRare: (rarity[trophyId] || [3])[0],
+        trophyEarnedRate: (rarity[trophyId] || [3, '60.0'])[1]
+    }));
+
+    const payload = (method = 'editReply') => mockInteraction[method].mock.calls[0][0];
+    const customIdOf = (component) => component.setCustomId.mock.calls[0][0];
+    const menus = () => StringSelectMenuBuilder.mock.results.map(result => result.value);
+
+    // Run /game, then start a fresh interaction as if from one of its components
+    const runThenUse = async (component, values) => {
+        await gameCommand.execute(mockInteraction);
+        const customId = customIdOf(component());
+
+        jest.clearAllMocks();
+        mockInteraction = createMockInteraction({
+            overrides: {
+                customId,
+                values,
+                deferUpdate: jest.fn().mockResolvedValue({}),
+                client: { database: mockDatabase, logger: createMockLogger() }
+            }
+        });
+        await sessions.handle(mockInteraction);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getGame = jest.fn(async (gameId) => (gameId === 'NPWR1' ? catalogGame : undefined));
+        mockDatabase.searchGames = jest.fn().mockResolvedValue([]);
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+
+        // Sessions kept the way the interaction_sessions table keeps them
+        storedSessions = new Map();
+        mockDatabase.saveSession.mockImplementation(async (row) => {
+            storedSessions.set(row.token, { token: row.token, flow: row.flow, owner_id: row.ownerId, data: row.data, expires_at: row.expiresAt });
+        });
+        mockDatabase.getSession.mockImplementation(async (token) => storedSessions.get(token));
+        mockDatabase.updateSessionData.mockImplementation(async (token, data) => {
+            storedSessions.get(token).data = data;
+        });
+
+        mockPsnClient.getGameTrophies.mockResolvedValue({
+            trophyTitleName: 'Bloodborne',
+            trophyTitleIconUrl: 'https://example.com/bb.png',
+            trophies
+        });
+        mockPsnClient.getGameTrophyGroups.mockResolvedValue({
+            trophyGroups: [
+                { trophyGroupId: 'default', trophyGroupName: 'Bloodborne' },
+                { trophyGroupId: '001', trophyGroupName: 'The Old Hunters' }
+            ]
+        });
+        mockPsnClient.getUserGameTrophies.mockResolvedValue(userTrophies);
+
+        mockInteraction = createMockInteraction({
+            strings: { game: 'NPWR1' },
+            overrides: {
+                update: jest.fn().mockResolvedValue({}),
+                deferUpdate: jest.fn().mockResolvedValue({}),
+                respond: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should show the first page of a game with the viewer\'s progress', async () => {
+        await gameCommand.execute(mockInteraction);
+
+        expect(mockPsnClient.getGameTrophies).toHaveBeenCalledWith('NPWR1', 'all', 'PS4');
+        expect(mockPsnClient.getUserGameTrophies).toHaveBeenCalledWith('acct-a', 'NPWR1', 'all', 'PS4');
+
+        const embed = payload().embeds[0];
+        expect(embed.setTitle).toHaveBeenCalledWith('🎮 Bloodborne');
+        expect(embed.setThumbnail).toHaveBeenCalledWith('https://example.com/bb.png');
+        expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('⬜ 🏆 **Yharnam Sunrise** - 5.0%'));
+        expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('✅ 🥉 **Hunter 1** - 60.0%'));
+        expect(embed.addFields).toHaveBeenCalledWith([
+            expect.objectContaining({ name: '📊 Trophies', value: '🏆 1 🥇 2 🥈 0 🥉 11\n**Total:** 14' }),
+            expect.objectContaining({ name: '🎯 Your Progress', value: '**2/14** earned (14%)' })
+        ]);
+        expect(embed.setFooter).toHaveBeenCalledWith({ text: '14 trophies • All groups • All Trophies • Page 1 of 2' });
+
+        // Page buttons, the DLC group menu and the filter menu, all in one session
+        expect(payload().components).toHaveLength(3);
+        expect(mockDatabase.saveSession).toHaveBeenCalledTimes(1);
+        const { token } = mockDatabase.saveSession.mock.calls[0][0];
+
+        const [groupMenu, filterMenu] = menus();
+        expect(groupMenu.setCustomId).toHaveBeenCalledWith(`session:${token}:menu:2`);
+        expect(groupMenu.addOptions).toHaveBeenCalledWith([
+            { label: 'All groups', value: 'all', default: true },
+            { label: 'Bloodborne', value: 'default', default: false },
+            { label: 'The Old Hunters', value: '001', default: false }
+        ]);
+        expect(filterMenu.setCustomId).toHaveBeenCalledWith(`session:${token}:menu:3`);
+        expect(filterMenu.addOptions.mock.calls[0][0].map(option => option.value)).toContain('earned');
+    });
+
+    it('should find a game by title when no ID was picked', async () => {
+        mockInteraction.options.getString = jest.fn().mockReturnValue('blood');
+        mockDatabase.searchGames.mockResolvedValue([catalogGame]);
+
+        await gameCommand.execute(mockInteraction);
+
+        expect(mockDatabase.searchGames).toHaveBeenCalledWith('blood', 1);
+        expect(mockPsnClient.getGameTrophies).toHaveBeenCalledWith('NPWR1', 'all', 'PS4');
+    });
+
+    it('should report games missing from the catalog', async () => {
+        mockInteraction.options.getString = jest.fn().mockReturnValue('Unknown Game');
+
+        await gameCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: expect.stringContaining('❌ Could not find a game called **Unknown Game**')
+        });
+        expect(mockPsnClient.getGameTrophies).not.toHaveBeenCalled();
+    });
+
+    it('should browse without progress for members who have not linked', async () => {
+        mockDatabase.getUser.mockResolvedValue(null);
+
+        await gameCommand.execute(mockInteraction);
+
+        expect(mockPsnClient.getUserGameTrophies).not.toHaveBeenCalled();
+        const embed = payload().embeds[0];
+        expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('🏆 **Yharnam Sunrise**\n'));
+        expect(embed.setDescription).not.toHaveBeenCalledWith(expect.stringContaining('⬜'));
+        // Rarity is only known from the viewer's trophy list
+        expect(embed.setDescription).not.toHaveBeenCalledWith(expect.stringContaining('%'));
+
+        const filterMenu = StringSelectMenuBuilder.mock.results[1].value;
+        const values = filterMenu.addOptions.mock.calls[0][0].map(option => option.value);
+        expect(values).not.toContain('earned');
+        expect(values).not.toContain('ultra_rare');
+        expect(values).toContain('bronze');
+    });
+
+    it('should count an unstarted game as nothing earned', async () => {
+        mockPsnClient.getUserGameTrophies.mockRejectedValue(new PsnNotFoundError('Resource not found'));
+
+        await gameCommand.execute(mockInteraction);
+
+        expect(payload().embeds[0].addFields).toHaveBeenCalledWith(expect.arrayContaining([
+            expect.objectContaining({ name: '🎯 Your Progress', value: '**0/14** earned (0%)' })
+        ]));
+    });
+
+    it('should suggest catalog games while typing', async () => {
+        mockInteraction.options.getFocused = jest.fn().mockReturnValue('blo');
+        mockDatabase.all.mockResolvedValue([catalogGame, { game_id: 'NPWR9', title: 'Bloodstained', platform: null }]);
+
+        await gameCommand.autocomplete(mockInteraction);
+
+        expect(mockInteraction.respond).toHaveBeenCalledWith([
+            { name: 'Bloodborne (PS4)', value: 'NPWR1' },
+            { name: 'Bloodstained', value: 'NPWR9' }
+        ]);
+    });
+
+    describe('components', () => {
+        it('should show one trophy group', async () => {
+            await runThenUse(() => menus()[0], ['001']);
+
+            expect(mockInteraction.deferUpdate).toHaveBeenCalled();
+            const embed = payload().embeds[0];
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('✅ 🥇 **Ludwig**'));
+            expect(embed.setDescription).not.toHaveBeenCalledWith(expect.stringContaining('Hunter 1'));
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: '2 trophies • The Old Hunters • All Trophies' });
+        });
+
+        it('should filter by the viewer\'s earned trophies', async () => {
+            await runThenUse(() => menus()[1], ['earned']);
+
+            const embed = payload().embeds[0];
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: '2 trophies • All groups • Earned' });
+        });
+
+        it('should filter by the rarity in the viewer\'s trophy list', async () => {
+            await runThenUse(() => menus()[1], ['ultra_rare']);
+
+            const embed = payload().embeds[0];
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('**Yharnam Sunrise** - 5.0%'));
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('**Orphan** - 3.0%'));
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: '2 trophies • All groups • Ultra Rare' });
+        });
+
+        it('should keep the group and filter when paging', async () => {
+            await runThenUse(() => menus()[0], ['default']);
+
+            const filterId = customIdOf(menus()[1]);
+            jest.clearAllMocks();
+            mockInteraction.customId = filterId;
+            mockInteraction.values = ['bronze'];
+            await sessions.handle(mockInteraction);
+            expect(payload().embeds[0].setFooter).toHaveBeenCalledWith({ text: '11 trophies • Bloodborne • Bronze • Page 1 of 2' });
+
+            const nextId = customIdOf(ButtonBuilder.mock.results[3].value);
+            jest.clearAllMocks();
+            mockInteraction.customId = nextId;
+            await sessions.handle(mockInteraction);
+
+            const embed = payload().embeds[0];
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('Hunter 11'));
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: '11 trophies • Bloodborne • Bronze • Page 2 of 2' });
+        });
+
+        it('should only let the member who ran the command change the view', async () => {
+            await gameCommand.execute(mockInteraction);
+            const customId = customIdOf(menus()[1]);
+
+            jest.clearAllMocks();
+            mockInteraction.user = { id: '222' };
+            mockInteraction.customId = customId;
+            mockInteraction.values = ['earned'];
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+            expect(mockInteraction.deferUpdate).not.toHaveBeenCalled();
+            expect(mockPsnClient.getGameTrophies).not.toHaveBeenCalled();
+        });
+    });
+});
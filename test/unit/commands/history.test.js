@@ -0,0 +1,83 @@
+/**
+ * History Command Unit Tests
+ *
+ * Tests for showing a linked account's weekly and monthly trophy progress
+ */
+
+const historyCommand = require('../../../src/commands/history');
+const { toDay, DAY_SECONDS } = require('../../../src/utils/trophyHistory');
+
+describe('History Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const account = { id: 1, discord_id: '123456789', psn_username: 'TrophyHunter', psn_account_id: 'account1', is_primary: 1 };
+    const daysAgo = days => toDay(Math.floor(Date.now() / 1000) - days * DAY_SECONDS);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getUser.mockResolvedValue(account);
+        mockDatabase.all.mockResolvedValue([
+            { snapshot_date: daysAgo(40), trophy_count_bronze: 10, trophy_level: 5, trophy_points: 150 },
+            { snapshot_date: daysAgo(20), trophy_count_bronze: 20, trophy_level: 6, trophy_points: 300 },
+            { snapshot_date: daysAgo(1), trophy_count_bronze: 22, trophy_count_gold: 1, trophy_level: 6, trophy_points: 420 }
+        ]);
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should show weekly and monthly deltas', async () => {
+        await historyCommand.execute(mockInteraction);
+
+        expect(mockDatabase.all).toHaveBeenCalledWith(expect.stringContaining('FROM trophy_history'), ['123456789', 'account1', expect.any(String)]);
+        const embed = mockInteraction.editReply.mock.calls[0][0].embeds[0];
+        expect(embed.setTitle).toHaveBeenCalledWith('📈 Trophy History - TrophyHunter');
+
+        const [week, month, byWeek] = embed.addFields.mock.calls[0][0];
+        expect(week.value).toContain('**+120** pts');
+        expect(week.value).toContain('🏆 +3 trophies');
+        expect(month.value).toContain('**+270** pts');
+        expect(month.value).toContain('Level 6 (+1)');
+        expect(byWeek.value.split('\n')).toHaveLength(6);
+    });
+
+    it('should explain when no history is recorded yet', async () => {
+        mockDatabase.all.mockResolvedValue([]);
+
+        await historyCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: expect.stringContaining('No trophy history for **TrophyHunter** yet')
+        });
+    });
+
+    it('should point members without a linked account to /link', async () => {
+        mockDatabase.getUser.mockResolvedValue(undefined);
+
+        await historyCommand.execute(mockInteraction);
+
+        expect(mockDatabase.all).not.toHaveBeenCalled();
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: expect.stringContaining('Use `/link`')
+        });
+    });
+
+    it('should report database errors', async () => {
+        mockDatabase.getUser.mockRejectedValue(new Error('SQLITE_ERROR: no such table: trophy_history'));
+
+        await historyCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: '❌ Database not properly initialized. Please contact an administrator.'
+        });
+    });
+});
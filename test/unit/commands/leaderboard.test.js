@@ -0,0 +1,219 @@
+/**
+ * Leaderboard Command Unit Tests
+ *
+ * Tests for guild-scoped rankings, the caller's rank and page buttons
+ */
+
+const leaderboardCommand = require('../../../src/commands/leaderboard');
+const sessions = require('../../../src/utils/interactionSessions');
+const { clearGuildLinkedAccounts } = require('../../../src/utils/linkedAccounts');
+const { ButtonBuilder } = require('discord.js');
+
+describe('Leaderboard Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+    let mockGuild;
+
+    const linkedUsers = Array.from({ length: 12 }, (_, index) => ({
+        discord_id: String(index + 1),
+        psn_username: `Player${index + 1}`,
+        value: 1000 - index * 10
+    }));
+
+    let verifiedIds;
+
+    const lastEmbed = (method) => {
+        const payload = mockInteraction[method].mock.calls[0][0];
+        return payload.embeds[0];
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        clearGuildLinkedAccounts();
+
+        verifiedIds = ['1', '4'];
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.all.mockImplementation(async (sql, params) => {
+            if (sql.trim() === 'SELECT discord_id, psn_username, is_primary, verified_at FROM psn_accounts') {
+                return [...linkedUsers, { discord_id: '99', psn_username: 'Gone' }].map(user => ({
+                    discord_id: user.discord_id,
+                    psn_username: user.psn_username,
+                    is_primary: 1,
+                    verified_at: verifiedIds.includes(user.discord_id) ? 1700000000 : null
+                }));
+            }
+            return linkedUsers.filter(user => params.includes(user.discord_id));
+        });
+
+        // Member 12 left the server; the rest are cached or fetched
+        mockGuild = {
+            id: '987654321',
+            name: 'Test Guild',
+            members: {
+                cache: new Map(linkedUsers.slice(0, 5).map(user => [user.discord_id, {}])),
+                fetch: jest.fn(async ({ user }) => new Map(
+                    user.filter(id => id !== '12' && id !== '99').map(id => [id, {}])
+                ))
+            }
+        };
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                user: { id: '3', tag: 'player3#0001' },
+                guild: mockGuild,
+                deferUpdate: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should only be available in servers', async () => {
+        mockInteraction.guild = null;
+
+        await leaderboardCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '❌ Leaderboards are only available in servers.',
+            ephemeral: true
+        });
+        expect(mockDatabase.all).not.toHaveBeenCalled();
+    });
+
+    it('should rank the linked members of the current guild', async () => {
+        await leaderboardCommand.execute(mockInteraction);
+
+        const rankedIds = mockDatabase.all.mock.calls[1][1];
+        expect(rankedIds).toHaveLength(11);
+        expect(rankedIds).not.toContain('12');
+        expect(mockGuild.members.fetch).toHaveBeenCalledWith({ user: ['6', '7', '8', '9', '10', '11', '12', '99'] });
+
+        const embed = lastEmbed('editReply');
+        expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('🥇 <@1> (Player1 ✅) - 1,000 pts'));
+        expect(embed.addFields).toHaveBeenCalledWith([expect.objectContaining({
+            name: '📍 Your Rank',
+            value: '**#3** of 11 - 980 pts'
+        })]);
+        expect(embed.setFooter).toHaveBeenCalledWith({ text: '11 ranked members • Page 1 of 2' });
+    });
+
+    it('should add page buttons owned by the caller', async () => {
+        await leaderboardCommand.execute(mockInteraction);
+
+        const [session] = mockDatabase.saveSession.mock.calls[0];
+        expect(session).toMatchObject({ flow: 'page', ownerId: '3' });
+        expect(JSON.parse(session.data)).toEqual({ key: 'leaderboard', args: ['points', 'combined'] });
+
+        const [first, previous, , next] = ButtonBuilder.mock.results.map(result => result.value);
+        expect(first.setDisabled).toHaveBeenCalledWith(true);
+        expect(previous.setCustomId).toHaveBeenCalledWith(`session:${session.token}:prev:-1`);
+        expect(previous.setDisabled).toHaveBeenCalledWith(true);
+        expect(next.setCustomId).toHaveBeenCalledWith(`session:${session.token}:next:1`);
+        expect(next.setDisabled).toHaveBeenCalledWith(false);
+    });
+
+    it('should rank by the chosen metric', async () => {
+        mockInteraction.options.getString = jest.fn(name => (name === 'metric' ? 'week' : null));
+
+        await leaderboardCommand.execute(mockInteraction);
+
+        expect(mockDatabase.all.mock.calls[1][0]).toContain('earned_date >= ?');
+        expect(lastEmbed('editReply').setTitle).toHaveBeenCalledWith('📅 Test Guild Leaderboard - Trophies This Week');
+    });
+
+    it('should rank primary accounts alone when asked', async () => {
+        mockInteraction.options.getString = jest.fn(name => (name === 'accounts' ? 'primary' : null));
+
+        await leaderboardCommand.execute(mockInteraction);
+
+        expect(mockDatabase.all.mock.calls[1][0]).toContain('a.is_primary = 1');
+        expect(lastEmbed('editReply').setFooter).toHaveBeenCalledWith({ text: '11 ranked members • Primary accounts only • Page 1 of 2' });
+    });
+
+    it('should only rank verified members when the server requires it', async () => {
+        mockDatabase.get.mockResolvedValue({ setting_value: '1' });
+
+        await leaderboardCommand.execute(mockInteraction);
+
+        expect(mockDatabase.get).toHaveBeenCalledWith(
+            expect.stringContaining('FROM server_settings'),
+            ['987654321', 'leaderboard', 'require_verification']
+        );
+        expect(mockDatabase.all.mock.calls[1][1]).toEqual(['1', '4']);
+
+        const embed = lastEmbed('editReply');
+        expect(embed.addFields).toHaveBeenCalledWith([expect.objectContaining({
+            value: 'Not ranked - use `/link` and `/verify` to join the leaderboard.'
+        })]);
+        expect(embed.setFooter).toHaveBeenCalledWith({ text: '2 ranked members • Verified accounts only' });
+    });
+
+    it('should invite members to link when nobody is ranked', async () => {
+        mockGuild.members.fetch.mockResolvedValue(new Map());
+        mockGuild.members.cache = new Map();
+
+        await leaderboardCommand.execute(mockInteraction);
+
+        expect(lastEmbed('editReply').setDescription).toHaveBeenCalledWith(expect.stringContaining('Use `/link`'));
+        expect(mockInteraction.editReply.mock.calls[0][0].components).toBeUndefined();
+    });
+
+    it('should report database errors', async () => {
+        mockDatabase.all.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+        await leaderboardCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: '❌ An error occurred while building the leaderboard. Please try again later.'
+        });
+    });
+
+    describe('page buttons', () => {
+        beforeEach(() => {
+            mockDatabase.getSession.mockResolvedValue({
+                token: 'token123',
+                flow: 'page',
+                owner_id: '3',
+                data: JSON.stringify({ key: 'leaderboard', args: ['points', 'combined'] }),
+                expires_at: Math.floor(Date.now() / 1000) + 600
+            });
+        });
+
+        it('should show the requested page to the owner', async () => {
+            mockInteraction.customId = 'session:token123:next:1';
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.deferUpdate).toHaveBeenCalled();
+            const embed = lastEmbed('editReply');
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('**#11** <@11> (Player11) - 900 pts'));
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: '11 ranked members • Page 2 of 2' });
+        });
+
+        it('should not fetch the guild\'s members again on each page', async () => {
+            await leaderboardCommand.execute(mockInteraction);
+            mockInteraction.customId = 'session:token123:next:1';
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockGuild.members.fetch).toHaveBeenCalledTimes(1);
+            expect(mockDatabase.all.mock.calls.filter(([sql]) => sql.trim().endsWith('FROM psn_accounts'))).toHaveLength(1);
+        });
+
+        it('should not let other members change the page', async () => {
+            mockInteraction.customId = 'session:token123:next:1';
+            mockInteraction.user = { id: '7' };
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.deferUpdate).not.toHaveBeenCalled();
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Only the member who started this'),
+                ephemeral: true
+            }));
+        });
+    });
+});
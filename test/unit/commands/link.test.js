@@ -49,31 +49,24 @@ describe('Link Command', () => {
     });
     
     describe('User Already Linked', () => {
-        it('should show already linked message when user exists', async () => {
-            const existingUser = {
-                psn_username: 'ExistingPlayer',
-                notifications_enabled: 1,
-                last_trophy_check: 1234567890
-            };
-            
-            mockDatabase.getUser.mockResolvedValue(existingUser);
+        it('should show already linked message when the account is linked to the user', async () => {
+            mockDatabase.getAccounts.mockResolvedValue([
+                { psn_username: 'testplayer', psn_account_id: 'account1', is_primary: 1 }
+            ]);
             
             await linkCommand.execute(mockInteraction);
             
             expect(mockInteraction.deferReply).toHaveBeenCalledWith({ flags: 64 });
-            expect(mockInteraction.editReply).toHaveBeenCalled();
+            expect(mockInteraction.editReply.mock.calls[0][0].embeds[0].setTitle).toHaveBeenCalledWith('🔗 Account Already Linked');
+            expect(mockValidateUsername).not.toHaveBeenCalled();
         });
         
-        it('should proceed with linking when user has no PSN username', async () => {
-            const existingUser = {
-                psn_username: null,
-                notifications_enabled: 1
-            };
-            
-            mockDatabase.getUser.mockResolvedValue(existingUser);
+        it('should link an additional account next to the primary one', async () => {
+            mockDatabase.getAccounts.mockResolvedValue([
+                { psn_username: 'ExistingPlayer', psn_account_id: 'account1', is_primary: 1 }
+            ]);
             mockDatabase.getUserByPsnUsername.mockResolvedValue(null);
             
-            // Mock successful PSN validation
             mockValidateUsername.mockResolvedValue({
                 accountId: '123456789',
                 onlineId: 'TestPlayer',
@@ -84,18 +77,44 @@ describe('Link Command', () => {
                 earnedTrophies: { platinum: 5, gold: 25, silver: 50, bronze: 100 }
             });
             
-            mockDatabase.updateUser.mockResolvedValue({ changes: 1 });
+            mockDatabase.createUser.mockResolvedValue({ id: 2, changes: 1 });
+            
+            await linkCommand.execute(mockInteraction);
+            
+            expect(mockDatabase.createUser).toHaveBeenCalledWith('123456789', expect.objectContaining({ psn_username: 'TestPlayer' }));
+            const embed = mockInteraction.editReply.mock.calls[0][0].embeds[0];
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('**ExistingPlayer** stays your primary account'));
+        });
+        
+        it('should not link the same account again under a new name', async () => {
+            mockDatabase.getAccounts.mockResolvedValue([
+                { psn_username: 'OldName', psn_account_id: '123456789', is_primary: 1 }
+            ]);
+            mockValidateUsername.mockResolvedValue({ accountId: '123456789', onlineId: 'TestPlayer' });
+            
+            await linkCommand.execute(mockInteraction);
+            
+            expect(mockDatabase.createUser).not.toHaveBeenCalled();
+            expect(mockInteraction.editReply.mock.calls[0][0].embeds[0].setTitle).toHaveBeenCalledWith('🔗 Account Already Linked');
+        });
+        
+        it('should refuse accounts beyond the per-member limit', async () => {
+            mockDatabase.getAccounts.mockResolvedValue(Array.from({ length: 5 }, (_, index) => ({
+                psn_username: `Player${index}`,
+                psn_account_id: `account${index}`,
+                is_primary: index === 0 ? 1 : 0
+            })));
             
             await linkCommand.execute(mockInteraction);
             
-            expect(mockValidateUsername).toHaveBeenCalledWith('TestPlayer');
-            expect(mockDatabase.updateUser).toHaveBeenCalled();
+            expect(mockInteraction.editReply.mock.calls[0][0].embeds[0].setTitle).toHaveBeenCalledWith('🔗 Account Limit Reached');
+            expect(mockValidateUsername).not.toHaveBeenCalled();
         });
     });
     
     describe('PSN Username Already Taken', () => {
         it('should reject when PSN username is linked to another Discord user', async () => {
-            mockDatabase.getUser.mockResolvedValue(null);
+            mockDatabase.getAccounts.mockResolvedValue([]);
             mockDatabase.getUserByPsnUsername.mockResolvedValue({
                 discord_id: 'another_user_id',
                 psn_username: 'TestPlayer'
@@ -108,8 +127,28 @@ describe('Link Command', () => {
             expect(replyCall.embeds).toBeDefined();
         });
         
+        it('should reject an account another member linked before a PSN rename', async () => {
+            mockDatabase.getAccounts.mockResolvedValue([]);
+            mockDatabase.getUserByPsnUsername.mockResolvedValue(null);
+            mockDatabase.getUserByPsnAccountId.mockResolvedValue({
+                discord_id: 'another_user_id',
+                psn_username: 'OldName',
+                psn_account_id: 'account1'
+            });
+            mockValidateUsername.mockResolvedValue({ accountId: 'account1', onlineId: 'TestPlayer' });
+            
+            await linkCommand.execute(mockInteraction);
+            
+            expect(mockDatabase.getUserByPsnAccountId).toHaveBeenCalledWith('account1');
+            expect(mockDatabase.createUser).not.toHaveBeenCalled();
+            const embed = mockInteraction.editReply.mock.calls[0][0].embeds[0];
+            expect(embed.setTitle).toHaveBeenCalledWith('❌ PSN Account Already Linked');
+            expect(embed.setDescription).toHaveBeenCalledWith(expect.stringContaining('as **OldName**'));
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: expect.stringContaining('/claim') });
+        });
+        
         it('should allow linking when same Discord user', async () => {
-            mockDatabase.getUser.mockResolvedValue(null);
+            mockDatabase.getAccounts.mockResolvedValue([]);
             mockDatabase.getUserByPsnUsername.mockResolvedValue({
                 discord_id: '123456789', // Same as interaction user
                 psn_username: 'TestPlayer'
@@ -132,7 +171,7 @@ describe('Link Command', () => {
     
     describe('PSN Username Validation', () => {
         beforeEach(() => {
-            mockDatabase.getUser.mockResolvedValue(null);
+            mockDatabase.getAccounts.mockResolvedValue([]);
             mockDatabase.getUserByPsnUsername.mockResolvedValue(null);
         });
         
@@ -159,7 +198,7 @@ describe('Link Command', () => {
     
     describe('Successful Linking', () => {
         beforeEach(() => {
-            mockDatabase.getUser.mockResolvedValue(null);
+            mockDatabase.getAccounts.mockResolvedValue([]);
             mockDatabase.getUserByPsnUsername.mockResolvedValue(null);
         });
         
@@ -194,38 +233,6 @@ describe('Link Command', () => {
             expect(replyCall.embeds).toBeDefined();
         });
         
-        it('should successfully update existing user', async () => {
-            const existingUser = {
-                discord_id: '123456789',
-                psn_username: null,
-                psn_account_id: null
-            };
-            
-            mockDatabase.getUser.mockResolvedValue(existingUser);
-            
-            const accountData = {
-                accountId: '123456789',
-                onlineId: 'TestPlayer',
-                avatarUrl: null
-            };
-            
-            mockValidateUsername.mockResolvedValue(accountData);
-            mockGetUserTrophySummary.mockResolvedValue({
-                trophyLevel: 1,
-                earnedTrophies: { platinum: 0, gold: 0, silver: 0, bronze: 0 }
-            });
-            
-            mockDatabase.updateUser.mockResolvedValue({ changes: 1 });
-            
-            await linkCommand.execute(mockInteraction);
-            
-            expect(mockDatabase.updateUser).toHaveBeenCalledWith('123456789', {
-                psn_username: 'TestPlayer',
-                psn_account_id: '123456789',
-                updated_at: expect.any(Number)
-            });
-        });
-        
         it('should handle linking without trophy summary', async () => {
             const accountData = {
                 accountId: '123456789',
@@ -251,7 +258,7 @@ describe('Link Command', () => {
         });
         
         it('should handle database errors during user lookup', async () => {
-            mockDatabase.getUser.mockRejectedValue(new Error('Database connection failed'));
+            mockDatabase.getAccounts.mockRejectedValue(new Error('Database connection failed'));
             
             await linkCommand.execute(mockInteraction);
             
@@ -261,7 +268,7 @@ describe('Link Command', () => {
         });
         
         it('should handle "no such table" database error', async () => {
-            mockDatabase.getUser.mockRejectedValue(new Error('no such table: users'));
+            mockDatabase.getAccounts.mockRejectedValue(new Error('no such table: users'));
             
             await linkCommand.execute(mockInteraction);
             
@@ -271,7 +278,7 @@ describe('Link Command', () => {
         });
         
         it('should handle database error during linking', async () => {
-            mockDatabase.getUser.mockResolvedValue(null);
+            mockDatabase.getAccounts.mockResolvedValue([]);
             
             mockValidateUsername.mockResolvedValue({
                 accountId: '123456789',
@@ -300,6 +307,12 @@ describe('Link Command', () => {
             await linkCommand.execute(mockInteraction);
             
             expect(mockInteraction.showModal).toHaveBeenCalled();
+            
+            // The modal belongs to a session owned by the member
+            const [session] = mockDatabase.saveSession.mock.calls[0];
+            expect(session).toMatchObject({ flow: 'link', ownerId: '123456789' });
+            const modal = mockInteraction.showModal.mock.calls[0][0];
+            expect(modal.setCustomId).toHaveBeenCalledWith(`session:${session.token}:username`);
         });
         
         it('should handle unexpected errors', async () => {
@@ -0,0 +1,89 @@
+/**
+ * My Data Command Unit Tests
+ *
+ * Tests for sending members an export of their stored data by DM
+ */
+
+const mydataCommand = require('../../../src/commands/mydata');
+
+describe('My Data Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+    let member;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.all.mockImplementation(async (sql) => {
+            if (sql.includes('FROM users')) return [{ discord_id: '123456789', notifications_enabled: 1 }];
+            if (sql.includes('FROM trophies')) return [{ psn_account_id: 'account1', trophy_id: '1', trophy_name: 'First' }];
+            return [];
+        });
+
+        member = { send: jest.fn().mockResolvedValue({}) };
+        mockInteraction = createMockInteraction({
+            overrides: {
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger(),
+                    users: { fetch: jest.fn().mockResolvedValue(member) }
+                }
+            }
+        });
+        mockInteraction.options.getSubcommand = jest.fn().mockReturnValue('export');
+    });
+
+    it('should DM the export as a JSON file', async () => {
+        await mydataCommand.execute(mockInteraction);
+
+        expect(mockInteraction.deferReply).toHaveBeenCalledWith({ ephemeral: true });
+        const { files } = member.send.mock.calls[0][0];
+        expect(files.map(file => file.name)).toEqual(['psn-bot-data-123456789.json']);
+        expect(JSON.parse(files[0].attachment.toString())).toMatchObject({
+            discordId: '123456789',
+            member: { discord_id: '123456789' },
+            trophies: [{ trophy_name: 'First' }]
+        });
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: '📬 Your data export is in your DMs.' });
+    });
+
+    it('should attach the trophy history as CSV when asked', async () => {
+        mockInteraction.options.getBoolean.mockReturnValue(true);
+
+        await mydataCommand.execute(mockInteraction);
+
+        const { files } = member.send.mock.calls[0][0];
+        expect(files[1].name).toBe('psn-bot-trophies-123456789.csv');
+        expect(files[1].attachment.toString()).toContain('account1,,,1,First');
+    });
+
+    it('should say so when nothing is stored', async () => {
+        mockDatabase.all.mockResolvedValue([]);
+
+        await mydataCommand.execute(mockInteraction);
+
+        expect(member.send).not.toHaveBeenCalled();
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({ content: 'ℹ️ The bot doesn\'t store any data about you.' });
+    });
+
+    it('should ask members with closed DMs to open them', async () => {
+        member.send.mockRejectedValue(new Error('Cannot send messages to this user'));
+
+        await mydataCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: expect.stringContaining('couldn\'t send you a DM')
+        });
+    });
+
+    it('should report database errors', async () => {
+        mockDatabase.all.mockRejectedValue(new Error('SQLITE_ERROR: no such table: users'));
+
+        await mydataCommand.execute(mockInteraction);
+
+        expect(mockInteraction.editReply).toHaveBeenCalledWith({
+            content: '❌ Database not properly initialized. Please contact an administrator.'
+        });
+    });
+});
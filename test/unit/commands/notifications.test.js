@@ -0,0 +1,119 @@
+/**
+ * Notifications Command Unit Tests
+ *
+ * Tests for the per-server trophy announcement opt-out
+ */
+
+const notificationsCommand = require('../../../src/commands/notifications');
+
+describe('Notifications Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const linkedUser = {
+        discord_id: '123456789',
+        psn_username: 'TestPlayer'
+    };
+
+    const withSubcommand = (subcommand) => {
+        mockInteraction.options.getSubcommand = jest.fn().mockReturnValue(subcommand);
+    };
+
+    beforeEach(() => {
+        mockDatabase = createMockDatabase();
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockDatabase.run.mockResolvedValue({ changes: 1 });
+        mockDatabase.get.mockResolvedValue(null);
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should record an opt-out for the current guild on mute', async () => {
+        withSubcommand('mute');
+        mockDatabase.get
+            .mockResolvedValueOnce({ discord_id: '123456789', guild_id: '987654321' })
+            .mockResolvedValueOnce({ count: 1 });
+
+        await notificationsCommand.execute(mockInteraction);
+
+        expect(mockDatabase.run).toHaveBeenCalledWith(
+            expect.stringContaining('INSERT OR IGNORE INTO notification_opt_outs'),
+            ['123456789', '987654321']
+        );
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            embeds: expect.any(Array),
+            ephemeral: true
+        }));
+    });
+
+    it('should remove the opt-out on unmute', async () => {
+        withSubcommand('unmute');
+        mockDatabase.get
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce({ count: 2 });
+
+        await notificationsCommand.execute(mockInteraction);
+
+        expect(mockDatabase.run).toHaveBeenCalledWith(
+            expect.stringContaining('DELETE FROM notification_opt_outs'),
+            ['123456789', '987654321']
+        );
+    });
+
+    it('should not write anything for status', async () => {
+        withSubcommand('status');
+
+        await notificationsCommand.execute(mockInteraction);
+
+        expect(mockDatabase.run).not.toHaveBeenCalled();
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+    });
+
+    it('should require a linked PSN account', async () => {
+        withSubcommand('mute');
+        mockDatabase.getUser.mockResolvedValue(null);
+
+        await notificationsCommand.execute(mockInteraction);
+
+        expect(mockDatabase.run).not.toHaveBeenCalled();
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '❌ You need to link your PSN account first using `/link`',
+            ephemeral: true
+        });
+    });
+
+    it('should refuse to run outside a server', async () => {
+        withSubcommand('mute');
+        mockInteraction.guild = null;
+
+        await notificationsCommand.execute(mockInteraction);
+
+        expect(mockDatabase.getUser).not.toHaveBeenCalled();
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('inside a server')
+        }));
+    });
+
+    it('should report database errors while saving', async () => {
+        withSubcommand('mute');
+        mockDatabase.run.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+        await notificationsCommand.execute(mockInteraction);
+
+        expect(mockInteraction.client.logger.error).toHaveBeenCalledWith(
+            'Database error saving notification preference:',
+            expect.any(Error)
+        );
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '❌ Database error occurred while saving settings. Please try again later.',
+            ephemeral: true
+        });
+    });
+});
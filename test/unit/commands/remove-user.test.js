@@ -0,0 +1,118 @@
+/**
+ * Remove User Command Unit Tests
+ *
+ * Tests for administrators erasing a member's data, confirmed through an
+ * interaction session
+ */
+
+const removeUserCommand = require('../../../src/commands/remove-user');
+const sessions = require('../../../src/utils/interactionSessions');
+
+describe('Remove User Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const storedSession = {
+        token: 'token123',
+        flow: 'remove-user',
+        owner_id: '123456789',
+        data: JSON.stringify({ targetId: '111', targetName: 'leaver' }),
+        expires_at: Math.floor(Date.now() / 1000) + 300
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getAccounts.mockResolvedValue([{ id: 1, discord_id: '111', psn_username: 'LeaverPSN', is_primary: 1 }]);
+        mockDatabase.getSession.mockResolvedValue(storedSession);
+        mockDatabase.eraseUser.mockResolvedValue(true);
+
+        mockInteraction = createMockInteraction({
+            users: { user: { id: '111', username: 'leaver' } },
+            overrides: {
+                guild: {
+                    id: '987654321',
+                    name: 'Test Guild',
+                    members: { cache: new Map([['111', {}]]), fetch: jest.fn() }
+                },
+                update: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should ask for confirmation listing the member\'s accounts', async () => {
+        await removeUserCommand.execute(mockInteraction);
+
+        const [session] = mockDatabase.saveSession.mock.calls[0];
+        expect(session).toMatchObject({ flow: 'remove-user', ownerId: '123456789' });
+        expect(JSON.parse(session.data)).toEqual({ targetId: '111', targetName: 'leaver' });
+
+        const payload = mockInteraction.reply.mock.calls[0][0];
+        expect(payload.ephemeral).toBe(true);
+        expect(payload.embeds[0].addFields).toHaveBeenCalledWith(expect.arrayContaining([
+            expect.objectContaining({ value: '**LeaverPSN**' })
+        ]));
+        expect(mockDatabase.eraseUser).not.toHaveBeenCalled();
+    });
+
+    it('should only erase members of this server', async () => {
+        mockInteraction.guild.members.cache.clear();
+        mockInteraction.guild.members.fetch.mockRejectedValue(Object.assign(new Error('Unknown Member'), { code: 10007 }));
+
+        await removeUserCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '❌ <@111> isn\'t a member of this server. Only their own servers\' admins can erase their data.',
+            ephemeral: true
+        });
+        expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+    });
+
+    it('should only be available in servers', async () => {
+        mockInteraction.guild = null;
+
+        await removeUserCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '❌ Member data can only be erased inside a server.',
+            ephemeral: true
+        });
+        expect(mockDatabase.getAccounts).not.toHaveBeenCalled();
+    });
+
+    it('should erase the member and log the admin when confirmed', async () => {
+        mockInteraction.customId = 'session:token123:confirm';
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockDatabase.eraseUser).toHaveBeenCalledWith('111', { reason: 'admin', actorId: '123456789', guildId: '987654321' });
+        expect(mockInteraction.update).toHaveBeenCalledWith(expect.objectContaining({
+            content: '✅ Everything stored about <@111> has been erased.'
+        }));
+    });
+
+    it('should say so when nothing was stored', async () => {
+        mockDatabase.eraseUser.mockResolvedValue(false);
+        mockInteraction.customId = 'session:token123:confirm';
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockInteraction.update).toHaveBeenCalledWith(expect.objectContaining({
+            content: 'ℹ️ The bot doesn\'t store any data about <@111>.'
+        }));
+    });
+
+    it('should keep the data when cancelled', async () => {
+        mockInteraction.customId = 'session:token123:cancel';
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockDatabase.deleteSession).toHaveBeenCalledWith('token123');
+        expect(mockDatabase.eraseUser).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Trophy Cache Command Unit Tests
+ *
+ * Tests for the admin stats, invalidate and clear subcommands
+ */
+
+jest.mock('../../../src/utils/trophyCache', () => ({
+    getStats: jest.fn(),
+    invalidate: jest.fn(),
+    clear: jest.fn()
+}));
+
+const trophyCacheCommand = require('../../../src/commands/trophy-cache');
+const trophyCache = require('../../../src/utils/trophyCache');
+
+describe('Trophy Cache Command', () => {
+    let mockInteraction;
+
+    const withSubcommand = (subcommand) => {
+        mockInteraction.options.getSubcommand = jest.fn().mockReturnValue(subcommand);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockInteraction = createMockInteraction({
+            overrides: {
+                client: {
+                    database: createMockDatabase(),
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should show cache statistics', async () => {
+        withSubcommand('stats');
+        trophyCache.getStats.mockResolvedValue({ entries: 4, staleEntries: 1, hits: 6, staleHits: 2, misses: 2 });
+
+        await trophyCacheCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            embeds: expect.any(Array),
+            ephemeral: true
+        }));
+    });
+
+    it('should invalidate a cached game by NP Communication ID', async () => {
+        withSubcommand('invalidate');
+        mockInteraction.options.getString = jest.fn().mockReturnValue(' npwr20188_00 ');
+        trophyCache.invalidate.mockResolvedValue(true);
+
+        await trophyCacheCommand.execute(mockInteraction);
+
+        expect(trophyCache.invalidate).toHaveBeenCalledWith('NPWR20188_00');
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('✅'),
+            ephemeral: true
+        }));
+    });
+
+    it('should report games that are not cached', async () => {
+        withSubcommand('invalidate');
+        mockInteraction.options.getString = jest.fn().mockReturnValue('NPWR00000_00');
+        trophyCache.invalidate.mockResolvedValue(false);
+
+        await trophyCacheCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('❌ No cached trophy list'),
+            ephemeral: true
+        }));
+    });
+
+    it('should clear the whole cache', async () => {
+        withSubcommand('clear');
+        trophyCache.clear.mockResolvedValue(12);
+
+        await trophyCacheCommand.execute(mockInteraction);
+
+        expect(mockInteraction.reply).toHaveBeenCalledWith({
+            content: '✅ Trophy cache cleared (12 game(s) removed).',
+            ephemeral: true
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unlink Command Unit Tests
+ *
+ * Tests for the unlink confirmation, whose buttons are handled through an
+ * interaction session
+ */
+
+const unlinkCommand = require('../../../src/commands/unlink');
+const sessions = require('../../../src/utils/interactionSessions');
+const { ButtonBuilder } = require('discord.js');
+
+describe('Unlink Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const linkedUser = { id: 1, discord_id: '123456789', psn_username: 'TrophyHunter', psn_account_id: 'account111', is_primary: 1 };
+    const secondAccount = { id: 2, discord_id: '123456789', psn_username: 'SecondName', psn_account_id: 'account222', is_primary: 0 };
+
+    const storedSession = {
+        token: 'token123',
+        flow: 'unlink',
+        owner_id: '123456789',
+        data: JSON.stringify({ accountId: 1, psnUsername: 'TrophyHunter' }),
+        expires_at: Math.floor(Date.now() / 1000) + 300
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getAccounts.mockResolvedValue([linkedUser]);
+        mockDatabase.get.mockImplementation(async (sql) => {
+            if (sql.includes('FROM psn_accounts WHERE id')) return linkedUser;
+            if (sql.includes('COUNT(*)')) return { count: 0 };
+            return undefined;
+        });
+        mockDatabase.run.mockResolvedValue({ changes: 1 });
+        mockDatabase.getSession.mockResolvedValue(storedSession);
+        mockDatabase.transaction = jest.fn(async (work) => work());
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                update: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    it('should ask for confirmation with buttons bound to a session', async () => {
+        await unlinkCommand.execute(mockInteraction);
+
+        const [session] = mockDatabase.saveSession.mock.calls[0];
+        expect(session).toMatchObject({ flow: 'unlink', ownerId: '123456789' });
+        expect(JSON.parse(session.data)).toEqual({ accountId: 1, psnUsername: 'TrophyHunter' });
+
+        const [confirm, cancel] = ButtonBuilder.mock.results.map(result => result.value);
+        expect(confirm.setCustomId).toHaveBeenCalledWith(`session:${session.token}:confirm`);
+        expect(cancel.setCustomId).toHaveBeenCalledWith(`session:${session.token}:cancel`);
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ components: [expect.any(Object)], flags: 64 }));
+    });
+
+    it('should tell members without a linked account', async () => {
+        mockDatabase.getAccounts.mockResolvedValue([]);
+
+        await unlinkCommand.execute(mockInteraction);
+
+        expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        expect(mockInteraction.reply.mock.calls[0][0].embeds[0].setTitle).toHaveBeenCalledWith('ℹ️ No PSN Account Linked');
+    });
+
+    it('should ask members with several accounts which one to unlink', async () => {
+        mockDatabase.getAccounts.mockResolvedValue([linkedUser, secondAccount]);
+
+        await unlinkCommand.execute(mockInteraction);
+
+        expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('/unlink account:')
+        }));
+    });
+
+    it('should confirm unlinking the chosen account', async () => {
+        mockDatabase.getAccounts.mockResolvedValue([linkedUser, secondAccount]);
+        mockInteraction.options.getString = jest.fn(() => 'secondname');
+
+        await unlinkCommand.execute(mockInteraction);
+
+        const [session] = mockDatabase.saveSession.mock.calls[0];
+        expect(JSON.parse(session.data)).toEqual({ accountId: 2, psnUsername: 'SecondName' });
+    });
+
+    it('should erase the member\'s data with their last account when confirmed', async () => {
+        mockInteraction.customId = 'session:token123:confirm';
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockDatabase.deleteSession).toHaveBeenCalledWith('token123');
+        expect(mockDatabase.eraseUser).toHaveBeenCalledWith('123456789', { reason: 'unlink', actorId: '123456789' });
+        const embed = mockInteraction.update.mock.calls[0][0].embeds[0];
+        expect(embed.setTitle).toHaveBeenCalledWith('✅ PSN Account Unlinked Successfully');
+    });
+
+    it('should keep the member\'s other accounts when confirmed', async () => {
+        mockDatabase.get.mockImplementation(async (sql) => {
+            if (sql.includes('FROM psn_accounts WHERE id')) return linkedUser;
+            if (sql.includes('COUNT(*)')) return { count: 1 };
+            return undefined;
+        });
+        mockDatabase.getUser.mockResolvedValue({ ...secondAccount, is_primary: 1 });
+        mockInteraction.customId = 'session:token123:confirm';
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockDatabase.run).toHaveBeenCalledWith('DELETE FROM psn_accounts WHERE id = ?', [1]);
+        expect(mockDatabase.eraseUser).not.toHaveBeenCalled();
+        const embed = mockInteraction.update.mock.calls[0][0].embeds[0];
+        expect(embed.addFields).toHaveBeenCalledWith([expect.objectContaining({
+            value: expect.stringContaining('**SecondName** is your primary account')
+        })]);
+    });
+
+    it('should keep the account when cancelled', async () => {
+        mockInteraction.customId = 'session:token123:cancel';
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockDatabase.deleteSession).toHaveBeenCalledWith('token123');
+        expect(mockDatabase.run).not.toHaveBeenCalled();
+        const embed = mockInteraction.update.mock.calls[0][0].embeds[0];
+        expect(embed.setTitle).toHaveBeenCalledWith('❌ Unlink Cancelled');
+    });
+
+    it('should not let anyone else confirm', async () => {
+        mockInteraction.customId = 'session:token123:confirm';
+        mockInteraction.user = { id: '222' };
+
+        await sessions.handle(mockInteraction);
+
+        expect(mockDatabase.run).not.toHaveBeenCalled();
+        expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Verify Command Unit Tests
+ *
+ * Tests for issuing a verification code and the Check button, which reads
+ * the linked profile's About Me through an interaction session
+ */
+
+const verifyCommand = require('../../../src/commands/verify');
+const sessions = require('../../../src/utils/interactionSessions');
+const PsnClient = require('../../../src/utils/psnClient');
+const { ButtonBuilder } = require('discord.js');
+
+describe('Verify Command', () => {
+    let mockInteraction;
+    let mockDatabase;
+
+    const linkedUser = { discord_id: '123456789', psn_username: 'TrophyHunter', psn_account_id: 'account123' };
+
+    const storedSession = {
+        token: 'token123',
+        flow: 'verify',
+        owner_id: '123456789',
+        data: JSON.stringify({ code: 'PSNBOT-7KQ2XM', accountId: 'account123', psnUsername: 'TrophyHunter' }),
+        expires_at: Math.floor(Date.now() / 1000) + 1800
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+        jest.spyOn(PsnClient.prototype, 'supports').mockReturnValue(true);
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getUser.mockResolvedValue(linkedUser);
+        mockDatabase.getSession.mockResolvedValue(storedSession);
+        mockDatabase.run.mockResolvedValue({ changes: 1 });
+
+        mockInteraction = createMockInteraction({
+            overrides: {
+                update: jest.fn().mockResolvedValue({}),
+                client: {
+                    database: mockDatabase,
+                    logger: createMockLogger()
+                }
+            }
+        });
+    });
+
+    describe('execute', () => {
+        it('should issue a code with a Check button bound to a session', async () => {
+            await verifyCommand.execute(mockInteraction);
+
+            const [session] = mockDatabase.saveSession.mock.calls[0];
+            const data = JSON.parse(session.data);
+            expect(session).toMatchObject({ flow: 'verify', ownerId: '123456789' });
+            expect(data).toMatchObject({ accountId: 'account123', psnUsername: 'TrophyHunter' });
+            expect(data.code).toMatch(/^PSNBOT-/);
+
+            const [check] = ButtonBuilder.mock.results.map(result => result.value);
+            expect(check.setCustomId).toHaveBeenCalledWith(`session:${session.token}:check`);
+
+            const payload = mockInteraction.reply.mock.calls[0][0];
+            expect(payload.ephemeral).toBe(true);
+            expect(payload.embeds[0].setDescription).toHaveBeenCalledWith(expect.stringContaining(data.code));
+        });
+
+        it('should require a linked account', async () => {
+            mockDatabase.getUser.mockResolvedValue(null);
+
+            await verifyCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith({
+                content: '❌ You need to link your PSN account first using `/link`',
+                ephemeral: true
+            });
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+
+        it('should tell members whose link is already verified', async () => {
+            mockDatabase.getUser.mockResolvedValue({ ...linkedUser, verified_at: 1700000000 });
+
+            await verifyCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('already verified')
+            }));
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+
+        it('should explain when no backend can read About Me', async () => {
+            PsnClient.prototype.supports.mockReturnValue(false);
+
+            await verifyCommand.execute(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('PSN_NPSSO'),
+                ephemeral: true
+            }));
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Check button', () => {
+        beforeEach(() => {
+            mockInteraction.customId = 'session:token123:check';
+        });
+
+        it('should verify the link once the code is in About Me', async () => {
+            const getUserProfile = jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockResolvedValue({ accountId: 'account123', onlineId: 'TrophyHunter', aboutMe: 'Hi! psnbot-7kq2xm' });
+
+            await sessions.handle(mockInteraction);
+
+            expect(getUserProfile).toHaveBeenCalledWith('account123');
+            expect(mockDatabase.run).toHaveBeenCalledWith(
+                expect.stringContaining('SET verified_at'),
+                ['123456789', 'account123']
+            );
+            expect(mockDatabase.deleteSession).toHaveBeenCalledWith('token123');
+
+            const payload = mockInteraction.update.mock.calls[0][0];
+            expect(payload.components).toEqual([]);
+            expect(payload.embeds[0].setTitle).toHaveBeenCalledWith('✅ PSN Account Verified');
+        });
+
+        it('should keep the session when the code is not there yet', async () => {
+            jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockResolvedValue({ accountId: 'account123', onlineId: 'TrophyHunter', aboutMe: 'Trophy hunter' });
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('isn\'t in the About Me'),
+                ephemeral: true
+            }));
+            expect(mockDatabase.run).not.toHaveBeenCalled();
+            expect(mockDatabase.deleteSession).not.toHaveBeenCalled();
+        });
+
+        it('should not verify a link that changed while verifying', async () => {
+            jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockResolvedValue({ accountId: 'account123', onlineId: 'TrophyHunter', aboutMe: 'PSNBOT-7KQ2XM' });
+            mockDatabase.run.mockResolvedValue({ changes: 0 });
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.update).toHaveBeenCalledWith(expect.objectContaining({
+                content: expect.stringContaining('Run `/verify` again'),
+                components: []
+            }));
+        });
+
+        it('should report PSN errors', async () => {
+            jest.spyOn(PsnClient.prototype, 'getUserProfile')
+                .mockRejectedValue(Object.assign(new Error('PSN down'), { userMessage: 'PlayStation Network is unavailable.' }));
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith({
+                content: '❌ PlayStation Network is unavailable.',
+                ephemeral: true
+            });
+            expect(mockDatabase.deleteSession).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Data Export Unit Tests
+ *
+ * Collects a member's stored rows from a real in-memory SQLite database
+ */
+
+jest.unmock('sqlite3');
+
+const { collectMemberData, hasStoredData, trophiesToCsv } = require('../../src/utils/dataExport');
+
+describe('Data Export', () => {
+    let database;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        for (const [discordId, psnUsername, psnAccountId] of [['111', 'MainAccount', 'account1'], ['111', 'AltAccount', 'account2'], ['222', 'Someone', 'account3']]) {
+            await database.createUser(discordId, { psn_username: psnUsername, psn_account_id: psnAccountId });
+            await database.saveTrophy({ discordId, psnAccountId, trophyId: '1', gameId: 'NPWR00001_00', trophyName: 'First', earnedDate: 1700000000 });
+        }
+        await database.saveTrophySnapshot('111', 'account1', { trophyLevel: 300, earnedTrophies: { gold: 4 } });
+        await database.run("INSERT INTO notification_opt_outs (discord_id, guild_id) VALUES ('111', 'guild1')");
+        await database.run(`INSERT INTO link_disputes (guild_id, psn_username, psn_account_id, claimant_id, holder_id, reason, status, reviewer_id)
+            VALUES ('guild1', 'Someone', 'account3', '111', '222', 'It is mine', 'denied', '999')`);
+        await database.run(`INSERT INTO server_settings (guild_id, channel_id, setting_type, created_by)
+            VALUES ('guild1', 'channel1', 'allowed_channel', '111'), ('guild1', 'channel2', 'allowed_channel', '222')`);
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should collect every row tied to the member', async () => {
+        const data = await collectMemberData(database, '111', 1700000000);
+
+        expect(data).toMatchObject({ exportedAt: '2023-11-14T22:13:20.000Z', discordId: '111', member: { discord_id: '111' } });
+        expect(data.psnAccounts.map(account => account.psn_username)).toEqual(['MainAccount', 'AltAccount']);
+        expect(data.trophies.map(trophy => trophy.psn_account_id)).toEqual(['account1', 'account2']);
+        expect(data.trophySnapshots[0].snapshot_data).toEqual({ trophyLevel: 300, earnedTrophies: { gold: 4 } });
+        expect(data.notificationOptOuts).toHaveLength(1);
+        expect(data.linkClaims).toEqual([expect.objectContaining({ psn_username: 'Someone', reason: 'It is mine', status: 'denied' })]);
+        expect(data.linkClaims[0]).not.toHaveProperty('holder_id');
+        expect(data.linkClaims[0]).not.toHaveProperty('reviewer_id');
+        expect(data.claimsOnYourAccounts).toEqual([]);
+        expect(data.guildSettings.map(setting => setting.channel_id)).toEqual(['channel1']);
+        expect(hasStoredData(data)).toBe(true);
+    });
+
+    it('should include only the member\'s side of claims filed against them', async () => {
+        const data = await collectMemberData(database, '222');
+
+        expect(data.linkClaims).toEqual([]);
+        expect(data.claimsOnYourAccounts).toEqual([{
+            guild_id: 'guild1',
+            psn_username: 'Someone',
+            status: 'denied',
+            created_at: expect.any(Number),
+            resolved_at: null
+        }]);
+        expect(data.trophies).toHaveLength(1);
+    });
+
+    it('should report when nothing is stored', async () => {
+        const data = await collectMemberData(database, '333');
+
+        expect(data.member).toBeNull();
+        expect(hasStoredData(data)).toBe(false);
+    });
+
+    it('should write trophies as CSV with quoted fields', () => {
+        const csv = trophiesToCsv([
+            { psn_account_id: 'account1', game_id: 'NPWR00001_00', game_title: 'Game, The', trophy_id: '1', trophy_name: 'Say "Hi"', trophy_type: 'gold', is_platinum: 0, earned_date: 1700000000 },
+            { psn_account_id: 'account1', game_id: 'NPWR00001_00', trophy_id: '2', earned_date: null }
+        ]);
+
+        expect(csv.split('\r\n')).toEqual([
+            'psn_account_id,game_id,game_title,trophy_id,trophy_name,trophy_description,trophy_type,is_platinum,earned_date,earned_at',
+            'account1,NPWR00001_00,"Game, The",1,"Say ""Hi""",,gold,0,1700000000,2023-11-14T22:13:20.000Z',
+            'account1,NPWR00001_00,,2,,,,,,',
+            ''
+        ]);
+    });
+});
@@ -57,7 +57,7 @@ describe('Database', () => {
                 const user = await database.getUser('123456789');
                 
                 expect(mockDb.get).toHaveBeenCalledWith(
-                    'SELECT * FROM users WHERE discord_id = ?',
+                    expect.stringContaining('JOIN psn_accounts a ON a.discord_id = u.discord_id AND a.is_primary = 1'),
                     ['123456789'],
                     expect.any(Function)
                 );
@@ -99,7 +99,7 @@ describe('Database', () => {
                 const user = await database.getUserByPsnUsername('TestPlayer');
                 
                 expect(mockDb.get).toHaveBeenCalledWith(
-                    'SELECT * FROM users WHERE psn_username = ?',
+                    expect.stringContaining('WHERE a.psn_username = ?'),
                     ['TestPlayer'],
                     expect.any(Function)
                 );
@@ -124,9 +124,15 @@ describe('Database', () => {
                 
                 expect(mockDb.run).toHaveBeenCalledWith(
                     expect.stringContaining('INSERT INTO users'),
-                    ['123456789', 'NewPlayer', 'xyz789', 1, 0],
+                    ['123456789', 1],
                     expect.any(Function)
                 );
+                expect(mockDb.run).toHaveBeenCalledWith(
+                    expect.stringContaining('INSERT INTO psn_accounts'),
+                    ['123456789', 'NewPlayer', 'xyz789', 0, '123456789'],
+                    expect.any(Function)
+                );
+                expect(mockDb.run).toHaveBeenLastCalledWith('COMMIT', [], expect.any(Function));
                 expect(result).toEqual({ id: 1, changes: 1 });
             });
             
@@ -144,7 +150,12 @@ describe('Database', () => {
                 
                 expect(mockDb.run).toHaveBeenCalledWith(
                     expect.stringContaining('INSERT INTO users'),
-                    ['123456789', 'NewPlayer', 'xyz789', 1, 0],
+                    ['123456789', 1],
+                    expect.any(Function)
+                );
+                expect(mockDb.run).toHaveBeenCalledWith(
+                    expect.stringContaining('INSERT INTO psn_accounts'),
+                    ['123456789', 'NewPlayer', 'xyz789', 0, '123456789'],
                     expect.any(Function)
                 );
             });
@@ -153,7 +164,6 @@ describe('Database', () => {
         describe('updateUser', () => {
             it('should update user with provided fields', async () => {
                 const updateData = {
-                    psn_username: 'UpdatedPlayer',
                     notifications_enabled: 0,
                     updated_at: 1234567890
                 };
@@ -165,8 +175,8 @@ describe('Database', () => {
                 const result = await database.updateUser('123456789', updateData);
                 
                 expect(mockDb.run).toHaveBeenCalledWith(
-                    'UPDATE users SET psn_username = ?, notifications_enabled = ?, updated_at = ? WHERE discord_id = ?',
-                    ['UpdatedPlayer', 0, 1234567890, '123456789'],
+                    'UPDATE users SET notifications_enabled = ?, updated_at = ? WHERE discord_id = ?',
+                    [0, 1234567890, '123456789'],
                     expect.any(Function)
                 );
                 expect(result).toEqual({ changes: 1 });
@@ -226,7 +236,7 @@ describe('Database', () => {
                 const users = await database.getUsersWithNotifications();
                 
                 expect(mockDb.all).toHaveBeenCalledWith(
-                    'SELECT * FROM users WHERE notifications_enabled = 1 AND psn_username IS NOT NULL',
+                    expect.stringContaining('WHERE u.notifications_enabled = 1'),
                     [],
                     expect.any(Function)
                 );
@@ -240,6 +250,7 @@ describe('Database', () => {
             it('should save trophy data to database', async () => {
                 const trophyData = {
                     discordId: '123456789',
+                    psnAccountId: 'abc123',
                     trophyId: 'trophy001',
                     trophyName: 'Test Trophy',
                     trophyDescription: 'A test trophy',
@@ -260,7 +271,7 @@ describe('Database', () => {
                 expect(mockDb.run).toHaveBeenCalledWith(
                     expect.stringContaining('INSERT OR IGNORE INTO trophies'),
                     [
-                        '123456789', 'trophy001', 'Test Trophy', 'A test trophy',
+                        '123456789', 'abc123', 'trophy001', 'Test Trophy', 'A test trophy',
                         'Gold', 'https://example.com/icon.png', 'Test Game', 'game001',
                         1234567890, false
                     ],
@@ -270,6 +281,28 @@ describe('Database', () => {
             });
         });
         
+        describe('getStoredTrophyKeys', () => {
+            it('should retrieve stored game and trophy IDs for user', async () => {
+                const expectedKeys = [
+                    { game_id: 'NPWR00001_00', trophy_id: '1' },
+                    { game_id: 'NPWR00001_00', trophy_id: '2' }
+                ];
+                
+                mockDb.all.mockImplementation((sql, params, callback) => {
+                    callback(null, expectedKeys);
+                });
+                
+                const keys = await database.getStoredTrophyKeys('123456789', 'abc123');
+                
+                expect(mockDb.all).toHaveBeenCalledWith(
+                    'SELECT game_id, trophy_id FROM trophies WHERE discord_id = ? AND psn_account_id = ?',
+                    ['123456789', 'abc123'],
+                    expect.any(Function)
+                );
+                expect(keys).toEqual(expectedKeys);
+            });
+        });
+        
         describe('getRecentTrophies', () => {
             it('should retrieve recent trophies for user', async () => {
                 const expectedTrophies = [
@@ -0,0 +1,132 @@
+/**
+ * Member Erasure Unit Tests
+ *
+ * Erases a member from a real in-memory SQLite database and checks every
+ * table for rows still naming them
+ */
+
+jest.unmock('sqlite3');
+
+const { unlinkAccount } = require('../../src/utils/linkedAccounts');
+
+// Columns that hold a member's Discord ID
+const MEMBER_COLUMNS = ['discord_id', 'owner_id', 'claimant_id', 'holder_id', 'reviewer_id', 'created_by'];
+
+describe('Member Erasure', () => {
+    let database;
+
+    /**
+     * Every table column holding member IDs, except the erasure log itself
+     */
+    const memberColumns = async () => {
+        const tables = await database.all(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT IN ('erasure_log', 'schema_migrations')"
+        );
+        const found = [];
+        for (const { name } of tables) {
+            const columns = await database.all('SELECT name FROM pragma_table_info(?)', [name]);
+            for (const column of columns.filter(c => MEMBER_COLUMNS.includes(c.name))) {
+                found.push({ table: name, column: column.name });
+            }
+        }
+        return found;
+    };
+
+    const rowsNaming = async (discordId) => {
+        const rows = [];
+        for (const { table, column } of await memberColumns()) {
+            const { count } = await database.get(`SELECT COUNT(*) as count FROM ${table} WHERE ${column} = ?`, [discordId]);
+            if (count > 0) rows.push(`${table}.${column}`);
+        }
+        return rows.sort();
+    };
+
+    const seedMember = async (discordId, otherId) => {
+        await database.createUser(discordId, { psn_username: `Main${discordId}`, psn_account_id: `main-${discordId}` });
+        await database.createUser(discordId, { psn_username: `Alt${discordId}`, psn_account_id: `alt-${discordId}` });
+        await database.saveGame({ gameId: 'NPWR00001_00', title: 'Game' });
+        await database.saveTrophy({ discordId, psnAccountId: `main-${discordId}`, trophyId: '1', gameId: 'NPWR00001_00' });
+        await database.saveUserGame(discordId, `main-${discordId}`, { gameId: 'NPWR00001_00' });
+        await database.saveTrophySnapshot(discordId, `main-${discordId}`, { trophyLevel: 1 });
+        await database.run('INSERT INTO notification_settings (discord_id) VALUES (?)', [discordId]);
+        await database.run("INSERT INTO notification_opt_outs (discord_id, guild_id) VALUES (?, 'guild1')", [discordId]);
+        await database.saveSession({ token: `token-${discordId}`, flow: 'unlink', ownerId: discordId, data: '{}', expiresAt: 9999999999 });
+        await database.run(`INSERT INTO link_disputes (guild_id, psn_username, psn_account_id, claimant_id, holder_id, status, reviewer_id)
+            VALUES ('guild1', ?, ?, ?, ?, 'denied', ?)`, [`Main${otherId}`, `main-${otherId}`, discordId, otherId, otherId]);
+        await database.run(`INSERT INTO server_settings (guild_id, channel_id, setting_type, created_by)
+            VALUES ('guild1', ?, 'allowed_channel', ?)`, [`channel-${discordId}`, discordId]);
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        await seedMember('111', '222');
+        await seedMember('222', '111');
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should seed every table that names members', async () => {
+        const seeded = (await memberColumns()).map(({ table, column }) => `${table}.${column}`).sort();
+
+        // A new table holding member IDs must be seeded here and erased by eraseUser
+        expect(await rowsNaming('111')).toEqual(seeded);
+    });
+
+    it('should leave no row naming the member in any table', async () => {
+        const erased = await database.eraseUser('111', { reason: 'admin', actorId: '999', guildId: 'guild1' });
+
+        expect(erased).toBe(true);
+        expect(await rowsNaming('111')).toEqual([]);
+        expect(await database.all('SELECT channel_id FROM server_settings ORDER BY channel_id')).toEqual([
+            { channel_id: 'channel-111' }, { channel_id: 'channel-222' }
+        ]);
+        expect(await database.all('SELECT psn_username FROM psn_accounts ORDER BY psn_username')).toEqual([
+            { psn_username: 'Alt222' }, { psn_username: 'Main222' }
+        ]);
+        expect(await database.all('SELECT trophy_id FROM trophies WHERE discord_id = ?', ['222'])).toHaveLength(1);
+    });
+
+    it('should record the erasure without any of the data', async () => {
+        await database.eraseUser('111', { reason: 'admin', actorId: '999', guildId: 'guild1' });
+
+        expect(await database.all('SELECT discord_id, reason, actor_id, guild_id FROM erasure_log')).toEqual([
+            { discord_id: '111', reason: 'admin', actor_id: '999', guild_id: 'guild1' }
+        ]);
+    });
+
+    it('should not record anything for members with no data', async () => {
+        expect(await database.eraseUser('333', { reason: 'admin', actorId: '999' })).toBe(false);
+        expect(await database.all('SELECT * FROM erasure_log')).toEqual([]);
+    });
+
+    it('should erase the member when their last account is unlinked', async () => {
+        for (const account of await database.getAccounts('111')) {
+            await unlinkAccount(database, account);
+        }
+
+        expect(await rowsNaming('111')).toEqual([]);
+        expect(await database.all('SELECT reason, actor_id FROM erasure_log')).toEqual([{ reason: 'unlink', actor_id: '111' }]);
+    });
+
+    it('should roll back the whole erasure if a step fails', async () => {
+        const run = database.run.bind(database);
+        jest.spyOn(database, 'run').mockImplementation((sql, params) => (
+            sql.startsWith('INSERT INTO erasure_log') ? Promise.reject(new Error('disk full')) : run(sql, params)
+        ));
+
+        await expect(database.eraseUser('111', { reason: 'admin' })).rejects.toThrow('disk full');
+
+        database.run.mockRestore();
+        expect(await database.getAccounts('111')).toHaveLength(2);
+        expect(await database.all('SELECT * FROM link_disputes WHERE claimant_id = ?', ['111'])).toHaveLength(1);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Fuzzy Match Unit Tests
+ *
+ * Tests for scoring and ranking autocomplete candidates
+ */
+
+const { scoreMatch, rankMatches, levenshtein } = require('../../src/utils/fuzzyMatch');
+
+describe('Fuzzy Match', () => {
+    describe('scoreMatch', () => {
+        it('should rank exact, prefix, word, substring and subsequence matches in that order', () => {
+            const scores = [
+                scoreMatch('hunter', 'Hunter'),
+                scoreMatch('hunter', 'HunterX'),
+                scoreMatch('hunter', 'Night_Hunter_99'),
+                scoreMatch('hunter', 'TrophyHunter'),
+                scoreMatch('hntr', 'TrophyHunter')
+            ];
+
+            expect(scores[0]).toBe(1);
+            expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+            expect(scores[4]).toBeGreaterThan(0);
+        });
+
+        it('should ignore case and separators', () => {
+            expect(scoreMatch('trophy hunter', 'Trophy_Hunter')).toBe(1);
+        });
+
+        it('should tolerate typos', () => {
+            expect(scoreMatch('TrophyHuntre', 'TrophyHunter')).toBeGreaterThan(0);
+            expect(scoreMatch('Bloodbrone', 'Bloodborne')).toBeGreaterThan(0);
+        });
+
+        it('should not match unrelated text', () => {
+            expect(scoreMatch('zzzz', 'TrophyHunter')).toBe(0);
+            expect(scoreMatch('', 'TrophyHunter')).toBe(0);
+        });
+    });
+
+    describe('rankMatches', () => {
+        const names = ['Astro Bot', 'Bloodborne', 'Blood Omen', 'Bloodstained', "Demon's Souls"];
+
+        it('should order candidates best first and drop non-matches', () => {
+            expect(rankMatches('blood', names, name => name)).toEqual(['Blood Omen', 'Bloodborne', 'Bloodstained']);
+            expect(rankMatches('bloodbrone', names, name => name)[0]).toBe('Bloodborne');
+        });
+
+        it('should keep the original order for an empty query', () => {
+            expect(rankMatches('  ', names, name => name, 2)).toEqual(['Astro Bot', 'Bloodborne']);
+        });
+
+        it('should cap the number of results', () => {
+            const many = Array.from({ length: 40 }, (_, index) => `Player${index}`);
+            expect(rankMatches('player', many, name => name)).toHaveLength(25);
+        });
+    });
+
+    it('should compute edit distance', () => {
+        expect(levenshtein('kitten', 'sitting')).toBe(3);
+        expect(levenshtein('', 'abc')).toBe(3);
+    });
+});
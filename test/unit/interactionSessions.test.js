@@ -0,0 +1,147 @@
+/**
+ * Interaction Sessions Unit Tests
+ *
+ * Runs session flows against a real in-memory SQLite database: storing
+ * state under a token, routing to the flow's handler, ownership and expiry
+ */
+
+jest.unmock('sqlite3');
+
+const { InteractionSessions, disableComponents } = require('../../src/utils/interactionSessions');
+const { ButtonBuilder, StringSelectMenuBuilder } = require('discord.js');
+
+describe('InteractionSessions', () => {
+    const START = 1700000000000;
+
+    let clock;
+    let sessions;
+    let database;
+    let handler;
+
+    const interactionFor = (customId, userId = '123456789') => createMockInteraction({
+        overrides: {
+            customId,
+            user: { id: userId },
+            message: { components: [{ components: [{ type: 2, custom_id: customId }] }] },
+            update: jest.fn().mockResolvedValue({}),
+            client: { database, logger: createMockLogger() }
+        }
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        clock = START;
+        sessions = new InteractionSessions({ now: () => clock });
+        handler = jest.fn().mockResolvedValue();
+        sessions.register('wizard', handler);
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should store flow state under an opaque token', async () => {
+        const session = await sessions.start(interactionFor(), 'wizard', { step: 1, name: 'Alpha' }, { ttlMinutes: 5 });
+
+        expect(session.token).toMatch(/^[\w-]{16}$/);
+        expect(sessions.customId(session, 'next')).toBe(`session:${session.token}:next`);
+
+        const row = await database.getSession(session.token);
+        expect(row).toMatchObject({ flow: 'wizard', owner_id: '123456789', expires_at: START / 1000 + 300 });
+        expect(JSON.parse(row.data)).toEqual({ step: 1, name: 'Alpha' });
+    });
+
+    it('should hand the owner\'s interactions to the flow with its state', async () => {
+        const session = await sessions.start(interactionFor(), 'wizard', { step: 1 });
+        const interaction = interactionFor(sessions.customId(session, 'pick:2'));
+
+        await sessions.handle(interaction);
+
+        expect(handler).toHaveBeenCalledWith(interaction, {
+            token: session.token,
+            flow: 'wizard',
+            ownerId: '123456789',
+            data: { step: 1 },
+            expiresAt: session.expiresAt
+        }, 'pick:2');
+    });
+
+    it('should keep state changes between steps', async () => {
+        const session = await sessions.start(interactionFor(), 'wizard', { step: 1 });
+        await sessions.update(interactionFor(), session, { step: 2 });
+
+        await sessions.handle(interactionFor(sessions.customId(session, 'next')));
+
+        expect(handler.mock.calls[0][1].data).toEqual({ step: 2 });
+    });
+
+    it('should turn away other members', async () => {
+        const session = await sessions.start(interactionFor(), 'wizard');
+        const interaction = interactionFor(sessions.customId(session, 'next'), '222');
+
+        await sessions.handle(interaction);
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('Only the member who started this'),
+            ephemeral: true
+        }));
+    });
+
+    it('should grey out and drop expired sessions', async () => {
+        const session = await sessions.start(interactionFor(), 'wizard', {}, { ttlMinutes: 5 });
+        const interaction = interactionFor(sessions.customId(session, 'next'));
+        clock = START + 6 * 60 * 1000;
+
+        await sessions.handle(interaction);
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(ButtonBuilder.from.mock.results.at(-1).value.setDisabled).toHaveBeenCalledWith(true);
+        expect(interaction.update).toHaveBeenCalledWith({ components: [expect.any(Object)] });
+        expect(interaction.followUp).toHaveBeenCalledWith(expect.objectContaining({
+            content: expect.stringContaining('expired'),
+            ephemeral: true
+        }));
+        expect(await database.getSession(session.token)).toBeUndefined();
+    });
+
+    it('should grey out select menus with their own builder', () => {
+        const select = { type: 3, custom_id: 'session:abc:pick', options: [{ label: 'Game', value: 'NPWR00001_00' }] };
+        const button = { type: 2, custom_id: 'session:abc:back' };
+
+        disableComponents([{ components: [select] }, { components: [button] }]);
+
+        expect(StringSelectMenuBuilder.from).toHaveBeenCalledWith(select);
+        expect(StringSelectMenuBuilder.from.mock.results.at(-1).value.setDisabled).toHaveBeenCalledWith(true);
+        expect(ButtonBuilder.from).toHaveBeenCalledWith(button);
+        expect(ButtonBuilder.from).not.toHaveBeenCalledWith(select);
+    });
+
+    it('should treat ended sessions as expired', async () => {
+        const session = await sessions.start(interactionFor(), 'wizard');
+        await sessions.end(interactionFor(), session);
+
+        const interaction = interactionFor(sessions.customId(session, 'next'));
+        interaction.isModalSubmit = () => true;
+        await sessions.handle(interaction);
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+    });
+
+    it('should purge only expired sessions', async () => {
+        await sessions.start(interactionFor(), 'wizard', {}, { ttlMinutes: 5 });
+        const kept = await sessions.start(interactionFor(), 'wizard', {}, { ttlMinutes: 30 });
+        clock = START + 10 * 60 * 1000;
+
+        expect(await sessions.purgeExpired(database)).toBe(1);
+        expect(await database.getSession(kept.token)).toBeDefined();
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Leaderboard Unit Tests
+ *
+ * Runs the ranking queries against a real in-memory SQLite database
+ */
+
+jest.unmock('sqlite3');
+
+const { getRankings, formatValue } = require('../../src/utils/leaderboard');
+
+describe('Leaderboard', () => {
+    const NOW = 1700000000;
+    const DAY = 24 * 60 * 60;
+
+    let database;
+
+    const addUser = (discordId, psnUsername, psnAccountId = `acct-${discordId}`) =>
+        database.createUser(discordId, { psn_username: psnUsername, psn_account_id: psnAccountId });
+
+    const addTrophy = (discordId, trophyId, trophyType, earnedDate = NOW - 100 * DAY, psnAccountId = `acct-${discordId}`) =>
+        database.saveTrophy({
+            discordId,
+            psnAccountId,
+            trophyId,
+            trophyName: `Trophy ${trophyId}`,
+            trophyType,
+            gameTitle: 'Test Game',
+            gameId: 'NPWR00001_00',
+            earnedDate,
+            isPlatinum: trophyType === 'platinum'
+        });
+
+    const snapshot = (discordId, earnedTrophies, trophyLevel, psnAccountId = `acct-${discordId}`) =>
+        database.saveTrophySnapshot(discordId, psnAccountId, { trophyLevel, earnedTrophies });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        await addUser('1', 'Alpha');
+        await addUser('2', 'Bravo');
+        await addUser('3', 'Charlie');
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should rank by snapshot points and fall back to stored trophies', async () => {
+        await snapshot('1', { bronze: 10, silver: 0, gold: 1, platinum: 0 }, 5);
+        await snapshot('2', { bronze: 0, silver: 0, gold: 0, platinum: 1 }, 3);
+        await addTrophy('3', '0', 'platinum');
+        await addTrophy('3', '1', 'Gold');
+
+        const rankings = await getRankings(database, ['1', '2', '3'], 'points', NOW);
+
+        expect(rankings).toEqual([
+            { rank: 1, discord_id: '3', psn_username: 'Charlie', value: 390 },
+            { rank: 2, discord_id: '2', psn_username: 'Bravo', value: 300 },
+            { rank: 3, discord_id: '1', psn_username: 'Alpha', value: 240 }
+        ]);
+    });
+
+    it('should only rank the given users and share ranks on ties', async () => {
+        await snapshot('1', {}, 10);
+        await snapshot('2', {}, 10);
+        await snapshot('3', {}, 50);
+
+        const rankings = await getRankings(database, ['1', '2'], 'level', NOW);
+
+        expect(rankings.map(row => [row.rank, row.psn_username, row.value])).toEqual([
+            [1, 'Alpha', 10],
+            [1, 'Bravo', 10]
+        ]);
+    });
+
+    it('should count trophies earned in the last week or month', async () => {
+        await addTrophy('1', '0', 'bronze', NOW - 2 * DAY);
+        await addTrophy('1', '1', 'bronze', NOW - 20 * DAY);
+        await addTrophy('2', '0', 'bronze', NOW - 20 * DAY);
+        await addTrophy('2', '1', 'bronze', NOW - 25 * DAY);
+
+        const week = await getRankings(database, ['1', '2'], 'week', NOW);
+        const month = await getRankings(database, ['1', '2'], 'month', NOW);
+
+        expect(week.map(row => [row.psn_username, row.value])).toEqual([['Alpha', 1], ['Bravo', 0]]);
+        expect(month.map(row => [row.rank, row.psn_username, row.value])).toEqual([[1, 'Alpha', 2], [1, 'Bravo', 2]]);
+    });
+
+    it('should rank by average completion from user_games', async () => {
+        await database.saveGame({ gameId: 'NPWR00001_00', title: 'Test Game' });
+        await database.saveGame({ gameId: 'NPWR00002_00', title: 'Other Game' });
+        await database.saveUserGame('1', 'acct-1', { gameId: 'NPWR00001_00', progressPercentage: 100 });
+        await database.saveUserGame('1', 'acct-1', { gameId: 'NPWR00002_00', progressPercentage: 50 });
+        await database.saveUserGame('2', 'acct-2', { gameId: 'NPWR00001_00', progressPercentage: 80 });
+
+        const rankings = await getRankings(database, ['1', '2', '3'], 'completion', NOW);
+
+        expect(rankings.map(row => [row.psn_username, row.value])).toEqual([
+            ['Bravo', 80],
+            ['Alpha', 75],
+            ['Charlie', 0]
+        ]);
+    });
+
+    it('should combine a member\'s linked accounts under their primary name', async () => {
+        await addUser('1', 'AlphaAlt', 'acct-1b');
+        await snapshot('1', { bronze: 10, silver: 0, gold: 0, platinum: 0 }, 4);
+        await snapshot('1', { bronze: 0, silver: 0, gold: 0, platinum: 1 }, 7, 'acct-1b');
+        await snapshot('2', { bronze: 0, silver: 0, gold: 2, platinum: 0 }, 5);
+
+        const combined = await getRankings(database, ['1', '2'], 'points', NOW);
+        const primaryOnly = await getRankings(database, ['1', '2'], 'points', NOW, { primaryOnly: true });
+        const level = await getRankings(database, ['1'], 'level', NOW);
+
+        expect(combined.map(row => [row.psn_username, row.value])).toEqual([['Alpha', 450], ['Bravo', 180]]);
+        expect(primaryOnly.map(row => [row.psn_username, row.value])).toEqual([['Bravo', 180], ['Alpha', 150]]);
+        expect(level[0].value).toBe(7);
+    });
+
+    it('should only count verified accounts when asked', async () => {
+        await addUser('1', 'AlphaAlt', 'acct-1b');
+        await snapshot('1', { bronze: 10, silver: 0, gold: 0, platinum: 0 }, 4);
+        await snapshot('1', { bronze: 0, silver: 0, gold: 0, platinum: 1 }, 7, 'acct-1b');
+        await database.run("UPDATE psn_accounts SET verified_at = 1 WHERE psn_account_id IN ('acct-1b', 'acct-2')");
+
+        const rankings = await getRankings(database, ['1', '2'], 'points', NOW, { verifiedOnly: true });
+
+        expect(rankings.map(row => [row.psn_username, row.value])).toEqual([['AlphaAlt', 300], ['Bravo', 0]]);
+    });
+
+    it('should return no rows for no users and reject unknown metrics', async () => {
+        await expect(getRankings(database, [], 'points', NOW)).resolves.toEqual([]);
+        await expect(getRankings(database, ['1'], 'karma', NOW)).rejects.toThrow('Unknown leaderboard metric: karma');
+    });
+
+    it('should format values per metric', () => {
+        expect(formatValue('points', 12345)).toBe('12,345 pts');
+        expect(formatValue('level', 412)).toBe('Level 412');
+        expect(formatValue('completion', 87)).toBe('87%');
+        expect(formatValue('platinums', 1)).toBe('1 platinum');
+        expect(formatValue('week', 3)).toBe('3 trophies');
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Link Disputes Unit Tests
+ *
+ * Runs claims and link transfers against a real in-memory SQLite database
+ */
+
+jest.unmock('sqlite3');
+
+const {
+    STATUS,
+    REFUSAL,
+    fileDispute,
+    findPendingClaim,
+    getDispute,
+    listPending,
+    countPending,
+    closeDispute,
+    approveDispute
+} = require('../../src/utils/linkDisputes');
+
+describe('Link Disputes', () => {
+    let database;
+
+    const claim = (overrides = {}) => ({
+        guildId: 'guild1',
+        psnUsername: 'TrophyHunter',
+        accountId: 'account111',
+        claimantId: '222',
+        holderId: '111',
+        reason: 'That is my account',
+        proven: true,
+        ...overrides
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        await database.createUser('111', {
+            psn_username: 'TrophyHunter',
+            psn_account_id: 'account111',
+            notifications_enabled: 1,
+            last_trophy_check: 0
+        });
+        await database.run(
+            "INSERT INTO trophies (discord_id, psn_account_id, trophy_id, game_id, trophy_name) VALUES ('111', 'account111', '1', 'NPWR00001_00', 'First Steps')"
+        );
+        await database.run("INSERT INTO games (game_id, title) VALUES ('NPWR00001_00', 'Test Game')");
+        await database.run("INSERT INTO user_games (discord_id, psn_account_id, game_id, progress_percentage) VALUES ('111', 'account111', 'NPWR00001_00', 40)");
+        await database.run(
+            "INSERT INTO user_trophy_snapshots (discord_id, psn_account_id, snapshot_data, trophy_level) VALUES ('111', 'account111', '{}', 300)"
+        );
+        await database.run("INSERT INTO notification_opt_outs (discord_id, guild_id) VALUES ('111', 'guild1')");
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should queue claims per server, oldest first', async () => {
+        const first = await fileDispute(database, claim());
+        await fileDispute(database, claim({ claimantId: '333', proven: false }));
+        await fileDispute(database, claim({ claimantId: '444', guildId: 'guild2' }));
+
+        const queue = await listPending(database, 'guild1', 5);
+        expect(queue.map(dispute => dispute.claimant_id)).toEqual(['222', '333']);
+        expect(queue[0]).toMatchObject({ id: first, psn_username: 'TrophyHunter', holder_id: '111', proven: 1, status: 'pending' });
+        expect(await countPending(database, 'guild1')).toBe(2);
+    });
+
+    it('should allow one pending claim per member and account', async () => {
+        const id = await fileDispute(database, claim());
+
+        expect(await fileDispute(database, claim())).toBeNull();
+        expect((await findPendingClaim(database, '222', 'account111')).id).toBe(id);
+
+        await closeDispute(database, id, STATUS.DENIED, 'admin');
+        expect(await fileDispute(database, claim())).toEqual(expect.any(Number));
+    });
+
+    it('should move the link and its trophy history to the claimant', async () => {
+        const id = await fileDispute(database, claim());
+        const other = await fileDispute(database, claim({ claimantId: '333' }));
+
+        expect(await approveDispute(database, await getDispute(database, id), 'admin')).toBe(STATUS.APPROVED);
+
+        expect(await database.getUser('111')).toBeUndefined();
+        const user = await database.getUser('222');
+        expect(user).toMatchObject({ psn_username: 'TrophyHunter', psn_account_id: 'account111' });
+        expect(user.verified_at).toBeGreaterThan(0);
+
+        for (const table of ['trophies', 'user_games', 'user_trophy_snapshots']) {
+            const rows = await database.all(`SELECT discord_id FROM ${table}`);
+            expect(rows).toEqual([{ discord_id: '222' }]);
+        }
+        expect(await database.all('SELECT * FROM notification_opt_outs')).toEqual([]);
+
+        // The holder had no other account, so they were erased with their claims
+        expect(await getDispute(database, id)).toBeUndefined();
+        expect(await getDispute(database, other)).toBeUndefined();
+        expect(await database.all('SELECT discord_id, reason, actor_id, guild_id FROM erasure_log')).toEqual([
+            { discord_id: '111', reason: 'transfer', actor_id: 'admin', guild_id: 'guild1' }
+        ]);
+    });
+
+    it('should leave an unproven claimant unverified', async () => {
+        const id = await fileDispute(database, claim({ proven: false }));
+
+        expect(await approveDispute(database, await getDispute(database, id), 'admin')).toBe(STATUS.APPROVED);
+
+        expect((await database.getUser('222')).verified_at).toBeNull();
+    });
+
+    it('should not let an unproven claim take a verified link', async () => {
+        await database.run("UPDATE psn_accounts SET verified_at = 1700000000 WHERE discord_id = '111'");
+        const id = await fileDispute(database, claim({ proven: false }));
+
+        expect(await approveDispute(database, await getDispute(database, id), 'admin')).toBe(REFUSAL.VERIFIED_HOLDER);
+
+        expect((await database.getUser('111')).psn_username).toBe('TrophyHunter');
+        expect((await getDispute(database, id)).status).toBe('pending');
+    });
+
+    it('should let a proven claim take a verified link', async () => {
+        await database.run("UPDATE psn_accounts SET verified_at = 1700000000 WHERE discord_id = '111'");
+        const id = await fileDispute(database, claim());
+
+        expect(await approveDispute(database, await getDispute(database, id), 'admin')).toBe(STATUS.APPROVED);
+    });
+
+    it('should not let claimants approve their own claim', async () => {
+        const id = await fileDispute(database, claim());
+
+        expect(await approveDispute(database, await getDispute(database, id), '222')).toBe(REFUSAL.OWN_CLAIM);
+
+        expect((await database.getUser('111')).psn_username).toBe('TrophyHunter');
+        expect((await getDispute(database, id)).status).toBe('pending');
+    });
+
+    it('should void a claim once the account is no longer linked to the holder', async () => {
+        const id = await fileDispute(database, claim());
+        await database.run("UPDATE psn_accounts SET psn_username = 'NewName', psn_account_id = 'account999' WHERE discord_id = '111'");
+
+        expect(await approveDispute(database, await getDispute(database, id), 'admin')).toBe(STATUS.VOID);
+        expect((await getDispute(database, id)).status).toBe('void');
+    });
+
+    it('should add the account alongside a claimant\'s own primary account', async () => {
+        const id = await fileDispute(database, claim());
+        await database.createUser('222', { psn_username: 'OtherName', psn_account_id: 'account222', notifications_enabled: 1, last_trophy_check: 0 });
+
+        expect(await approveDispute(database, await getDispute(database, id), 'admin')).toBe(STATUS.APPROVED);
+
+        const accounts = await database.getAccounts('222');
+        expect(accounts.map(account => [account.psn_username, account.is_primary])).toEqual([['OtherName', 1], ['TrophyHunter', 0]]);
+        expect(await database.all("SELECT discord_id FROM trophies WHERE psn_account_id = 'account111'")).toEqual([{ discord_id: '222' }]);
+    });
+
+    it('should keep the holder linked through their other accounts', async () => {
+        await database.createUser('111', { psn_username: 'SecondName', psn_account_id: 'account112', notifications_enabled: 1, last_trophy_check: 0 });
+        const id = await fileDispute(database, claim());
+
+        await approveDispute(database, await getDispute(database, id), 'admin');
+
+        expect(await database.getUser('111')).toMatchObject({ psn_username: 'SecondName', is_primary: 1 });
+        expect(await database.all('SELECT * FROM notification_opt_outs')).toHaveLength(1);
+        expect(await getDispute(database, id)).toMatchObject({ status: 'approved', reviewer_id: 'admin' });
+        expect(await database.all('SELECT * FROM erasure_log')).toEqual([]);
+    });
+
+    it('should not approve a claim resolved in the meantime', async () => {
+        const id = await fileDispute(database, claim());
+        const stale = await getDispute(database, id);
+        await closeDispute(database, id, STATUS.DENIED, 'admin');
+
+        expect(await approveDispute(database, stale, 'other-admin')).toBeNull();
+        expect((await database.getUser('111')).psn_username).toBe('TrophyHunter');
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Linked Accounts Unit Tests
+ *
+ * Runs primary account changes and unlinking against a real in-memory
+ * SQLite database
+ */
+
+jest.unmock('sqlite3');
+
+const {
+    findAccount,
+    getLinkedAccount,
+    setPrimaryAccount,
+    unlinkAccount
+} = require('../../src/utils/linkedAccounts');
+
+describe('Linked Accounts', () => {
+    let database;
+
+    const link = (discordId, psnUsername, psnAccountId) =>
+        database.createUser(discordId, { psn_username: psnUsername, psn_account_id: psnAccountId, notifications_enabled: 1 });
+
+    const accountNamed = async (psnUsername) =>
+        database.get('SELECT * FROM psn_accounts WHERE psn_username = ?', [psnUsername]);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        await link('111', 'MainAccount', 'account1');
+        await link('111', 'AltAccount', 'account2');
+
+        for (const [trophyId, psnAccountId] of [['1', 'account1'], ['2', 'account2']]) {
+            await database.saveTrophy({ discordId: '111', psnAccountId, trophyId, gameId: 'NPWR00001_00' });
+        }
+        await database.run("INSERT INTO notification_opt_outs (discord_id, guild_id) VALUES ('111', 'guild1')");
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should make the first linked account primary', async () => {
+        const accounts = await database.getAccounts('111');
+
+        expect(accounts.map(account => [account.psn_username, account.is_primary])).toEqual([['MainAccount', 1], ['AltAccount', 0]]);
+        expect(findAccount(accounts, null).psn_username).toBe('MainAccount');
+        expect(findAccount(accounts, ' altaccount ').psn_username).toBe('AltAccount');
+        expect(findAccount(accounts, 'Nobody')).toBeUndefined();
+    });
+
+    it('should look up the chosen account or the primary one', async () => {
+        expect((await getLinkedAccount(database, '111', null)).psn_username).toBe('MainAccount');
+        expect((await getLinkedAccount(database, '111', 'AltAccount')).psn_account_id).toBe('account2');
+        expect(await getLinkedAccount(database, '222', 'AltAccount')).toBeUndefined();
+    });
+
+    it('should move the primary flag to another account', async () => {
+        const alt = await accountNamed('AltAccount');
+
+        expect(await setPrimaryAccount(database, '111', alt.id)).toBe(true);
+        expect((await database.getUser('111')).psn_username).toBe('AltAccount');
+
+        expect(await setPrimaryAccount(database, '222', alt.id)).toBe(false);
+    });
+
+    it('should unlink one account with its history and promote the next', async () => {
+        const result = await unlinkAccount(database, await accountNamed('MainAccount'));
+
+        expect(result).toMatchObject({ memberRemoved: false, primary: { psn_username: 'AltAccount', is_primary: 1 } });
+        expect(await database.all('SELECT trophy_id FROM trophies')).toEqual([{ trophy_id: '2' }]);
+        expect(await database.all('SELECT * FROM notification_opt_outs')).toHaveLength(1);
+    });
+
+    it('should remove the member with their last account', async () => {
+        await unlinkAccount(database, await accountNamed('MainAccount'));
+        const result = await unlinkAccount(database, await accountNamed('AltAccount'));
+
+        expect(result).toEqual({ memberRemoved: true, primary: null });
+        expect(await database.all('SELECT * FROM users')).toEqual([]);
+        expect(await database.all('SELECT * FROM trophies')).toEqual([]);
+        expect(await database.all('SELECT * FROM notification_opt_outs')).toEqual([]);
+    });
+});
@@ -0,0 +1,505 @@
+/**
+ * Migrator Unit Tests
+ *
+ * Runs the schema migrations against a real in-memory SQLite database,
+ * including an NPSSO-era database that drifted from the current schema
+ */
+
+jest.unmock('sqlite3');
+
+const Migrator = require('../../src/database/migrator');
+const migrations = require('../../src/database/migrations');
+
+describe('Migrator', () => {
+    let database;
+
+    const tableNames = async () => {
+        const rows = await database.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+        return rows.map(row => row.name).sort();
+    };
+
+    const columnNames = async (table) => {
+        const rows = await database.all('SELECT name FROM pragma_table_info(?)', [table]);
+        return rows.map(row => row.name);
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        // Fresh Database instance per test instead of the shared singleton
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init({ migrate: false });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    describe('migrate', () => {
+        it('should create the full schema and record every version', async () => {
+            const applied = await database.migrate();
+
+            expect(applied.map(m => m.version)).toEqual(migrations.map(m => m.version));
+            expect(await tableNames()).toEqual(expect.arrayContaining([
+                'games', 'notification_settings', 'schema_migrations', 'server_settings',
+                'trophies', 'trophy_cache', 'user_games', 'user_trophy_snapshots', 'users'
+            ]));
+
+            const migrator = new Migrator(database);
+            expect(await migrator.getCurrentVersion()).toBe(migrations[migrations.length - 1].version);
+        });
+
+        it('should be idempotent', async () => {
+            await database.migrate();
+            const second = await database.migrate();
+
+            expect(second).toEqual([]);
+        });
+
+        it('should stop at the requested target version', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 1 });
+
+            const status = await migrator.status();
+            expect(status[0]).toMatchObject({ version: 1, applied: true });
+            expect(status[1]).toMatchObject({ version: 2, applied: false, appliedAt: null });
+        });
+
+        it('should roll back a failing migration and not record it', async () => {
+            const migrator = new Migrator(database, [
+                {
+                    version: 1,
+                    name: 'broken',
+                    up: async (db) => {
+                        await db.run('CREATE TABLE half_done (id INTEGER)');
+                        throw new Error('boom');
+                    },
+                    down: async () => {}
+                }
+            ]);
+
+            await expect(migrator.migrate()).rejects.toThrow('boom');
+            expect(await tableNames()).not.toContain('half_done');
+            expect(await migrator.getCurrentVersion()).toBe(0);
+
+            const fk = await database.get('PRAGMA foreign_keys');
+            expect(fk.foreign_keys).toBe(1);
+        });
+
+        it('should reject duplicate migration versions', () => {
+            const migration = { version: 1, name: 'dup', up: async () => {}, down: async () => {} };
+
+            expect(() => new Migrator(database, [migration, { ...migration }]))
+                .toThrow('Duplicate migration version: 1');
+        });
+    });
+
+    describe('rollback', () => {
+        it('should revert the last migration by default', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate();
+
+            const reverted = await migrator.rollback();
+
+            const latest = migrations[migrations.length - 1].version;
+            expect(reverted.map(m => m.version)).toEqual([latest]);
+            expect(await migrator.getCurrentVersion()).toBe(migrations[migrations.length - 2].version);
+        });
+
+        it('should drop the schema when rolling back to version 0', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate();
+
+            await migrator.rollback({ to: 0 });
+
+            expect(await tableNames()).toEqual(['schema_migrations']);
+        });
+    });
+
+    describe('legacy NPSSO-era databases', () => {
+        beforeEach(async () => {
+            await database.run(`CREATE TABLE users (
+                discord_id TEXT PRIMARY KEY,
+                psn_username TEXT,
+                psn_account_id TEXT,
+                access_token TEXT,
+                refresh_token TEXT,
+                token_expires_at INTEGER,
+                notifications_enabled BOOLEAN DEFAULT 1,
+                last_trophy_check INTEGER DEFAULT 0
+            )`);
+            await database.run(`CREATE TABLE trophies (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                discord_id TEXT,
+                trophy_id TEXT,
+                trophy_name TEXT,
+                game_id TEXT,
+                earned_date INTEGER,
+                FOREIGN KEY (discord_id) REFERENCES users (discord_id)
+            )`);
+            await database.run(`CREATE TABLE server_settings (
+                guild_id TEXT,
+                channel_id TEXT,
+                setting_type TEXT,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                PRIMARY KEY (guild_id, channel_id, setting_type)
+            )`);
+
+            await database.run(`INSERT INTO users (discord_id, psn_username, psn_account_id, access_token, refresh_token)
+                VALUES ('111', 'LinkedPlayer', 'acc-1', 'token', 'refresh'), ('222', NULL, NULL, 'token', 'refresh')`);
+            await database.run(`INSERT INTO trophies (discord_id, trophy_id, trophy_name, game_id, earned_date)
+                VALUES ('111', '1', 'First Blood', 'NPWR00001_00', 1700000000), ('222', '2', 'Orphan', 'NPWR00001_00', 1700000000)`);
+            await database.run(`INSERT INTO server_settings (guild_id, channel_id, setting_type)
+                VALUES ('guild-1', 'channel-1', 'allowed_channel')`);
+        });
+
+        it('should drop stored tokens and add missing columns', async () => {
+            await database.migrate();
+
+            const userColumns = await columnNames('users');
+            expect(userColumns).not.toContain('access_token');
+            expect(userColumns).not.toContain('refresh_token');
+            expect(userColumns).toEqual(expect.arrayContaining(['created_at', 'updated_at']));
+            expect(await columnNames('trophies')).toEqual(expect.arrayContaining(['is_platinum', 'notified', 'trophy_type']));
+            expect(await columnNames('server_settings')).toEqual(expect.arrayContaining(['id', 'setting_key', 'setting_value']));
+        });
+
+        it('should keep valid rows and remove unusable ones', async () => {
+            await database.migrate();
+
+            const accounts = await database.all('SELECT discord_id, psn_username, psn_account_id, is_primary FROM psn_accounts');
+            expect(accounts).toEqual([{ discord_id: '111', psn_username: 'LinkedPlayer', psn_account_id: 'acc-1', is_primary: 1 }]);
+            expect(await database.all('SELECT discord_id FROM users')).toEqual([{ discord_id: '111' }]);
+
+            const trophies = await database.all('SELECT discord_id, psn_account_id, trophy_name FROM trophies');
+            expect(trophies).toEqual([{ discord_id: '111', psn_account_id: 'acc-1', trophy_name: 'First Blood' }]);
+
+            const settings = await database.get("SELECT * FROM server_settings WHERE setting_type = 'allowed_channel'");
+            expect(settings).toMatchObject({ guild_id: 'guild-1', channel_id: 'channel-1' });
+
+            const violations = await database.all('PRAGMA foreign_key_check');
+            expect(violations).toEqual([]);
+        });
+
+        it('should enforce the current constraints after reconciling', async () => {
+            await database.migrate();
+
+            await expect(database.run("INSERT INTO psn_accounts (discord_id, psn_username) VALUES ('111', NULL)"))
+                .rejects.toThrow(/NOT NULL/);
+            await expect(database.run("INSERT INTO psn_accounts (discord_id, psn_username, is_primary) VALUES ('111', 'Second', 1)"))
+                .rejects.toThrow(/UNIQUE/);
+            await expect(database.run("INSERT INTO trophies (discord_id, trophy_id) VALUES ('999', 'x')"))
+                .rejects.toThrow(/FOREIGN KEY/);
+        });
+    });
+
+    describe('guild notification routing', () => {
+        it('should collapse duplicate channel settings and enforce uniqueness', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 2 });
+
+            const insert = `INSERT INTO server_settings (guild_id, setting_type, channel_id)
+                VALUES ('guild-1', 'allowed_channel', 'channel-1')`;
+            await database.run(insert);
+            await database.run(insert);
+
+            await migrator.migrate();
+            await database.run(insert.replace('INSERT', 'INSERT OR IGNORE'));
+
+            const rows = await database.all("SELECT * FROM server_settings WHERE guild_id = 'guild-1'");
+            expect(rows).toHaveLength(1);
+            expect(await tableNames()).toContain('notification_opt_outs');
+        });
+    });
+
+    describe('game catalog', () => {
+        it('should update games in place without breaking user_games references', async () => {
+            await database.migrate();
+            await database.createUser('111', { psn_username: 'Catalogued', psn_account_id: 'acc-1' });
+            const game = { gameId: 'NPWR00001_00', title: 'Old Title', platform: 'PS4', iconUrl: 'icon.png' };
+
+            await database.saveGame(game);
+            await database.saveUserGame('111', 'acc-1', { gameId: 'NPWR00001_00', progressPercentage: 10, earnedBronze: 1 });
+            await database.saveGame({ ...game, title: 'New Title', platform: null, trophyCountGold: 2 });
+            await database.saveUserGame('111', 'acc-1', { gameId: 'NPWR00001_00', progressPercentage: 100, completionStatus: 'completed' });
+
+            expect(await database.get('SELECT title, platform, trophy_count_gold FROM games')).toEqual({
+                title: 'New Title', platform: 'PS4', trophy_count_gold: 2
+            });
+            expect(await database.all('SELECT progress_percentage, completion_status FROM user_games')).toEqual([
+                { progress_percentage: 100, completion_status: 'completed' }
+            ]);
+        });
+
+        it('should remove progress for games no longer listed', async () => {
+            await database.migrate();
+            await database.createUser('111', { psn_username: 'Catalogued', psn_account_id: 'acc-1' });
+            await database.createUser('111', { psn_username: 'SecondAccount', psn_account_id: 'acc-2' });
+            for (const gameId of ['NPWR00001_00', 'NPWR00002_00']) {
+                await database.saveGame({ gameId, title: gameId });
+                await database.saveUserGame('111', 'acc-1', { gameId });
+                await database.saveUserGame('111', 'acc-2', { gameId });
+            }
+
+            await database.deleteUserGamesExcept('111', 'acc-1', ['NPWR00002_00']);
+
+            expect(await database.all('SELECT psn_account_id, game_id FROM user_games ORDER BY psn_account_id, game_id')).toEqual([
+                { psn_account_id: 'acc-1', game_id: 'NPWR00002_00' },
+                { psn_account_id: 'acc-2', game_id: 'NPWR00001_00' },
+                { psn_account_id: 'acc-2', game_id: 'NPWR00002_00' }
+            ]);
+        });
+    });
+
+    describe('linked accounts', () => {
+        it('should move each link into psn_accounts as the primary account', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 7 });
+            await database.run("INSERT INTO users (discord_id, psn_username, psn_account_id, verified_at) VALUES ('111', 'Linked', 'acc-1', 1700000000)");
+            await database.run("INSERT INTO trophies (discord_id, trophy_id, game_id) VALUES ('111', '1', 'NPWR00001_00')");
+
+            await migrator.migrate();
+
+            expect(await database.getUser('111')).toMatchObject({
+                psn_username: 'Linked', psn_account_id: 'acc-1', is_primary: 1, verified_at: 1700000000, notifications_enabled: 1
+            });
+            expect(await columnNames('users')).toEqual(['discord_id', 'notifications_enabled', 'created_at', 'updated_at']);
+            expect(await database.get('SELECT psn_account_id FROM trophies')).toEqual({ psn_account_id: 'acc-1' });
+        });
+
+        it('should keep only primary accounts when rolled back', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate();
+            await database.createUser('111', { psn_username: 'Primary', psn_account_id: 'acc-1' });
+            await database.createUser('111', { psn_username: 'Secondary', psn_account_id: 'acc-2' });
+            for (const [trophyId, psnAccountId] of [['1', 'acc-1'], ['2', 'acc-2']]) {
+                await database.saveTrophy({ discordId: '111', psnAccountId, trophyId, gameId: 'NPWR00001_00' });
+            }
+
+            await migrator.rollback({ to: 7 });
+
+            expect(await tableNames()).not.toContain('psn_accounts');
+            expect(await database.all('SELECT discord_id, psn_username, psn_account_id FROM users')).toEqual([
+                { discord_id: '111', psn_username: 'Primary', psn_account_id: 'acc-1' }
+            ]);
+            expect(await database.all('SELECT trophy_id FROM trophies')).toEqual([{ trophy_id: '1' }]);
+        });
+    });
+
+    describe('settings created by', () => {
+        it('should credit notification channels to the member who set them', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 8 });
+            await database.run(`INSERT INTO server_settings (guild_id, channel_id, setting_type, setting_value)
+                VALUES ('guild-1', 'channel-1', 'notification_channel', '111'), ('guild-1', 'channel-2', 'allowed_channel', NULL)`);
+
+            await migrator.migrate();
+
+            expect(await database.all('SELECT setting_type, created_by FROM server_settings ORDER BY channel_id')).toEqual([
+                { setting_type: 'notification_channel', created_by: '111' },
+                { setting_type: 'allowed_channel', created_by: null }
+            ]);
+        });
+    });
+
+    describe('erasure cascade', () => {
+        it('should delete a member\'s rows along with them', async () => {
+            await database.migrate();
+            await database.createUser('111', { psn_username: 'Erased', psn_account_id: 'acc-1' });
+            await database.saveTrophy({ discordId: '111', psnAccountId: 'acc-1', trophyId: '1', gameId: 'NPWR00001_00' });
+
+            await database.deleteUser('111');
+
+            expect(await database.all('SELECT * FROM psn_accounts')).toEqual([]);
+            expect(await database.all('SELECT * FROM trophies')).toEqual([]);
+            expect(await database.all("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'psn_accounts' AND sql IS NOT NULL ORDER BY name"))
+                .toEqual([
+                    { name: 'idx_psn_accounts_account_id' }, { name: 'idx_psn_accounts_discord' },
+                    { name: 'idx_psn_accounts_next_check' }, { name: 'idx_psn_accounts_primary' }
+                ]);
+        });
+
+        it('should keep notification channel creators in created_by only', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 9 });
+            await database.run(`INSERT INTO server_settings (guild_id, channel_id, setting_type, setting_value, created_by)
+                VALUES ('guild-1', 'channel-1', 'notification_channel', '111', '111')`);
+
+            await migrator.migrate();
+            expect(await database.get('SELECT setting_value, created_by FROM server_settings')).toEqual({ setting_value: null, created_by: '111' });
+
+            await migrator.rollback({ to: 9 });
+            expect(await database.get('SELECT setting_value FROM server_settings')).toEqual({ setting_value: '111' });
+            expect(await tableNames()).not.toContain('erasure_log');
+            expect((await database.get("SELECT sql FROM sqlite_master WHERE name = 'trophies'")).sql).not.toContain('CASCADE');
+        });
+    });
+
+    describe('trophy history', () => {
+        it('should seed the history from existing snapshots', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 10 });
+            await database.createUser('111', { psn_username: 'Tracked', psn_account_id: 'acc-1' });
+            await database.run(`INSERT INTO user_trophy_snapshots
+                (discord_id, psn_account_id, snapshot_data, trophy_count_bronze, trophy_count_gold, trophy_level, created_at)
+                VALUES ('111', 'acc-1', '{}', 2, 1, 7, 1711886400)`);
+
+            await migrator.migrate();
+
+            expect(await database.all('SELECT snapshot_date, trophy_level, trophy_points FROM trophy_history')).toEqual([
+                { snapshot_date: '2024-03-31', trophy_level: 7, trophy_points: 120 }
+            ]);
+        });
+    });
+
+    describe('check schedule', () => {
+        it('should make existing accounts due on the next run', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 11 });
+            await database.createUser('111', { psn_username: 'Existing', psn_account_id: 'acc-1' });
+
+            await migrator.migrate();
+            expect(await database.all('SELECT psn_username, next_check_at FROM psn_accounts')).toEqual([
+                { psn_username: 'Existing', next_check_at: 0 }
+            ]);
+
+            await migrator.rollback({ to: 11 });
+            expect(await columnNames('psn_accounts')).not.toContain('next_check_at');
+        });
+    });
+
+    describe('trophy sync', () => {
+        it('should leave accounts unsynced until a check completes', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 12 });
+            await database.createUser('111', { psn_username: 'Existing', psn_account_id: 'acc-1', last_trophy_check: 1700000000 });
+
+            await migrator.migrate();
+            expect(await database.get('SELECT trophies_synced_at FROM psn_accounts')).toEqual({ trophies_synced_at: null });
+
+            await database.updateLastTrophyCheck('111', 'acc-1');
+            const { last_trophy_check: checkedAt, trophies_synced_at: syncedAt } = await database.get('SELECT * FROM psn_accounts');
+            expect(syncedAt).toBe(checkedAt);
+
+            await database.run('UPDATE psn_accounts SET trophies_synced_at = 1700000000');
+            await database.updateLastTrophyCheck('111', 'acc-1');
+            expect(await database.get('SELECT trophies_synced_at FROM psn_accounts')).toEqual({ trophies_synced_at: 1700000000 });
+
+            await migrator.rollback({ to: 12 });
+            expect(await columnNames('psn_accounts')).not.toContain('trophies_synced_at');
+        });
+    });
+
+    describe('unique psn account id', () => {
+        it('should keep one link per PSN account ID', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 13 });
+            await database.createUser('111', { psn_username: 'OldName', psn_account_id: 'acc-1' });
+            await database.createUser('222', { psn_username: 'NewName', psn_account_id: 'acc-1' });
+            await database.createUser('333', { psn_username: 'Legacy' });
+
+            await migrator.migrate();
+            expect(await database.all('SELECT discord_id, psn_account_id FROM psn_accounts ORDER BY discord_id')).toEqual([
+                { discord_id: '111', psn_account_id: 'acc-1' },
+                { discord_id: '222', psn_account_id: null },
+                { discord_id: '333', psn_account_id: null }
+            ]);
+
+            await expect(database.createUser('444', { psn_username: 'Renamed', psn_account_id: 'acc-1' }))
+                .rejects.toThrow('UNIQUE constraint failed');
+            await database.createUser('444', { psn_username: 'Other' });
+
+            await migrator.rollback({ to: 13 });
+            await database.createUser('555', { psn_username: 'Again', psn_account_id: 'acc-1' });
+        });
+
+        it('should keep the verified link over an earlier one', async () => {
+            const migrator = new Migrator(database);
+            await migrator.migrate({ to: 13 });
+            await database.createUser('111', { psn_username: 'OldName', psn_account_id: 'acc-1' });
+            await database.createUser('222', { psn_username: 'NewName', psn_account_id: 'acc-1' });
+            await database.run("UPDATE psn_accounts SET verified_at = 1700000000 WHERE discord_id = '222'");
+
+            await migrator.migrate();
+            expect(await database.get('SELECT discord_id FROM psn_accounts WHERE psn_account_id = ?', ['acc-1']))
+                .toEqual({ discord_id: '222' });
+        });
+    });
+
+    describe('transaction', () => {
+        it('should commit on success and roll back on error', async () => {
+            await database.migrate();
+
+            await database.transaction(async () => {
+                await database.createUser('111', { psn_username: 'Committed' });
+            });
+            await expect(database.transaction(async () => {
+                await database.createUser('222', { psn_username: 'RolledBack' });
+                throw new Error('abort');
+            })).rejects.toThrow('abort');
+
+            const accounts = await database.all('SELECT psn_username FROM psn_accounts');
+            expect(accounts).toEqual([{ psn_username: 'Committed' }]);
+            expect(await database.all('SELECT discord_id FROM users')).toEqual([{ discord_id: '111' }]);
+        });
+
+        it('should run overlapping transactions one after the other', async () => {
+            await database.migrate();
+            let release;
+            const blocked = new Promise(resolve => { release = resolve; });
+
+            const first = database.transaction(async () => {
+                await database.createUser('111', { psn_username: 'First' });
+                await blocked;
+            });
+            const second = database.transaction(async () => {
+                await database.createUser('222', { psn_username: 'Second' });
+            });
+            release();
+
+            await expect(Promise.all([first, second])).resolves.toBeDefined();
+            expect(await database.all('SELECT discord_id FROM users ORDER BY discord_id')).toEqual([
+                { discord_id: '111' }, { discord_id: '222' }
+            ]);
+        });
+
+        it('should keep other callers\' writes out of a transaction that rolls back', async () => {
+            await database.migrate();
+            let release;
+            const blocked = new Promise(resolve => { release = resolve; });
+
+            const failing = database.transaction(async () => {
+                await database.createUser('111', { psn_username: 'RolledBack' });
+                await blocked;
+                throw new Error('abort');
+            });
+            const other = database.transaction(async () => {
+                await database.createUser('222', { psn_username: 'Queued' });
+            });
+            const outside = database.run("INSERT INTO users (discord_id) VALUES ('333')");
+            release();
+
+            await expect(failing).rejects.toThrow('abort');
+            await Promise.all([other, outside]);
+            expect(await database.all('SELECT discord_id FROM users ORDER BY discord_id')).toEqual([
+                { discord_id: '222' }, { discord_id: '333' }
+            ]);
+        });
+
+        it('should let calls from inside a transaction join it', async () => {
+            await database.migrate();
+
+            await expect(database.transaction(async () => {
+                await database.transaction(async () => {
+                    await database.createUser('111', { psn_username: 'Nested' });
+                });
+                throw new Error('abort');
+            })).rejects.toThrow('abort');
+
+            expect(await database.all('SELECT discord_id FROM users')).toEqual([]);
+        });
+    });
+});
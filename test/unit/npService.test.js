@@ -0,0 +1,30 @@
+/**
+ * NP Service Unit Tests
+ *
+ * Tests for choosing the trophy service from a title's platform
+ */
+
+const { getNpServiceName } = require('../../src/utils/npService');
+
+describe('getNpServiceName', () => {
+    it('should use trophy2 for PS5 titles', () => {
+        expect(getNpServiceName('PS5')).toBe('trophy2');
+    });
+
+    it('should use trophy for PS3, PS4 and PS Vita titles', () => {
+        expect(getNpServiceName('PS4')).toBe('trophy');
+        expect(getNpServiceName('PS3')).toBe('trophy');
+        expect(getNpServiceName('PSVITA')).toBe('trophy');
+        expect(getNpServiceName('PS4,PSVITA')).toBe('trophy');
+    });
+
+    it('should use trophy2 when PS5 is one of several platforms', () => {
+        expect(getNpServiceName('PS4,PS5')).toBe('trophy2');
+    });
+
+    it('should default to trophy when the platform is unknown', () => {
+        expect(getNpServiceName(null)).toBe('trophy');
+        expect(getNpServiceName(undefined)).toBe('trophy');
+        expect(getNpServiceName('')).toBe('trophy');
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Pagination Unit Tests
+ *
+ * Tests for page layout, the button controls, the jump modal and
+ * rebuilding views from their stored session
+ */
+
+const pagination = require('../../src/utils/pagination');
+const { chunkSections } = require('../../src/utils/pagination');
+const sessions = require('../../src/utils/interactionSessions');
+const { ButtonBuilder, EmbedBuilder, StringSelectMenuBuilder } = require('discord.js');
+
+describe('Pagination', () => {
+    let clock;
+    let mockInteraction;
+    let mockDatabase;
+    let storedSessions;
+    let build;
+
+    const START = 1700000000000;
+
+    // 23 numbered fields, ten per page
+    const numberedView = () => ({
+        pages: chunkSections(
+            Array.from({ length: 23 }, (_, index) => ({ name: `#${index + 1}`, value: `Item ${index + 1}` })),
+            10
+        ),
+        createEmbed: () => new EmbedBuilder().setTitle('Numbers'),
+        footer: '23 items'
+    });
+
+    const sentPayload = (method) => mockInteraction[method].mock.calls[0][0];
+    const customIdOf = (button) => button.setCustomId.mock.calls[0][0];
+    const buttons = () => ButtonBuilder.mock.results.map(result => result.value);
+
+    // Send the view, then start a fresh interaction as if from a button click
+    const replyThenClick = async (buttonIndex) => {
+        await pagination.reply(mockInteraction, 'numbers', ['a']);
+        const customId = customIdOf(buttons()[buttonIndex]);
+
+        jest.clearAllMocks();
+        mockInteraction = createClickInteraction(customId);
+        return customId;
+    };
+
+    const createClickInteraction = (customId) => createMockInteraction({
+        overrides: {
+            customId,
+            message: { components: [{ components: [{ type: 2, custom_id: customId }] }] },
+            deferUpdate: jest.fn().mockResolvedValue({}),
+            update: jest.fn().mockResolvedValue({}),
+            fetchReply: jest.fn().mockResolvedValue({ components: [] }),
+            client: { database: mockDatabase, logger: createMockLogger() }
+        }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        clock = START;
+        sessions.now = () => clock;
+
+        // Sessions kept the way the interaction_sessions table keeps them
+        storedSessions = new Map();
+        mockDatabase = createMockDatabase();
+        mockDatabase.saveSession.mockImplementation(async (row) => {
+            storedSessions.set(row.token, { token: row.token, flow: row.flow, owner_id: row.ownerId, data: row.data, expires_at: row.expiresAt });
+        });
+        mockDatabase.getSession.mockImplementation(async (token) => storedSessions.get(token));
+        mockDatabase.deleteSession.mockImplementation(async (token) => ({ changes: storedSessions.delete(token) ? 1 : 0 }));
+        mockDatabase.updateSessionData.mockImplementation(async (token, data) => {
+            storedSessions.get(token).data = data;
+        });
+
+        build = jest.fn(async () => numberedView());
+        pagination.register('numbers', build);
+
+        mockInteraction = createClickInteraction(undefined);
+    });
+
+    afterAll(() => {
+        sessions.now = Date.now;
+    });
+
+    describe('chunkSections', () => {
+        it('should split sections into pages of the given size', () => {
+            const pages = chunkSections(Array.from({ length: 12 }, (_, index) => ({ name: String(index), value: 'x' })), 5);
+
+            expect(pages.map(page => page.length)).toEqual([5, 5, 2]);
+        });
+
+        it('should start a new page before the embed length limit', () => {
+            const long = { name: 'Long', value: 'x'.repeat(3500) };
+
+            expect(chunkSections([long, long, long], 10)).toHaveLength(3);
+        });
+    });
+
+    describe('reply', () => {
+        it('should edit a deferred reply with the first page and its controls', async () => {
+            await mockInteraction.deferReply();
+
+            await pagination.reply(mockInteraction, 'numbers', ['a', 'b']);
+
+            expect(build).toHaveBeenCalledWith(mockInteraction, ['a', 'b']);
+            expect(mockInteraction.reply).not.toHaveBeenCalled();
+
+            const embed = sentPayload('editReply').embeds[0];
+            expect(embed.addFields).toHaveBeenCalledWith(expect.arrayContaining([
+                { name: '#1', value: 'Item 1', inline: false }
+            ]));
+            expect(embed.addFields.mock.calls[0][0]).toHaveLength(10);
+            expect(embed.setFooter).toHaveBeenCalledWith({ text: '23 items • Page 1 of 3' });
+
+            const [first, previous, jump, next, last] = buttons();
+            expect(first.setDisabled).toHaveBeenCalledWith(true);
+            expect(previous.setDisabled).toHaveBeenCalledWith(true);
+            expect(jump.setLabel).toHaveBeenCalledWith('1 / 3');
+            expect(next.setDisabled).toHaveBeenCalledWith(false);
+
+            // The view's state is stored, not packed into the custom IDs
+            const [session] = storedSessions.values();
+            expect(session).toMatchObject({ flow: 'page', owner_id: '123456789', expires_at: START / 1000 + 600 });
+            expect(JSON.parse(session.data)).toEqual({ key: 'numbers', args: ['a', 'b'] });
+            expect(customIdOf(next)).toBe(`session:${session.token}:next:1`);
+            expect(customIdOf(last)).toBe(`session:${session.token}:last:2`);
+        });
+
+        it('should reply with the requested page and reply options', async () => {
+            await pagination.reply(mockInteraction, 'numbers', [], { page: 2, flags: 64 });
+
+            const payload = sentPayload('reply');
+            expect(payload.flags).toBe(64);
+            expect(payload.embeds[0].setFooter).toHaveBeenCalledWith({ text: '23 items • Page 3 of 3' });
+            expect(payload.embeds[0].addFields.mock.calls[0][0]).toHaveLength(3);
+        });
+
+        it('should leave out the controls when everything fits on one page', async () => {
+            pagination.register('single', async () => ({
+                pages: [[{ description: 'First' }, { description: 'Second' }]],
+                createEmbed: () => new EmbedBuilder()
+            }));
+
+            await pagination.reply(mockInteraction, 'single');
+
+            const payload = sentPayload('reply');
+            expect(payload.components).toBeUndefined();
+            expect(payload.embeds[0].setDescription).toHaveBeenCalledWith('First\n\nSecond');
+            expect(payload.embeds[0].setFooter).not.toHaveBeenCalled();
+            expect(mockDatabase.saveSession).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('menus', () => {
+        const sortMenu = {
+            arg: 1,
+            placeholder: 'Sort',
+            options: [{ label: 'Ascending', value: 'asc' }, { label: 'Descending', value: 'desc' }]
+        };
+
+        it('should add the view\'s menus under the page buttons, even on a single page', async () => {
+            pagination.register('sorted', async () => ({
+                pages: [[{ description: 'Only page' }]],
+                createEmbed: () => new EmbedBuilder(),
+                menus: [sortMenu]
+            }));
+
+            await pagination.reply(mockInteraction, 'sorted', ['a', 'asc']);
+
+            const [session] = storedSessions.values();
+            const menu = StringSelectMenuBuilder.mock.results[0].value;
+            expect(sentPayload('reply').components).toHaveLength(1);
+            expect(customIdOf(menu)).toBe(`session:${session.token}:menu:1`);
+            expect(menu.addOptions).toHaveBeenCalledWith(sortMenu.options);
+        });
+
+        it('should replace the menu\'s argument and go back to the first page', async () => {
+            build.mockImplementation(async () => ({ ...numberedView(), menus: [sortMenu] }));
+            await pagination.reply(mockInteraction, 'numbers', ['a', 'asc'], { page: 2 });
+            const customId = customIdOf(StringSelectMenuBuilder.mock.results[0].value);
+
+            jest.clearAllMocks();
+            mockInteraction = createClickInteraction(customId);
+            mockInteraction.values = ['desc'];
+            await sessions.handle(mockInteraction);
+
+            expect(build).toHaveBeenCalledWith(mockInteraction, ['a', 'desc']);
+            expect(sentPayload('editReply').embeds[0].setFooter).toHaveBeenCalledWith({ text: '23 items • Page 1 of 3' });
+            const [session] = storedSessions.values();
+            expect(JSON.parse(session.data)).toEqual({ key: 'numbers', args: ['a', 'desc'] });
+        });
+    });
+
+    describe('page buttons', () => {
+        it('should rebuild the view from its stored session and show the button\'s page', async () => {
+            await replyThenClick(3);
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.deferUpdate).toHaveBeenCalled();
+            expect(build).toHaveBeenCalledWith(mockInteraction, ['a']);
+            expect(sentPayload('editReply').embeds[0].setFooter).toHaveBeenCalledWith({ text: '23 items • Page 2 of 3' });
+        });
+
+        it('should reject members other than the owner', async () => {
+            await replyThenClick(3);
+            mockInteraction.user = { id: '222' };
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+            expect(mockInteraction.deferUpdate).not.toHaveBeenCalled();
+            expect(build).not.toHaveBeenCalled();
+        });
+
+        it('should grey out expired buttons', async () => {
+            await replyThenClick(3);
+            clock = START + 11 * 60 * 1000;
+
+            await sessions.handle(mockInteraction);
+
+            expect(ButtonBuilder.from.mock.results[0].value.setDisabled).toHaveBeenCalledWith(true);
+            expect(mockInteraction.update).toHaveBeenCalledWith({ components: [expect.any(Object)] });
+            expect(build).not.toHaveBeenCalled();
+        });
+
+        it('should ask for a page number from the jump button', async () => {
+            await replyThenClick(2);
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.showModal).toHaveBeenCalled();
+            expect(build).not.toHaveBeenCalled();
+        });
+
+        it('should report views that fail to rebuild', async () => {
+            await replyThenClick(3);
+            build.mockRejectedValue(Object.assign(new Error('PSN down'), { userMessage: 'PlayStation Network is unavailable.' }));
+
+            await sessions.handle(mockInteraction);
+
+            expect(mockInteraction.followUp).toHaveBeenCalledWith({
+                content: '❌ PlayStation Network is unavailable.',
+                ephemeral: true
+            });
+        });
+    });
+
+    describe('jump modal', () => {
+        const submitPage = async (value) => {
+            const customId = await replyThenClick(2);
+            mockInteraction.customId = customId.replace(/jump:\d+$/, 'goto');
+            mockInteraction.isModalSubmit = () => true;
+            mockInteraction.fields = { getTextInputValue: jest.fn().mockReturnValue(value) };
+
+            await sessions.handle(mockInteraction);
+        };
+
+        it('should show the entered page, clamped to the pages available', async () => {
+            await submitPage('9');
+
+            expect(mockInteraction.fields.getTextInputValue).toHaveBeenCalledWith('page');
+            expect(sentPayload('editReply').embeds[0].setFooter).toHaveBeenCalledWith({ text: '23 items • Page 3 of 3' });
+        });
+
+        it('should reject input that is not a number', async () => {
+            await submitPage('two');
+
+            expect(mockInteraction.reply).toHaveBeenCalledWith({ content: '❌ Enter a page number.', ephemeral: true });
+            expect(build).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Player Comparison Unit Tests
+ *
+ * Tests for pairing up shared games and trophy lists for /compare
+ */
+
+const { findSharedGames, countLeads, compareGameTrophies } = require('../../src/utils/playerComparison');
+
+describe('Player Comparison', () => {
+    const title = (npCommunicationId, trophyTitleName, progress, trophyTitlePlatform = 'PS5') => ({
+        npCommunicationId,
+        trophyTitleName,
+        trophyTitlePlatform,
+        progress
+    });
+
+    describe('findSharedGames', () => {
+        it('should keep only games both players have, most progressed first', () => {
+            const shared = findSharedGames(
+                [title('NPWR1', 'Bloodborne', 40, 'PS4'), title('NPWR2', "Astro's Playroom", 100), title('NPWR3', 'Solo Game', 90)],
+                [title('NPWR2', "Astro's Playroom", 100), title('NPWR1', 'Bloodborne', 75, 'PS4')]
+            );
+
+            expect(shared).toEqual([
+                { gameId: 'NPWR2', title: "Astro's Playroom", platform: 'PS5', progressA: 100, progressB: 100, leader: null },
+                { gameId: 'NPWR1', title: 'Bloodborne', platform: 'PS4', progressA: 40, progressB: 75, leader: 'b' }
+            ]);
+        });
+
+        it('should accept stored user_games rows alongside PSN titles', () => {
+            const shared = findSharedGames(
+                [{ game_id: 'NPWR1', title: 'Bloodborne', platform: 'PS4', progress_percentage: 60 }],
+                [title('NPWR1', 'Bloodborne', 20, 'PS4')]
+            );
+
+            expect(shared).toEqual([expect.objectContaining({ gameId: 'NPWR1', progressA: 60, progressB: 20, leader: 'a' })]);
+        });
+
+        it('should count leads per player', () => {
+            expect(countLeads([{ leader: 'a' }, { leader: 'a' }, { leader: 'b' }, { leader: null }]))
+                .toEqual({ a: 2, b: 1, tied: 1 });
+        });
+    });
+
+    describe('compareGameTrophies', () => {
+        it('should line up earned status for both players', () => {
+            const comparison = compareGameTrophies(
+                [
+                    { trophyId: 0, trophyName: 'Platinum', trophyType: 'platinum', earned: false },
+                    { trophyId: 1, trophyName: 'First Steps', trophyType: 'bronze', earned: true },
+                    { trophyId: 2, trophyType: 'gold', earned: true }
+                ],
+                [
+                    { trophyId: 1, earned: true },
+                    { trophyId: 0, earned: true }
+                ]
+            );
+
+            expect(comparison.trophies).toEqual([
+                { trophyId: 0, trophyName: 'Platinum', trophyType: 'platinum', earnedA: false, earnedB: true },
+                { trophyId: 1, trophyName: 'First Steps', trophyType: 'bronze', earnedA: true, earnedB: true },
+                { trophyId: 2, trophyName: 'Hidden Trophy', trophyType: 'gold', earnedA: true, earnedB: false }
+            ]);
+            expect(comparison).toEqual(expect.objectContaining({ earnedA: 2, earnedB: 2, onlyA: 1, onlyB: 1 }));
+        });
+    });
+});
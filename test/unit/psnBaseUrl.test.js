@@ -0,0 +1,79 @@
+/**
+ * PSN Base URL Unit Tests
+ *
+ * Tests for pointing PSN requests at PSN_BASE_URL
+ */
+
+const { resolvePsnUrl, installFetchOverride } = require('../../src/utils/psnBaseUrl');
+
+describe('psnBaseUrl', () => {
+    afterEach(() => {
+        delete process.env.PSN_BASE_URL;
+    });
+
+    it('should leave URLs alone when PSN_BASE_URL is not set', () => {
+        const url = 'https://m.np.playstation.com/api/trophy/v1/users/123/trophySummary';
+
+        expect(resolvePsnUrl(url)).toBe(url);
+    });
+
+    it('should keep the path and query of PSN requests', () => {
+        process.env.PSN_BASE_URL = 'http://127.0.0.1:4000';
+
+        expect(resolvePsnUrl('https://m.np.playstation.com/api/trophy/v1/users/123/trophyTitles?limit=100&offset=0'))
+            .toBe('http://127.0.0.1:4000/api/trophy/v1/users/123/trophyTitles?limit=100&offset=0');
+        expect(resolvePsnUrl(new URL('https://web.np.playstation.com/api/graphql/v1/')))
+            .toBe('http://127.0.0.1:4000/api/graphql/v1/');
+    });
+
+    it('should prefix the base URL path', () => {
+        process.env.PSN_BASE_URL = 'http://localhost:4000/psn/';
+
+        expect(resolvePsnUrl('https://ca.account.sony.com/api/authz/v3/oauth/token'))
+            .toBe('http://localhost:4000/psn/api/authz/v3/oauth/token');
+    });
+
+    it('should not redirect other hosts', () => {
+        process.env.PSN_BASE_URL = 'http://127.0.0.1:4000';
+
+        expect(resolvePsnUrl('https://discord.com/api/v10/channels/1')).toBe('https://discord.com/api/v10/channels/1');
+    });
+
+    it('should use a base URL passed in over PSN_BASE_URL', () => {
+        process.env.PSN_BASE_URL = 'http://127.0.0.1:4000';
+
+        expect(resolvePsnUrl('https://m.np.playstation.com/api/search/v1/universalSearch', 'http://127.0.0.1:5000'))
+            .toBe('http://127.0.0.1:5000/api/search/v1/universalSearch');
+    });
+
+    describe('installFetchOverride', () => {
+        const originalFetch = global.fetch;
+
+        beforeEach(() => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: true });
+        });
+
+        afterAll(() => {
+            global.fetch = originalFetch;
+        });
+
+        it('should leave global fetch alone without a base URL', () => {
+            const fetch = global.fetch;
+
+            installFetchOverride(undefined);
+
+            expect(global.fetch).toBe(fetch);
+        });
+
+        it('should send PSN requests made through global fetch to the base URL', async () => {
+            const fetch = global.fetch;
+
+            installFetchOverride('http://127.0.0.1:4000');
+            await global.fetch('https://m.np.playstation.com/api/trophy/v1/users/123/trophySummary', { method: 'GET' });
+            await global.fetch('https://discord.com/api/v10/gateway');
+
+            expect(fetch).toHaveBeenCalledWith('http://127.0.0.1:4000/api/trophy/v1/users/123/trophySummary', { method: 'GET' });
+            expect(fetch).toHaveBeenCalledWith('https://discord.com/api/v10/gateway', undefined);
+        });
+    });
+});
@@ -0,0 +1,320 @@
+/**
+ * PSN Client Unit Tests
+ *
+ * Tests for the backend chain, fallback behaviour and the normalized
+ * data model returned by PsnClient
+ */
+
+const mockPublicApi = {
+    validateUsername: jest.fn(),
+    getUserTrophySummary: jest.fn(),
+    getUserGames: jest.fn(),
+    getAllUserGames: jest.fn(),
+    getGameTrophyGroups: jest.fn(),
+    getUserGameTrophies: jest.fn()
+};
+
+jest.mock('../../src/utils/publicPsnApi', () => jest.fn().mockImplementation(() => mockPublicApi));
+
+const PsnClient = require('../../src/utils/psnClient');
+const AuthenticatedBackend = require('../../src/utils/psnBackends/authenticatedBackend');
+const { CircuitBreaker } = require('../../src/utils/circuitBreaker');
+const recentPlayers = require('../../src/utils/recentPlayers');
+const { scheduleRequest } = require('../../src/utils/rateLimiter');
+const { PsnCircuitOpenError, PsnPrivateProfileError, PsnUnavailableError } = require('../../src/utils/psnErrors');
+
+describe('PsnClient', () => {
+    let mockLogger;
+
+    const backend = (name, methods) => ({ name, ...methods });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.PSN_BACKENDS;
+        mockLogger = createMockLogger();
+    });
+
+    describe('backend chain', () => {
+        it('should use the public backend by default', () => {
+            const client = new PsnClient(mockLogger);
+
+            expect(client.backends.map(b => b.name)).toEqual(['public']);
+        });
+
+        it('should build the chain from PSN_BACKENDS in order', () => {
+            process.env.PSN_BACKENDS = 'direct, public';
+
+            const client = new PsnClient(mockLogger);
+
+            expect(client.backends.map(b => b.name)).toEqual(['direct', 'public']);
+        });
+
+        it('should ignore unknown backend names', () => {
+            const client = new PsnClient(mockLogger, { backends: ['nope'] });
+
+            expect(client.backends.map(b => b.name)).toEqual(['public']);
+            expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown PSN backend "nope"'));
+        });
+    });
+
+    describe('fallback', () => {
+        it('should fall through to the next backend when one throws', async () => {
+            const first = backend('first', {
+                getUserTrophySummary: jest.fn().mockRejectedValue(new Error('HTTP 503'))
+            });
+            const second = backend('second', {
+                getUserTrophySummary: jest.fn().mockResolvedValue({ trophyLevel: 300 })
+            });
+            const client = new PsnClient(mockLogger, {
+                backends: [first, second],
+                retry: { retries: 0 }
+            });
+
+            const summary = await client.getUserTrophySummary('account123');
+
+            expect(summary).toEqual({ trophyLevel: 300 });
+            expect(second.getUserTrophySummary).toHaveBeenCalledWith('account123');
+            expect(mockLogger.warn).toHaveBeenCalledWith('PSN backend "first" failed getUserTrophySummary: HTTP 503');
+        });
+
+        it('should retry a transient failure on the same backend first', async () => {
+            const first = backend('first', {
+                getUserTrophySummary: jest.fn()
+                    .mockRejectedValueOnce(new Error('fetch failed'))
+                    .mockResolvedValueOnce({ trophyLevel: 300 })
+            });
+            const second = backend('second', { getUserTrophySummary: jest.fn() });
+            const sleep = jest.fn().mockResolvedValue();
+            const client = new PsnClient(mockLogger, { backends: [first, second], retry: { sleep } });
+
+            await expect(client.getUserTrophySummary('account123')).resolves.toEqual({ trophyLevel: 300 });
+            expect(sleep).toHaveBeenCalledTimes(1);
+            expect(second.getUserTrophySummary).not.toHaveBeenCalled();
+        });
+
+        it('should not fall through when a profile is private', async () => {
+            const first = backend('first', {
+                getUserGames: jest.fn().mockRejectedValue(new Error('Not permitted by access control'))
+            });
+            const second = backend('second', { getUserGames: jest.fn() });
+            const client = new PsnClient(mockLogger, { backends: [first, second] });
+
+            await expect(client.getUserGames('account123')).rejects.toBeInstanceOf(PsnPrivateProfileError);
+            expect(second.getUserGames).not.toHaveBeenCalled();
+        });
+
+        it('should throw typed errors', async () => {
+            const client = new PsnClient(mockLogger, {
+                backends: [backend('first', { searchUsers: jest.fn().mockRejectedValue(new Error('Service Unavailable')) })],
+                retry: { retries: 0 }
+            });
+
+            await expect(client.searchUsers('Test')).rejects.toBeInstanceOf(PsnUnavailableError);
+        });
+
+        it('should skip backends that do not support a request', async () => {
+            const first = backend('first', {});
+            const second = backend('second', {
+                getAllUserGames: jest.fn().mockResolvedValue([])
+            });
+            const client = new PsnClient(mockLogger, { backends: [first, second] });
+
+            await expect(client.getAllUserGames('account123')).resolves.toEqual([]);
+        });
+
+        it('should treat "not found" as an answer', async () => {
+            const first = backend('first', { validateUsername: jest.fn().mockResolvedValue(null) });
+            const second = backend('second', { validateUsername: jest.fn() });
+            const client = new PsnClient(mockLogger, { backends: [first, second] });
+
+            await expect(client.validateUsername('Nobody')).resolves.toBeNull();
+            expect(second.validateUsername).not.toHaveBeenCalled();
+        });
+
+        it('should throw the last error when every backend fails', async () => {
+            const client = new PsnClient(mockLogger, {
+                backends: [
+                    backend('first', { searchUsers: jest.fn().mockRejectedValue(new Error('first down')) }),
+                    backend('second', { searchUsers: jest.fn().mockRejectedValue(new Error('second down')) })
+                ]
+            });
+
+            await expect(client.searchUsers('Test')).rejects.toThrow('second down');
+        });
+
+        it('should throw when no backend supports a request', async () => {
+            const client = new PsnClient(mockLogger, { backends: [backend('first', {})] });
+
+            await expect(client.getGameTrophies('NPWR00001_00')).rejects.toThrow('No PSN backend supports getGameTrophies');
+        });
+
+        it('should tell whether any backend supports a request', () => {
+            const client = new PsnClient(mockLogger, {
+                backends: [backend('first', {}), backend('second', { getUserProfile: jest.fn() })]
+            });
+
+            expect(client.supports('getUserProfile')).toBe(true);
+            expect(new PsnClient(mockLogger).supports('getUserProfile')).toBe(false);
+        });
+    });
+
+    describe('rate limiting', () => {
+        it('should schedule each HTTP call under the client priority', async () => {
+            const rateLimiter = { schedule: jest.fn((priority, task) => task()) };
+            // Two HTTP calls per search, like a lookup that falls back
+            const searchUsers = jest.fn(async () => {
+                await scheduleRequest(() => Promise.resolve([]));
+                return scheduleRequest(() => Promise.resolve([]));
+            });
+            const client = new PsnClient(mockLogger, {
+                priority: 'background',
+                rateLimiter,
+                backends: [backend('stub', { searchUsers })]
+            });
+
+            await client.searchUsers('Test');
+            await client.withPriority('interactive').searchUsers('Test');
+
+            expect(rateLimiter.schedule.mock.calls.map(([priority]) => priority))
+                .toEqual(['background', 'background', 'interactive', 'interactive']);
+            expect(client.priority).toBe('background');
+        });
+    });
+
+    describe('circuit breaker', () => {
+        it('should count a request failed by every backend as one outage failure', async () => {
+            const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+            const down = () => backend('down', { searchUsers: jest.fn().mockRejectedValue(new Error('fetch failed')) });
+            const client = new PsnClient(mockLogger, {
+                backends: [down(), down()],
+                retry: { retries: 0 },
+                circuitBreaker
+            });
+
+            await expect(client.searchUsers('Test')).rejects.toBeInstanceOf(PsnUnavailableError);
+            expect(client.isAvailable()).toBe(true);
+
+            await expect(client.searchUsers('Test')).rejects.toBeInstanceOf(PsnUnavailableError);
+            expect(client.isAvailable()).toBe(false);
+
+            await expect(client.searchUsers('Test')).rejects.toBeInstanceOf(PsnCircuitOpenError);
+            expect(client.backends[0].searchUsers).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('normalized data', () => {
+        it('should normalize profiles and drop results without an account ID', async () => {
+            mockPublicApi.validateUsername.mockResolvedValue({ accountId: 123, onlineId: 'TestPlayer' });
+            const client = new PsnClient(mockLogger);
+
+            await expect(client.validateUsername('testplayer')).resolves.toEqual({
+                accountId: '123',
+                onlineId: 'TestPlayer',
+                avatarUrl: null
+            });
+
+            mockPublicApi.validateUsername.mockResolvedValue({ accountId: null, onlineId: 'TestPlayer' });
+            await expect(client.validateUsername('testplayer')).resolves.toBeNull();
+        });
+
+        it('should read About Me from the authenticated backend', async () => {
+            const authenticated = new AuthenticatedBackend(mockLogger, { npsso: 'npsso' });
+            authenticated.getAccessToken = jest.fn().mockResolvedValue('token');
+            authenticated.api.getUserProfile = jest.fn().mockResolvedValue({
+                accountId: 123,
+                onlineId: 'TestPlayer',
+                avatarUrl: null,
+                aboutMe: 'Platinum hunter PSNBOT-7KQ2XM'
+            });
+            const client = new PsnClient(mockLogger, { backends: ['public', authenticated] });
+
+            await expect(client.getUserProfile('123')).resolves.toEqual({
+                accountId: '123',
+                onlineId: 'TestPlayer',
+                avatarUrl: null,
+                aboutMe: 'Platinum hunter PSNBOT-7KQ2XM'
+            });
+            expect(authenticated.api.getUserProfile).toHaveBeenCalledWith('token', '123');
+        });
+
+        it('should remember accounts found by name for autocomplete', async () => {
+            recentPlayers.clear();
+            mockPublicApi.validateUsername.mockResolvedValueOnce({ accountId: 123, onlineId: 'TestPlayer' });
+            mockPublicApi.validateUsername.mockResolvedValueOnce(null);
+            const client = new PsnClient(mockLogger, { lookupScope: 'guild1' });
+
+            await client.validateUsername('testplayer');
+            await client.validateUsername('nobody');
+            await new PsnClient(mockLogger).validateUsername('testplayer');
+
+            expect(recentPlayers.list('guild1')).toEqual([{ accountId: '123', onlineId: 'TestPlayer' }]);
+            expect(recentPlayers.list('guild2')).toEqual([]);
+        });
+
+        it('should fill in titles with service name and complete trophy counts', async () => {
+            mockPublicApi.getAllUserGames.mockResolvedValue([{
+                npCommunicationId: 'NPWR20000_00',
+                trophyTitleName: 'PS5 Game',
+                trophyTitlePlatform: 'PS5',
+                earnedTrophies: { gold: 2 }
+            }]);
+            const client = new PsnClient(mockLogger);
+
+            const [title] = await client.getAllUserGames('account123');
+
+            expect(title).toEqual(expect.objectContaining({
+                npCommunicationId: 'NPWR20000_00',
+                npServiceName: 'trophy2',
+                earnedTrophies: { bronze: 0, silver: 0, gold: 2, platinum: 0 },
+                definedTrophies: { bronze: 0, silver: 0, gold: 0, platinum: 0 },
+                progress: 0
+            }));
+        });
+
+        it('should normalize trophy groups', async () => {
+            mockPublicApi.getGameTrophyGroups.mockResolvedValue({
+                trophyTitleName: 'DLC Game',
+                trophyGroups: [
+                    { trophyGroupId: 'default', definedTrophies: { platinum: 1, gold: 4 } },
+                    { trophyGroupId: '001', trophyGroupName: 'The Old Hunters' }
+                ]
+            });
+            const client = new PsnClient(mockLogger);
+
+            const groups = await client.getGameTrophyGroups('NPWR20000_00', 'PS4');
+
+            expect(mockPublicApi.getGameTrophyGroups).toHaveBeenCalledWith('NPWR20000_00', 'PS4');
+            expect(groups.trophyTitleName).toBe('DLC Game');
+            expect(groups.trophyGroups).toEqual([
+                expect.objectContaining({
+                    trophyGroupId: 'default',
+                    trophyGroupName: 'Base Game',
+                    definedTrophies: { bronze: 0, silver: 0, gold: 4, platinum: 1 }
+                }),
+                expect.objectContaining({ trophyGroupId: '001', trophyGroupName: 'The Old Hunters' })
+            ]);
+        });
+
+        it('should compose detailed stats from any backend', async () => {
+            const client = new PsnClient(mockLogger, {
+                backends: [backend('stub', {
+                    getUserTrophySummary: jest.fn().mockResolvedValue({ trophyLevel: 10 }),
+                    getUserGames: jest.fn().mockResolvedValue([
+                        { progress: 100, earnedTrophies: { platinum: 1 } },
+                        { progress: 50, earnedTrophies: { platinum: 0 } }
+                    ])
+                })]
+            });
+
+            const stats = await client.getDetailedTrophyStats('account123');
+
+            expect(stats.trophyLevel).toBe(10);
+            expect(stats.gameStats).toEqual(expect.objectContaining({
+                totalGames: 2,
+                completedGames: 1,
+                gamesWithPlatinum: 1,
+                averageCompletion: 75
+            }));
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * PSN Errors Unit Tests
+ *
+ * Tests for classifying raw PSN failures into typed errors
+ */
+
+const {
+    PsnError,
+    PsnNotFoundError,
+    PsnPrivateProfileError,
+    PsnRateLimitedError,
+    PsnUnavailableError,
+    PsnTimeoutError,
+    parseRetryAfter,
+    toPsnError,
+    assertPsnResponse
+} = require('../../src/utils/psnErrors');
+
+describe('psnErrors', () => {
+    describe('toPsnError', () => {
+        it.each([
+            ['Resource not found', PsnNotFoundError],
+            ['Not permitted by access control', PsnPrivateProfileError],
+            ['Too Many Requests', PsnRateLimitedError],
+            ['fetch failed', PsnUnavailableError],
+            ['PSN API request timed out after 30000ms', PsnTimeoutError],
+            ['Something odd', PsnError]
+        ])('should classify psn-api message "%s"', (message, ErrorClass) => {
+            const error = toPsnError(new Error(message));
+
+            expect(error).toBeInstanceOf(ErrorClass);
+            expect(error.constructor).toBe(ErrorClass);
+        });
+
+        it.each([
+            [404, PsnNotFoundError],
+            [403, PsnPrivateProfileError],
+            [429, PsnRateLimitedError],
+            [503, PsnUnavailableError]
+        ])('should classify HTTP status %i', (statusCode, ErrorClass) => {
+            const error = toPsnError(Object.assign(new Error('HTTP error'), { statusCode }));
+
+            expect(error).toBeInstanceOf(ErrorClass);
+            expect(error.statusCode).toBe(statusCode);
+        });
+
+        it('should classify network error codes as unavailable', () => {
+            const error = toPsnError(Object.assign(new Error('read failed'), { code: 'ECONNRESET' }));
+
+            expect(error).toBeInstanceOf(PsnUnavailableError);
+            expect(error.retryable).toBe(true);
+        });
+
+        it('should prefix context and keep the original error', () => {
+            const cause = new Error('Resource not found');
+
+            const error = toPsnError(cause, 'Failed to fetch user games');
+
+            expect(error.message).toBe('Failed to fetch user games: Resource not found');
+            expect(error.cause).toBe(cause);
+            expect(error.name).toBe('PsnNotFoundError');
+        });
+
+        it('should keep the type of an error that is already typed', () => {
+            const original = new PsnRateLimitedError('Too Many Requests', { retryAfterMs: 5000 });
+
+            expect(toPsnError(original)).toBe(original);
+
+            const wrapped = toPsnError(original, 'Failed to fetch trophy summary');
+            expect(wrapped).toBeInstanceOf(PsnRateLimitedError);
+            expect(wrapped.retryAfterMs).toBe(5000);
+        });
+
+        it('should read Retry-After for rate limits', () => {
+            const error = toPsnError(Object.assign(new Error('HTTP 429'), { statusCode: 429, retryAfter: '30' }));
+
+            expect(error.retryAfterMs).toBe(30000);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('should parse seconds and HTTP dates', () => {
+            const now = Date.parse('2024-01-01T00:00:00Z');
+
+            expect(parseRetryAfter('120', now)).toBe(120000);
+            expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now)).toBe(10000);
+        });
+
+        it('should ignore missing or invalid values', () => {
+            expect(parseRetryAfter(undefined)).toBeNull();
+            expect(parseRetryAfter('')).toBeNull();
+            expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+
+    describe('assertPsnResponse', () => {
+        it('should throw error bodies psn-api returns as data', () => {
+            const response = { error: { code: 2240526, message: 'Not permitted by access control' } };
+
+            expect(() => assertPsnResponse(response)).toThrow(PsnPrivateProfileError);
+        });
+
+        it('should return other responses unchanged', () => {
+            const response = { trophyTitles: [] };
+
+            expect(assertPsnResponse(response)).toBe(response);
+        });
+    });
+
+    it('should only mark transient failures as retryable', () => {
+        expect(new PsnRateLimitedError('x').retryable).toBe(true);
+        expect(new PsnUnavailableError('x').retryable).toBe(true);
+        expect(new PsnTimeoutError('x').retryable).toBe(true);
+        expect(new PsnNotFoundError('x').retryable).toBe(false);
+        expect(new PsnPrivateProfileError('x').retryable).toBe(false);
+        expect(new PsnError('x').retryable).toBe(false);
+    });
+});
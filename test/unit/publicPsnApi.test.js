@@ -6,11 +6,14 @@
  */
 
 const PublicPSNApi = require('../../src/utils/publicPsnApi');
+const { PsnUnavailableError } = require('../../src/utils/psnErrors');
+const { withBudget } = require('../../src/utils/rateLimiter');
 const {
     getUserTitles,
     getTitleTrophies,
     getTitleTrophyGroups,
     getUserTrophyProfileSummary,
+    getUserTrophiesEarnedForTitle,
     makeUniversalSearch
 } = require('psn-api');
 
@@ -112,6 +115,13 @@ describe('PublicPSNApi', () => {
             expect(mockLogger.error).toHaveBeenCalledWith('PSN username validation failed:', 'PSN API error');
         });
         
+        it('should not report a user as missing when PSN search is unavailable', async () => {
+            makeUniversalSearch.mockRejectedValue(new Error('fetch failed'));
+            getUserTrophyProfileSummary.mockRejectedValue(new Error('Bad Request'));
+            
+            await expect(psnApi.validateUsername('TestPlayer')).rejects.toBeInstanceOf(PsnUnavailableError);
+        });
+        
         it('should handle timeout', async () => {
             const timeoutPromise = new Promise((resolve) => {
                 setTimeout(() => resolve([]), 100); // Short delay for test
@@ -223,6 +233,45 @@ describe('PublicPSNApi', () => {
         });
     });
     
+    describe('getAllUserGames', () => {
+        it('should follow nextOffset until the last page', async () => {
+            getUserTitles
+                .mockResolvedValueOnce({
+                    trophyTitles: [{ npCommunicationId: 'NPWR00001_00', trophyTitleName: 'Page One' }],
+                    totalItemCount: 2,
+                    nextOffset: 1
+                })
+                .mockResolvedValueOnce({
+                    trophyTitles: [{ npCommunicationId: 'NPWR00002_00', trophyTitleName: 'Page Two' }],
+                    totalItemCount: 2
+                });
+
+            const result = await psnApi.getAllUserGames('123456789', 1);
+
+            expect(getUserTitles).toHaveBeenCalledTimes(2);
+            expect(getUserTitles).toHaveBeenLastCalledWith({}, '123456789', { limit: 1, offset: 1 });
+            expect(result.map(game => game.trophyTitleName)).toEqual(['Page One', 'Page Two']);
+            expect(result[0].earnedTrophies).toEqual({});
+        });
+
+        it('should spend one rate limit token per page', async () => {
+            const limiter = { schedule: jest.fn((priority, task) => task()) };
+            getUserTitles
+                .mockResolvedValueOnce({ trophyTitles: [{ npCommunicationId: 'NPWR00001_00' }], totalItemCount: 2, nextOffset: 1 })
+                .mockResolvedValueOnce({ trophyTitles: [{ npCommunicationId: 'NPWR00002_00' }], totalItemCount: 2 });
+
+            await withBudget(limiter, 'background', () => psnApi.getAllUserGames('123456789', 1));
+
+            expect(limiter.schedule.mock.calls.map(([priority]) => priority)).toEqual(['background', 'background']);
+        });
+
+        it('should handle API errors', async () => {
+            getUserTitles.mockRejectedValue(new Error('Games API error'));
+
+            await expect(psnApi.getAllUserGames('123456789')).rejects.toThrow('Failed to fetch user games: Games API error');
+        });
+    });
+
     describe('getGameTrophies', () => {
         it('should return formatted game trophies', async () => {
             const mockTrophies = {
@@ -286,6 +335,131 @@ describe('PublicPSNApi', () => {
         });
     });
     
+    describe('getUserGameTrophies', () => {
+        it('should merge earned status into trophy definitions', async () => {
+            getUserTrophiesEarnedForTitle.mockResolvedValue({
+                trophies: [
+                    { trophyId: 1, trophyType: 'gold', earned: true, earnedDateTime: '2024-01-02T03:04:05Z', trophyRare: 2 },
+                    { trophyId: 2, trophyType: 'bronze', earned: false }
+                ]
+            });
+            getTitleTrophies.mockResolvedValue({
+                trophyTitleName: 'Test Game',
+                trophies: [
+                    { trophyId: 1, trophyType: 'gold', trophyName: 'Golden', trophyDetail: 'Win', trophyIconUrl: 'gold.png' },
+                    { trophyId: 2, trophyType: 'bronze', trophyName: 'Bronzed', trophyDetail: 'Play' }
+                ]
+            });
+            
+            const result = await psnApi.getUserGameTrophies('account123', 'NPWR00001_00');
+            
+            expect(getUserTrophiesEarnedForTitle).toHaveBeenCalledWith(
+                {},
+                'account123',
+                'NPWR00001_00',
+                'all',
+                { npServiceName: 'trophy' }
+            );
+            expect(result).toHaveLength(2);
+            expect(result[0]).toEqual(expect.objectContaining({
+                trophyId: 1,
+                trophyName: 'Golden',
+                trophyIconUrl: 'gold.png',
+                earned: true,
+                earnedDateTime: '2024-01-02T03:04:05Z'
+            }));
+            expect(result[1]).toEqual(expect.objectContaining({
+                trophyName: 'Bronzed',
+                earned: false,
+                earnedDateTime: null
+            }));
+        });
+        
+        it('should use the trophy2 service for PS5 titles', async () => {
+            getUserTrophiesEarnedForTitle.mockResolvedValue({ trophies: [] });
+            getTitleTrophies.mockResolvedValue({ trophies: [] });
+            
+            await psnApi.getUserGameTrophies('account123', 'NPWR20000_00', 'all', 'PS5');
+            
+            expect(getUserTrophiesEarnedForTitle).toHaveBeenCalledWith(
+                {},
+                'account123',
+                'NPWR20000_00',
+                'all',
+                { npServiceName: 'trophy2' }
+            );
+            expect(getTitleTrophies).toHaveBeenCalledWith(
+                {},
+                'NPWR20000_00',
+                'all',
+                { npServiceName: 'trophy2' }
+            );
+        });
+        
+        it('should throw a descriptive error when the request fails', async () => {
+            getUserTrophiesEarnedForTitle.mockRejectedValue(new Error('Resource not found'));
+            getTitleTrophies.mockResolvedValue({ trophies: [] });
+            
+            await expect(psnApi.getUserGameTrophies('account123', 'NPWR00001_00'))
+                .rejects.toThrow('Failed to fetch user game trophies: Resource not found');
+        });
+
+        describe('with a trophy cache', () => {
+            let trophyCache;
+
+            beforeEach(() => {
+                trophyCache = {
+                    getGameTrophies: jest.fn((npCommunicationId, fetch) => fetch())
+                };
+                psnApi = new PublicPSNApi(mockLogger, { trophyCache });
+            });
+
+            it('should read definitions through the cache', async () => {
+                const cached = { trophies: [{ trophyId: 1, trophyName: 'Golden' }] };
+                trophyCache.getGameTrophies.mockResolvedValue(cached);
+                getUserTrophiesEarnedForTitle.mockResolvedValue({ trophies: [{ trophyId: 1, earned: true }] });
+
+                const result = await psnApi.getUserGameTrophies('account123', 'NPWR00001_00');
+
+                expect(trophyCache.getGameTrophies).toHaveBeenCalledWith('NPWR00001_00', expect.any(Function), {});
+                expect(getTitleTrophies).not.toHaveBeenCalled();
+                expect(result[0].trophyName).toBe('Golden');
+            });
+
+            it('should refresh cached definitions missing an earned trophy', async () => {
+                trophyCache.getGameTrophies
+                    .mockResolvedValueOnce({ trophies: [{ trophyId: 1, trophyName: 'Golden' }] })
+                    .mockImplementationOnce((npCommunicationId, fetch) => fetch());
+                getUserTrophiesEarnedForTitle.mockResolvedValue({
+                    trophies: [{ trophyId: 1, earned: true }, { trophyId: 2, earned: true }]
+                });
+                getTitleTrophies.mockResolvedValue({
+                    trophies: [
+                        { trophyId: 1, trophyName: 'Golden' },
+                        { trophyId: 2, trophyName: 'Expansion Pass' }
+                    ]
+                });
+
+                const result = await psnApi.getUserGameTrophies('account123', 'NPWR00001_00');
+
+                expect(trophyCache.getGameTrophies).toHaveBeenLastCalledWith(
+                    'NPWR00001_00',
+                    expect.any(Function),
+                    { refresh: true }
+                );
+                expect(result[1].trophyName).toBe('Expansion Pass');
+            });
+
+            it('should not cache single trophy groups', async () => {
+                getTitleTrophies.mockResolvedValue({ trophies: [] });
+
+                await psnApi.getGameTrophies('NPWR00001_00', '001');
+
+                expect(trophyCache.getGameTrophies).not.toHaveBeenCalled();
+            });
+        });
+    });
+    
     describe('searchUsers', () => {
         it('should return formatted search results', async () => {
             const mockResults = [
@@ -0,0 +1,121 @@
+/**
+ * Rate Limiter Unit Tests
+ *
+ * Tests for the shared PSN request budget: token refill, queueing and
+ * interactive priority over background polling
+ */
+
+const { RateLimiter } = jest.requireActual('../../src/utils/rateLimiter');
+
+describe('RateLimiter', () => {
+    let now;
+    const clock = () => now;
+
+    // 60 per minute = one token per second
+    const createLimiter = (budgets) => new RateLimiter({
+        now: clock,
+        budgets: {
+            total: { perMinute: 60, burst: 2 },
+            interactive: { perMinute: 60, burst: 2 },
+            background: { perMinute: 60, burst: 2 },
+            ...budgets
+        }
+    });
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+        now = 0;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    const advance = async (ms) => {
+        now += ms;
+        jest.advanceTimersByTime(ms);
+        await flush();
+    };
+
+    it('should run requests immediately while budget remains', async () => {
+        const limiter = createLimiter();
+
+        await expect(limiter.schedule('interactive', () => 'ok')).resolves.toBe('ok');
+        expect(limiter.getQueueLengths()).toEqual({ interactive: 0, background: 0 });
+    });
+
+    it('should queue requests once the budget is spent', async () => {
+        const limiter = createLimiter();
+        const task = jest.fn().mockResolvedValue('done');
+
+        const results = [1, 2, 3].map(() => limiter.schedule('background', task));
+        await flush();
+
+        expect(task).toHaveBeenCalledTimes(2);
+        expect(limiter.getQueueLengths().background).toBe(1);
+
+        await advance(1000);
+
+        expect(task).toHaveBeenCalledTimes(3);
+        await expect(Promise.all(results)).resolves.toEqual(['done', 'done', 'done']);
+    });
+
+    it('should give queued interactive requests priority over background ones', async () => {
+        const limiter = createLimiter({ total: { perMinute: 60, burst: 1 } });
+        const order = [];
+
+        limiter.schedule('background', () => order.push('background 1'));
+        limiter.schedule('background', () => order.push('background 2'));
+        limiter.schedule('interactive', () => order.push('interactive'));
+        await flush();
+
+        await advance(1000);
+        await advance(1000);
+
+        expect(order).toEqual(['background 1', 'interactive', 'background 2']);
+    });
+
+    it('should keep separate budgets per priority', async () => {
+        const limiter = createLimiter({
+            total: { perMinute: 60, burst: 5 },
+            background: { perMinute: 60, burst: 1 }
+        });
+        const background = jest.fn();
+        const interactive = jest.fn();
+
+        limiter.schedule('background', background);
+        limiter.schedule('background', background);
+        limiter.schedule('interactive', interactive);
+        await flush();
+
+        expect(background).toHaveBeenCalledTimes(1);
+        expect(interactive).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pass task errors to the caller', async () => {
+        const limiter = createLimiter();
+
+        await expect(limiter.schedule('interactive', () => {
+            throw new Error('HTTP 429');
+        })).rejects.toThrow('HTTP 429');
+    });
+
+    it('should reject unknown priorities', async () => {
+        const limiter = createLimiter();
+
+        await expect(limiter.schedule('urgent', jest.fn())).rejects.toThrow('Unknown rate limit priority: urgent');
+    });
+
+    it('should read budgets from the environment', () => {
+        process.env.PSN_BACKGROUND_RATE_LIMIT = '12';
+
+        try {
+            const limiter = new RateLimiter({ now: clock });
+            expect(limiter.buckets.background.ratePerMs).toBeCloseTo(12 / 60000);
+        } finally {
+            delete process.env.PSN_BACKGROUND_RATE_LIMIT;
+        }
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Retry Policy Unit Tests
+ *
+ * Tests for retrying PSN requests with backoff, jitter and Retry-After
+ */
+
+const { getRetryDelay, withRetry, RETRY_POLICIES } = require('../../src/utils/retryPolicy');
+const {
+    PsnNotFoundError,
+    PsnRateLimitedError,
+    PsnUnavailableError
+} = require('../../src/utils/psnErrors');
+
+describe('retryPolicy', () => {
+    const policy = { retries: 3, baseDelayMs: 1000, maxDelayMs: 8000, random: () => 1 };
+
+    describe('getRetryDelay', () => {
+        it('should double the delay on each attempt up to the maximum', () => {
+            const error = new PsnUnavailableError('down');
+
+            expect([0, 1, 2, 3, 4].map(attempt => getRetryDelay(attempt, error, policy)))
+                .toEqual([1000, 2000, 4000, 8000, 8000]);
+        });
+
+        it('should add jitter between half and the full backoff', () => {
+            const error = new PsnUnavailableError('down');
+
+            expect(getRetryDelay(1, error, { ...policy, random: () => 0 })).toBe(1000);
+            expect(getRetryDelay(1, error, { ...policy, random: () => 0.5 })).toBe(1500);
+        });
+
+        it('should honour Retry-After within the maximum delay', () => {
+            expect(getRetryDelay(0, new PsnRateLimitedError('slow down', { retryAfterMs: 6000 }), policy)).toBe(6000);
+            expect(getRetryDelay(0, new PsnRateLimitedError('slow down', { retryAfterMs: 60000 }), policy)).toBeNull();
+        });
+    });
+
+    describe('withRetry', () => {
+        let sleep;
+
+        beforeEach(() => {
+            sleep = jest.fn().mockResolvedValue();
+        });
+
+        it('should return the first successful result', async () => {
+            const request = jest.fn()
+                .mockRejectedValueOnce(new Error('fetch failed'))
+                .mockResolvedValueOnce('ok');
+            const onRetry = jest.fn();
+
+            await expect(withRetry(request, { ...policy, sleep, onRetry })).resolves.toBe('ok');
+            expect(request).toHaveBeenCalledTimes(2);
+            expect(sleep).toHaveBeenCalledWith(1000);
+            expect(onRetry).toHaveBeenCalledWith(expect.any(PsnUnavailableError), 1, 1000);
+        });
+
+        it('should not retry permanent failures', async () => {
+            const request = jest.fn().mockRejectedValue(new Error('Resource not found'));
+
+            await expect(withRetry(request, { ...policy, sleep })).rejects.toBeInstanceOf(PsnNotFoundError);
+            expect(request).toHaveBeenCalledTimes(1);
+            expect(sleep).not.toHaveBeenCalled();
+        });
+
+        it('should give up after the configured retries', async () => {
+            const request = jest.fn().mockRejectedValue(new Error('Service Unavailable'));
+
+            await expect(withRetry(request, { ...policy, retries: 2, sleep })).rejects.toBeInstanceOf(PsnUnavailableError);
+            expect(request).toHaveBeenCalledTimes(3);
+        });
+
+        it('should fail immediately when Retry-After exceeds the policy', async () => {
+            const request = jest.fn().mockRejectedValue(
+                new PsnRateLimitedError('Too Many Requests', { retryAfterMs: 120000 })
+            );
+
+            await expect(withRetry(request, { priority: 'interactive', sleep })).rejects.toBeInstanceOf(PsnRateLimitedError);
+            expect(request).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry background requests more patiently than interactive ones', () => {
+            expect(RETRY_POLICIES.background.retries).toBeGreaterThan(RETRY_POLICIES.interactive.retries);
+            expect(RETRY_POLICIES.background.maxDelayMs).toBeGreaterThan(RETRY_POLICIES.interactive.maxDelayMs);
+        });
+    });
+});
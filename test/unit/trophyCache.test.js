@@ -0,0 +1,148 @@
+/**
+ * Trophy Cache Unit Tests
+ *
+ * Tests for serving, refreshing and invalidating cached trophy definitions
+ */
+
+const { TrophyCache } = require('../../src/utils/trophyCache');
+const { scheduleRequest } = require('../../src/utils/rateLimiter');
+
+describe('TrophyCache', () => {
+    const GAME_ID = 'NPWR20188_00';
+    const definitions = { trophyTitleName: "Astro's Playroom", trophies: [{ trophyId: 0 }] };
+
+    let now;
+    let cache;
+    let fetch;
+    let mockDatabase;
+    let mockLogger;
+    let mockRateLimiter;
+
+    const cachedRow = (expiresAt) => ({
+        trophy_data: JSON.stringify(definitions),
+        cached_at: 1700000000,
+        expires_at: expiresAt
+    });
+
+    beforeEach(() => {
+        now = 1700000000000;
+        fetch = jest.fn().mockResolvedValue(definitions);
+
+        mockDatabase = createMockDatabase();
+        mockDatabase.getCachedTrophies = jest.fn().mockResolvedValue(undefined);
+        mockDatabase.saveCachedTrophies = jest.fn().mockResolvedValue({ changes: 1 });
+        mockDatabase.deleteCachedTrophies = jest.fn().mockResolvedValue({ changes: 1 });
+        mockLogger = createMockLogger();
+        mockRateLimiter = { schedule: jest.fn((priority, task) => task()) };
+
+        cache = new TrophyCache({
+            database: mockDatabase,
+            logger: mockLogger,
+            ttlSeconds: 3600,
+            rateLimiter: mockRateLimiter,
+            now: () => now
+        });
+    });
+
+    it('should serve fresh entries without fetching', async () => {
+        mockDatabase.getCachedTrophies.mockResolvedValue(cachedRow(1700003600));
+
+        await expect(cache.getGameTrophies(GAME_ID, fetch)).resolves.toEqual(definitions);
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(cache.stats).toEqual({ hits: 1, staleHits: 0, misses: 0 });
+    });
+
+    it('should fetch and store definitions on a miss', async () => {
+        await expect(cache.getGameTrophies(GAME_ID, fetch)).resolves.toEqual(definitions);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(mockDatabase.saveCachedTrophies).toHaveBeenCalledWith({
+            npCommunicationId: GAME_ID,
+            gameTitle: "Astro's Playroom",
+            trophyData: JSON.stringify(definitions),
+            expiresAt: 1700003600
+        });
+        expect(cache.stats.misses).toBe(1);
+    });
+
+    it('should serve stale entries and refresh them in the background', async () => {
+        mockDatabase.getCachedTrophies.mockResolvedValue(cachedRow(1699999999));
+        fetch.mockImplementation(() => scheduleRequest(() => Promise.resolve(definitions)));
+
+        await expect(cache.getGameTrophies(GAME_ID, fetch)).resolves.toEqual(definitions);
+        await new Promise(setImmediate);
+
+        expect(mockRateLimiter.schedule).toHaveBeenCalledWith('background', expect.any(Function));
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(mockDatabase.saveCachedTrophies).toHaveBeenCalled();
+        expect(cache.stats.staleHits).toBe(1);
+    });
+
+    it('should log failed background refreshes', async () => {
+        mockDatabase.getCachedTrophies.mockResolvedValue(cachedRow(1699999999));
+        fetch.mockRejectedValue(new Error('PSN unavailable'));
+
+        await expect(cache.getGameTrophies(GAME_ID, fetch)).resolves.toEqual(definitions);
+        await new Promise(setImmediate);
+
+        expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('PSN unavailable'));
+    });
+
+    it('should bypass the cached entry when asked to refresh', async () => {
+        mockDatabase.getCachedTrophies.mockResolvedValue(cachedRow(1700003600));
+
+        await cache.getGameTrophies(GAME_ID, fetch, { refresh: true });
+
+        expect(mockDatabase.getCachedTrophies).not.toHaveBeenCalled();
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should share one fetch between concurrent misses', async () => {
+        const results = await Promise.all([
+            cache.getGameTrophies(GAME_ID, fetch),
+            cache.getGameTrophies(GAME_ID, fetch)
+        ]);
+
+        expect(results).toEqual([definitions, definitions]);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(cache.inFlight.size).toBe(0);
+    });
+
+    it('should fall back to PSN when the cache cannot be read or written', async () => {
+        mockDatabase.getCachedTrophies.mockRejectedValue(new Error('SQLITE_BUSY'));
+        mockDatabase.saveCachedTrophies.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+        await expect(cache.getGameTrophies(GAME_ID, fetch)).resolves.toEqual(definitions);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(mockLogger.debug).toHaveBeenCalledWith(expect.stringContaining('read failed'));
+        expect(mockLogger.debug).toHaveBeenCalledWith(expect.stringContaining('write failed'));
+    });
+
+    it('should invalidate single entries and clear the cache', async () => {
+        await expect(cache.invalidate(GAME_ID)).resolves.toBe(true);
+        expect(mockDatabase.deleteCachedTrophies).toHaveBeenCalledWith(GAME_ID);
+
+        mockDatabase.deleteCachedTrophies.mockResolvedValue({ changes: 0 });
+        await expect(cache.invalidate('NPWR00000_00')).resolves.toBe(false);
+
+        mockDatabase.deleteCachedTrophies.mockResolvedValue({ changes: 4 });
+        await expect(cache.clear()).resolves.toBe(4);
+        expect(mockDatabase.deleteCachedTrophies).toHaveBeenLastCalledWith();
+    });
+
+    it('should report cache size with hit counts', async () => {
+        mockDatabase.get.mockResolvedValue({ entries: 5, staleEntries: 2 });
+        cache.stats.hits = 3;
+
+        await expect(cache.getStats()).resolves.toEqual({
+            entries: 5,
+            staleEntries: 2,
+            hits: 3,
+            staleHits: 0,
+            misses: 0
+        });
+        expect(mockDatabase.get).toHaveBeenCalledWith(expect.stringContaining('FROM trophy_cache'), [1700000000]);
+    });
+});
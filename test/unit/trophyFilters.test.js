@@ -0,0 +1,71 @@
+/**
+ * Trophy Filters Unit Tests
+ *
+ * Tests for merging a player's progress into a trophy list and the
+ * /game group and filter menus
+ */
+
+const { FILTERS, mergeProgress, filterTrophies } = require('../../src/utils/trophyFilters');
+
+describe('Trophy Filters', () => {
+    // PSN's game definitions carry no rarity; the player's list does
+    const trophies = [
+        { trophyId: 0, trophyType: 'platinum', trophyGroupId: 'default' },
+        { trophyId: 1, trophyType: 'bronze', trophyGroupId: 'default' },
+        { trophyId: 2, trophyType: 'gold', trophyGroupId: '001' }
+    ];
+
+    describe('mergeProgress', () => {
+        it('should copy earned status by trophy ID', () => {
+            const merged = mergeProgress(trophies, [
+                { trophyId: 1, earned: true, earnedDateTime: '2024-01-01T00:00:00Z' },
+                { trophyId: 2, earned: false }
+            ]);
+
+            expect(merged.map(trophy => trophy.earned)).toEqual([false, true, false]);
+            expect(merged[1].earnedDateTime).toBe('2024-01-01T00:00:00Z');
+        });
+
+        it('should take rarity from the player\'s trophies', () => {
+            const merged = mergeProgress(trophies, [
+                { trophyId: 1, earned: true, trophyRare: 3, trophyEarnedRate: '95.2' }
+            ]);
+
+            expect(merged[1]).toMatchObject({ trophyRare: 3, trophyEarnedRate: '95.2' });
+            expect(merged[0]).toMatchObject({ trophyRare: null, trophyEarnedRate: null });
+        });
+
+        it('should leave definitions untouched without progress', () => {
+            expect(mergeProgress(trophies, null)).toBe(trophies);
+        });
+    });
+
+    describe('filterTrophies', () => {
+        const earned = mergeProgress(trophies, [
+            { trophyId: 0, earned: false, trophyRare: 0 },
+            { trophyId: 1, earned: false, trophyRare: 3 },
+            { trophyId: 2, earned: true, trophyRare: 1 }
+        ]);
+        const ids = list => list.map(trophy => trophy.trophyId);
+
+        it('should narrow by trophy group', () => {
+            expect(ids(filterTrophies(trophies, 'all', 'all'))).toEqual([0, 1, 2]);
+            expect(ids(filterTrophies(trophies, '001', 'all'))).toEqual([2]);
+        });
+
+        it('should filter by earned status, grade and rarity', () => {
+            expect(ids(filterTrophies(earned, 'all', 'earned'))).toEqual([2]);
+            expect(ids(filterTrophies(earned, 'all', 'unearned'))).toEqual([0, 1]);
+            expect(ids(filterTrophies(trophies, 'all', 'bronze'))).toEqual([1]);
+            expect(ids(filterTrophies(earned, 'default', 'ultra_rare'))).toEqual([0]);
+            expect(ids(filterTrophies(earned, 'all', 'very_rare'))).toEqual([2]);
+        });
+
+        it('should treat unknown filters as all trophies', () => {
+            expect(ids(filterTrophies(trophies, 'all', 'nope'))).toEqual([0, 1, 2]);
+            expect(FILTERS.earned.needsProgress).toBe(true);
+            expect(FILTERS.ultra_rare.needsProgress).toBe(true);
+            expect(FILTERS.bronze.needsProgress).toBeUndefined();
+        });
+    });
+});
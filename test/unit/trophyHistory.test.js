@@ -0,0 +1,97 @@
+/**
+ * Trophy History Unit Tests
+ *
+ * Records and compares daily trophy totals in a real in-memory SQLite
+ * database
+ */
+
+jest.unmock('sqlite3');
+
+const { toDay, getProgress, periodProgress, getHistory } = require('../../src/utils/trophyHistory');
+
+describe('Trophy History', () => {
+    let database;
+
+    // 2024-03-31 12:00 UTC
+    const now = 1711886400;
+
+    const record = (snapshotDate, bronze, level, psnAccountId = 'account1') => database.run(`
+        INSERT INTO trophy_history (discord_id, psn_account_id, snapshot_date, trophy_count_bronze, trophy_level, trophy_points)
+        VALUES ('111', ?, ?, ?, ?, ?)
+    `, [psnAccountId, snapshotDate, bronze, level, bronze * 15]);
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        await database.createUser('111', { psn_username: 'Tracked', psn_account_id: 'account1' });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should keep one row per day with that day\'s latest totals', async () => {
+        await database.saveTrophySnapshot('111', 'account1', { trophyLevel: 10, earnedTrophies: { bronze: 4 } });
+        await database.saveTrophySnapshot('111', 'account1', { trophyLevel: 11, earnedTrophies: { bronze: 5, platinum: 1 } });
+
+        const rows = await getHistory(database, '111', 'account1');
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({
+            snapshot_date: toDay(Math.floor(Date.now() / 1000)),
+            trophy_count_bronze: 5,
+            trophy_count_platinum: 1,
+            trophy_level: 11,
+            trophy_points: 375
+        });
+    });
+
+    it('should work out progress between two dates', async () => {
+        await record('2024-03-01', 10, 5);
+        await record('2024-03-10', 14, 5);
+        await record('2024-03-20', 20, 6);
+        await record('2024-03-20', 99, 9, 'account2');
+
+        const progress = await getProgress(database, '111', 'account1', now - 25 * 86400, now - 15 * 86400);
+
+        // From the last row on or before 2024-03-06 to the last on or before 2024-03-16
+        expect(progress.start.snapshot_date).toBe('2024-03-01');
+        expect(progress.end.snapshot_date).toBe('2024-03-10');
+        expect(progress.delta).toMatchObject({ bronze: 4, trophies: 4, points: 60, level: 0 });
+    });
+
+    it('should count accounts first tracked within the period from their first day', async () => {
+        await record('2024-03-28', 10, 5);
+        await record('2024-03-30', 13, 6);
+
+        const progress = await getProgress(database, '111', 'account1', now - 7 * 86400, now);
+
+        expect(progress.delta).toMatchObject({ bronze: 3, level: 1 });
+        expect(await getProgress(database, '111', 'account1', now - 30 * 86400, now - 10 * 86400)).toBeNull();
+    });
+
+    it('should split the history into weekly periods, newest first', async () => {
+        await record('2024-03-10', 10, 5);
+        await record('2024-03-20', 14, 5);
+        await record('2024-03-30', 20, 6);
+
+        const rows = await getHistory(database, '111', 'account1', now);
+        const weeks = periodProgress(rows, now, 7, 5);
+
+        expect(weeks.map(week => week.progress && week.progress.delta.bronze)).toEqual([6, 4, 0, 0, null]);
+        expect(weeks[0]).toMatchObject({ from: now - 7 * 86400, to: now });
+    });
+
+    it('should delete the history along with the member', async () => {
+        await record('2024-03-30', 20, 6);
+
+        await database.deleteUser('111');
+
+        expect(await database.all('SELECT * FROM trophy_history')).toEqual([]);
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Link Verification Unit Tests
+ *
+ * Runs verification codes, the verified stamp and the guild requirement
+ * against a real in-memory SQLite database
+ */
+
+jest.unmock('sqlite3');
+
+const {
+    generateCode,
+    containsCode,
+    markVerified,
+    isVerificationRequired,
+    setVerificationRequired
+} = require('../../src/utils/verification');
+
+describe('Link Verification', () => {
+    let database;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const singleton = require('../../src/database/database');
+        database = new singleton.constructor();
+        database.dbPath = ':memory:';
+        await database.init();
+
+        await database.createUser('111', {
+            psn_username: 'TrophyHunter',
+            psn_account_id: 'account111',
+            notifications_enabled: 1,
+            last_trophy_check: 0
+        });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should generate distinct codes without look-alike characters', () => {
+        const code = generateCode();
+
+        expect(code).toMatch(/^PSNBOT-[A-HJ-NP-Z2-9]{6}$/);
+        expect(generateCode()).not.toBe(code);
+    });
+
+    it('should find a code anywhere in About Me, ignoring case', () => {
+        expect(containsCode('Trophy hunter psnbot-7kq2xm since 2013', 'PSNBOT-7KQ2XM')).toBe(true);
+        expect(containsCode('Trophy hunter', 'PSNBOT-7KQ2XM')).toBe(false);
+        expect(containsCode(undefined, 'PSNBOT-7KQ2XM')).toBe(false);
+    });
+
+    it('should stamp the link as verified', async () => {
+        expect(await markVerified(database, '111', 'account111')).toBe(true);
+
+        const user = await database.getUser('111');
+        expect(user.verified_at).toBeGreaterThan(0);
+    });
+
+    it('should not verify a link that changed since the code was issued', async () => {
+        expect(await markVerified(database, '111', 'otherAccount')).toBe(false);
+
+        const user = await database.getUser('111');
+        expect(user.verified_at).toBeNull();
+    });
+
+    it('should only verify the account the code was issued for', async () => {
+        await database.createUser('111', { psn_username: 'SecondName', psn_account_id: 'account222', notifications_enabled: 1, last_trophy_check: 0 });
+
+        await markVerified(database, '111', 'account222');
+
+        const accounts = await database.getAccounts('111');
+        expect(accounts.map(account => [account.psn_username, account.verified_at > 0])).toEqual([['TrophyHunter', false], ['SecondName', true]]);
+    });
+
+    it('should store one verification requirement per guild', async () => {
+        expect(await isVerificationRequired(database, 'guild1')).toBe(false);
+
+        await setVerificationRequired(database, 'guild1', true);
+        expect(await isVerificationRequired(database, 'guild1')).toBe(true);
+        expect(await isVerificationRequired(database, 'guild2')).toBe(false);
+
+        await setVerificationRequired(database, 'guild1', false);
+        expect(await isVerificationRequired(database, 'guild1')).toBe(false);
+
+        const rows = await database.all("SELECT * FROM server_settings WHERE setting_key = 'require_verification'");
+        expect(rows).toHaveLength(1);
+    });
+});